@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const AutoPayService = require('../services/autoPayService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize auto-pay service (will be set with broadcast function in server.js)
+let autoPayService = new AutoPayService();
+
+// Set broadcast function so mandate changes reach the tenant and owner dashboards
+function setAutoPayServiceBroadcast(broadcastFunction) {
+  autoPayService = new AutoPayService(broadcastFunction);
+}
+
+// The tenant's mandate and recent auto-pay charges
+router.get('/me', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const result = await autoPayService.getMandate(req.user.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error fetching mandate:', error);
+    sendServiceError(res, error, 'Failed to fetch auto-pay');
+  }
+});
+
+// Start authorising a mandate; the response carries what Razorpay Checkout needs
+router.post('/authorize', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const result = await autoPayService.startAuthorization(req.user.id, req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error starting authorisation:', error);
+    sendServiceError(res, error, 'Failed to start auto-pay setup');
+  }
+});
+
+// Checkout finished: store the mandate token
+router.post('/confirm', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const result = await autoPayService.confirmAuthorization(req.user.id, req.body);
+    res.json({
+      success: true,
+      message: result.mandate.status === 'active'
+        ? 'Auto-pay is on'
+        : 'Mandate submitted; auto-pay starts once your bank confirms it',
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error confirming authorisation:', error);
+    sendServiceError(res, error, 'Failed to confirm auto-pay');
+  }
+});
+
+// Turn auto-pay off
+router.post('/cancel', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const result = await autoPayService.cancel(req.user.id, req.user.username || req.user.id);
+    res.json({ success: true, message: 'Auto-pay turned off', ...result });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error cancelling mandate:', error);
+    sendServiceError(res, error, 'Failed to turn off auto-pay');
+  }
+});
+
+// Which tenants are enrolled, and how their latest charges went (Owner only)
+router.get('/enrollments', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await autoPayService.listEnrollments();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error fetching enrolments:', error);
+    sendServiceError(res, error, 'Failed to fetch auto-pay enrolments');
+  }
+});
+
+// Run today's charges now instead of waiting for the daily job (Owner only)
+router.post('/run', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const summary = await autoPayService.runDueCharges();
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('❌ [AutoPay] Error running charges:', error);
+    sendServiceError(res, error, 'Failed to run auto-pay charges');
+  }
+});
+
+module.exports = { router, setAutoPayServiceBroadcast };
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const BillAmendmentService = require('../services/billAmendmentService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize amendment service (will be set with broadcast function in server.js)
+let billAmendmentService = new BillAmendmentService();
+
+// Set broadcast function for the amendment service
+function setBillAmendmentServiceBroadcast(broadcastFunction) {
+  billAmendmentService = new BillAmendmentService(broadcastFunction);
+}
+
+const performedBy = (req) => req.user.username || req.user.id;
+
+// Cancel an unpaid bill (Owner only)
+router.post('/:billId/void', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await billAmendmentService.voidBill(req.params.billId, req.body, performedBy(req));
+
+    res.json({
+      success: true,
+      message: `Bill ${result.bill.billNumber} voided`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [BillAmendment] Error voiding bill:', error);
+    sendServiceError(res, error, 'Failed to void bill');
+  }
+});
+
+// Issue a credit note against a bill (Owner only)
+router.post('/:billId/credit-notes', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await billAmendmentService.issueCreditNote(req.params.billId, req.body, performedBy(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${result.creditNote.creditNoteNumber} issued`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [BillAmendment] Error issuing credit note:', error);
+    sendServiceError(res, error, 'Failed to issue credit note');
+  }
+});
+
+// Replace a bill with a corrected one (Owner only)
+router.post('/:billId/revise', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await billAmendmentService.reviseBill(req.params.billId, req.body, performedBy(req));
+
+    res.status(201).json({
+      success: true,
+      message: `Bill ${result.original.billNumber} revised as ${result.bill.billNumber}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [BillAmendment] Error revising bill:', error);
+    sendServiceError(res, error, 'Failed to revise bill');
+  }
+});
+
+// The bill's revision chain and credit notes (Owner only)
+router.get('/:billId/amendments', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await billAmendmentService.getAmendmentChain(req.params.billId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [BillAmendment] Error fetching amendments:', error);
+    sendServiceError(res, error, 'Failed to fetch bill amendments');
+  }
+});
+
+module.exports = {
+  router,
+  setBillAmendmentServiceBroadcast
+};
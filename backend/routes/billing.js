@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { Tenant } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const billingPolicy = require('../services/billingPolicy');
+const numberingService = require('../services/numberingService');
+const BillingService = require('../services/billingService');
+const RentTermService = require('../services/rentTermService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize billing service (will be set with broadcast function in server.js)
+let billingService = new BillingService();
+
+// Set broadcast function for the billing service
+function setBillingServiceBroadcast(broadcastFunction) {
+  billingService = new BillingService(broadcastFunction);
+}
+
+// Get bill generation settings (Owner only)
+router.get('/settings', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const policy = await billingPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      settings: policy,
+      prorationMethods: billingPolicy.PRORATION_METHODS
+    });
+  } catch (error) {
+    console.error('❌ [Billing] Error getting billing settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get billing settings'
+    });
+  }
+});
+
+// Update bill generation settings (Owner only)
+router.put('/settings', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const policy = await billingPolicy.updatePolicy(req.body || {}, req.user.username || req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Billing settings updated',
+      settings: policy
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid billing settings',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('❌ [Billing] Error updating billing settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update billing settings'
+    });
+  }
+});
+
+// Numbers the next bill, receipt and credit note would get under a policy
+const peekNextNumbers = async (policy) => {
+  const entries = await Promise.all(Object.keys(numberingService.DOCUMENT_TYPES).map(async (documentType) => (
+    [documentType, await numberingService.peekNumber(documentType, new Date(), policy)]
+  )));
+  return Object.fromEntries(entries);
+};
+
+// Get document numbering formats (Owner only)
+router.get('/numbering', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const policy = await numberingService.getPolicy();
+
+    res.json({
+      success: true,
+      numbering: policy,
+      nextNumbers: await peekNextNumbers(policy),
+      resetPeriods: numberingService.RESET_PERIODS
+    });
+  } catch (error) {
+    console.error('❌ [Billing] Error getting numbering settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get numbering settings'
+    });
+  }
+});
+
+// Update document numbering formats (Owner only). Counters are not reset.
+router.put('/numbering', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const policy = await numberingService.updatePolicy(req.body || {}, req.user.username || req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Numbering settings updated',
+      numbering: policy,
+      nextNumbers: await peekNextNumbers(policy)
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid numbering settings',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('❌ [Billing] Error updating numbering settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update numbering settings'
+    });
+  }
+});
+
+// Occupied days and proration credit a tenant would get for a month
+router.get('/proration/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const now = new Date();
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+    const year = parseInt(req.query.year) || now.getFullYear();
+
+    const tenant = await Tenant.findById(req.params.tenantId).populate('room', 'roomNumber rent');
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const policy = await billingPolicy.getPolicy();
+    const occupancy = billingPolicy.getOccupancy(tenant, month, year, policy);
+    const rent = tenant.room ? (await RentTermService.getRentForPeriod(tenant, tenant.room, month, year)).amount : null;
+
+    res.json({
+      success: true,
+      month,
+      year,
+      occupancy,
+      rentCredit: tenant.room ? billingPolicy.buildProrationItem(occupancy, rent) : null
+    });
+  } catch (error) {
+    console.error('❌ [Billing] Error calculating proration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate proration'
+    });
+  }
+});
+
+// Dry run: the bills a month would produce, per tenant, without saving anything.
+// Body: { month, year, tenantIds?, edits? } where edits maps tenant id to overrides.
+router.post('/preview', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { month, year, tenantIds = null, edits = {} } = req.body;
+    const run = await billingService.generateMonth(month, year, { dryRun: true, tenantIds, edits });
+
+    res.json({
+      success: true,
+      ...run
+    });
+  } catch (error) {
+    console.error('❌ [Billing] Error previewing bills:', error);
+    sendServiceError(res, error, 'Failed to preview bills');
+  }
+});
+
+// Create the previewed bills, applying the owner's edits. Tenants already billed
+// for the month are reported as 'exists', so the same run can be retried.
+router.post('/commit', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { month, year, tenantIds = null, edits = {} } = req.body;
+    const run = await billingService.generateMonth(month, year, { tenantIds, edits });
+
+    res.json({
+      success: true,
+      message: `Created ${run.summary.created} bills`,
+      ...run
+    });
+  } catch (error) {
+    console.error('❌ [Billing] Error committing bills:', error);
+    sendServiceError(res, error, 'Failed to generate bills');
+  }
+});
+
+module.exports = {
+  router,
+  setBillingServiceBroadcast
+};
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { ChargeTemplate, Room, Tenant } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const chargeTemplateService = require('../services/chargeTemplateService');
+
+// List charge templates with the rooms and tenants they can target (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const [templates, rooms, tenants] = await Promise.all([
+      ChargeTemplate.find({})
+        .populate('rooms', 'roomNumber')
+        .populate('tenants', 'name')
+        .populate('applications.tenant', 'name')
+        .sort({ active: -1, createdAt: -1 }),
+      Room.find({}).select('roomNumber').sort({ roomNumber: 1 }),
+      Tenant.find({ status: 'active' }).select('name room').populate('room', 'roomNumber').sort({ name: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      templates,
+      rooms,
+      tenants
+    });
+  } catch (error) {
+    console.error('❌ [ChargeTemplate] Error fetching charge templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch charge templates'
+    });
+  }
+});
+
+router.post('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const fields = chargeTemplateService.normalizeTemplate(req.body);
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    const errors = chargeTemplateService.validateTemplate({
+      scope: 'all',
+      frequency: 'monthly',
+      intervalMonths: 1,
+      ...fields
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid charge template',
+        details: errors
+      });
+    }
+
+    const template = new ChargeTemplate({ ...fields, createdBy: req.user.username || req.user.id });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge template created',
+      template
+    });
+  } catch (error) {
+    console.error('❌ [ChargeTemplate] Error creating charge template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create charge template'
+    });
+  }
+});
+
+router.put('/:templateId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const template = await ChargeTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charge template not found'
+      });
+    }
+
+    const fields = chargeTemplateService.normalizeTemplate(req.body);
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    const errors = chargeTemplateService.validateTemplate({ ...template.toObject(), ...fields });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid charge template',
+        details: errors
+      });
+    }
+
+    Object.assign(template, fields, { updatedAt: new Date() });
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Charge template updated',
+      template
+    });
+  } catch (error) {
+    console.error('❌ [ChargeTemplate] Error updating charge template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update charge template'
+    });
+  }
+});
+
+// Bills keep their lines; deleting only stops the charge from being added again
+router.delete('/:templateId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const template = await ChargeTemplate.findByIdAndDelete(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charge template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Charge template deleted'
+    });
+  } catch (error) {
+    console.error('❌ [ChargeTemplate] Error deleting charge template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete charge template'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const EnquiryService = require('../services/enquiryService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize enquiry service (will be set with broadcast function in server.js)
+let enquiryService = new EnquiryService();
+
+// Set broadcast function so new enquiries and conversions reach the owner dashboard
+function setEnquiryServiceBroadcast(broadcastFunction) {
+  enquiryService = new EnquiryService(broadcastFunction);
+}
+
+// The public form allows a few enquiries per address in a window - plenty
+// for a person, not for a script filling the owner's pipeline
+const ENQUIRY_WINDOW_MS = 15 * 60 * 1000;
+const ENQUIRIES_PER_WINDOW = 5;
+const recentEnquiries = new Map();
+
+const throttleEnquiries = (req, res, next) => {
+  const now = Date.now();
+  const recent = (recentEnquiries.get(req.ip) || []).filter(at => now - at < ENQUIRY_WINDOW_MS);
+  if (recent.length >= ENQUIRIES_PER_WINDOW) {
+    res.set('Retry-After', String(Math.ceil((recent[0] + ENQUIRY_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({
+      success: false,
+      message: 'Too many enquiries from this connection. Please try again later.'
+    });
+  }
+
+  recent.push(now);
+  recentEnquiries.set(req.ip, recent);
+  // Forget addresses whose window has passed so the map does not keep growing
+  if (recentEnquiries.size > 1000) {
+    for (const [ip, times] of recentEnquiries) {
+      if (now - times[times.length - 1] >= ENQUIRY_WINDOW_MS) recentEnquiries.delete(ip);
+    }
+  }
+  next();
+};
+
+// Room types for the enquiry form (public)
+router.get('/options', (req, res) => {
+  res.json({ success: true, roomTypes: EnquiryService.roomTypes() });
+});
+
+// Enquiry from a prospective tenant (public)
+router.post('/', throttleEnquiries, async (req, res) => {
+  try {
+    await enquiryService.createEnquiry(req.body, { source: 'website', by: 'enquirer' });
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! The owner will contact you soon.'
+    });
+  } catch (error) {
+    console.error('❌ [Enquiry] Error saving enquiry:', error);
+    sendServiceError(res, error, 'Failed to send your enquiry');
+  }
+});
+
+// Enquiry pipeline with matching rooms and the waitlist (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const pipeline = await enquiryService.listEnquiries();
+    res.json({ success: true, ...pipeline, statuses: EnquiryService.STATUSES, roomTypes: EnquiryService.roomTypes() });
+  } catch (error) {
+    console.error('❌ [Enquiry] Error fetching enquiries:', error);
+    sendServiceError(res, error, 'Failed to fetch enquiries');
+  }
+});
+
+// Record an enquiry taken by phone or in person (Owner only)
+router.post('/manual', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const enquiry = await enquiryService.createEnquiry(req.body, { source: 'owner', by: req.user.username || req.user.id });
+    res.status(201).json({ success: true, message: 'Enquiry added', enquiry });
+  } catch (error) {
+    console.error('❌ [Enquiry] Error adding enquiry:', error);
+    sendServiceError(res, error, 'Failed to add enquiry');
+  }
+});
+
+// Move an enquiry along the pipeline: visited, reserved (with roomId), closed or back to new (Owner only)
+router.put('/:enquiryId/status', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const enquiry = await enquiryService.updateStatus(req.params.enquiryId, req.body, req.user.username || req.user.id);
+    res.json({ success: true, message: 'Enquiry updated', enquiry });
+  } catch (error) {
+    console.error('❌ [Enquiry] Error updating enquiry:', error);
+    sendServiceError(res, error, 'Failed to update enquiry');
+  }
+});
+
+// Assign the enquirer to a room as a tenant with generated login details (Owner only)
+router.post('/:enquiryId/convert', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { enquiry, tenant, username, password } = await enquiryService.convert(
+      req.params.enquiryId,
+      req.body,
+      req.user.username || req.user.id
+    );
+    res.json({
+      success: true,
+      message: `${tenant.name} is now a tenant`,
+      enquiry,
+      tenant: {
+        _id: tenant._id,
+        name: tenant.name,
+        generatedUsername: username,
+        generatedPassword: password
+      }
+    });
+  } catch (error) {
+    console.error('❌ [Enquiry] Error converting enquiry:', error);
+    sendServiceError(res, error, 'Failed to convert enquiry');
+  }
+});
+
+module.exports = { router, setEnquiryServiceBroadcast };
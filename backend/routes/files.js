@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const fileStorage = require('../services/fileStorage');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// A signed URL (from fileUrl) is its own authorisation; otherwise the
+// Bearer token is checked and the user must have access to the file
+const authenticateFileRequest = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (signature) {
+    if (!fileStorage.verifySignedPath(req.baseUrl + req.path, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'File link is invalid or has expired'
+      });
+    }
+    req.signedFileRequest = true;
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+const sendFile = (thumbnail) => async (req, res) => {
+  try {
+    const { file, buffer, mimeType } = await fileStorage.readFile(req.params.fileId, {
+      thumbnail,
+      user: req.signedFileRequest ? null : req.user
+    });
+
+    const fileName = (file.originalName || `file_${file._id}`).replace(/["\r\n]/g, '');
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.send(buffer);
+  } catch (error) {
+    console.error('❌ [Files] Error serving file:', error);
+    sendServiceError(res, error, 'Failed to load file');
+  }
+};
+
+// Download a stored file
+router.get('/:fileId', authenticateFileRequest, sendFile(false));
+
+// Its thumbnail (images only; other files are served as they are)
+router.get('/:fileId/thumbnail', authenticateFileRequest, sendFile(true));
+
+module.exports = router;
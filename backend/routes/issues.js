@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { Issue } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const IssueService = require('../services/issueService');
+
+// Initialize issue service (will be set with broadcast function in server.js)
+let issueService = new IssueService();
+
+// Set broadcast function for the issue service
+function setIssueServiceBroadcast(broadcastFunction) {
+  issueService = new IssueService(broadcastFunction);
+}
+
+// List issues across all tenants (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { status, priority, tenantId } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') query.status = status;
+    if (priority && priority !== 'all') query.priority = priority;
+    if (tenantId) query.tenant = tenantId;
+
+    const issues = await Issue.find(query)
+      .populate('tenant', 'name username phone email')
+      .populate('room', 'roomNumber floor')
+      .sort({ createdAt: -1 });
+
+    const summary = await Issue.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      issues: issues,
+      summary: summary.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {})
+    });
+
+  } catch (error) {
+    console.error('❌ [IssueAPI] Error fetching issues:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issues'
+    });
+  }
+});
+
+// Get a single issue (Owner only)
+router.get('/:issueId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const issue = await issueService.getIssue(req.params.issueId);
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      issue: issue
+    });
+
+  } catch (error) {
+    console.error('❌ [IssueAPI] Error fetching issue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issue'
+    });
+  }
+});
+
+// Update issue status, assignment or priority (Owner only)
+router.put('/:issueId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { status, note, assignedTo, priority } = req.body;
+
+    let issue = await Issue.findById(req.params.issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (status && status !== issue.status && !issueService.canTransition(issue.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change issue from ${issue.status} to ${status}`
+      });
+    }
+
+    if (priority && !IssueService.PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Priority must be one of ${IssueService.PRIORITIES.join(', ')}`
+      });
+    }
+
+    if (priority && priority !== issue.priority) {
+      issue.priority = priority;
+      issue.updatedAt = new Date();
+      await issue.save();
+    }
+
+    if (assignedTo && assignedTo.name) {
+      await issueService.assign(issue, assignedTo);
+    }
+
+    if (status && status !== issue.status) {
+      await issueService.updateStatus(issue, status, {
+        changedByRole: 'owner',
+        changedBy: req.user.id,
+        note: note || ''
+      });
+    }
+
+    issue = await issueService.getIssue(issue._id);
+
+    res.json({
+      success: true,
+      message: 'Issue updated successfully',
+      issue: issue
+    });
+
+  } catch (error) {
+    console.error('❌ [IssueAPI] Error updating issue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update issue'
+    });
+  }
+});
+
+// Add an owner comment to an issue (Owner only)
+router.post('/:issueId/comments', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment message is required'
+      });
+    }
+
+    const issue = await Issue.findById(req.params.issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    const updated = await issueService.addComment(issue, {
+      authorRole: 'owner',
+      authorId: req.user.id,
+      authorName: req.user.name || 'Building Management',
+      message: message.trim()
+    });
+
+    res.json({
+      success: true,
+      issue: updated
+    });
+
+  } catch (error) {
+    console.error('❌ [IssueAPI] Error adding comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment'
+    });
+  }
+});
+
+module.exports = { router, setIssueServiceBroadcast };
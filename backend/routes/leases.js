@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const LeaseService = require('../services/leaseService');
+const PDFService = require('../services/pdfService');
+const serviceHelpers = require('../utils/serviceHelpers');
+
+// Initialize lease service (will be set with broadcast function in server.js)
+let leaseService = new LeaseService();
+
+// Set broadcast function so issued and signed leases reach both dashboards
+function setLeaseServiceBroadcast(broadcastFunction) {
+  leaseService = new LeaseService(broadcastFunction);
+}
+
+// A malformed lease id cannot name any lease
+const sendServiceError = (res, error, fallbackMessage) =>
+  serviceHelpers.sendServiceError(res, error, fallbackMessage, { notFoundMessage: 'Lease not found' });
+
+// Owners see every lease; tenants only their own
+const loadAccessibleLease = async (req, res) => {
+  const lease = await leaseService.getLease(req.params.leaseId);
+  if (!lease) {
+    res.status(404).json({
+      success: false,
+      message: 'Lease not found'
+    });
+    return null;
+  }
+
+  const isOwner = ['owner', 'admin'].includes(req.user.role);
+  if (!isOwner && String(lease.tenant?._id) !== String(req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+    return null;
+  }
+  return lease;
+};
+
+// Lease templates and the merge fields they can use (Owner only)
+router.get('/templates', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const templates = await leaseService.listTemplates();
+    res.json({ success: true, templates, mergeFields: LeaseService.MERGE_FIELDS });
+  } catch (error) {
+    console.error('❌ [Lease] Error fetching lease templates:', error);
+    sendServiceError(res, error, 'Failed to fetch lease templates');
+  }
+});
+
+router.post('/templates', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const template = await leaseService.createTemplate(req.body, req.user.username || req.user.id);
+    res.status(201).json({ success: true, message: 'Lease template created', template });
+  } catch (error) {
+    console.error('❌ [Lease] Error creating lease template:', error);
+    sendServiceError(res, error, 'Failed to create lease template');
+  }
+});
+
+router.put('/templates/:templateId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const template = await leaseService.updateTemplate(req.params.templateId, req.body);
+    res.json({ success: true, message: 'Lease template updated', template });
+  } catch (error) {
+    console.error('❌ [Lease] Error updating lease template:', error);
+    sendServiceError(res, error, 'Failed to update lease template');
+  }
+});
+
+// The tenant's current lease, any lease waiting for their signature, and past leases
+router.get('/me', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const leases = await leaseService.getTenantLeases(req.user.id);
+    res.json({ success: true, ...leases });
+  } catch (error) {
+    console.error('❌ [Lease] Error fetching tenant leases:', error);
+    sendServiceError(res, error, 'Failed to fetch your lease');
+  }
+});
+
+// All leases, optionally by status (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const leases = await leaseService.listLeases({ status: req.query.status });
+    res.json({ success: true, leases, reminderDays: LeaseService.REMINDER_DAYS });
+  } catch (error) {
+    console.error('❌ [Lease] Error fetching leases:', error);
+    sendServiceError(res, error, 'Failed to fetch leases');
+  }
+});
+
+// Issue a lease (or a renewal) from a template for the tenant to sign (Owner only)
+router.post('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const lease = await leaseService.createLease(req.body, req.user.username || req.user.id);
+    res.status(201).json({ success: true, message: 'Lease sent to the tenant for signature', lease });
+  } catch (error) {
+    console.error('❌ [Lease] Error issuing lease:', error);
+    sendServiceError(res, error, 'Failed to issue lease');
+  }
+});
+
+router.get('/:leaseId', authenticateToken, async (req, res) => {
+  try {
+    const lease = await loadAccessibleLease(req, res);
+    if (!lease) return;
+    res.json({ success: true, lease });
+  } catch (error) {
+    console.error('❌ [Lease] Error fetching lease:', error);
+    sendServiceError(res, error, 'Failed to fetch lease');
+  }
+});
+
+// Sign with a typed name and drawn signature; the IP and browser are recorded (Tenant only)
+router.post('/:leaseId/sign', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const lease = await leaseService.signLease(req.params.leaseId, req.user.id, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.json({ success: true, message: 'Lease signed', lease });
+  } catch (error) {
+    console.error('❌ [Lease] Error signing lease:', error);
+    sendServiceError(res, error, 'Failed to sign lease');
+  }
+});
+
+// Withdraw a lease that has not been signed yet (Owner only)
+router.post('/:leaseId/cancel', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const lease = await leaseService.cancelLease(req.params.leaseId, req.user.username || req.user.id);
+    res.json({ success: true, message: 'Lease cancelled', lease });
+  } catch (error) {
+    console.error('❌ [Lease] Error cancelling lease:', error);
+    sendServiceError(res, error, 'Failed to cancel lease');
+  }
+});
+
+// Lease PDF, with the signature once signed (owner, or the tenant it belongs to)
+router.get('/:leaseId/pdf', authenticateToken, async (req, res) => {
+  try {
+    const lease = await loadAccessibleLease(req, res);
+    if (!lease) return;
+
+    const signatureImage = await leaseService.getSignatureImage(lease);
+    const doc = PDFService.generateLeaseAgreement(lease, lease.tenant, lease.room, signatureImage);
+    const tenantName = (lease.tenant?.name || 'Tenant').replace(/\s+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', PDFService.attachmentDisposition(`Lease_${tenantName}_${new Date(lease.startDate).toISOString().slice(0, 10)}.pdf`));
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('❌ [Lease] Error generating lease PDF:', error);
+    sendServiceError(res, error, 'Failed to generate lease PDF');
+  }
+});
+
+module.exports = { router, setLeaseServiceBroadcast };
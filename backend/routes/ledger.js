@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { Tenant } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
+const PDFService = require('../services/pdfService');
+
+// Send a statement as JSON, PDF or XLSX (?format=pdf|xlsx)
+const sendStatement = async (req, res, tenantId) => {
+  const tenant = await Tenant.findById(tenantId).populate('room', 'roomNumber');
+  if (!tenant) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tenant not found'
+    });
+  }
+
+  const { from, to, format = 'json' } = req.query;
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  const statement = await ledgerService.getStatement(tenantId, { from, to });
+  const filename = `Statement_${tenant.name.replace(/\s+/g, '_')}_${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === 'pdf') {
+    const doc = PDFService.generateLedgerStatement(statement, tenant);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+    return;
+  }
+
+  if (format === 'xlsx') {
+    const buffer = ledgerService.buildStatementWorkbook(statement, tenant);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(buffer);
+  }
+
+  res.json({
+    success: true,
+    tenant: {
+      id: tenant._id,
+      name: tenant.name,
+      roomNumber: tenant.room?.roomNumber || null,
+      creditBalance: tenant.creditBalance || 0
+    },
+    statement
+  });
+};
+
+// Tenant: own statement
+router.get('/me', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    await sendStatement(req, res, req.user.id);
+  } catch (error) {
+    console.error('❌ [Ledger] Error building tenant statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build statement'
+    });
+  }
+});
+
+// Owner: statement for any tenant
+router.get('/tenants/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    await sendStatement(req, res, req.params.tenantId);
+  } catch (error) {
+    console.error('❌ [Ledger] Error building statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build statement'
+    });
+  }
+});
+
+// Owner: post an adjustment, deposit receipt/refund/deduction or refund
+router.post('/tenants/:tenantId/entries', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const tenant = await Tenant.findById(tenantId).select('_id');
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    const entries = await ledgerService.recordEntry(tenantId, req.body, req.user.username || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry recorded',
+      entries
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('❌ [Ledger] Error recording entry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record ledger entry'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { MeterReading, Room } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const meterReadingService = require('../services/meterReadingService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+const readPeriod = (query) => {
+  const now = new Date();
+  return {
+    utility: query.utility || 'electricity',
+    month: parseInt(query.month) || now.getMonth() + 1,
+    year: parseInt(query.year) || now.getFullYear()
+  };
+};
+
+// Entry sheet: every room with its reading for the month (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { utility, month, year } = readPeriod(req.query);
+    if (!meterReadingService.METERED_UTILITIES.includes(utility)) {
+      return res.status(400).json({
+        success: false,
+        message: `utility must be one of ${meterReadingService.METERED_UTILITIES.join(', ')}`
+      });
+    }
+
+    const rows = await meterReadingService.getPeriodSheet(utility, month, year);
+
+    res.json({
+      success: true,
+      utility,
+      month,
+      year,
+      rows,
+      flagged: rows.filter(row => row.reading?.anomalies?.length > 0).length
+    });
+  } catch (error) {
+    console.error('❌ [MeterReading] Error fetching readings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meter readings'
+    });
+  }
+});
+
+// Reading history for one room and utility
+router.get('/rooms/:roomId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { utility } = readPeriod(req.query);
+    const readings = await meterReadingService.getHistory(req.params.roomId, utility);
+
+    res.json({
+      success: true,
+      readings
+    });
+  } catch (error) {
+    console.error('❌ [MeterReading] Error fetching history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reading history'
+    });
+  }
+});
+
+// This month's reading, or the start reading carried over from last month
+router.get('/rooms/:roomId/period', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { utility, month, year } = readPeriod(req.query);
+    const [reading, [previous]] = await Promise.all([
+      MeterReading.findOne({ room: req.params.roomId, utility, month, year }),
+      meterReadingService.getPreviousReadings(req.params.roomId, utility, month, year, 1)
+    ]);
+
+    res.json({
+      success: true,
+      reading,
+      suggestedStartReading: previous ? previous.endReading : 0
+    });
+  } catch (error) {
+    console.error('❌ [MeterReading] Error fetching period reading:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meter reading'
+    });
+  }
+});
+
+// Switch a room's utility between flat-rate and metered billing
+router.put('/rooms/:roomId/settings', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { utility, metered, unitRate } = req.body;
+    if (!meterReadingService.METERED_UTILITIES.includes(utility)) {
+      return res.status(400).json({
+        success: false,
+        message: `utility must be one of ${meterReadingService.METERED_UTILITIES.join(', ')}`
+      });
+    }
+    if (unitRate !== undefined && !(Number(unitRate) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'unitRate must be zero or more'
+      });
+    }
+
+    const updates = { updatedAt: new Date() };
+    if (metered !== undefined) updates[`utilities.${utility}.metered`] = !!metered;
+    if (unitRate !== undefined) updates[`utilities.${utility}.unitRate`] = Number(unitRate);
+
+    const room = await Room.findByIdAndUpdate(req.params.roomId, { $set: updates }, { new: true });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Meter settings updated',
+      utility: room.utilities[utility]
+    });
+  } catch (error) {
+    console.error('❌ [MeterReading] Error updating meter settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update meter settings'
+    });
+  }
+});
+
+// Record or correct a reading
+router.post('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { roomId, utility, ...reading } = req.body;
+    if (!roomId) {
+      return res.status(400).json({
+        success: false,
+        message: 'roomId is required'
+      });
+    }
+
+    const saved = await meterReadingService.recordReading(roomId, utility, reading, req.user.username || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: saved.anomalies.length > 0 ? 'Reading saved with warnings' : 'Reading saved',
+      reading: saved
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('❌ [MeterReading] Error recording reading:', error);
+    sendServiceError(res, error, 'Failed to record meter reading');
+  }
+});
+
+router.delete('/:readingId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const reading = await MeterReading.findById(req.params.readingId);
+    if (!reading) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading not found'
+      });
+    }
+    if (reading.bill) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reading has already been billed and cannot be deleted'
+      });
+    }
+
+    await reading.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Reading deleted'
+    });
+  } catch (error) {
+    console.error('❌ [MeterReading] Error deleting reading:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete meter reading'
+    });
+  }
+});
+
+module.exports = router;
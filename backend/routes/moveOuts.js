@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { MoveOutSettlement } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const MoveOutService = require('../services/moveOutService');
+const PDFService = require('../services/pdfService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize move-out service (will be set with broadcast function in server.js)
+let moveOutService = new MoveOutService();
+
+// Set broadcast function for the move-out service
+function setMoveOutServiceBroadcast(broadcastFunction) {
+  moveOutService = new MoveOutService(broadcastFunction);
+}
+
+// List completed settlements (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const query = { status: { $ne: 'in_progress' } };
+    if (req.query.tenantId) query.tenant = req.query.tenantId;
+
+    const settlements = await MoveOutSettlement.find(query)
+      .populate('tenant', 'name username phone email')
+      .populate('room', 'roomNumber floor')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      settlements
+    });
+  } catch (error) {
+    console.error('❌ [MoveOut] Error listing settlements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settlements'
+    });
+  }
+});
+
+// Deposit, credit and outstanding dues before the inspection is recorded
+router.get('/tenants/:tenantId/preview', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const preview = await moveOutService.buildPreview(req.params.tenantId);
+
+    res.json({
+      success: true,
+      preview: {
+        ...preview,
+        tenant: {
+          id: preview.tenant._id,
+          name: preview.tenant.name,
+          status: preview.tenant.status,
+          moveInDate: preview.tenant.moveInDate
+        }
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('❌ [MoveOut] Error building preview:', error);
+    sendServiceError(res, error, 'Failed to build settlement preview');
+  }
+});
+
+// Record the inspection and finalise the move-out
+router.post('/tenants/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { moveOutDate, inspection, deductions, refund } = req.body;
+
+    if (moveOutDate && isNaN(new Date(moveOutDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'moveOutDate must be a valid date'
+      });
+    }
+
+    const settlement = await moveOutService.settle(
+      req.params.tenantId,
+      { moveOutDate, inspection, deductions, refund },
+      req.user.username || req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Move-out settled successfully',
+      settlement
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('❌ [MoveOut] Error settling move-out:', error);
+    sendServiceError(res, error, 'Failed to settle move-out');
+  }
+});
+
+router.get('/:settlementId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const settlement = await moveOutService.getSettlement(req.params.settlementId);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      settlement
+    });
+  } catch (error) {
+    console.error('❌ [MoveOut] Error fetching settlement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settlement'
+    });
+  }
+});
+
+// Settlement statement PDF (owner, or the tenant it belongs to)
+router.get('/:settlementId/pdf', authenticateToken, async (req, res) => {
+  try {
+    const settlement = await moveOutService.getSettlement(req.params.settlementId);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    const isOwner = ['owner', 'admin'].includes(req.user.role);
+    if (!isOwner && String(settlement.tenant?._id) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const doc = PDFService.generateMoveOutSettlement(settlement, settlement.tenant, settlement.room);
+    const tenantName = (settlement.tenant?.name || 'Tenant').replace(/\s+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="MoveOut_${tenantName}_${new Date(settlement.moveOutDate).toISOString().slice(0, 10)}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('❌ [MoveOut] Error generating settlement PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate settlement PDF'
+    });
+  }
+});
+
+module.exports = { router, setMoveOutServiceBroadcast };
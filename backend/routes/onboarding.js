@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const OnboardingService = require('../services/onboardingService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize onboarding service (will be set with broadcast function in server.js)
+let onboardingService = new OnboardingService();
+
+// Set broadcast function so submissions and activations reach both dashboards
+function setOnboardingServiceBroadcast(broadcastFunction) {
+  onboardingService = new OnboardingService(broadcastFunction);
+}
+
+// The tenant's onboarding progress (Tenant only)
+router.get('/me', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const onboarding = await onboardingService.getForTenant(req.user.id);
+    res.json({ success: true, onboarding, idProofTypes: OnboardingService.ID_PROOF_TYPES });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error fetching onboarding:', error);
+    sendServiceError(res, error, 'Failed to fetch your onboarding');
+  }
+});
+
+// Save one wizard step: account, profile, emergencyContact, idProof or photo (Tenant only)
+router.put('/me/steps/:step', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const onboarding = await onboardingService.saveStep(req.user.id, req.params.step, req.body);
+    res.json({ success: true, message: 'Saved', onboarding });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error saving onboarding step:', error);
+    sendServiceError(res, error, 'Failed to save this step');
+  }
+});
+
+router.post('/me/submit', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const onboarding = await onboardingService.submit(req.user.id);
+    res.json({ success: true, message: 'Sent to the owner for review', onboarding });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error submitting onboarding:', error);
+    sendServiceError(res, error, 'Failed to submit your details');
+  }
+});
+
+// Tenants being onboarded and the rooms new tenants can be invited to (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const [tenants, rooms] = await Promise.all([
+      onboardingService.listOnboarding(),
+      onboardingService.listInvitableRooms()
+    ]);
+    res.json({ success: true, tenants, rooms });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error fetching onboarding list:', error);
+    sendServiceError(res, error, 'Failed to fetch onboarding');
+  }
+});
+
+// Invite a tenant by email (Owner only)
+router.post('/invitations', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { tenant, username, password, emailSent } = await onboardingService.inviteTenant(req.body, req.user.username || req.user.id);
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invitation emailed to ${tenant.email}` : 'Tenant invited - email is not configured, share the login yourself',
+      tenantId: tenant._id,
+      username,
+      password,
+      emailSent
+    });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error inviting tenant:', error);
+    sendServiceError(res, error, 'Failed to invite tenant');
+  }
+});
+
+router.post('/:tenantId/resend', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { username, password, emailSent } = await onboardingService.resendInvitation(req.params.tenantId);
+    res.json({ success: true, message: emailSent ? 'Invitation sent again' : 'New login created', username, password, emailSent });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error resending invitation:', error);
+    sendServiceError(res, error, 'Failed to resend invitation');
+  }
+});
+
+router.delete('/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    await onboardingService.cancelInvitation(req.params.tenantId);
+    res.json({ success: true, message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error cancelling invitation:', error);
+    sendServiceError(res, error, 'Failed to cancel invitation');
+  }
+});
+
+// Document review and activation (Owner only)
+router.post('/:tenantId/id-proof/verify', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const onboarding = await onboardingService.verifyIdProof(req.params.tenantId, req.user.username || req.user.id);
+    res.json({ success: true, message: 'ID proof verified', onboarding });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error verifying ID proof:', error);
+    sendServiceError(res, error, 'Failed to verify ID proof');
+  }
+});
+
+router.post('/:tenantId/request-changes', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const onboarding = await onboardingService.requestChanges(req.params.tenantId, req.body);
+    res.json({ success: true, message: 'Sent back to the tenant', onboarding });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error requesting changes:', error);
+    sendServiceError(res, error, 'Failed to send back to the tenant');
+  }
+});
+
+router.post('/:tenantId/activate', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { tenant, bill, billError } = await onboardingService.activate(req.params.tenantId, req.body, req.user.username || req.user.id);
+    res.json({
+      success: true,
+      message: billError ? `Tenant activated, but the move-in bill was not raised: ${billError}` : 'Tenant activated',
+      tenant,
+      bill,
+      billError
+    });
+  } catch (error) {
+    console.error('❌ [Onboarding] Error activating tenant:', error);
+    sendServiceError(res, error, 'Failed to activate tenant');
+  }
+});
+
+module.exports = { router, setOnboardingServiceBroadcast };
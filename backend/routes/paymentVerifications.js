@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const PaymentVerificationService = require('../services/paymentVerificationService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize verification service (will be set with broadcast function in server.js)
+let paymentVerificationService = new PaymentVerificationService();
+
+// Set broadcast function so tenants hear about decisions straight away
+function setPaymentVerificationServiceBroadcast(broadcastFunction) {
+  paymentVerificationService = new PaymentVerificationService(broadcastFunction);
+}
+
+// Payments waiting on a decision, with screenshot, bill and tenant history (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await paymentVerificationService.listQueue({ view: req.query.view });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ [Verification] Error fetching verification queue:', error);
+    sendServiceError(res, error, 'Failed to fetch verification queue');
+  }
+});
+
+// Approve several payments at once (Owner only)
+router.post('/bulk-approve', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await paymentVerificationService.bulkApprove(req.body.paymentIds, req.user);
+
+    res.json({
+      success: true,
+      message: `Approved ${result.approved.length} payments` +
+        (result.failed.length > 0 ? ` (${result.failed.length} failed)` : ''),
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [Verification] Error bulk approving payments:', error);
+    sendServiceError(res, error, 'Failed to approve payments');
+  }
+});
+
+// Approve a payment: allocate it to the tenant's bills and issue the receipt (Owner only)
+router.post('/:paymentId/approve', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await paymentVerificationService.approve(req.params.paymentId, req.body, req.user);
+    res.json({ success: true, message: 'Payment approved', ...result });
+  } catch (error) {
+    console.error('❌ [Verification] Error approving payment:', error);
+    sendServiceError(res, error, 'Failed to approve payment');
+  }
+});
+
+// Reject a payment with a reason (Owner only)
+router.post('/:paymentId/reject', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await paymentVerificationService.reject(req.params.paymentId, req.body, req.user);
+    res.json({ success: true, message: 'Payment rejected', ...result });
+  } catch (error) {
+    console.error('❌ [Verification] Error rejecting payment:', error);
+    sendServiceError(res, error, 'Failed to reject payment');
+  }
+});
+
+// Ask the tenant for a new screenshot (Owner only)
+router.post('/:paymentId/request-resubmission', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await paymentVerificationService.requestResubmission(req.params.paymentId, req.body, req.user);
+    res.json({ success: true, message: 'Tenant asked for a new screenshot', ...result });
+  } catch (error) {
+    console.error('❌ [Verification] Error requesting resubmission:', error);
+    sendServiceError(res, error, 'Failed to request a new screenshot');
+  }
+});
+
+module.exports = { router, setPaymentVerificationServiceBroadcast };
@@ -1,15 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const { Bill, Payment, Tenant } = require('../../models');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const penaltyPolicy = require('../services/penaltyPolicy');
+const paymentAllocation = require('../services/paymentAllocation');
+const receiptService = require('../services/receiptService');
+const razorpayService = require('../services/razorpayService');
+const fileStorage = require('../services/fileStorage');
+const upiService = require('../services/upiService');
+const { toPaise } = require('../utils/serviceHelpers');
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_your_key_id',
-  key_secret: process.env.RAZORPAY_KEY_SECRET || 'your_key_secret'
-});
+const { razorpay } = razorpayService;
 
 // Create Razorpay order
 router.post('/create-order', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
@@ -21,28 +22,24 @@ router.post('/create-order', authenticateToken, authorizeRole(['tenant']), async
     const bill = await Bill.findOne({
       _id: billId,
       tenant: tenantId,
-      status: { $ne: 'paid' }
+      status: { $nin: ['paid', 'cancelled'] }
     });
 
     if (!bill) {
       return res.status(404).json({
         success: false,
-        message: 'Bill not found or already paid'
+        message: 'Bill not found, already paid or cancelled'
       });
     }
 
-    // Calculate total amount including penalty
+    // Late fee comes from the shared penalty policy (same figure the tenant sees)
     const currentDate = new Date();
-    let penaltyAmount = 0;
-    
-    if (bill.dueDate < currentDate) {
-      const daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const penaltyPerDay = bill.totalAmount * 0.01;
-      penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25);
-      penaltyAmount = Math.round(penaltyAmount);
-    }
+    const policy = await penaltyPolicy.getPolicy();
+    const penalty = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+    const penaltyAmount = penalty.amount;
 
-    const totalAmount = bill.totalAmount + penaltyAmount;
+    // Only what is still owed after any partial payments
+    const totalAmount = Math.max(0, penalty.baseAmount + penaltyAmount - (bill.paidAmount || 0));
 
     // Enforce configurable online payment limit to avoid gateway caps
     const MAX_ONLINE_PAYMENT_INR = Number(process.env.MAX_ONLINE_PAYMENT_INR || '100000'); // default ₹1,00,000
@@ -71,7 +68,7 @@ router.post('/create-order', authenticateToken, authorizeRole(['tenant']), async
     const receipt = receiptBase.substring(0, 40);
 
     const options = {
-      amount: totalAmount * 100, // Amount in paisa
+      amount: toPaise(totalAmount), // Prorated and percentage late fees leave fractions of a rupee
       currency: 'INR',
       receipt: receipt,
       notes: {
@@ -108,6 +105,77 @@ router.post('/create-order', authenticateToken, authorizeRole(['tenant']), async
   }
 });
 
+// UPI QR code and payment link for a bill, paid straight to the owner's UPI ID
+router.get('/upi/:billId', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const bill = await Bill.findOne({ _id: req.params.billId, tenant: req.user.id });
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    const upi = await upiService.getBillPayment(bill);
+    if (!upi) {
+      return res.json({
+        success: true,
+        upi: null,
+        message: upiService.PAYABLE_STATUSES.includes(bill.status)
+          ? 'UPI payments are not set up yet'
+          : 'Nothing to pay on this bill'
+      });
+    }
+
+    res.json({
+      success: true,
+      upi: { ...upi, qrCode: await upiService.qrDataUrl(upi.intentUrl) }
+    });
+  } catch (error) {
+    console.error('UPI payment details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load UPI payment details'
+    });
+  }
+});
+
+// Store a payment screenshot and point the payment and its bill at it; a
+// screenshot replaced by a new upload is deleted
+const attachScreenshot = async (payment, screenshot, user) => {
+  const file = await fileStorage.saveFile({
+    data: screenshot,
+    fileName: `payment_${payment._id}`,
+    category: 'payment_screenshot',
+    tenant: payment.tenant,
+    uploadedBy: user.username || user.id
+  });
+  const previousFile = payment.paymentScreenshot?.file;
+
+  payment.paymentScreenshot = {
+    filename: fileStorage.filePath(file),
+    file: file._id,
+    thumbnail: fileStorage.thumbnailPath(file),
+    originalName: file.originalName,
+    uploadDate: file.createdAt,
+    verified: false
+  };
+  await payment.save();
+
+  await Bill.findByIdAndUpdate(payment.bill._id || payment.bill, {
+    'paymentScreenshot.filename': fileStorage.filePath(file),
+    'paymentScreenshot.file': file._id,
+    'paymentScreenshot.uploadDate': file.createdAt,
+    'paymentScreenshot.verified': false
+  });
+
+  if (previousFile) {
+    await fileStorage.deleteFile(previousFile).catch(error => {
+      console.error('⚠️ Replaced payment screenshot not deleted:', error.message);
+    });
+  }
+};
+
 // Verify Razorpay payment
 router.post('/verify', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
   try {
@@ -122,99 +190,84 @@ router.post('/verify', authenticateToken, authorizeRole(['tenant']), async (req,
     const tenantId = req.user.id;
 
     // Verify signature
-    const secret = process.env.RAZORPAY_KEY_SECRET || 'your_key_secret';
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(body)
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
+    if (!razorpayService.verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid payment signature'
       });
     }
 
+    // The webhook may have recorded this payment already (or be recording it right now)
+    const alreadyRecorded = await Payment.exists({
+      razorpayPaymentId: razorpay_payment_id,
+      tenant: tenantId,
+      status: { $in: ['completed', 'verified'] }
+    });
+
     // Get bill and verify
     const bill = await Bill.findOne({
       _id: billId,
       tenant: tenantId,
-      status: { $ne: 'paid' }
+      ...(alreadyRecorded ? {} : { status: { $nin: ['paid', 'cancelled'] } })
     });
 
     if (!bill) {
       return res.status(404).json({
         success: false,
-        message: 'Bill not found or already paid'
+        message: 'Bill not found, already paid or cancelled'
       });
     }
 
-    // Calculate penalty amount
+    // Late fee comes from the shared penalty policy (same figure the tenant sees)
     const currentDate = new Date();
-    let penaltyAmount = 0;
-    
-    if (bill.dueDate < currentDate) {
-      const daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const penaltyPerDay = bill.totalAmount * 0.01;
-      penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25);
-      penaltyAmount = Math.round(penaltyAmount);
-    }
+    const policy = await penaltyPolicy.getPolicy();
+    const penalty = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+    const penaltyAmount = penalty.amount;
 
-    const totalAmount = bill.totalAmount + penaltyAmount;
+    const totalAmount = Math.max(0, penalty.baseAmount + penaltyAmount - (bill.paidAmount || 0));
 
-    // Create payment record
-    const payment = new Payment({
-      bill: billId,
-      tenant: tenantId,
-      amount: totalAmount,
-      paymentMethod: 'razorpay',
+    // Record the payment and settle the tenant's bills oldest first; any excess becomes tenant credit
+    const { payment, allocation, receipt, duplicate } = await razorpayService.recordCapturedPayment({
       razorpayPaymentId: razorpay_payment_id,
       razorpayOrderId: razorpay_order_id,
       razorpaySignature: razorpay_signature,
-      status: 'completed',
-      paidAt: new Date()
+      billId,
+      tenantId,
+      amount: totalAmount,
+      confirmedVia: 'checkout',
+      currentDate
     });
 
-    // Handle screenshot upload if provided
-    if (screenshot) {
-      const screenshotFilename = `payment_${payment._id}_${Date.now()}.jpg`;
-      payment.paymentScreenshot = {
-        filename: screenshotFilename,
-        originalName: 'payment_screenshot.jpg',
-        uploadDate: new Date(),
-        verified: false
-      };
-      
-      // In a real implementation, you would save the base64 screenshot to file system
-      // For now, we'll store it in the filename field
-      payment.paymentScreenshot.filename = screenshot;
+    // Handle screenshot upload if provided. The payment is already recorded,
+    // so a screenshot that fails validation is logged rather than failing it.
+    let screenshotUploaded = false;
+    if (screenshot && !duplicate) {
+      try {
+        await attachScreenshot(payment, screenshot, req.user);
+        screenshotUploaded = true;
+      } catch (error) {
+        console.error('⚠️ Payment screenshot not stored:', error.message);
+      }
     }
 
-    await payment.save();
-
-    // Update bill status
-    await Bill.findByIdAndUpdate(billId, {
-      status: 'paid',
-      paidDate: new Date(),
-      paidAmount: totalAmount,
-      remainingAmount: 0,
-      transactionId: razorpay_payment_id
-    });
-
     // Broadcast payment update for real-time dashboard updates
     // Note: This requires access to the broadcastToClients function from server.js
     // In a real application, you might use a shared event emitter or Redis pub/sub
 
     res.json({
       success: true,
-      message: 'Payment verified and recorded successfully',
+      message: duplicate
+        ? 'Payment already recorded'
+        : 'Payment verified and recorded successfully',
       payment: {
         id: payment._id,
-        amount: totalAmount,
+        amount: payment.amount,
         paidAt: payment.paidAt,
         paymentMethod: 'razorpay',
-        screenshotUploaded: !!screenshot
+        screenshotUploaded,
+        allocations: allocation.allocations,
+        creditAmount: allocation.creditAmount,
+        receiptNumber: receipt?.receiptNumber || null
       }
     });
 
@@ -230,7 +283,7 @@ router.post('/verify', authenticateToken, authorizeRole(['tenant']), async (req,
 // Record manual payment (cash, bank transfer, etc.)
 router.post('/record', authenticateToken, authorizeRole(['tenant', 'admin']), async (req, res) => {
   try {
-    const { billId, amount, paymentMethod, notes } = req.body;
+    const { billId, amount, paymentMethod, transactionId, notes } = req.body;
     const userId = req.user.id;
     const userRole = req.user.role;
 
@@ -240,41 +293,37 @@ router.post('/record', authenticateToken, authorizeRole(['tenant', 'admin']), as
       bill = await Bill.findOne({
         _id: billId,
         tenant: userId,
-        status: { $ne: 'paid' }
+        status: { $nin: ['paid', 'cancelled'] }
       });
     } else {
       // For admins, find any bill
       bill = await Bill.findOne({
         _id: billId,
-        status: { $ne: 'paid' }
+        status: { $nin: ['paid', 'cancelled'] }
       });
     }
 
     if (!bill) {
       return res.status(404).json({
         success: false,
-        message: 'Bill not found or already paid'
+        message: 'Bill not found, already paid or cancelled'
       });
     }
 
-    // Calculate penalty amount
+    // Late fee comes from the shared penalty policy (same figure the tenant sees)
     const currentDate = new Date();
-    let penaltyAmount = 0;
-    
-    if (bill.dueDate < currentDate) {
-      const daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const penaltyPerDay = bill.totalAmount * 0.01;
-      penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25);
-      penaltyAmount = Math.round(penaltyAmount);
-    }
+    const policy = await penaltyPolicy.getPolicy();
+    const penalty = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+    const penaltyAmount = penalty.amount;
 
-    const totalAmount = bill.totalAmount + penaltyAmount;
+    const totalAmount = penalty.baseAmount + penaltyAmount;
+    const amountDue = Math.max(0, totalAmount - (bill.paidAmount || 0));
 
-    // For manual payments, allow some flexibility in amount
-    if (userRole === 'tenant' && Math.abs(amount - totalAmount) > 50) {
+    // Partial payments are allowed; anything above what is owed becomes tenant credit
+    if (!(Number(amount) > 0)) {
       return res.status(400).json({
         success: false,
-        message: `Amount should be ₹${totalAmount} (including penalty if applicable)`
+        message: `Enter an amount greater than zero (₹${amountDue} is due including penalty if applicable)`
       });
     }
 
@@ -282,9 +331,11 @@ router.post('/record', authenticateToken, authorizeRole(['tenant', 'admin']), as
     const payment = new Payment({
       bill: billId,
       tenant: bill.tenant,
-      amount: amount,
+      amount: Number(amount),
       penaltyAmount: penaltyAmount,
       paymentMethod: paymentMethod,
+      // UTR / reference the tenant quotes, matched against the bank statement
+      transactionId: transactionId ? String(transactionId).trim() : undefined,
       status: userRole === 'admin' ? 'completed' : 'pending_verification',
       paidAt: new Date(),
       recordedBy: userId,
@@ -300,21 +351,30 @@ router.post('/record', authenticateToken, authorizeRole(['tenant', 'admin']), as
     // Update bill status
     const billUpdate = {
       paymentId: payment._id,
+      totalAmount: totalAmount,
+      remainingAmount: amountDue,
       penalty: {
         amount: penaltyAmount,
-        days: penaltyAmount > 0 ? Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24)) : 0
+        days: penalty.days,
+        rate: penalty.rate,
+        appliedDate: currentDate
       }
     };
 
-    if (userRole === 'admin') {
-      billUpdate.status = 'paid';
-      billUpdate.paidDate = new Date();
-    } else {
+    if (userRole !== 'admin') {
       billUpdate.status = 'payment_pending_verification';
     }
 
     await Bill.findByIdAndUpdate(billId, billUpdate);
 
+    // Admin-recorded payments are final, so apply them straight away
+    let allocation = null;
+    let receipt = null;
+    if (userRole === 'admin') {
+      allocation = await paymentAllocation.allocatePayment(payment, currentDate);
+      receipt = await receiptService.issueReceipt(payment, { currentDate });
+    }
+
     res.json({
       success: true,
       message: userRole === 'admin' 
@@ -326,7 +386,11 @@ router.post('/record', authenticateToken, authorizeRole(['tenant', 'admin']), as
         penaltyAmount: penaltyAmount,
         paidAt: payment.paidAt,
         paymentMethod: paymentMethod,
-        status: payment.status
+        status: payment.status,
+        amountDue: amountDue,
+        allocations: allocation?.allocations || [],
+        creditAmount: allocation?.creditAmount || 0,
+        receiptNumber: receipt?.receiptNumber || null
       }
     });
 
@@ -364,6 +428,7 @@ router.get('/history', authenticateToken, async (req, res) => {
     const payments = await Payment.find(query)
       .populate('bill', 'billNumber month year totalAmount')
       .populate('tenant', 'name email room')
+      .populate('receipt', 'receiptNumber issuedAt emailedAt')
       .sort({ paidAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -416,16 +481,17 @@ router.put('/verify/:paymentId', authenticateToken, authorizeRole(['admin']), as
 
     await payment.save();
 
-    // Update bill status if approved
+    // Apply approved payments to the tenant's bills (oldest first)
     if (status === 'approved') {
-      await Bill.findByIdAndUpdate(payment.bill._id, {
-        status: 'paid',
-        paidDate: new Date()
-      });
+      await paymentAllocation.allocatePayment(payment);
+      await receiptService.issueReceipt(payment);
     } else {
       // If rejected, revert bill to previous status
+      const previousStatus = payment.bill.paidAmount > 0
+        ? 'partially_paid'
+        : (payment.bill.dueDate < new Date() ? 'overdue' : 'pending');
       await Bill.findByIdAndUpdate(payment.bill._id, {
-        status: payment.bill.dueDate < new Date() ? 'overdue' : 'pending',
+        status: previousStatus,
         paymentId: null
       });
     }
@@ -445,6 +511,97 @@ router.put('/verify/:paymentId', authenticateToken, authorizeRole(['admin']), as
   }
 });
 
+// Load a payment the caller may see the receipt for (tenants: their own payments only)
+const findReceiptPayment = async (req) => {
+  const query = { _id: req.params.paymentId };
+  if (req.user.role === 'tenant') {
+    query.tenant = req.user.id;
+  }
+  return Payment.findOne(query);
+};
+
+// Download the receipt PDF for a payment
+router.get('/:paymentId/receipt', authenticateToken, async (req, res) => {
+  try {
+    const payment = await findReceiptPayment(req);
+    if (!payment || !receiptService.isReceiptable(payment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt for this payment'
+      });
+    }
+
+    // Payments completed before receipts existed get theirs on first download
+    const receipt = await receiptService.issueReceipt(payment, { email: false });
+    if (!receipt) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to issue receipt'
+      });
+    }
+
+    const doc = await receiptService.generatePdf(receipt);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Receipt_${receipt.receiptNumber.replace(/\//g, '-')}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+
+  } catch (error) {
+    console.error('Receipt download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt'
+    });
+  }
+});
+
+// Email the receipt for a payment to the tenant
+router.post('/:paymentId/receipt/email', authenticateToken, async (req, res) => {
+  try {
+    const payment = await findReceiptPayment(req);
+    if (!payment || !receiptService.isReceiptable(payment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt for this payment'
+      });
+    }
+
+    const receipt = await receiptService.issueReceipt(payment, { email: false });
+    if (!receipt) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to issue receipt'
+      });
+    }
+
+    const result = await receiptService.sendReceiptEmail(receipt);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error || 'Failed to email receipt'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Receipt ${receipt.receiptNumber} emailed`,
+      receipt: {
+        receiptNumber: receipt.receiptNumber,
+        emailedTo: receipt.emailedTo,
+        emailedAt: receipt.emailedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Receipt email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to email receipt'
+    });
+  }
+});
+
 // Upload payment screenshot
 router.post('/upload-screenshot', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
   try {
@@ -471,27 +628,20 @@ router.post('/upload-screenshot', authenticateToken, authorizeRole(['tenant']),
       });
     }
 
-    // Store screenshot
-    const screenshotFilename = `payment_${paymentId}_${Date.now()}.jpg`;
-    payment.paymentScreenshot = {
-      filename: screenshot, // In real implementation, save file and store path
-      originalName: 'payment_screenshot.jpg',
-      uploadDate: new Date(),
-      verified: false
-    };
-
-    await payment.save();
+    // A new screenshot the owner asked for puts the payment back in the verification inbox
+    const resubmitted = payment.status === 'pending_verification' && payment.verification?.resubmissionRequested;
+    if (resubmitted) {
+      payment.verification.resubmissionRequested = false;
+      payment.verification.history.push({ action: 'resubmitted', by: req.user.username || tenantId });
+    }
 
-    // Update bill with screenshot info
-    await Bill.findByIdAndUpdate(payment.bill._id, {
-      'paymentScreenshot.filename': screenshot,
-      'paymentScreenshot.uploadDate': new Date(),
-      'paymentScreenshot.verified': false
-    });
+    await attachScreenshot(payment, screenshot, req.user);
 
     res.json({
       success: true,
-      message: 'Payment screenshot uploaded successfully',
+      message: resubmitted
+        ? 'New screenshot sent for verification'
+        : 'Payment screenshot uploaded successfully',
       payment: {
         id: payment._id,
         screenshotUploaded: true,
@@ -501,9 +651,9 @@ router.post('/upload-screenshot', authenticateToken, authorizeRole(['tenant']),
 
   } catch (error) {
     console.error('Screenshot upload error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to upload screenshot'
+      message: error.statusCode ? error.message : 'Failed to upload screenshot'
     });
   }
 });
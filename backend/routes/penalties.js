@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const PenaltyService = require('../services/penaltyService');
+const penaltyPolicy = require('../services/penaltyPolicy');
 const { Bill } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
 
 // Initialize penalty service (will be set with broadcast function in server.js)
 let penaltyService = new PenaltyService();
@@ -83,7 +85,7 @@ router.get('/calculate/:billId', async (req, res) => {
       return res.status(404).json({ error: 'Bill not found' });
     }
     
-    const penaltyInfo = penaltyService.calculateCurrentPenalty(bill);
+    const penaltyInfo = await penaltyService.calculateCurrentPenalty(bill);
     
     res.json({
       success: true,
@@ -94,7 +96,7 @@ router.get('/calculate/:billId', async (req, res) => {
         year: bill.year,
         status: bill.status,
         dueDate: bill.dueDate,
-        originalAmount: bill.totalAmount - (bill.penalty.amount || 0),
+        originalAmount: penaltyInfo.baseAmount,
         currentPenalty: bill.penalty.amount || 0,
         totalAmount: bill.totalAmount
       },
@@ -264,15 +266,18 @@ router.get('/statistics', async (req, res) => {
   }
 });
 
-// Get penalty settings (Admin only)
+// Get penalty settings (late fee policy)
 router.get('/settings', async (req, res) => {
   try {
+    const policy = await penaltyPolicy.getPolicy();
+
     res.json({
       success: true,
       settings: {
-        penaltyRate: penaltyService.PENALTY_RATE,
+        ...policy,
+        penaltyRate: policy.rateType === 'percentage' ? policy.percentageRate : policy.flatRate,
         applicationDay: penaltyService.PENALTY_APPLICATION_DAY,
-        penaltyType: 'Daily Rate (₹50/day)',
+        penaltyType: penaltyPolicy.describePolicy(policy),
         currency: '₹',
         autoApplication: true
       }
@@ -286,6 +291,36 @@ router.get('/settings', async (req, res) => {
   }
 });
 
+// Update penalty settings (Owner only)
+router.put('/settings', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const policy = await penaltyPolicy.updatePolicy(req.body || {}, req.user.username || req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Penalty settings updated',
+      settings: {
+        ...policy,
+        penaltyType: penaltyPolicy.describePolicy(policy),
+        currency: '₹'
+      }
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid penalty settings',
+        details: error.validationErrors
+      });
+    }
+
+    console.error('❌ [PenaltyAPI] Error updating penalty settings:', error);
+    res.status(500).json({ 
+      error: 'Failed to update penalty settings',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Recalculate penalties for all existing bills (Admin only)
 // This fixes incorrect penalty calculations in old bills
 router.post('/recalculate-all', async (req, res) => {
@@ -330,8 +365,9 @@ router.post('/test-recalculate/:billId', async (req, res) => {
     };
     
     const currentDate = new Date();
-    const daysOverdue = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-    const expectedPenalty = daysOverdue * 50;
+    const expected = await penaltyService.calculateCurrentPenalty(bill, currentDate);
+    const daysOverdue = expected.days;
+    const expectedPenalty = expected.amount;
     
     console.log(`📊 Before: Penalty ₹${before.penalty} (${before.days} days), Total ₹${before.totalAmount}`);
     console.log(`📊 Expected: Penalty ₹${expectedPenalty} (${daysOverdue} days)`);
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const policeVerificationService = require('../services/policeVerificationService');
+const PDFService = require('../services/pdfService');
+const serviceHelpers = require('../utils/serviceHelpers');
+
+// A malformed tenant id cannot name any tenant
+const sendServiceError = (res, error, fallbackMessage) =>
+  serviceHelpers.sendServiceError(res, error, fallbackMessage, { notFoundMessage: 'Tenant not found' });
+
+// Active tenants with their police verification status (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { tenants, summary } = await policeVerificationService.listVerifications();
+    res.json({
+      success: true,
+      tenants,
+      summary,
+      statuses: policeVerificationService.STATUSES
+    });
+  } catch (error) {
+    console.error('❌ [PoliceVerification] Error fetching verifications:', error);
+    sendServiceError(res, error, 'Failed to fetch police verifications');
+  }
+});
+
+// Filled-in verification form for a tenant as a PDF (Owner only)
+router.get('/:tenantId/form', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const form = await policeVerificationService.buildForm(req.params.tenantId);
+    const doc = PDFService.generatePoliceVerificationForm(form);
+    const tenantName = (form.tenant.name || 'Tenant').replace(/\s+/g, '_');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', PDFService.attachmentDisposition(`Police_Verification_${tenantName}.pdf`));
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('❌ [PoliceVerification] Error generating verification form:', error);
+    sendServiceError(res, error, 'Failed to generate verification form');
+  }
+});
+
+// Record submission to the police station and the outcome (Owner only)
+router.put('/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const verification = await policeVerificationService.updateStatus(
+      req.params.tenantId,
+      req.body,
+      req.user.username || req.user.id
+    );
+    res.json({ success: true, message: 'Verification status saved', verification });
+  } catch (error) {
+    console.error('❌ [PoliceVerification] Error saving verification status:', error);
+    sendServiceError(res, error, 'Failed to save verification status');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const bankReconciliationService = require('../services/bankReconciliationService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+let broadcastToClients = null;
+
+// Set broadcast function so confirmed matches update open dashboards
+function setReconciliationBroadcast(broadcastFunction) {
+  broadcastToClients = broadcastFunction;
+}
+
+// Upload a bank statement (CSV / XLSX as base64) and match its credits (Owner only)
+router.post('/statements', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await bankReconciliationService.importStatement(req.body, req.user.username || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.statement.creditCount} credits` +
+        (result.statement.duplicateCount > 0 ? ` (${result.statement.duplicateCount} already imported)` : ''),
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error importing statement:', error);
+    sendServiceError(res, error, 'Failed to import statement');
+  }
+});
+
+// Statements uploaded so far (Owner only)
+router.get('/statements', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const statements = await bankReconciliationService.listStatements();
+    res.json({ success: true, statements });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error fetching statements:', error);
+    sendServiceError(res, error, 'Failed to fetch statements');
+  }
+});
+
+// One statement with its credits and their suggested matches (Owner only)
+router.get('/statements/:statementId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await bankReconciliationService.getStatement(req.params.statementId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error fetching statement:', error);
+    sendServiceError(res, error, 'Failed to fetch statement');
+  }
+});
+
+// Recompute suggestions, e.g. after tenants recorded more payments (Owner only)
+router.post('/rematch', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const count = await bankReconciliationService.refreshSuggestions();
+    res.json({ success: true, message: `Re-matched ${count} open credits` });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error re-matching credits:', error);
+    sendServiceError(res, error, 'Failed to re-match credits');
+  }
+});
+
+// Credits from every statement still waiting for a decision (Owner only)
+router.get('/transactions', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const transactions = await bankReconciliationService.listOpenTransactions();
+    res.json({ success: true, transactions });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error fetching transactions:', error);
+    sendServiceError(res, error, 'Failed to fetch transactions');
+  }
+});
+
+// Confirm a credit as a payment or as paying a bill (Owner only)
+router.post('/transactions/:transactionId/confirm', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { transaction, payment } = await bankReconciliationService.confirmMatch(
+      req.params.transactionId,
+      req.body,
+      req.user.username || req.user.id
+    );
+
+    if (broadcastToClients) {
+      broadcastToClients({
+        type: 'PAYMENT_DASHBOARD_UPDATE',
+        paymentAmount: payment.amount,
+        paymentId: payment._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `₹${payment.amount} confirmed`,
+      transaction,
+      payment
+    });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error confirming match:', error);
+    sendServiceError(res, error, 'Failed to confirm match');
+  }
+});
+
+// Mark a credit as not a rent payment (Owner only)
+router.post('/transactions/:transactionId/ignore', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const transaction = await bankReconciliationService.ignoreTransaction(
+      req.params.transactionId,
+      req.body,
+      req.user.username || req.user.id
+    );
+    res.json({ success: true, message: 'Credit ignored', transaction });
+  } catch (error) {
+    console.error('❌ [Reconciliation] Error ignoring transaction:', error);
+    sendServiceError(res, error, 'Failed to ignore transaction');
+  }
+});
+
+module.exports = {
+  router,
+  setReconciliationBroadcast
+};
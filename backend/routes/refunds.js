@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const RefundService = require('../services/refundService');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize refund service (will be set with broadcast function in server.js)
+let refundService = new RefundService();
+
+// Set broadcast function for the refund service
+function setRefundServiceBroadcast(broadcastFunction) {
+  refundService = new RefundService(broadcastFunction);
+}
+
+// Refund all or part of a payment (Owner only)
+router.post('/:paymentId/refunds', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const result = await refundService.refundPayment(req.params.paymentId, req.body, req.user.username || req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.status === 'pending'
+        ? `Refund of ₹${result.refund.amount} initiated with Razorpay`
+        : `Refund of ₹${result.refund.amount} recorded`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ [Refund] Error refunding payment:', error);
+    sendServiceError(res, error, 'Failed to refund payment');
+  }
+});
+
+// Refunds made on a payment and what can still be refunded (Owner only)
+router.get('/:paymentId/refunds', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const payment = await refundService.getPayment(req.params.paymentId);
+
+    res.json({
+      success: true,
+      paymentId: payment._id,
+      amount: payment.amount,
+      paymentMethod: payment.paymentMethod,
+      status: payment.status,
+      refundedAmount: payment.refundedAmount || 0,
+      refundable: refundService.getRefundable(payment),
+      refunds: payment.refunds
+    });
+  } catch (error) {
+    console.error('❌ [Refund] Error fetching refunds:', error);
+    sendServiceError(res, error, 'Failed to fetch refunds');
+  }
+});
+
+module.exports = {
+  router,
+  setRefundServiceBroadcast
+};
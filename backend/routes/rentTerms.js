@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const RentTermService = require('../services/rentTermService');
+const billingPolicy = require('../services/billingPolicy');
+const { sendServiceError } = require('../utils/serviceHelpers');
+
+// Initialize rent term service (will be set with broadcast function in server.js)
+let rentTermService = new RentTermService();
+
+// Set broadcast function so rent change notices reach tenants as they are sent
+function setRentTermServiceBroadcast(broadcastFunction) {
+  rentTermService = new RentTermService(broadcastFunction);
+}
+
+// Active tenants with their rent today and upcoming rent changes (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const [tenants, policy] = await Promise.all([
+      rentTermService.listTerms(),
+      billingPolicy.getPolicy()
+    ]);
+    res.json({ success: true, tenants, noticeDays: policy.rentIncreaseNoticeDays });
+  } catch (error) {
+    console.error('❌ [RentTerm] Error fetching rent terms:', error);
+    sendServiceError(res, error, 'Failed to fetch rent terms');
+  }
+});
+
+// Set a tenant's base rent and escalations (Owner only)
+router.put('/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const term = await rentTermService.saveTerm(req.params.tenantId, req.body, req.user.username || req.user.id);
+    res.json({ success: true, message: 'Rent terms saved', term });
+  } catch (error) {
+    console.error('❌ [RentTerm] Error saving rent terms:', error);
+    sendServiceError(res, error, 'Failed to save rent terms');
+  }
+});
+
+// Remove a tenant's rent terms so they are billed the room's rent again (Owner only)
+router.delete('/:tenantId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    await rentTermService.deleteTerm(req.params.tenantId);
+    res.json({ success: true, message: 'Rent terms removed' });
+  } catch (error) {
+    console.error('❌ [RentTerm] Error removing rent terms:', error);
+    sendServiceError(res, error, 'Failed to remove rent terms');
+  }
+});
+
+module.exports = { router, setRentTermServiceBroadcast };
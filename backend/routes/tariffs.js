@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const { TariffPlan, Room } = require('../../models');
+const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const tariffService = require('../services/tariffService');
+
+// List tariff plans with the rooms assigned to each (Owner only)
+router.get('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const [plans, rooms] = await Promise.all([
+      TariffPlan.find({}).sort({ isDefault: -1, name: 1 }),
+      Room.find({}).select('roomNumber tariffPlan utilities.electricity.unitRate').sort({ roomNumber: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      plans: plans.map(plan => ({
+        ...plan.toObject(),
+        rooms: rooms
+          .filter(room => String(room.tariffPlan) === String(plan._id))
+          .map(room => ({ _id: room._id, roomNumber: room.roomNumber }))
+      })),
+      rooms
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error fetching tariff plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tariff plans'
+    });
+  }
+});
+
+router.post('/', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const fields = tariffService.normalizePlan(req.body);
+    const errors = tariffService.validatePlan(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tariff plan',
+        details: errors
+      });
+    }
+
+    const existing = await TariffPlan.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tariff plan with this name already exists'
+      });
+    }
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    const plan = new TariffPlan({ ...fields, updatedBy: req.user.username || req.user.id });
+    await plan.save();
+    if (plan.isDefault) await tariffService.setDefaultPlan(plan._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tariff plan created',
+      plan
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error creating tariff plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tariff plan'
+    });
+  }
+});
+
+router.put('/:planId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const plan = await TariffPlan.findById(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff plan not found'
+      });
+    }
+
+    const fields = tariffService.normalizePlan(req.body);
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    const merged = { ...plan.toObject(), ...fields };
+    const errors = tariffService.validatePlan(merged);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tariff plan',
+        details: errors
+      });
+    }
+
+    Object.assign(plan, fields, { updatedBy: req.user.username || req.user.id, updatedAt: new Date() });
+    await plan.save();
+    if (plan.isDefault) await tariffService.setDefaultPlan(plan._id);
+
+    res.json({
+      success: true,
+      message: 'Tariff plan updated',
+      plan
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error updating tariff plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tariff plan'
+    });
+  }
+});
+
+// Plans that rooms still use are deactivated rather than deleted
+router.delete('/:planId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const plan = await TariffPlan.findById(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff plan not found'
+      });
+    }
+
+    const assignedRooms = await Room.countDocuments({ tariffPlan: plan._id });
+    if (assignedRooms > 0) {
+      plan.active = false;
+      plan.isDefault = false;
+      plan.updatedAt = new Date();
+      await plan.save();
+      return res.json({
+        success: true,
+        message: `Tariff plan deactivated (${assignedRooms} rooms still assigned)`,
+        plan
+      });
+    }
+
+    await plan.deleteOne();
+    res.json({
+      success: true,
+      message: 'Tariff plan deleted'
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error deleting tariff plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tariff plan'
+    });
+  }
+});
+
+// Assign rooms to a plan; rooms not listed keep their current plan
+router.put('/:planId/rooms', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { roomIds = [] } = req.body;
+    const plan = await TariffPlan.findById(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tariff plan not found'
+      });
+    }
+
+    const result = await Room.updateMany(
+      { _id: { $in: roomIds } },
+      { tariffPlan: plan._id, updatedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} rooms assigned to ${plan.name}`
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error assigning rooms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign rooms'
+    });
+  }
+});
+
+// Put a room back on the default plan
+router.delete('/rooms/:roomId', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const room = await Room.findByIdAndUpdate(req.params.roomId, { tariffPlan: null, updatedAt: new Date() });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Room ${room.roomNumber} now uses the default tariff`
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error clearing room tariff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear room tariff'
+    });
+  }
+});
+
+// Work out a charge: { units, roomId } uses the room's plan, { units, planId } a specific one
+router.post('/preview', authenticateToken, authorizeRole(['owner', 'admin']), async (req, res) => {
+  try {
+    const { units = 0, roomId, planId } = req.body;
+    let plan = null;
+
+    if (planId) {
+      plan = await TariffPlan.findById(planId);
+    } else if (roomId) {
+      const room = await Room.findById(roomId).select('tariffPlan utilities.electricity.unitRate');
+      if (room) plan = await tariffService.getPlanForRoom(room);
+    }
+
+    res.json({
+      success: true,
+      plan: plan ? { _id: plan._id, name: plan.name } : null,
+      charge: plan ? tariffService.calculateCharge(units, plan) : null
+    });
+  } catch (error) {
+    console.error('❌ [Tariff] Error previewing charge:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate tariff'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { Tenant, Bill, Payment } = require('../../models');
+const { Tenant, Bill, Payment, Issue } = require('../../models');
 const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const IssueService = require('../services/issueService');
+const penaltyPolicy = require('../services/penaltyPolicy');
+
+// Initialize issue service (will be set with broadcast function in server.js)
+let issueService = new IssueService();
+
+// Set broadcast function for the issue service
+function setIssueServiceBroadcast(broadcastFunction) {
+  issueService = new IssueService(broadcastFunction);
+}
 
 // Get tenant dashboard data
 router.get('/dashboard', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
@@ -32,30 +42,10 @@ router.get('/dashboard', authenticateToken, authorizeRole(['tenant']), async (re
       .sort({ paidAt: -1 })
       .limit(20);
 
-    // Calculate penalty for overdue bills
+    // Calculate penalty for overdue bills using the shared late fee policy
     const currentDate = new Date();
-    const updatedBills = bills.map(bill => {
-      if (bill.status !== 'paid' && bill.dueDate < currentDate) {
-        const daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-        const penaltyPerDay = bill.totalAmount * 0.01; // 1% per day
-        const penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25); // Max 25% penalty
-
-        bill.penalty = {
-          amount: Math.round(penaltyAmount),
-          days: daysOverdue
-        };
-        
-        if (bill.status === 'pending') {
-          bill.status = 'overdue';
-        }
-      } else {
-        bill.penalty = {
-          amount: 0,
-          days: 0
-        };
-      }
-      return bill;
-    });
+    const policy = await penaltyPolicy.getPolicy();
+    const updatedBills = bills.map(bill => penaltyPolicy.withPenaltyFields(bill, policy, currentDate));
 
     res.json({
       success: true,
@@ -66,8 +56,9 @@ router.get('/dashboard', authenticateToken, authorizeRole(['tenant']), async (re
         totalBills: bills.length,
         pendingBills: updatedBills.filter(b => b.status !== 'paid').length,
         totalDue: updatedBills
-          .filter(b => b.status !== 'paid')
-          .reduce((sum, b) => sum + b.totalAmount + b.penalty.amount, 0),
+          .filter(b => b.status !== 'paid' && b.status !== 'cancelled')
+          .reduce((sum, b) => sum + b.remainingAmount, 0),
+        creditBalance: tenant.creditBalance || 0,
         lastPayment: payments.length > 0 ? payments[0].paidAt : null
       }
     });
@@ -100,21 +91,12 @@ router.get('/bills/:billId', authenticateToken, authorizeRole(['tenant']), async
     }
 
     // Calculate penalty if overdue
-    const currentDate = new Date();
-    if (bill.status !== 'paid' && bill.dueDate < currentDate) {
-      const daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const penaltyPerDay = bill.totalAmount * 0.01;
-      const penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25);
-
-      bill.penalty = {
-        amount: Math.round(penaltyAmount),
-        days: daysOverdue
-      };
-    }
+    const policy = await penaltyPolicy.getPolicy();
+    const billWithPenalty = penaltyPolicy.withPenaltyFields(bill, policy);
 
     res.json({
       success: true,
-      bill: bill
+      bill: billWithPenalty
     });
 
   } catch (error) {
@@ -160,7 +142,7 @@ router.get('/bills/:billId/pdf', authenticateToken, authorizeRole(['tenant']), a
 
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="Invoice_${bill.billNumber}.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="Invoice_${bill.billNumber.replace(/\//g, '-')}.pdf"`);
 
     // Pipe PDF to response
     doc.pipe(res);
@@ -259,19 +241,22 @@ router.put('/notifications/:notificationId/read', authenticateToken, authorizeRo
 router.post('/issues', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
   try {
     const tenantId = req.user.id;
-    const { title, description, priority, category } = req.body;
+    const { title, description, priority, category, attachments } = req.body;
 
-    // This would typically save to an Issues/Complaints model
-    const issue = {
-      id: Date.now().toString(),
-      tenant: tenantId,
+    if (!title || !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title and description are required'
+      });
+    }
+
+    const issue = await issueService.createIssue(tenantId, {
       title,
       description,
-      priority: priority || 'medium',
-      category: category || 'general',
-      status: 'open',
-      createdAt: new Date()
-    };
+      priority,
+      category,
+      attachments: Array.isArray(attachments) ? attachments : []
+    });
 
     res.json({
       success: true,
@@ -281,6 +266,12 @@ router.post('/issues', authenticateToken, authorizeRole(['tenant']), async (req,
 
   } catch (error) {
     console.error('Issue reporting error:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to report issue'
@@ -288,4 +279,149 @@ router.post('/issues', authenticateToken, authorizeRole(['tenant']), async (req,
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Get issues reported by tenant
+router.get('/issues', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const tenantId = req.user.id;
+    const { status } = req.query;
+
+    const query = { tenant: tenantId };
+    if (status) query.status = status;
+
+    const issues = await Issue.find(query)
+      .populate('room', 'roomNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      issues: issues
+    });
+
+  } catch (error) {
+    console.error('Issues fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issues'
+    });
+  }
+});
+
+// Get a single issue
+router.get('/issues/:issueId', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const issue = await Issue.findOne({
+      _id: req.params.issueId,
+      tenant: req.user.id
+    }).populate('room', 'roomNumber');
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      issue: issue
+    });
+
+  } catch (error) {
+    console.error('Issue fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch issue'
+    });
+  }
+});
+
+// Add a comment to an issue
+router.post('/issues/:issueId/comments', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment message is required'
+      });
+    }
+
+    const issue = await Issue.findOne({
+      _id: req.params.issueId,
+      tenant: req.user.id
+    });
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    const updated = await issueService.addComment(issue, {
+      authorRole: 'tenant',
+      authorId: req.user.id,
+      authorName: req.user.name,
+      message: message.trim()
+    });
+
+    res.json({
+      success: true,
+      issue: updated
+    });
+
+  } catch (error) {
+    console.error('Issue comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment'
+    });
+  }
+});
+
+// Confirm (close) or reopen a resolved issue
+router.put('/issues/:issueId/status', authenticateToken, authorizeRole(['tenant']), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const issue = await Issue.findOne({
+      _id: req.params.issueId,
+      tenant: req.user.id
+    });
+
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Issue not found'
+      });
+    }
+
+    if (!issueService.canTransition(issue.status, status, 'tenant')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change issue from ${issue.status} to ${status}`
+      });
+    }
+
+    const updated = await issueService.updateStatus(issue, status, {
+      changedByRole: 'tenant',
+      changedBy: req.user.id,
+      note: note || (status === 'closed' ? 'Resolution confirmed by tenant' : 'Reopened by tenant')
+    });
+
+    res.json({
+      success: true,
+      issue: updated
+    });
+
+  } catch (error) {
+    console.error('Issue status update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update issue'
+    });
+  }
+});
+
+module.exports = { router, setIssueServiceBroadcast };
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const RazorpayWebhookService = require('../services/razorpayWebhookService');
+
+// Initialize webhook service (will be set with broadcast function in server.js)
+let razorpayWebhookService = new RazorpayWebhookService();
+
+// Set broadcast function for the webhook service
+function setWebhookServiceBroadcast(broadcastFunction) {
+  razorpayWebhookService = new RazorpayWebhookService(broadcastFunction);
+}
+
+// Razorpay webhook. No login: the request is authenticated by its
+// X-Razorpay-Signature header, checked against the raw body. This router is
+// mounted ahead of express.json() so the body arrives untouched.
+router.post('/razorpay', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const result = await razorpayWebhookService.handleDelivery(
+      rawBody,
+      req.get('X-Razorpay-Signature'),
+      req.get('X-Razorpay-Event-Id')
+    );
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      console.warn(`⚠️ [RazorpayWebhook] Rejected: ${error.message}`);
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // A 5xx makes Razorpay retry the delivery later
+    console.error('❌ [RazorpayWebhook] Error handling webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  setWebhookServiceBroadcast
+};
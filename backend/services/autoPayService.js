@@ -0,0 +1,598 @@
+const { Bill, Tenant, Notification, AutoPayMandate, AutoPayCharge } = require('../../models');
+const razorpayService = require('./razorpayService');
+const billingPolicy = require('./billingPolicy');
+const penaltyPolicy = require('./penaltyPolicy');
+const { roundAmount, toPaise, badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Opt-in auto-pay over Razorpay recurring payments. A tenant authorises a
+// token once (UPI Autopay, e-mandate or card) with a ceiling per charge; the
+// daily run then charges each open bill the configured number of days before
+// it falls due. Razorpay reports the outcome through the webhook: a captured
+// charge is recorded like any gateway payment (its order notes carry the
+// bill), a failed one is retried on the billing policy's schedule and, once
+// the attempts run out, left for the tenant to pay by hand.
+
+const METHODS = ['upi', 'emandate', 'card'];
+
+// Razorpay's authorisation payment: e-mandates authorise at ₹0, UPI Autopay and cards at ₹1
+const AUTHORIZATION_AMOUNT_PAISE = { upi: 100, emandate: 0, card: 100 };
+
+const MANDATE_YEARS = 5;
+const CHARGEABLE_STATUSES = ['pending', 'overdue', 'partially_paid'];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// UPI Autopay debits a day after the pre-debit notice; past this a charge is checked with Razorpay
+const STALE_CHARGE_MS = 2 * DAY_MS;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// Razorpay SDK errors carry the reason in error.error.description
+const gatewayReason = (error) => error?.error?.description || error?.message || 'Unknown error';
+
+const maxOnlineAmount = () => Number(process.env.MAX_ONLINE_PAYMENT_INR || '100000');
+
+class AutoPayService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  // ---- Tenant enrolment ----
+
+  async getMandate(tenantId) {
+    const [mandate, charges] = await Promise.all([
+      AutoPayMandate.findOne({ tenant: tenantId }),
+      AutoPayCharge.find({ tenant: tenantId })
+        .populate('bill', 'billNumber month year dueDate')
+        .sort({ createdAt: -1 })
+        .limit(6)
+    ]);
+    return { mandate, charges, maxAmountLimit: maxOnlineAmount() };
+  }
+
+  /**
+   * Create the Razorpay order the tenant authorises the mandate with in
+   * Checkout. Nothing is charged for bills until confirmAuthorization.
+   */
+  async startAuthorization(tenantId, { method, maxAmount } = {}) {
+    if (!METHODS.includes(method)) {
+      throw badRequest(`method must be one of ${METHODS.join(', ')}`);
+    }
+    const ceiling = roundAmount(Number(maxAmount));
+    if (!(ceiling > 0) || ceiling > maxOnlineAmount()) {
+      throw badRequest(`Choose a limit between ₹1 and ₹${maxOnlineAmount().toLocaleString('en-IN')}`);
+    }
+
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant) throw notFound('Tenant not found');
+
+    const existing = await AutoPayMandate.findOne({ tenant: tenantId });
+    if (existing?.status === 'active') {
+      throw badRequest('Auto-pay is already on');
+    }
+
+    const customerId = existing?.razorpayCustomerId || (await razorpayService.razorpay.customers.create({
+      name: tenant.name,
+      email: tenant.email,
+      contact: tenant.phone,
+      // Hand back the customer Razorpay already has for this email/phone
+      fail_existing: '0'
+    })).id;
+
+    const token = {
+      max_amount: toPaise(ceiling),
+      expire_at: Math.floor(Date.now() / 1000) + MANDATE_YEARS * 365 * 24 * 60 * 60
+    };
+    if (method === 'emandate') {
+      token.auth_type = 'netbanking';
+    } else {
+      // Bills vary month to month, so each debit is presented with its own amount
+      token.frequency = 'as_presented';
+    }
+
+    const order = await razorpayService.razorpay.orders.create({
+      amount: AUTHORIZATION_AMOUNT_PAISE[method],
+      currency: 'INR',
+      customer_id: customerId,
+      method,
+      payment_capture: true,
+      receipt: `ap_${String(tenantId).slice(-8)}_${Date.now().toString().slice(-6)}`,
+      token,
+      notes: { tenantId: String(tenantId), purpose: 'autopay_authorization' }
+    });
+
+    const mandate = await AutoPayMandate.findOneAndUpdate(
+      { tenant: tenantId },
+      {
+        $set: {
+          status: 'pending_authorization',
+          method,
+          maxAmount: ceiling,
+          razorpayCustomerId: customerId,
+          authorizationOrderId: order.id,
+          expiresAt: new Date(token.expire_at * 1000),
+          updatedAt: new Date()
+        },
+        $unset: { razorpayTokenId: '', statusReason: '', cancelledBy: '', cancelledAt: '' }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return {
+      mandate,
+      checkout: {
+        orderId: order.id,
+        customerId,
+        amount: order.amount,
+        method,
+        prefill: { name: tenant.name, email: tenant.email, contact: tenant.phone }
+      }
+    };
+  }
+
+  // Checkout came back: find the token the authorisation created
+  async confirmAuthorization(tenantId, { razorpay_payment_id, razorpay_order_id, razorpay_signature } = {}) {
+    const mandate = await AutoPayMandate.findOne({ tenant: tenantId, authorizationOrderId: razorpay_order_id });
+    if (!mandate) throw notFound('No auto-pay authorisation in progress');
+
+    if (!razorpayService.verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      throw badRequest('Invalid payment signature');
+    }
+
+    const payment = await razorpayService.razorpay.payments.fetch(razorpay_payment_id);
+    if (!payment?.token_id) {
+      throw badRequest('Razorpay did not return a mandate for this authorisation');
+    }
+
+    mandate.razorpayTokenId = payment.token_id;
+    mandate.updatedAt = new Date();
+
+    // E-mandates are registered with the bank over a few days; token.confirmed activates them
+    if (mandate.method === 'emandate') {
+      mandate.statusReason = 'Waiting for your bank to confirm the mandate';
+      await mandate.save();
+      await this.broadcastUpdate(mandate);
+      return { mandate };
+    }
+
+    return { mandate: await this.activate(mandate) };
+  }
+
+  async activate(mandate) {
+    mandate.status = 'active';
+    mandate.authorizedAt = new Date();
+    mandate.consecutiveFailures = 0;
+    mandate.statusReason = undefined;
+    mandate.updatedAt = new Date();
+    await mandate.save();
+
+    console.log(`✅ [AutoPay] Mandate ${mandate._id} active for tenant ${mandate.tenant} (${mandate.method}, up to ₹${mandate.maxAmount})`);
+
+    const settings = await billingPolicy.getPolicy();
+    await this.notifyTenant(mandate.tenant, 'success', 'Auto-pay is on',
+      `New bills up to ₹${mandate.maxAmount.toLocaleString('en-IN')} will be charged automatically ` +
+      `${settings.autoPayDaysBeforeDue > 0 ? `${settings.autoPayDaysBeforeDue} days before` : 'on'} their due date.`);
+    await this.broadcastUpdate(mandate);
+    return mandate;
+  }
+
+  // Turn auto-pay off and revoke the token with Razorpay
+  async cancel(tenantId, performedBy) {
+    const mandate = await AutoPayMandate.findOne({ tenant: tenantId });
+    if (!mandate || mandate.status === 'cancelled') {
+      throw badRequest('Auto-pay is not on');
+    }
+
+    if (mandate.razorpayTokenId) {
+      try {
+        await razorpayService.razorpay.customers.deleteToken(mandate.razorpayCustomerId, mandate.razorpayTokenId);
+      } catch (error) {
+        // Cancelled here regardless; a token left at Razorpay is never charged without a bill run
+        console.error(`⚠️ [AutoPay] Could not revoke token ${mandate.razorpayTokenId}:`, gatewayReason(error));
+      }
+    }
+
+    mandate.status = 'cancelled';
+    mandate.cancelledBy = performedBy;
+    mandate.cancelledAt = new Date();
+    mandate.updatedAt = new Date();
+    await mandate.save();
+
+    await AutoPayCharge.updateMany(
+      { mandate: mandate._id, status: 'retry_scheduled' },
+      { $set: { status: 'skipped', failureReason: 'Auto-pay turned off', updatedAt: new Date() }, $unset: { nextAttemptAt: '' } }
+    );
+
+    console.log(`🛑 [AutoPay] Mandate ${mandate._id} cancelled by ${performedBy}`);
+    await this.broadcastUpdate(mandate);
+    return { mandate };
+  }
+
+  /**
+   * Mandate status changes Razorpay reports by webhook (token.confirmed,
+   * token.rejected, token.cancelled, token.paused). Returns null when the
+   * token is not one of ours.
+   */
+  async handleTokenEvent(event, tokenEntity) {
+    if (!tokenEntity?.id) return null;
+    const mandate = await AutoPayMandate.findOne({ razorpayTokenId: tokenEntity.id });
+    if (!mandate) return null;
+
+    if (event === 'token.confirmed') {
+      if (mandate.status !== 'active') await this.activate(mandate);
+      return { status: 'processed' };
+    }
+
+    const statusByEvent = { 'token.rejected': 'rejected', 'token.cancelled': 'cancelled', 'token.paused': 'paused' };
+    mandate.status = statusByEvent[event];
+    mandate.statusReason = tokenEntity.error_description || tokenEntity.recurring_details?.failure_reason ||
+      (event === 'token.cancelled' ? 'Cancelled from the bank or UPI app' : undefined);
+    mandate.updatedAt = new Date();
+    await mandate.save();
+
+    console.log(`⚠️ [AutoPay] Mandate ${mandate._id} ${mandate.status}${mandate.statusReason ? `: ${mandate.statusReason}` : ''}`);
+    await this.notifyTenant(mandate.tenant, 'warning', 'Auto-pay stopped',
+      `Your auto-pay mandate was ${mandate.status}${mandate.statusReason ? ` (${mandate.statusReason})` : ''}. ` +
+      'Bills will not be charged automatically until you set it up again.');
+    await this.broadcastUpdate(mandate);
+    return { status: 'processed' };
+  }
+
+  // ---- Owner view ----
+
+  // Every mandate with its tenant and latest charge, plus how many tenants are not enrolled
+  async listEnrollments() {
+    const [mandates, activeTenants] = await Promise.all([
+      AutoPayMandate.find()
+        .populate({ path: 'tenant', select: 'name username status room', populate: { path: 'room', select: 'roomNumber' } })
+        .sort({ updatedAt: -1 }),
+      Tenant.countDocuments({ status: 'active' })
+    ]);
+
+    const charges = await AutoPayCharge.find({ mandate: { $in: mandates.map(mandate => mandate._id) } })
+      .populate('bill', 'billNumber month year')
+      .sort({ createdAt: -1 });
+    const latestByMandate = new Map();
+    charges.forEach(charge => {
+      const key = String(charge.mandate);
+      if (!latestByMandate.has(key)) latestByMandate.set(key, charge);
+    });
+
+    const enrollments = mandates
+      .filter(mandate => mandate.tenant)
+      .map(mandate => ({
+        _id: mandate._id,
+        tenant: mandate.tenant,
+        status: mandate.status,
+        method: mandate.method,
+        maxAmount: mandate.maxAmount,
+        authorizedAt: mandate.authorizedAt,
+        statusReason: mandate.statusReason,
+        consecutiveFailures: mandate.consecutiveFailures,
+        lastChargedAt: mandate.lastChargedAt,
+        latestCharge: latestByMandate.get(String(mandate._id)) || null
+      }));
+
+    const enrolled = enrollments.filter(enrollment => enrollment.status === 'active' && enrollment.tenant.status === 'active').length;
+    return {
+      enrollments,
+      summary: {
+        activeTenants,
+        enrolled,
+        notEnrolled: Math.max(0, activeTenants - enrolled),
+        pendingAuthorization: enrollments.filter(enrollment => enrollment.status === 'pending_authorization').length,
+        needsAttention: enrollments.filter(enrollment => ['retry_scheduled', 'failed'].includes(enrollment.latestCharge?.status)).length
+      }
+    };
+  }
+
+  // ---- Charging ----
+
+  /**
+   * Daily run: charge open bills that are within the charge window, retry
+   * failures whose next attempt has come, and chase charges Razorpay never
+   * reported back on.
+   */
+  async runDueCharges(currentDate = new Date()) {
+    const settings = await billingPolicy.getPolicy();
+    const summary = { charged: 0, retried: 0, failed: 0, skipped: 0 };
+
+    // Retries for tenants who have since turned auto-pay off are dropped
+    const orphaned = await AutoPayCharge.find({ status: 'retry_scheduled' }).populate('mandate', 'status');
+    for (const charge of orphaned.filter(charge => charge.mandate?.status !== 'active')) {
+      charge.status = 'skipped';
+      charge.failureReason = 'Auto-pay is no longer active';
+      charge.nextAttemptAt = undefined;
+      charge.updatedAt = currentDate;
+      await charge.save();
+      summary.skipped++;
+    }
+
+    const cutoff = new Date(currentDate.getTime() + settings.autoPayDaysBeforeDue * DAY_MS);
+    cutoff.setHours(23, 59, 59, 999);
+
+    const mandates = await AutoPayMandate.find({ status: 'active' }).populate('tenant', 'name email phone');
+    for (const mandate of mandates.filter(mandate => mandate.tenant)) {
+      const bills = await Bill.find({
+        tenant: mandate.tenant._id,
+        status: { $in: CHARGEABLE_STATUSES },
+        dueDate: { $lte: cutoff }
+      }).sort({ dueDate: 1 });
+
+      for (const bill of bills) {
+        const charge = await AutoPayCharge.findOne({ bill: bill._id });
+        const retryDue = charge?.status === 'retry_scheduled' && charge.nextAttemptAt <= currentDate;
+        if (charge && !retryDue) continue;
+
+        try {
+          const outcome = await this.attemptCharge(mandate, bill, charge, settings, currentDate);
+          summary[outcome]++;
+        } catch (error) {
+          console.error(`❌ [AutoPay] Charging bill ${bill.billNumber} failed:`, error);
+          summary.failed++;
+        }
+      }
+    }
+
+    await this.syncStaleCharges(currentDate);
+
+    console.log(`✅ [AutoPay] Run complete: ${summary.charged} charged, ${summary.retried} retried, ${summary.failed} failed, ${summary.skipped} skipped`);
+    return summary;
+  }
+
+  // Present one bill to Razorpay against the tenant's token. Returns the summary bucket.
+  async attemptCharge(mandate, bill, existingCharge, settings, currentDate) {
+    const penalty = penaltyPolicy.calculatePenalty(bill, await penaltyPolicy.getPolicy(), currentDate);
+    const amount = roundAmount(Math.max(0, penalty.baseAmount + penalty.amount - (bill.paidAmount || 0)));
+    if (amount <= 0) return 'skipped';
+
+    let charge = existingCharge;
+    if (charge) {
+      // Claim the retry so an overlapping run cannot present it twice
+      charge = await AutoPayCharge.findOneAndUpdate(
+        { _id: charge._id, status: 'retry_scheduled' },
+        { $set: { status: 'processing', amount, updatedAt: currentDate }, $unset: { nextAttemptAt: '' } },
+        { new: true }
+      );
+      if (!charge) return 'skipped';
+    } else {
+      try {
+        charge = await AutoPayCharge.create({
+          mandate: mandate._id,
+          tenant: mandate.tenant._id,
+          bill: bill._id,
+          amount,
+          status: 'processing'
+        });
+      } catch (error) {
+        if (error.code === 11000) return 'skipped';
+        throw error;
+      }
+    }
+
+    if (amount > mandate.maxAmount) {
+      charge.status = 'failed';
+      charge.failureReason = `Bill is above your auto-pay limit of ₹${mandate.maxAmount.toLocaleString('en-IN')}`;
+      charge.updatedAt = currentDate;
+      await charge.save();
+      await this.notifyTenant(mandate.tenant._id, 'warning', 'Auto-pay skipped a bill',
+        `Bill ${bill.billNumber} (₹${amount.toLocaleString('en-IN')}) is above your auto-pay limit of ` +
+        `₹${mandate.maxAmount.toLocaleString('en-IN')}. Please pay it by ${formatDate(bill.dueDate)}.`);
+      await this.broadcastUpdate(mandate);
+      return 'failed';
+    }
+
+    const isRetry = charge.attemptCount > 0;
+    const attempt = { attemptedAt: currentDate, amount, status: 'processing' };
+    charge.attempts.push(attempt);
+    charge.attemptCount += 1;
+    charge.amount = amount;
+    charge.updatedAt = currentDate;
+
+    try {
+      const notes = {
+        billId: String(bill._id),
+        tenantId: String(mandate.tenant._id),
+        billNumber: bill.billNumber,
+        autoPayChargeId: String(charge._id)
+      };
+      const order = await razorpayService.razorpay.orders.create({
+        amount: toPaise(amount),
+        currency: 'INR',
+        customer_id: mandate.razorpayCustomerId,
+        payment_capture: true,
+        receipt: `autopay_${String(charge._id).slice(-10)}_${charge.attemptCount}`,
+        notes
+      });
+      charge.attempts[charge.attempts.length - 1].razorpayOrderId = order.id;
+      await charge.save();
+
+      const result = await razorpayService.razorpay.payments.createRecurringPayment({
+        email: mandate.tenant.email,
+        contact: mandate.tenant.phone,
+        amount: toPaise(amount),
+        currency: 'INR',
+        order_id: order.id,
+        customer_id: mandate.razorpayCustomerId,
+        token: mandate.razorpayTokenId,
+        recurring: '1',
+        description: `Bill ${bill.billNumber}`,
+        notes
+      });
+      charge.attempts[charge.attempts.length - 1].razorpayPaymentId = result?.razorpay_payment_id;
+      await charge.save();
+    } catch (error) {
+      await this.recordFailure(charge, gatewayReason(error), settings, currentDate);
+      return 'failed';
+    }
+
+    console.log(`💳 [AutoPay] Charging ₹${amount} for bill ${bill.billNumber} (attempt ${charge.attemptCount})`);
+    if (!isRetry) {
+      await this.notifyTenant(mandate.tenant._id, 'info', 'Auto-pay charge started',
+        `₹${amount.toLocaleString('en-IN')} for bill ${bill.billNumber} is being collected through auto-pay.`);
+    }
+    return isRetry ? 'retried' : 'charged';
+  }
+
+  /**
+   * Outcome of an auto-pay charge from the Razorpay webhook. `payment` is the
+   * recorded Payment for a captured charge. Returns null for payments that
+   * are not auto-pay charges.
+   */
+  async handleGatewayOutcome(event, paymentEntity, payment = null) {
+    if (!paymentEntity?.order_id) return null;
+    const charge = await AutoPayCharge.findOne({ 'attempts.razorpayOrderId': paymentEntity.order_id });
+    if (!charge) return null;
+
+    if (event === 'payment.failed') {
+      if (charge.status === 'processing') {
+        await this.recordFailure(charge, paymentEntity.error_description || paymentEntity.error_reason || 'Payment failed',
+          await billingPolicy.getPolicy(), new Date());
+      }
+      return charge;
+    }
+
+    await this.recordSuccess(charge, paymentEntity.order_id, paymentEntity.id, payment);
+    return charge;
+  }
+
+  async recordSuccess(charge, orderId, razorpayPaymentId, payment) {
+    if (charge.status === 'succeeded') return;
+
+    const attempt = charge.attempts.find(entry => entry.razorpayOrderId === orderId);
+    if (attempt) {
+      attempt.status = 'succeeded';
+      attempt.razorpayPaymentId = razorpayPaymentId;
+    }
+    charge.status = 'succeeded';
+    charge.failureReason = undefined;
+    charge.nextAttemptAt = undefined;
+    charge.payment = payment?._id;
+    charge.updatedAt = new Date();
+    await charge.save();
+
+    const mandate = await AutoPayMandate.findByIdAndUpdate(
+      charge.mandate,
+      { $set: { lastChargedAt: new Date(), consecutiveFailures: 0, updatedAt: new Date() } },
+      { new: true }
+    );
+    console.log(`✅ [AutoPay] Charge ${charge._id} collected (₹${charge.amount})`);
+    if (mandate) await this.broadcastUpdate(mandate);
+  }
+
+  // A failed attempt is retried on the policy's schedule until the attempts run out
+  async recordFailure(charge, reason, settings, currentDate) {
+    const attempt = charge.attempts[charge.attempts.length - 1];
+    if (attempt) {
+      attempt.status = 'failed';
+      attempt.reason = reason;
+    }
+    charge.failureReason = reason;
+    charge.updatedAt = currentDate;
+
+    const [bill, mandate] = await Promise.all([
+      Bill.findById(charge.bill).select('billNumber dueDate'),
+      AutoPayMandate.findById(charge.mandate)
+    ]);
+    const billNumber = bill?.billNumber || 'your bill';
+
+    if (charge.attemptCount < settings.autoPayMaxAttempts) {
+      charge.status = 'retry_scheduled';
+      charge.nextAttemptAt = new Date(currentDate.getTime() + settings.autoPayRetryIntervalDays * DAY_MS);
+      await charge.save();
+
+      console.warn(`⚠️ [AutoPay] Charge ${charge._id} failed (${reason}); retrying ${formatDate(charge.nextAttemptAt)}`);
+      await this.notifyTenant(charge.tenant, 'warning', 'Auto-pay charge failed',
+        `We could not collect ₹${charge.amount.toLocaleString('en-IN')} for bill ${billNumber} (${reason}). ` +
+        `We will try again on ${formatDate(charge.nextAttemptAt)}.`);
+    } else {
+      charge.status = 'failed';
+      charge.nextAttemptAt = undefined;
+      await charge.save();
+
+      if (mandate) {
+        mandate.consecutiveFailures += 1;
+        mandate.updatedAt = currentDate;
+        await mandate.save();
+      }
+
+      console.warn(`❌ [AutoPay] Charge ${charge._id} gave up after ${charge.attemptCount} attempts: ${reason}`);
+      await this.notifyTenant(charge.tenant, 'urgent', 'Auto-pay could not collect your bill',
+        `Auto-pay tried ${charge.attemptCount} times to collect ₹${charge.amount.toLocaleString('en-IN')} for bill ${billNumber} ` +
+        `and failed (${reason}). Please pay it manually${bill?.dueDate ? ` by ${formatDate(bill.dueDate)}` : ''} to avoid late fees.`);
+    }
+
+    if (mandate) await this.broadcastUpdate(mandate);
+  }
+
+  // Charges Razorpay has not reported on: ask for the order's payments directly
+  async syncStaleCharges(currentDate) {
+    const stale = await AutoPayCharge.find({
+      status: 'processing',
+      updatedAt: { $lt: new Date(currentDate.getTime() - STALE_CHARGE_MS) }
+    });
+    if (stale.length === 0) return;
+
+    const settings = await billingPolicy.getPolicy();
+    for (const charge of stale) {
+      const orderId = charge.attempts[charge.attempts.length - 1]?.razorpayOrderId;
+      try {
+        const { items = [] } = orderId ? await razorpayService.razorpay.orders.fetchPayments(orderId) : {};
+        const captured = items.find(item => item.status === 'captured');
+
+        if (captured) {
+          const { payment } = await razorpayService.recordCapturedPayment({
+            razorpayPaymentId: captured.id,
+            razorpayOrderId: orderId,
+            billId: charge.bill,
+            tenantId: charge.tenant,
+            amount: captured.amount / 100,
+            paidAt: captured.created_at ? new Date(captured.created_at * 1000) : currentDate,
+            confirmedVia: 'autopay',
+            currentDate
+          });
+          await this.recordSuccess(charge, orderId, captured.id, payment);
+        } else if (!items.some(item => ['created', 'authorized'].includes(item.status))) {
+          const failed = items.find(item => item.status === 'failed');
+          await this.recordFailure(charge, failed?.error_description || 'Razorpay did not complete the charge', settings, currentDate);
+        }
+      } catch (error) {
+        console.error(`❌ [AutoPay] Could not check charge ${charge._id}:`, gatewayReason(error));
+      }
+    }
+  }
+
+  // ---- Notifications ----
+
+  async notifyTenant(tenantId, category, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category,
+      priority: category === 'urgent' ? 'high' : 'medium',
+      recipients: [{ tenant: tenantId }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+    }
+  }
+
+  // Owner enrolment view and the tenant's own auto-pay card refresh on this
+  async broadcastUpdate(mandate) {
+    if (!this.broadcastToClients) return;
+    this.broadcastToClients({
+      type: 'AUTOPAY_UPDATED',
+      mandateId: mandate._id,
+      tenantId: mandate.tenant?._id || mandate.tenant,
+      status: mandate.status
+    });
+  }
+}
+
+module.exports = AutoPayService;
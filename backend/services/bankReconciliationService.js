@@ -0,0 +1,515 @@
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { Bill, Payment, BankStatement, BankTransaction } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const paymentAllocation = require('./paymentAllocation');
+const receiptService = require('./receiptService');
+const upiService = require('./upiService');
+const { roundAmount, badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Bank statement reconciliation. An uploaded statement (CSV or XLSX) is
+// parsed into credit lines, and each credit is scored against what it could
+// be paying for: a tenant-recorded payment awaiting verification, or an open
+// bill the tenant paid without recording anything. The best candidates are
+// kept as suggestions; nothing is settled until the owner confirms a match.
+//
+// Score (a suggestion needs MIN_SCORE):
+//   +60 the narration carries the bill's UPI reference (from its QR / pay link)
+//   +50 the UTR / reference matches the one the tenant entered
+//   +40 the amount matches what was recorded or is due
+//   +15 within 3 days of the recorded payment (+8 within a week)
+//    +5 between the bill being raised and 45 days after it fell due
+//   +10 per part of the tenant's name found in the narration (up to +20)
+
+const MIN_SCORE = 45;
+const MAX_SUGGESTIONS = 3;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ---- Parsing ----
+
+const normalizeHeader = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9/ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Column positions from a header row; banks name the same columns many ways
+const detectColumns = (row) => {
+  const headers = row.map(normalizeHeader);
+  const find = (test) => headers.findIndex(header => header && test(header));
+
+  const columns = {
+    date: find(header => header.includes('date') || header === 'dt' || header.endsWith(' dt')),
+    description: find(header => ['narration', 'description', 'particulars', 'remarks', 'details'].some(word => header.includes(word))),
+    reference: find(header => ['utr', 'ref', 'chq', 'cheque', 'transaction id'].some(word => header.includes(word))),
+    credit: find(header => !header.includes('debit') && (header.includes('credit') || header.includes('deposit') || header === 'cr' || header.startsWith('cr '))),
+    debit: find(header => header.includes('debit') || header.includes('withdrawal') || header === 'dr' || header.startsWith('dr ')),
+    amount: find(header => header.includes('amount') && !header.includes('credit') && !header.includes('debit') && !header.includes('deposit') && !header.includes('withdrawal')),
+    type: find(header => header === 'type' || header.includes('cr/dr') || header.includes('dr/cr')),
+    balance: find(header => header.includes('balance'))
+  };
+
+  const hasAmount = columns.credit !== -1 || (columns.amount !== -1 && columns.type !== -1);
+  return columns.date !== -1 && hasAmount ? columns : null;
+};
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value || '').replace(/[^0-9.-]/g, '');
+  return cleaned ? Number(cleaned) : 0;
+};
+
+// Statement dates are day-first (25/10/2026, 25-Oct-2026), or ISO, or Excel dates
+const parseDate = (value) => {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(parsed.y, parsed.m - 1, parsed.d) : null;
+  }
+
+  const text = String(value || '').trim().toLowerCase();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  match = text.match(/^(\d{1,2})[/.\- ](\d{1,2})[/.\- ](\d{2,4})/);
+  if (match) {
+    const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(year, Number(match[2]) - 1, Number(match[1]));
+  }
+
+  match = text.match(/^(\d{1,2})[/.\- ]([a-z]{3})[a-z]*[/.\-, ]+(\d{2,4})/);
+  if (match && MONTH_ABBREVIATIONS.includes(match[2])) {
+    const year = Number(match[3]) < 100 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(year, MONTH_ABBREVIATIONS.indexOf(match[2]), Number(match[1]));
+  }
+
+  return null;
+};
+
+// UPI, NEFT and IMPS narrations carry the UTR as a long mostly-numeric token
+const extractReference = (description) => {
+  const tokens = String(description || '').toUpperCase().split(/[\s/\-:|]+/);
+  return tokens.find(token => /^[A-Z0-9]{10,22}$/.test(token) && (token.match(/\d/g) || []).length >= 9) || '';
+};
+
+/**
+ * Credit lines from a statement file. Debits are counted but not returned.
+ * Throws a 400 when no header row with a date and credit column is found.
+ */
+const parseStatement = (buffer, fileName = '') => {
+  const isCsv = /\.csv$/i.test(fileName);
+  // CSV cells stay text so day-first dates are not read as month-first
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: isCsv });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw badRequest('The statement file has no sheets');
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+
+  // Statements start with account details; the header is somewhere near the top
+  let headerIndex = -1;
+  let columns = null;
+  for (let index = 0; index < Math.min(rows.length, 40) && !columns; index++) {
+    columns = detectColumns(rows[index]);
+    if (columns) headerIndex = index;
+  }
+  if (!columns) {
+    throw badRequest('Could not find the transaction table - expected a header row with Date and Credit (or Amount and Cr/Dr) columns');
+  }
+
+  const credits = [];
+  let debitCount = 0;
+
+  rows.slice(headerIndex + 1).forEach(row => {
+    const date = parseDate(row[columns.date]);
+    if (!date) return; // blank lines, totals and footers
+
+    let amount;
+    if (columns.credit !== -1) {
+      amount = parseAmount(row[columns.credit]);
+      if (!(amount > 0) && columns.debit !== -1 && parseAmount(row[columns.debit]) > 0) debitCount++;
+    } else {
+      const isCredit = /^c/i.test(String(row[columns.type]).trim());
+      amount = isCredit ? parseAmount(row[columns.amount]) : 0;
+      if (!isCredit) debitCount++;
+    }
+    if (!(amount > 0)) return;
+
+    const description = columns.description !== -1 ? String(row[columns.description]).trim() : '';
+    const ownReference = columns.reference !== -1 ? String(row[columns.reference]).trim() : '';
+    const reference = /^0*$/.test(ownReference) ? extractReference(description) : ownReference;
+
+    credits.push({
+      date,
+      description,
+      reference,
+      amount: roundAmount(amount),
+      balance: columns.balance !== -1 && row[columns.balance] !== '' ? parseAmount(row[columns.balance]) : undefined
+    });
+  });
+
+  return { credits, debitCount };
+};
+
+const fingerprintOf = (credit) => crypto
+  .createHash('sha1')
+  .update([credit.date.toISOString().slice(0, 10), credit.amount, credit.reference, credit.description, credit.balance ?? ''].join('|'))
+  .digest('hex');
+
+// ---- Matching ----
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const referenceMatches = (transaction, reference) => {
+  const wanted = normalizeReference(reference);
+  if (wanted.length < 6) return false;
+  return normalizeReference(transaction.reference) === wanted ||
+    normalizeReference(transaction.description).includes(wanted);
+};
+
+// Bills ask UPI payers to keep RENT<bill number> in the note, which banks copy into the narration
+const billReferenceMatches = (transaction, bill) => (
+  !!bill?.billNumber && normalizeReference(transaction.description).includes(upiService.billReference(bill))
+);
+
+const nameScore = (transaction, name) => {
+  const narration = String(transaction.description || '').toLowerCase();
+  const parts = String(name || '').toLowerCase().split(/\s+/).filter(part => part.length >= 3);
+  const found = parts.filter(part => narration.includes(part));
+  return { score: Math.min(20, found.length * 10), found };
+};
+
+const daysBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / DAY_MS;
+
+const scorePayment = (transaction, payment) => {
+  const reasons = [];
+  let score = 0;
+
+  if (billReferenceMatches(transaction, payment.bill)) {
+    score += 60;
+    reasons.push('Bill reference in narration');
+  }
+  if (referenceMatches(transaction, payment.transactionId)) {
+    score += 50;
+    reasons.push('Reference matches');
+  }
+  if (Math.abs(transaction.amount - payment.amount) < 0.5) {
+    score += 40;
+    reasons.push('Amount matches');
+  }
+  const days = daysBetween(transaction.date, payment.paidAt || payment.createdAt);
+  if (days <= 3) {
+    score += 15;
+    reasons.push('Within 3 days of the recorded payment');
+  } else if (days <= 7) {
+    score += 8;
+    reasons.push('Within a week of the recorded payment');
+  }
+  const name = nameScore(transaction, payment.tenant?.name);
+  if (name.score > 0) {
+    score += name.score;
+    reasons.push(`Narration mentions ${name.found.join(' ')}`);
+  }
+
+  return { score, reasons };
+};
+
+const scoreBill = (transaction, bill, policy) => {
+  const reasons = [];
+  let score = 0;
+
+  if (billReferenceMatches(transaction, bill)) {
+    score += 60;
+    reasons.push('Bill reference in narration');
+  }
+
+  // What was owed on the day the money arrived, late fee included
+  const penalty = penaltyPolicy.calculatePenalty(bill, policy, transaction.date);
+  const due = roundAmount(Math.max(0, penalty.baseAmount + penalty.amount - (bill.paidAmount || 0)));
+  if (Math.abs(transaction.amount - due) < 0.5) {
+    score += 40;
+    reasons.push('Amount matches the balance due');
+  }
+  const raised = new Date(bill.generatedAt || bill.createdAt || bill.dueDate).getTime() - DAY_MS;
+  const lastExpected = new Date(bill.dueDate).getTime() + 45 * DAY_MS;
+  if (transaction.date.getTime() >= raised && transaction.date.getTime() <= lastExpected) {
+    score += 5;
+    reasons.push('Paid around the due date');
+  }
+  const name = nameScore(transaction, bill.tenant?.name);
+  if (name.score > 0) {
+    score += name.score;
+    reasons.push(`Narration mentions ${name.found.join(' ')}`);
+  }
+
+  return { score, reasons };
+};
+
+const loadCandidates = async () => {
+  const [payments, bills, policy] = await Promise.all([
+    Payment.find({ status: 'pending_verification' })
+      .populate('tenant', 'name')
+      .populate('bill', 'billNumber month year'),
+    Bill.find({ status: { $in: paymentAllocation.OUTSTANDING_STATUSES } })
+      .populate('tenant', 'name'),
+    penaltyPolicy.getPolicy()
+  ]);
+
+  // A bill with a recorded payment is matched through that payment instead
+  const billsWithPayments = new Set(payments.map(payment => String(payment.bill?._id || payment.bill)));
+  return {
+    payments,
+    bills: bills.filter(bill => bill.tenant && !billsWithPayments.has(String(bill._id))),
+    policy
+  };
+};
+
+const suggestFor = (transaction, candidates) => {
+  const scored = [
+    ...candidates.payments.map(payment => ({
+      payment: payment._id,
+      bill: payment.bill?._id || payment.bill,
+      tenant: payment.tenant?._id || payment.tenant,
+      ...scorePayment(transaction, payment)
+    })),
+    ...candidates.bills.map(bill => ({
+      bill: bill._id,
+      tenant: bill.tenant._id,
+      ...scoreBill(transaction, bill, candidates.policy)
+    }))
+  ];
+
+  return scored
+    .filter(candidate => candidate.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Recompute suggestions for every credit not yet matched or ignored, or for
+ * one statement's credits. Run after an import and after each confirmation,
+ * since a confirmed payment or bill is no longer a candidate for the rest.
+ */
+const refreshSuggestions = async (statementId = null) => {
+  const query = { status: { $in: ['unmatched', 'suggested'] } };
+  if (statementId) query.statement = statementId;
+
+  const [transactions, candidates] = await Promise.all([
+    BankTransaction.find(query),
+    loadCandidates()
+  ]);
+
+  for (const transaction of transactions) {
+    const suggestions = suggestFor(transaction, candidates);
+    transaction.suggestions = suggestions;
+    transaction.status = suggestions.length > 0 ? 'suggested' : 'unmatched';
+    await transaction.save();
+  }
+
+  return transactions.length;
+};
+
+// ---- Import and review ----
+
+const importStatement = async ({ fileName, content }, uploadedBy) => {
+  if (!content) throw badRequest('Statement file content is required');
+
+  // Accept a data URL or bare base64
+  const base64 = String(content).replace(/^data:[^;]*;base64,/, '');
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length === 0) throw badRequest('Statement file is empty');
+
+  const { credits, debitCount } = parseStatement(buffer, fileName);
+  if (credits.length === 0) {
+    throw badRequest('No credit transactions found in the statement');
+  }
+
+  const dates = credits.map(credit => credit.date.getTime());
+  const statement = new BankStatement({
+    fileName,
+    periodFrom: new Date(Math.min(...dates)),
+    periodTo: new Date(Math.max(...dates)),
+    transactionCount: credits.length + debitCount,
+    creditCount: credits.length,
+    uploadedBy
+  });
+  await statement.save();
+
+  let duplicateCount = 0;
+  for (const credit of credits) {
+    try {
+      await BankTransaction.create({ ...credit, statement: statement._id, fingerprint: fingerprintOf(credit) });
+    } catch (error) {
+      if (error.code === 11000) {
+        duplicateCount++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  statement.duplicateCount = duplicateCount;
+  await statement.save();
+  await refreshSuggestions(statement._id);
+
+  console.log(`✅ [Reconciliation] Imported ${fileName}: ${credits.length} credits (${duplicateCount} already imported) by ${uploadedBy}`);
+
+  return getStatement(statement._id);
+};
+
+const populateTransactions = (query) => query
+  .populate('suggestions.payment', 'amount paymentMethod transactionId paidAt')
+  .populate('suggestions.bill', 'billNumber month year totalAmount paidAmount')
+  .populate('suggestions.tenant', 'name')
+  .populate('matchedPayment', 'amount paymentMethod status')
+  .sort({ date: 1 });
+
+const getStatement = async (statementId) => {
+  const statement = await BankStatement.findById(statementId);
+  if (!statement) throw notFound('Statement not found');
+
+  const transactions = await populateTransactions(BankTransaction.find({ statement: statement._id }));
+  const counts = transactions.reduce((totals, transaction) => {
+    totals[transaction.status] = (totals[transaction.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  return { statement, transactions, counts };
+};
+
+const listStatements = () => BankStatement.find().sort({ uploadedAt: -1 }).limit(50);
+
+// Credits not yet matched or ignored, across every statement
+const listOpenTransactions = () => populateTransactions(
+  BankTransaction.find({ status: { $in: ['unmatched', 'suggested'] } })
+);
+
+const getOpenTransaction = async (transactionId) => {
+  const transaction = await BankTransaction.findById(transactionId);
+  if (!transaction) throw notFound('Bank transaction not found');
+  if (['matched', 'ignored'].includes(transaction.status)) {
+    throw badRequest(`This credit is already ${transaction.status}`);
+  }
+  return transaction;
+};
+
+// UPI narrations say so; anything else arriving in the account is a bank transfer
+const methodFromNarration = (description) => (/\bupi\b/i.test(description || '') ? 'upi' : 'bank_transfer');
+
+/**
+ * Confirm a credit as one tenant payment. With `paymentId` the tenant's
+ * pending payment is verified at the amount the bank received; with `billId`
+ * a payment is created for the bill's tenant. Either way it is allocated
+ * oldest bill first and a receipt issued.
+ */
+const confirmMatch = async (transactionId, { paymentId, billId } = {}, performedBy) => {
+  const transaction = await getOpenTransaction(transactionId);
+  if (!paymentId && !billId) throw badRequest('paymentId or billId is required');
+
+  const currentDate = new Date();
+  let payment;
+
+  if (paymentId) {
+    payment = await Payment.findById(paymentId);
+    if (!payment) throw notFound('Payment not found');
+    if (payment.status !== 'pending_verification') {
+      throw badRequest(`Payment is ${payment.status}, not awaiting verification`);
+    }
+  } else {
+    const bill = await Bill.findById(billId);
+    if (!bill) throw notFound('Bill not found');
+    if (!paymentAllocation.OUTSTANDING_STATUSES.includes(bill.status)) {
+      throw badRequest(`Bill ${bill.billNumber} is ${bill.status}`);
+    }
+  }
+
+  // Claim the credit so a second click cannot confirm it twice
+  const claimed = await BankTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: { $in: ['unmatched', 'suggested'] } },
+    { $set: { status: 'matched', matchedBy: performedBy, matchedAt: currentDate } },
+    { new: true }
+  );
+  if (!claimed) throw badRequest('This credit has just been matched or ignored');
+
+  try {
+    if (payment) {
+      const update = {
+        status: 'completed',
+        'paymentScreenshot.verified': true,
+        'paymentScreenshot.verifiedDate': currentDate,
+        'paymentScreenshot.notes': `Matched to bank statement by ${performedBy}`
+      };
+      if (Math.abs(payment.amount - transaction.amount) >= 0.01) {
+        update.notes = [payment.notes, `Amount corrected from ₹${payment.amount} to ₹${transaction.amount} per bank statement`]
+          .filter(Boolean).join('. ');
+        update.amount = transaction.amount;
+      }
+      if (!payment.transactionId && transaction.reference) update.transactionId = transaction.reference;
+
+      // Claim the payment too, so verifying it from the inbox at the same
+      // moment cannot settle it a second time
+      payment = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending_verification' },
+        { $set: update },
+        { new: true }
+      );
+      if (!payment) throw badRequest('This payment has just been verified or rejected');
+    } else {
+      const bill = await Bill.findById(billId);
+      payment = new Payment({
+        bill: bill._id,
+        tenant: bill.tenant,
+        amount: transaction.amount,
+        paymentMethod: methodFromNarration(transaction.description),
+        transactionId: transaction.reference || undefined,
+        status: 'completed',
+        paidAt: transaction.date,
+        notes: `Recorded from bank statement by ${performedBy}`
+      });
+      await payment.save();
+    }
+
+    await paymentAllocation.allocatePayment(payment, currentDate);
+    await receiptService.issueReceipt(payment, { currentDate });
+  } catch (error) {
+    await BankTransaction.updateOne(
+      { _id: transaction._id },
+      { $set: { status: 'suggested' }, $unset: { matchedBy: '', matchedAt: '' } }
+    );
+    throw error;
+  }
+
+  claimed.matchedPayment = payment._id;
+  await claimed.save();
+  await refreshSuggestions();
+
+  console.log(`✅ [Reconciliation] Credit of ₹${transaction.amount} on ${transaction.date.toISOString().slice(0, 10)} matched to payment ${payment._id} by ${performedBy}`);
+
+  return { transaction: claimed, payment };
+};
+
+// Mark a credit as not a tenant payment (owner's own transfer, interest, ...)
+const ignoreTransaction = async (transactionId, { reason } = {}, performedBy) => {
+  const transaction = await getOpenTransaction(transactionId);
+  transaction.status = 'ignored';
+  transaction.ignoredReason = String(reason || '').trim() || undefined;
+  transaction.matchedBy = performedBy;
+  transaction.matchedAt = new Date();
+  transaction.suggestions = [];
+  await transaction.save();
+  return transaction;
+};
+
+module.exports = {
+  parseStatement,
+  importStatement,
+  refreshSuggestions,
+  getStatement,
+  listStatements,
+  listOpenTransactions,
+  confirmMatch,
+  ignoreTransaction
+};
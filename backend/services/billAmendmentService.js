@@ -0,0 +1,342 @@
+const { Bill, Tenant, Payment, Notification, MeterReading, ChargeTemplate, CreditNote } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const paymentAllocation = require('./paymentAllocation');
+const chargeTemplateService = require('./chargeTemplateService');
+const numberingService = require('./numberingService');
+const { MONTH_NAMES, roundAmount, badRequest } = require('../utils/serviceHelpers');
+
+// Bills are never deleted once raised. A mistake is corrected in one of three
+// ways, each recorded on the bill with who did it and when:
+//   void        - cancel a bill nothing has been paid against
+//   credit note - take an amount off a bill, paid or not; any overpayment
+//                 becomes tenant credit
+//   revision    - cancel the bill and raise a corrected one in its place; what
+//                 was paid on the original moves across as tenant credit
+// Cancelled bills keep their number and stay visible so the chain can be
+// followed from either end.
+
+const toAmount = (value, field, { allowNegative = false } = {}) => {
+  const amount = Number(value);
+  if (value === '' || value === null || !Number.isFinite(amount) || (!allowNegative && amount < 0)) {
+    throw badRequest(`${field} must be ${allowNegative ? 'a number' : 'zero or more'}`);
+  }
+  return roundAmount(amount);
+};
+
+const requireReason = (reason) => {
+  const text = String(reason || '').trim();
+  if (!text) throw badRequest('A reason is required');
+  return text;
+};
+
+const billPeriod = (bill) => `${MONTH_NAMES[bill.month - 1]} ${bill.year}`;
+
+class BillAmendmentService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  async getBill(billId) {
+    const bill = await Bill.findById(billId);
+    if (!bill) {
+      const error = new Error('Bill not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (bill.status === 'cancelled') {
+      throw badRequest(`Bill ${bill.billNumber} is already cancelled`);
+    }
+    return bill;
+  }
+
+  // A screenshot awaiting review would be verified against a bill that no longer counts
+  async assertNoPendingVerification(bill) {
+    const pending = bill.status === 'payment_pending_verification' ||
+      await Payment.exists({ bill: bill._id, status: 'pending_verification' });
+    if (pending) {
+      throw badRequest(`Bill ${bill.billNumber} has a payment awaiting verification - verify or reject it first`);
+    }
+  }
+
+  /**
+   * Cancel a bill that has nothing paid against it. Its meter readings and
+   * one-off charges are released so the month can be billed again.
+   */
+  async voidBill(billId, { reason } = {}, performedBy) {
+    const bill = await this.getBill(billId);
+    const text = requireReason(reason);
+
+    if ((bill.paidAmount || 0) > 0) {
+      throw badRequest(`₹${bill.paidAmount} has been paid on ${bill.billNumber} - issue a credit note or a revised bill instead`);
+    }
+    await this.assertNoPendingVerification(bill);
+
+    const currentDate = new Date();
+    bill.status = 'cancelled';
+    bill.activeForPeriod = false;
+    bill.remainingAmount = 0;
+    bill.amendments.push({ type: 'voided', reason: text, amount: bill.totalAmount, performedBy, performedAt: currentDate });
+    bill.updatedAt = currentDate;
+    await bill.save();
+
+    await this.releaseBillLinks(bill._id);
+
+    console.log(`✅ [BillAmendment] Bill ${bill.billNumber} voided by ${performedBy}: ${text}`);
+
+    await this.notifyTenant(bill, 'Bill Cancelled',
+      `Your bill ${bill.billNumber} for ${billPeriod(bill)} (₹${bill.totalAmount}) has been cancelled. Reason: ${text}.`);
+
+    return { bill };
+  }
+
+  /**
+   * Take an amount off a bill. The credit is added as a negative line so
+   * every total computed from the items sees the reduced figure.
+   */
+  async issueCreditNote(billId, { amount, reason } = {}, performedBy) {
+    const bill = await this.getBill(billId);
+    const text = requireReason(reason);
+    const value = toAmount(amount, 'amount');
+    const baseAmount = penaltyPolicy.getBaseAmount(bill);
+
+    if (value <= 0) throw badRequest('amount must be more than zero');
+    if (value > baseAmount) {
+      throw badRequest(`A credit note cannot exceed the bill amount of ₹${baseAmount}`);
+    }
+
+    const currentDate = new Date();
+    const creditNote = new CreditNote({
+      bill: bill._id,
+      tenant: bill.tenant,
+      room: bill.room,
+      amount: value,
+      reason: text,
+      issuedBy: performedBy,
+      issuedAt: currentDate
+    });
+    await creditNote.save();
+
+    bill.items.additionalCharges.push({
+      description: `Credit note ${creditNote.creditNoteNumber}: ${text}`,
+      amount: -value,
+      creditNote: creditNote._id
+    });
+
+    // Anything already paid beyond the new total is returned as tenant credit
+    bill.totalAmount = roundAmount(penaltyPolicy.getBaseAmount(bill) + (bill.penalty?.amount || 0));
+    const excess = roundAmount(Math.max(0, (bill.paidAmount || 0) - bill.totalAmount));
+    if (excess > 0) {
+      bill.paidAmount = bill.totalAmount;
+      bill.paidBreakdown = {
+        principal: roundAmount(Math.max(0, (bill.paidBreakdown?.principal || 0) - excess)),
+        penalty: bill.paidBreakdown?.penalty || 0
+      };
+    }
+    bill.remainingAmount = roundAmount(Math.max(0, bill.totalAmount - (bill.paidAmount || 0)));
+    if (bill.remainingAmount <= 0 && bill.status !== 'paid') {
+      bill.status = 'paid';
+      bill.paidDate = currentDate;
+    }
+    bill.amendments.push({
+      type: 'credit_note',
+      reason: text,
+      amount: value,
+      creditNote: creditNote._id,
+      performedBy,
+      performedAt: currentDate
+    });
+    bill.updatedAt = currentDate;
+    await bill.save();
+
+    if (excess > 0) {
+      await Tenant.findByIdAndUpdate(bill.tenant, { $inc: { creditBalance: excess } });
+      await paymentAllocation.applyTenantCredit(bill.tenant, currentDate);
+    }
+
+    console.log(`✅ [BillAmendment] Credit note ${creditNote.creditNoteNumber} of ₹${value} on ${bill.billNumber}${excess > 0 ? `, ₹${excess} to tenant credit` : ''}`);
+
+    await this.notifyTenant(bill, 'Credit Note Issued',
+      `A credit note of ₹${value} has been issued against your bill ${bill.billNumber} for ${billPeriod(bill)}. Reason: ${text}.${excess > 0 ? ` ₹${excess} already paid has been added to your credit.` : ''}`);
+
+    return { bill, creditNote, creditedToTenant: excess };
+  }
+
+  /**
+   * Cancel a bill and raise a corrected one for the same month and due date.
+   * Starts from the original's items; rent, waterBill, commonAreaCharges and
+   * additionalCharges in `changes` replace them. Credit notes on the original
+   * are not carried over - the revision states the corrected amounts.
+   */
+  async reviseBill(billId, { reason, ...changes } = {}, performedBy) {
+    const original = await this.getBill(billId);
+    const text = requireReason(reason);
+    await this.assertNoPendingVerification(original);
+
+    const items = original.toObject().items;
+    delete items._id;
+    items.additionalCharges = (items.additionalCharges || [])
+      .filter(charge => !charge.creditNote)
+      .map(charge => {
+        const copy = { ...charge };
+        delete copy._id;
+        return copy;
+      });
+
+    if (changes.rent !== undefined) {
+      items.rent = { ...items.rent, amount: toAmount(changes.rent, 'rent') };
+    }
+    if (changes.waterBill !== undefined) {
+      items.waterBill = { ...items.waterBill, amount: toAmount(changes.waterBill, 'waterBill') };
+    }
+    if (changes.commonAreaCharges !== undefined) {
+      items.commonAreaCharges = { ...items.commonAreaCharges, amount: toAmount(changes.commonAreaCharges, 'commonAreaCharges') };
+    }
+    if (Array.isArray(changes.additionalCharges)) {
+      items.additionalCharges = changes.additionalCharges.map((charge, index) => {
+        if (!charge || !String(charge.description || '').trim()) {
+          throw badRequest(`additionalCharges[${index}] needs a description`);
+        }
+        return {
+          description: String(charge.description).trim(),
+          amount: toAmount(charge.amount, `additionalCharges[${index}].amount`, { allowNegative: true }),
+          ...(charge.chargeTemplate ? { chargeTemplate: charge.chargeTemplate } : {})
+        };
+      });
+    }
+
+    const totalAmount = roundAmount(penaltyPolicy.getBaseAmount({ items }));
+    if (totalAmount < 0) throw badRequest('Revised bill total cannot be negative');
+
+    const currentDate = new Date();
+    const revised = new Bill({
+      tenant: original.tenant,
+      room: original.room,
+      billNumber: await numberingService.nextNumber('bill', currentDate),
+      month: original.month,
+      year: original.year,
+      dueDate: original.dueDate,
+      items,
+      totalAmount,
+      remainingAmount: totalAmount,
+      generatedAt: currentDate,
+      revisionOf: original._id,
+      // Takes over the month once the original is cancelled below
+      activeForPeriod: false,
+      amendments: [{
+        type: 'revision_of',
+        reason: text,
+        relatedBill: original._id,
+        relatedBillNumber: original.billNumber,
+        performedBy,
+        performedAt: currentDate
+      }]
+    });
+    // Saved before the original is cancelled, so a failure here leaves the
+    // original bill standing
+    await revised.save();
+
+    const carriedCredit = roundAmount(original.paidAmount || 0);
+    original.status = 'cancelled';
+    original.activeForPeriod = false;
+    original.remainingAmount = 0;
+    original.revisedBy = revised._id;
+    original.amendments.push({
+      type: 'revised',
+      reason: text,
+      amount: totalAmount,
+      relatedBill: revised._id,
+      relatedBillNumber: revised.billNumber,
+      performedBy,
+      performedAt: currentDate
+    });
+    original.updatedAt = currentDate;
+    await original.save();
+    await Bill.updateOne({ _id: revised._id }, { $set: { activeForPeriod: true } });
+
+    // Readings and one-off charges now belong to the revision
+    await MeterReading.updateMany({ bill: original._id }, { bill: revised._id, updatedAt: currentDate });
+    await ChargeTemplate.updateMany(
+      { 'applications.bill': original._id },
+      { $pull: { applications: { bill: original._id } } }
+    );
+    await chargeTemplateService.recordApplications(revised);
+
+    if (carriedCredit > 0) {
+      await Tenant.findByIdAndUpdate(original.tenant, { $inc: { creditBalance: carriedCredit } });
+    }
+    await paymentAllocation.applyTenantCredit(original.tenant, currentDate);
+
+    console.log(`✅ [BillAmendment] Bill ${original.billNumber} revised as ${revised.billNumber} (₹${totalAmount}) by ${performedBy}`);
+
+    await this.notifyTenant(revised, 'Bill Revised',
+      `Your bill ${original.billNumber} for ${billPeriod(original)} has been replaced by ${revised.billNumber} (₹${totalAmount}). Reason: ${text}.${carriedCredit > 0 ? ` ₹${carriedCredit} paid on the original has been applied as credit.` : ''}`);
+
+    return { original, bill: await Bill.findById(revised._id), carriedCredit };
+  }
+
+  /**
+   * Every bill in a revision chain, oldest first, with the credit notes
+   * issued against each.
+   */
+  async getAmendmentChain(billId) {
+    let bill = await Bill.findById(billId).select('revisionOf');
+    if (!bill) {
+      const error = new Error('Bill not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    while (bill.revisionOf) {
+      bill = await Bill.findById(bill.revisionOf).select('revisionOf');
+    }
+
+    const chain = [];
+    let nextId = bill._id;
+    while (nextId) {
+      const current = await Bill.findById(nextId)
+        .select('billNumber month year status totalAmount paidAmount remainingAmount revisionOf revisedBy amendments generatedAt');
+      chain.push(current);
+      nextId = current.revisedBy;
+    }
+
+    const creditNotes = await CreditNote.find({ bill: { $in: chain.map(b => b._id) } }).sort({ issuedAt: 1 });
+
+    return { chain, creditNotes };
+  }
+
+  // Unlink what the bill consumed so a fresh bill for the month can use it
+  async releaseBillLinks(billId) {
+    await MeterReading.updateMany({ bill: billId }, { bill: null, updatedAt: new Date() });
+    await ChargeTemplate.updateMany(
+      { 'applications.bill': billId },
+      { $pull: { applications: { bill: billId } } }
+    );
+  }
+
+  async notifyTenant(bill, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category: 'info',
+      priority: 'medium',
+      recipients: [{ tenant: bill.tenant }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+      this.broadcastToClients({
+        type: 'BILL_AMENDED',
+        billId: bill._id,
+        tenantId: bill.tenant
+      });
+    }
+  }
+}
+
+module.exports = BillAmendmentService;
@@ -0,0 +1,205 @@
+const { BillingPolicy } = require('../../models');
+const { roundAmount } = require('../utils/serviceHelpers');
+
+// Bill generation settings, stored like the late fee policy. Mostly this
+// covers proration: a tenant who moves in or out part way through a month is
+// charged rent (and, optionally, flat-rate utilities) for the days they held
+// the room, shown as a separate credit line on the bill. It also says whether
+// payment receipts are emailed to tenants, which UPI ID (VPA) bills ask
+// tenants to pay into, when auto-pay charges bills (and retries failures), and
+// how far ahead tenants are told about a scheduled rent increase.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DEFAULT_POLICY = {
+  prorationMethod: 'actual_days',
+  prorateFixedUtilities: true,
+  emailReceipts: true,
+  upiId: '',
+  upiPayeeName: '',
+  autoPayDaysBeforeDue: 3,
+  autoPayMaxAttempts: 3,
+  autoPayRetryIntervalDays: 2,
+  rentIncreaseNoticeDays: 30
+};
+
+const PRORATION_METHODS = ['actual_days', 'thirty_day', 'none'];
+
+// handle@provider, e.g. owner.name@okhdfcbank
+const UPI_ID_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,64}$/;
+
+const EDITABLE_FIELDS = Object.keys(DEFAULT_POLICY);
+
+let cachedPolicy = null;
+
+const toPlainPolicy = (doc) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  const policy = { ...DEFAULT_POLICY };
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      policy[field] = source[field];
+    }
+  });
+  policy.updatedAt = source.updatedAt || null;
+  policy.updatedBy = source.updatedBy || null;
+
+  return policy;
+};
+
+// Load the policy from the database (cached after the first read)
+const getPolicy = async ({ refresh = false } = {}) => {
+  if (cachedPolicy && !refresh) return cachedPolicy;
+
+  try {
+    const doc = await BillingPolicy.findOne({ key: 'default' });
+    cachedPolicy = toPlainPolicy(doc);
+  } catch (error) {
+    console.error('❌ [BillingPolicy] Failed to load policy, using defaults:', error.message);
+    return cachedPolicy || toPlainPolicy(null);
+  }
+
+  return cachedPolicy;
+};
+
+const validatePolicy = (policy) => {
+  const errors = [];
+
+  if (!PRORATION_METHODS.includes(policy.prorationMethod)) {
+    errors.push(`prorationMethod must be one of ${PRORATION_METHODS.join(', ')}`);
+  }
+  if (typeof policy.prorateFixedUtilities !== 'boolean') {
+    errors.push('prorateFixedUtilities must be true or false');
+  }
+  if (typeof policy.emailReceipts !== 'boolean') {
+    errors.push('emailReceipts must be true or false');
+  }
+  if (typeof policy.upiId !== 'string' || (policy.upiId && !UPI_ID_PATTERN.test(policy.upiId))) {
+    errors.push('upiId must look like name@bank');
+  }
+  if (typeof policy.upiPayeeName !== 'string' || policy.upiPayeeName.length > 50) {
+    errors.push('upiPayeeName must be at most 50 characters');
+  }
+  if (!Number.isInteger(policy.autoPayDaysBeforeDue) || policy.autoPayDaysBeforeDue < 0 || policy.autoPayDaysBeforeDue > 15) {
+    errors.push('autoPayDaysBeforeDue must be a whole number from 0 to 15');
+  }
+  if (!Number.isInteger(policy.autoPayMaxAttempts) || policy.autoPayMaxAttempts < 1 || policy.autoPayMaxAttempts > 5) {
+    errors.push('autoPayMaxAttempts must be a whole number from 1 to 5');
+  }
+  if (!Number.isInteger(policy.autoPayRetryIntervalDays) || policy.autoPayRetryIntervalDays < 1 || policy.autoPayRetryIntervalDays > 7) {
+    errors.push('autoPayRetryIntervalDays must be a whole number from 1 to 7');
+  }
+  if (!Number.isInteger(policy.rentIncreaseNoticeDays) || policy.rentIncreaseNoticeDays < 7 || policy.rentIncreaseNoticeDays > 90) {
+    errors.push('rentIncreaseNoticeDays must be a whole number from 7 to 90');
+  }
+
+  return errors;
+};
+
+// Validate and persist policy changes. Throws with `validationErrors` set on bad input.
+const updatePolicy = async (updates, updatedBy = null) => {
+  const current = await getPolicy({ refresh: true });
+  const next = toPlainPolicy({ ...current, ...updates });
+  if (typeof next.upiId === 'string') next.upiId = next.upiId.trim();
+  if (typeof next.upiPayeeName === 'string') next.upiPayeeName = next.upiPayeeName.trim();
+
+  const errors = validatePolicy(next);
+  if (errors.length > 0) {
+    const error = new Error('Invalid billing policy');
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => { fields[field] = next[field]; });
+
+  const doc = await BillingPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { ...fields, updatedBy, updatedAt: new Date() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  cachedPolicy = toPlainPolicy(doc);
+  console.log(`✅ [BillingPolicy] Policy updated by ${updatedBy || 'system'}: proration ${cachedPolicy.prorationMethod}`);
+  return cachedPolicy;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Days the tenant held the room in a billing month (1-12) and the share of
+ * the month that is chargeable under the policy. `occupiedDays` is 0 when the
+ * tenancy does not overlap the month at all.
+ */
+const getOccupancy = (tenant, month, year, policy = DEFAULT_POLICY) => {
+  const periodStart = new Date(year, month - 1, 1);
+  const periodEnd = new Date(year, month, 0);
+  const daysInMonth = periodEnd.getDate();
+
+  const moveIn = tenant.moveInDate ? startOfDay(tenant.moveInDate) : null;
+  const moveOut = tenant.moveOutDate ? startOfDay(tenant.moveOutDate) : null;
+  const from = moveIn && moveIn > periodStart ? moveIn : periodStart;
+  const to = moveOut && moveOut < periodEnd ? moveOut : periodEnd;
+
+  const result = {
+    method: policy.prorationMethod,
+    from,
+    to,
+    daysInMonth,
+    occupiedDays: 0,
+    periodDays: daysInMonth,
+    factor: 0,
+    prorated: false
+  };
+
+  if (to < from) return result;
+
+  result.occupiedDays = Math.round((to - from) / DAY_MS) + 1;
+  if (result.occupiedDays >= daysInMonth || policy.prorationMethod === 'none') {
+    result.factor = 1;
+    return result;
+  }
+
+  if (policy.prorationMethod === 'thirty_day') {
+    // Every month counts as 30 days; a stay running to month end runs to day 30
+    const firstDay = Math.min(from.getDate(), 30);
+    const lastDay = to.getTime() === periodEnd.getTime() ? 30 : Math.min(to.getDate(), 30);
+    result.periodDays = 30;
+    result.occupiedDays = Math.max(1, lastDay - firstDay + 1);
+  }
+
+  result.factor = Math.min(1, result.occupiedDays / result.periodDays);
+  result.prorated = result.factor < 1;
+  return result;
+};
+
+/**
+ * Credit line for the unoccupied part of the month, or null for a full month.
+ * `fixedAmount` is rent plus whichever flat charges the policy prorates.
+ */
+const buildProrationItem = (occupancy, fixedAmount) => {
+  if (!occupancy.prorated) return null;
+
+  const credit = roundAmount(fixedAmount * (1 - occupancy.factor));
+  if (credit <= 0) return null;
+
+  const formatDay = (date) => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+  return {
+    description: `Proration credit: ${occupancy.occupiedDays} of ${occupancy.periodDays} days occupied (${formatDay(occupancy.from)} - ${formatDay(occupancy.to)})`,
+    amount: -credit
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  PRORATION_METHODS,
+  getPolicy,
+  updatePolicy,
+  validatePolicy,
+  getOccupancy,
+  buildProrationItem
+};
@@ -0,0 +1,380 @@
+const { Bill, Tenant, Notification, MeterReading } = require('../../models');
+const billingPolicy = require('./billingPolicy');
+const meterReadingService = require('./meterReadingService');
+const tariffService = require('./tariffService');
+const paymentAllocation = require('./paymentAllocation');
+const chargeTemplateService = require('./chargeTemplateService');
+const RentTermService = require('./rentTermService');
+const numberingService = require('./numberingService');
+const { MONTH_NAMES, roundAmount, badRequest } = require('../utils/serviceHelpers');
+
+// The one place bills are built. The owner's bulk run, the single-tenant form
+// and the monthly cron all go through buildDraft/commitDraft, so every bill
+// has the same item layout whichever path created it. A run can be previewed
+// (dry run), adjusted per tenant and then committed; tenants who already have
+// a bill for the month are reported and left alone, so re-running is safe.
+
+const UTILITIES = ['electricity', 'water', 'gas', 'internet', 'parking', 'maintenance'];
+
+// Flat-rate utilities without a field of their own go in as additional charges
+const FLAT_CHARGE_LABELS = {
+  gas: 'Gas (flat rate)',
+  internet: 'Internet',
+  parking: 'Parking'
+};
+
+const parsePeriod = (month, year) => {
+  const periodMonth = parseInt(month);
+  const periodYear = parseInt(year);
+  if (!(periodMonth >= 1 && periodMonth <= 12) || !(periodYear >= 2000)) {
+    throw badRequest('A valid month and year are required');
+  }
+  return { month: periodMonth, year: periodYear };
+};
+
+// Bills are due on the 10th of the month after the billing month
+const getDueDate = (month, year) => new Date(year, month, 10);
+
+const toAmount = (value, field, { allowNegative = false } = {}) => {
+  const amount = Number(value);
+  if (value === '' || value === null || !Number.isFinite(amount) || (!allowNegative && amount < 0)) {
+    throw badRequest(`${field} must be ${allowNegative ? 'a number' : 'zero or more'}`);
+  }
+  return roundAmount(amount);
+};
+
+const calculateTotal = (items) => roundAmount(
+  (items.rent?.amount || 0) +
+  (items.electricity?.amount || 0) +
+  (items.waterBill?.amount || 0) +
+  (items.commonAreaCharges?.amount || 0) +
+  (items.additionalCharges || []).reduce((sum, charge) => sum + (charge.amount || 0), 0)
+);
+
+class BillingService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  /**
+   * Work out the bill a tenant would get for a month without saving it.
+   * `overrides` are the owner's edits: rent, waterBill, commonAreaCharges,
+   * additionalCharges (replaces the computed lines) and electricity
+   * ({ chargesPerUnit } bills this month's reading even on an unmetered room).
+   * Owner-defined charge templates that are due are added as extra lines.
+   * `extraCharges` are added as given, after proration (the move-in bill's
+   * security deposit). With `deferMeteredUtilities` metered charges are left
+   * for the next bill, whose readings carry on from the last one.
+   * Returns a draft with `status` 'ready', 'exists' or 'skipped'.
+   */
+  async buildDraft(tenant, month, year, { policy = null, templates = null, overrides = {}, extraCharges = [], deferMeteredUtilities = false } = {}) {
+    const room = tenant.room;
+    const billing = policy || await billingPolicy.getPolicy();
+    const draft = {
+      tenant: { _id: tenant._id, name: tenant.name },
+      room: room ? { _id: room._id, roomNumber: room.roomNumber } : null,
+      month,
+      year,
+      dueDate: getDueDate(month, year),
+      status: 'ready',
+      reason: null,
+      items: null,
+      totalAmount: 0,
+      occupancy: null,
+      meterReadings: [],
+      missingReadings: []
+    };
+
+    if (!room) {
+      return { ...draft, status: 'skipped', reason: 'No room assigned' };
+    }
+
+    // A voided bill does not count - the month can be billed again
+    const existing = await Bill.findOne({ tenant: tenant._id, month, year, status: { $ne: 'cancelled' } }).select('billNumber totalAmount status');
+    if (existing) {
+      return {
+        ...draft,
+        status: 'exists',
+        reason: `Already billed (${existing.billNumber})`,
+        bill: { _id: existing._id, billNumber: existing.billNumber, totalAmount: existing.totalAmount, status: existing.status }
+      };
+    }
+
+    // Part months are prorated by the days the tenant held the room
+    draft.occupancy = billingPolicy.getOccupancy(tenant, month, year, billing);
+    if (draft.occupancy.occupiedDays === 0) {
+      return { ...draft, status: 'skipped', reason: 'Not in residence this month' };
+    }
+
+    // Metered utilities are charged from this month's readings
+    const metered = deferMeteredUtilities
+      ? { items: {}, readings: [], missing: [] }
+      : await meterReadingService.getMeteredCharges(room, month, year);
+    const items = { ...metered.items };
+    let readings = metered.readings;
+    let missing = metered.missing;
+
+    if (overrides.electricity) {
+      const reading = await MeterReading.findOne({ room: room._id, utility: 'electricity', month, year });
+      const chargesPerUnit = toAmount(
+        overrides.electricity.chargesPerUnit ?? room.utilities?.electricity?.unitRate ?? 0,
+        'chargesPerUnit'
+      );
+      items.electricity = await tariffService.buildElectricityItem(room, reading, chargesPerUnit);
+      readings = [...readings.filter(r => r.utility !== 'electricity'), ...(reading ? [reading] : [])];
+      missing = missing.filter(utility => utility !== 'electricity');
+    }
+
+    draft.meterReadings = readings.map(r => ({
+      _id: r._id,
+      utility: r.utility,
+      unitsConsumed: r.unitsConsumed,
+      anomalies: r.anomalies || []
+    }));
+    if (missing.length > 0) {
+      return { ...draft, status: 'skipped', reason: 'Missing meter readings', missingReadings: missing };
+    }
+
+    // Flat-rate utilities the rent does not include
+    const flatRate = (utility) => {
+      const settings = room.utilities?.[utility];
+      if (!settings || settings.included || metered.meteredUtilities.includes(utility)) return 0;
+      return settings.rate || 0;
+    };
+    const additionalCharges = [...(items.additionalCharges || [])];
+
+    if (!items.electricity && flatRate('electricity') > 0) {
+      items.electricity = { amount: flatRate('electricity') };
+    }
+    if (!items.waterBill && flatRate('water') > 0) {
+      items.waterBill = { amount: flatRate('water'), description: 'Water (flat rate)' };
+    }
+    if (flatRate('maintenance') > 0) {
+      items.commonAreaCharges = { amount: flatRate('maintenance'), description: 'Maintenance' };
+    }
+    Object.keys(FLAT_CHARGE_LABELS).forEach(utility => {
+      if (flatRate(utility) > 0) {
+        additionalCharges.push({ description: FLAT_CHARGE_LABELS[utility], amount: flatRate(utility) });
+      }
+    });
+    const fixedUtilities = UTILITIES.reduce((sum, utility) => sum + flatRate(utility), 0);
+    additionalCharges.push(...await chargeTemplateService.getChargesFor(tenant, room, month, year, templates));
+
+    // Owner edits replace the computed amounts; otherwise rent follows the tenant's rent terms
+    const rent = overrides.rent !== undefined
+      ? toAmount(overrides.rent, 'rent')
+      : (await RentTermService.getRentForPeriod(tenant, room, month, year)).amount;
+    items.rent = { amount: rent, description: `Monthly rent for room ${room.roomNumber}` };
+    if (overrides.waterBill !== undefined) {
+      items.waterBill = { amount: toAmount(overrides.waterBill, 'waterBill'), description: 'Water Bill' };
+    }
+    if (overrides.commonAreaCharges !== undefined) {
+      items.commonAreaCharges = {
+        amount: toAmount(overrides.commonAreaCharges, 'commonAreaCharges'),
+        description: 'Common Area Maintenance'
+      };
+    }
+
+    const proration = billingPolicy.buildProrationItem(
+      draft.occupancy,
+      rent + (billing.prorateFixedUtilities ? fixedUtilities : 0)
+    );
+    if (proration) additionalCharges.push(proration);
+
+    if (Array.isArray(overrides.additionalCharges)) {
+      items.additionalCharges = overrides.additionalCharges.map((charge, index) => {
+        if (!charge || !String(charge.description || '').trim()) {
+          throw badRequest(`additionalCharges[${index}] needs a description`);
+        }
+        return {
+          description: String(charge.description).trim(),
+          amount: toAmount(charge.amount, `additionalCharges[${index}].amount`, { allowNegative: true }),
+          ...(charge.chargeTemplate ? { chargeTemplate: charge.chargeTemplate } : {})
+        };
+      });
+    } else {
+      items.additionalCharges = additionalCharges;
+    }
+    items.additionalCharges.push(...extraCharges);
+
+    draft.items = items;
+    draft.totalAmount = calculateTotal(items);
+    if (draft.totalAmount < 0) {
+      throw badRequest('Bill total cannot be negative');
+    }
+    return draft;
+  }
+
+  /**
+   * Save a ready draft as a bill, lock its meter readings, carry tenant credit
+   * onto it and notify the tenant. Returns null if the month was billed in the
+   * meantime.
+   */
+  async commitDraft(draft, { notify = true } = {}) {
+    if (draft.status !== 'ready') return null;
+
+    const existing = await Bill.findOne({
+      tenant: draft.tenant._id,
+      month: draft.month,
+      year: draft.year,
+      status: { $ne: 'cancelled' }
+    }).select('_id');
+    if (existing) return null;
+
+    const generatedAt = new Date();
+    const bill = new Bill({
+      tenant: draft.tenant._id,
+      room: draft.room._id,
+      billNumber: await numberingService.nextNumber('bill', generatedAt),
+      month: draft.month,
+      year: draft.year,
+      dueDate: draft.dueDate,
+      items: draft.items,
+      totalAmount: draft.totalAmount,
+      remainingAmount: draft.totalAmount,
+      generatedAt
+    });
+    try {
+      await bill.save();
+    } catch (error) {
+      // Another run (the cron or a manual commit) billed the month since the check above
+      if (error.code === 11000 && error.keyPattern?.tenant) return null;
+      throw error;
+    }
+
+    if (draft.meterReadings.length > 0) {
+      await meterReadingService.markBilled(draft.meterReadings, bill._id);
+    }
+    await chargeTemplateService.recordApplications(bill);
+
+    // Carry forward any overpayment credit onto the new bill
+    await paymentAllocation.applyTenantCredit(draft.tenant._id);
+
+    let notification = null;
+    if (notify) {
+      notification = new Notification({
+        title: 'New Bill Generated',
+        message: `Your bill for ${MONTH_NAMES[draft.month - 1]} ${draft.year} has been generated. Amount: ₹${draft.totalAmount}. Due date: ${draft.dueDate.toLocaleDateString()}.`,
+        type: 'personal',
+        category: 'info',
+        priority: 'medium',
+        recipients: [{
+          tenant: draft.tenant._id
+        }]
+      });
+      await notification.save();
+    }
+
+    return { bill, notification };
+  }
+
+  /**
+   * Bill one tenant for a month (the owner's single-bill form and the move-in
+   * bill raised when onboarding completes). Throws with
+   * `statusCode` 400 when the tenant is already billed or cannot be billed.
+   */
+  async generateForTenant(tenantId, month, year, { overrides = {}, extraCharges = [], deferMeteredUtilities = false, notify = true } = {}) {
+    const period = parsePeriod(month, year);
+    const tenant = await Tenant.findById(tenantId).populate('room');
+    if (!tenant) {
+      const error = new Error('Tenant not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const draft = await this.buildDraft(tenant, period.month, period.year, { overrides, extraCharges, deferMeteredUtilities });
+    if (draft.status === 'exists') {
+      throw badRequest('Bill already exists for this tenant and month');
+    }
+    if (draft.status !== 'ready') {
+      throw badRequest(draft.missingReadings.length > 0
+        ? `${draft.reason}: ${draft.missingReadings.join(', ')}`
+        : draft.reason);
+    }
+
+    const committed = await this.commitDraft(draft, { notify });
+    if (!committed) {
+      throw badRequest('Bill already exists for this tenant and month');
+    }
+    return { draft, ...committed };
+  }
+
+  /**
+   * Bill every active tenant (or `tenantIds`) for a month. With `dryRun` the
+   * drafts are returned without saving anything. `edits` maps tenant id to
+   * overrides for buildDraft. Each tenant gets a result row; one tenant
+   * failing does not stop the run.
+   */
+  async generateMonth(month, year, { dryRun = false, tenantIds = null, edits = {}, notify = true } = {}) {
+    const period = parsePeriod(month, year);
+    const policy = await billingPolicy.getPolicy();
+    const templates = await chargeTemplateService.getActiveTemplates();
+
+    const query = { status: 'active', room: { $ne: null } };
+    if (Array.isArray(tenantIds)) query._id = { $in: tenantIds };
+    const tenants = await Tenant.find(query).populate('room').sort({ name: 1 });
+
+    const results = [];
+    for (const tenant of tenants) {
+      try {
+        const draft = await this.buildDraft(tenant, period.month, period.year, {
+          policy,
+          templates,
+          overrides: edits[String(tenant._id)] || {}
+        });
+
+        if (!dryRun && draft.status === 'ready') {
+          const committed = await this.commitDraft(draft, { notify });
+          if (committed) {
+            draft.status = 'created';
+            draft.bill = { _id: committed.bill._id, billNumber: committed.bill.billNumber };
+          } else {
+            draft.status = 'exists';
+            draft.reason = 'Billed while this run was in progress';
+          }
+        }
+        results.push(draft);
+      } catch (error) {
+        console.error(`❌ [Billing] Failed to bill ${tenant.name}:`, error.message);
+        results.push({
+          tenant: { _id: tenant._id, name: tenant.name },
+          room: tenant.room ? { _id: tenant.room._id, roomNumber: tenant.room.roomNumber } : null,
+          month: period.month,
+          year: period.year,
+          status: 'failed',
+          reason: error.message
+        });
+      }
+    }
+
+    const summary = { ready: 0, created: 0, exists: 0, skipped: 0, failed: 0, totalAmount: 0 };
+    results.forEach(result => {
+      summary[result.status]++;
+      if (result.status === 'ready' || result.status === 'created') {
+        summary.totalAmount = roundAmount(summary.totalAmount + result.totalAmount);
+      }
+    });
+
+    if (!dryRun && summary.created > 0 && this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'BILLS_GENERATED',
+        count: summary.created,
+        month: period.month,
+        year: period.year
+      });
+    }
+
+    console.log(`${dryRun ? '🔍' : '✅'} [Billing] ${MONTH_NAMES[period.month - 1]} ${period.year}: ${dryRun ? `${summary.ready} bills ready` : `${summary.created} bills created`}, ${summary.exists} already billed, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+    return {
+      month: period.month,
+      year: period.year,
+      dryRun,
+      dueDate: getDueDate(period.month, period.year),
+      summary,
+      results
+    };
+  }
+}
+
+module.exports = BillingService;
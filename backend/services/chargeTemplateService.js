@@ -0,0 +1,137 @@
+const { ChargeTemplate } = require('../../models');
+const { roundAmount } = require('../utils/serviceHelpers');
+
+// Charges the owner defines once and the bill generator adds on its own: a
+// parking fee for some rooms, a one-time painting charge for a tenant, a
+// festival levy for everyone. A template applies to all tenants, chosen rooms
+// or chosen tenants, between its start and end month, either once, every
+// month, or every N months counted from the start month.
+
+const SCOPES = ['all', 'room', 'tenant'];
+const FREQUENCIES = ['once', 'monthly', 'every_n_months'];
+
+// Months since year 0, so billing periods can be compared and subtracted
+const periodIndex = (month, year) => year * 12 + (month - 1);
+const dateIndex = (date) => {
+  const value = new Date(date);
+  return periodIndex(value.getMonth() + 1, value.getFullYear());
+};
+
+const validateTemplate = (template) => {
+  const errors = [];
+
+  if (!template.name || !String(template.name).trim()) {
+    errors.push('name is required');
+  }
+  if (!Number.isFinite(template.amount) || template.amount === 0) {
+    errors.push('amount must be a non-zero number');
+  }
+  if (!SCOPES.includes(template.scope)) {
+    errors.push(`scope must be one of ${SCOPES.join(', ')}`);
+  } else if (template.scope === 'room' && !(template.rooms?.length > 0)) {
+    errors.push('choose at least one room');
+  } else if (template.scope === 'tenant' && !(template.tenants?.length > 0)) {
+    errors.push('choose at least one tenant');
+  }
+  if (!FREQUENCIES.includes(template.frequency)) {
+    errors.push(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (template.frequency === 'every_n_months' && !(Number.isInteger(template.intervalMonths) && template.intervalMonths >= 2)) {
+    errors.push('intervalMonths must be a whole number of 2 or more');
+  }
+  if (!template.startDate || Number.isNaN(new Date(template.startDate).getTime())) {
+    errors.push('startDate is required');
+  } else if (template.endDate && dateIndex(template.endDate) < dateIndex(template.startDate)) {
+    errors.push('endDate cannot be before startDate');
+  }
+
+  return errors;
+};
+
+const normalizeTemplate = (body) => ({
+  name: body.name !== undefined ? String(body.name).trim() : undefined,
+  description: body.description !== undefined ? String(body.description).trim() : undefined,
+  amount: body.amount !== undefined ? roundAmount(Number(body.amount)) : undefined,
+  scope: body.scope,
+  rooms: Array.isArray(body.rooms) ? body.rooms : undefined,
+  tenants: Array.isArray(body.tenants) ? body.tenants : undefined,
+  frequency: body.frequency,
+  intervalMonths: body.intervalMonths !== undefined && body.intervalMonths !== '' ? Number(body.intervalMonths) : undefined,
+  startDate: body.startDate ? new Date(body.startDate) : body.startDate,
+  endDate: body.endDate === '' ? null : (body.endDate ? new Date(body.endDate) : body.endDate),
+  active: body.active !== undefined ? !!body.active : undefined
+});
+
+const appliesTo = (template, tenant, room) => {
+  if (template.scope === 'room') {
+    return !!room && template.rooms.some(id => String(id._id || id) === String(room._id));
+  }
+  if (template.scope === 'tenant') {
+    return template.tenants.some(id => String(id._id || id) === String(tenant._id));
+  }
+  return true;
+};
+
+// Whether a template charges this tenant in the billing month (1-12)
+const isDue = (template, tenant, month, year) => {
+  const period = periodIndex(month, year);
+  const start = dateIndex(template.startDate);
+
+  if (!template.active || period < start) return false;
+  if (template.endDate && period > dateIndex(template.endDate)) return false;
+
+  if (template.frequency === 'once') {
+    return !template.applications.some(application => String(application.tenant) === String(tenant._id));
+  }
+  if (template.frequency === 'every_n_months') {
+    return (period - start) % (template.intervalMonths || 1) === 0;
+  }
+  return true;
+};
+
+const getActiveTemplates = () => ChargeTemplate.find({ active: true });
+
+/**
+ * Bill lines for the templates that apply to a tenant in a month. Pass
+ * `templates` to reuse one lookup across a whole billing run.
+ */
+const getChargesFor = async (tenant, room, month, year, templates = null) => {
+  const candidates = templates || await getActiveTemplates();
+
+  return candidates
+    .filter(template => appliesTo(template, tenant, room) && isDue(template, tenant, month, year))
+    .map(template => ({
+      description: template.description || template.name,
+      amount: template.amount,
+      chargeTemplate: template._id
+    }));
+};
+
+// Remember which bill a one-off charge went on so it is not charged again
+const recordApplications = async (bill) => {
+  const templateIds = (bill.items.additionalCharges || [])
+    .filter(charge => charge.chargeTemplate)
+    .map(charge => charge.chargeTemplate);
+  if (templateIds.length === 0) return;
+
+  await ChargeTemplate.updateMany(
+    { _id: { $in: templateIds }, frequency: 'once', 'applications.tenant': { $ne: bill.tenant } },
+    {
+      $push: {
+        applications: { tenant: bill.tenant, bill: bill._id, month: bill.month, year: bill.year }
+      }
+    }
+  );
+};
+
+module.exports = {
+  SCOPES,
+  FREQUENCIES,
+  validateTemplate,
+  normalizeTemplate,
+  appliesTo,
+  isDue,
+  getActiveTemplates,
+  getChargesFor,
+  recordApplications
+};
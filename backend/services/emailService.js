@@ -704,7 +704,7 @@ const sendLateFeeNotification = async (tenantEmail, tenantName, billDetails) =>
               <h3>📋 What You Need to Do:</h3>
               <ul>
                 <li><strong>Pay immediately</strong> to avoid additional penalties</li>
-                <li>Late fees of ₹50 are added monthly for unpaid bills</li>
+                <li>Late fees: ${billDetails.policyDescription || 'charged daily on unpaid bills'}</li>
                 <li>Contact management if you have any payment difficulties</li>
               </ul>
             </div>
@@ -743,7 +743,7 @@ const sendLateFeeNotification = async (tenantEmail, tenantName, billDetails) =>
 
         What You Need to Do:
         - Pay immediately to avoid additional penalties
-        - Late fees of ₹50 are added monthly for unpaid bills
+        - Late fees: ${billDetails.policyDescription || 'charged daily on unpaid bills'}
         - Contact management if you have any payment difficulties
 
         Note: Continued non-payment may result in additional penalties and potential legal action.
@@ -935,8 +935,7 @@ const sendPaymentReminder = async (tenantEmail, tenantName, billDetails, daysUnt
             <div class="info">
               <h3>💡 Important Information:</h3>
               <ul>
-                <li>Late payment penalty: ₹50 per month</li>
-                <li>Penalties are applied on the 10th of each month for unpaid bills</li>
+                <li>Late payment penalty: ${billDetails.policyDescription || 'charged daily after the due date'}</li>
                 <li>Pay before the due date to avoid additional charges</li>
               </ul>
             </div>
@@ -970,8 +969,7 @@ const sendPaymentReminder = async (tenantEmail, tenantName, billDetails, daysUnt
         - Amount Due: ₹${billDetails.amount.toLocaleString()}
 
         Important Information:
-        - Late payment penalty: ₹50 per month
-        - Penalties are applied on the 10th of each month for unpaid bills
+        - Late payment penalty: ${billDetails.policyDescription || 'charged daily after the due date'}
         - Pay before the due date to avoid additional charges
 
         Thank you for being a valued tenant.
@@ -1002,6 +1000,477 @@ const sendPaymentReminder = async (tenantEmail, tenantName, billDetails, daysUnt
 // Run cleanup every 10 minutes
 setInterval(cleanupExpiredCodes, 10 * 60 * 1000);
 
+// Send a payment receipt with the PDF attached
+const sendPaymentReceipt = async (tenantEmail, tenantName, receiptDetails, pdfBuffer) => {
+  try {
+    // Check if email is configured
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('\n' + '='.repeat(60));
+      console.log('📧 EMAIL NOT CONFIGURED - DEVELOPMENT MODE');
+      console.log('='.repeat(60));
+      console.log(`🧾 Payment Receipt for ${tenantEmail}`);
+      console.log(`Tenant: ${tenantName}`);
+      console.log(`Receipt: ${receiptDetails.receiptNumber}`);
+      console.log(`Amount: ₹${receiptDetails.amount}`);
+      console.log('='.repeat(60) + '\n');
+
+      return {
+        success: true,
+        message: 'Receipt email skipped (dev mode)',
+        devMode: true
+      };
+    }
+
+    const transporter = createTransporter();
+    const paidOn = new Date(receiptDetails.paidAt).toLocaleDateString('en-IN');
+    const billLines = (receiptDetails.allocations || [])
+      .map(allocation => `
+              <div class="amount-row">
+                <span>${allocation.billNumber} (${allocation.period})</span>
+                <span>₹${allocation.amount.toLocaleString('en-IN')}</span>
+              </div>`)
+      .join('');
+
+    const mailOptions = {
+      from: {
+        name: 'Bhuyan Complex Management',
+        address: process.env.EMAIL_USER
+      },
+      to: tenantEmail,
+      subject: `🧾 Payment Receipt ${receiptDetails.receiptNumber} - ₹${receiptDetails.amount.toLocaleString('en-IN')}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Payment Receipt</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 0 20px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+              padding: 20px;
+              background: linear-gradient(135deg, #059669 0%, #047857 100%);
+              color: white;
+              border-radius: 10px;
+            }
+            .header h1 {
+              margin: 0;
+              font-size: 24px;
+            }
+            .receipt-details {
+              background: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .amount-row {
+              display: flex;
+              justify-content: space-between;
+              padding: 10px 0;
+              border-bottom: 1px solid #dee2e6;
+            }
+            .amount-row.total {
+              font-weight: bold;
+              font-size: 18px;
+              color: #059669;
+              border-bottom: 3px solid #059669;
+              margin-top: 10px;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #eee;
+              font-size: 14px;
+              color: #666;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🧾 Payment Received</h1>
+              <p>Bhuyan Complex Management System</p>
+            </div>
+
+            <p>Dear ${tenantName},</p>
+            <p>Thank you for your payment. Your receipt is attached to this email.</p>
+
+            <div class="receipt-details">
+              <div class="amount-row">
+                <span>Receipt Number:</span>
+                <span><strong>${receiptDetails.receiptNumber}</strong></span>
+              </div>
+              <div class="amount-row">
+                <span>Paid On:</span>
+                <span>${paidOn}</span>
+              </div>
+              <div class="amount-row">
+                <span>Method:</span>
+                <span>${receiptDetails.paymentMethod}</span>
+              </div>
+              ${billLines}
+              <div class="amount-row total">
+                <span>Amount Received:</span>
+                <span>₹${receiptDetails.amount.toLocaleString('en-IN')}</span>
+              </div>
+              <p><em>${receiptDetails.amountInWords}</em></p>
+            </div>
+
+            <div class="footer">
+              <p><strong>Bhuyan Complex Management System</strong></p>
+              <p>For assistance, please contact building management</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Payment Received - Bhuyan Complex Management
+
+        Dear ${tenantName},
+
+        Thank you for your payment. Your receipt is attached to this email.
+
+        Receipt Number: ${receiptDetails.receiptNumber}
+        Paid On: ${paidOn}
+        Method: ${receiptDetails.paymentMethod}
+        Amount Received: ₹${receiptDetails.amount.toLocaleString('en-IN')}
+        (${receiptDetails.amountInWords})
+
+        Best regards,
+        Bhuyan Complex Management System
+      `,
+      attachments: pdfBuffer ? [{
+        filename: `Receipt_${receiptDetails.receiptNumber.replace(/\//g, '-')}.pdf`,
+        content: pdfBuffer,
+        contentType: 'application/pdf'
+      }] : []
+    };
+
+    console.log(`📧 Sending payment receipt to ${tenantEmail}...`);
+    await transporter.sendMail(mailOptions);
+
+    console.log(`✅ Payment receipt sent to ${tenantEmail}`);
+    return {
+      success: true,
+      message: 'Payment receipt sent successfully'
+    };
+
+  } catch (error) {
+    console.error('❌ Error sending payment receipt:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+const sendLeaseExpiryReminder = async (ownerEmail, ownerName, leases) => {
+  try {
+    // Check if email is configured
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('\n' + '='.repeat(60));
+      console.log('📧 EMAIL NOT CONFIGURED - DEVELOPMENT MODE');
+      console.log('='.repeat(60));
+      console.log(`📄 Lease Expiry Reminder for ${ownerEmail}`);
+      leases.forEach(lease => {
+        console.log(`${lease.tenantName} (Room ${lease.roomNumber}): ends ${lease.endDate}, ${lease.daysLeft} days left`);
+      });
+      console.log('='.repeat(60) + '\n');
+
+      return {
+        success: true,
+        message: 'Lease reminder skipped (dev mode)',
+        devMode: true
+      };
+    }
+
+    const transporter = createTransporter();
+    const leaseLines = leases
+      .map(lease => `
+              <div class="amount-row">
+                <span>${lease.tenantName} (Room ${lease.roomNumber})</span>
+                <span>${lease.endDate} - ${lease.daysLeft} day${lease.daysLeft === 1 ? '' : 's'} left</span>
+              </div>`)
+      .join('');
+
+    const mailOptions = {
+      from: {
+        name: 'Bhuyan Complex Management',
+        address: process.env.EMAIL_USER
+      },
+      to: ownerEmail,
+      subject: `📄 ${leases.length} lease${leases.length === 1 ? '' : 's'} expiring soon`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Leases Expiring Soon</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 0 20px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+              padding: 20px;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              border-radius: 10px;
+            }
+            .header h1 {
+              margin: 0;
+              font-size: 24px;
+            }
+            .lease-details {
+              background: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .amount-row {
+              display: flex;
+              justify-content: space-between;
+              padding: 10px 0;
+              border-bottom: 1px solid #dee2e6;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #eee;
+              font-size: 14px;
+              color: #666;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📄 Leases Expiring Soon</h1>
+              <p>Bhuyan Complex Management System</p>
+            </div>
+
+            <p>Dear ${ownerName},</p>
+            <p>The following lease agreements are coming to an end. Issue a renewal from Lease Agreements in your dashboard so the tenant can sign it before the current lease runs out.</p>
+
+            <div class="lease-details">${leaseLines}
+            </div>
+
+            <div class="footer">
+              <p>Bhuyan Complex Management System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Leases Expiring Soon - Bhuyan Complex Management
+
+        Dear ${ownerName},
+
+        The following lease agreements are coming to an end. Issue a renewal from Lease Agreements in your dashboard so the tenant can sign it before the current lease runs out.
+
+        ${leases.map(lease => `- ${lease.tenantName} (Room ${lease.roomNumber}): ends ${lease.endDate}, ${lease.daysLeft} days left`).join('\n        ')}
+
+        Bhuyan Complex Management System
+      `
+    };
+
+    console.log(`📧 Sending lease expiry reminder to ${ownerEmail}...`);
+    await transporter.sendMail(mailOptions);
+
+    console.log(`✅ Lease expiry reminder sent to ${ownerEmail}`);
+    return {
+      success: true,
+      message: 'Lease expiry reminder sent successfully'
+    };
+
+  } catch (error) {
+    console.error('❌ Error sending lease expiry reminder:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+const sendOnboardingInvitation = async (tenantEmail, tenantName, invite) => {
+  try {
+    // Check if email is configured
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+      console.log('\n' + '='.repeat(60));
+      console.log('📧 EMAIL NOT CONFIGURED - DEVELOPMENT MODE');
+      console.log('='.repeat(60));
+      console.log(`🏠 Onboarding Invitation for ${tenantEmail}`);
+      console.log(`Username: ${invite.username}`);
+      console.log(`Temporary password: ${invite.password}`);
+      console.log(`Room ${invite.roomNumber}, moving in ${invite.moveInDate}`);
+      console.log('='.repeat(60) + '\n');
+
+      return {
+        success: true,
+        message: 'Onboarding invitation skipped (dev mode)',
+        devMode: true
+      };
+    }
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: {
+        name: 'Bhuyan Complex Management',
+        address: process.env.EMAIL_USER
+      },
+      to: tenantEmail,
+      subject: '🏠 Welcome to Bhuyan Complex - complete your move-in',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Complete Your Move-in</title>
+          <style>
+            body {
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background-color: #f4f4f4;
+            }
+            .container {
+              background: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 0 20px rgba(0,0,0,0.1);
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+              padding: 20px;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              border-radius: 10px;
+            }
+            .header h1 {
+              margin: 0;
+              font-size: 24px;
+            }
+            .credentials {
+              background: #f8f9fa;
+              padding: 20px;
+              border-radius: 8px;
+              margin: 20px 0;
+            }
+            .amount-row {
+              display: flex;
+              justify-content: space-between;
+              padding: 10px 0;
+              border-bottom: 1px solid #dee2e6;
+            }
+            .footer {
+              text-align: center;
+              margin-top: 30px;
+              padding-top: 20px;
+              border-top: 1px solid #eee;
+              font-size: 14px;
+              color: #666;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🏠 Welcome, ${tenantName}</h1>
+              <p>Bhuyan Complex Management System</p>
+            </div>
+
+            <p>You have been invited to move into Room ${invite.roomNumber} from ${invite.moveInDate}.</p>
+            <p>Log in with the details below to complete your profile, add an emergency contact and upload your ID proof and photo. Your tenancy is activated once the owner has verified your documents.</p>
+
+            <div class="credentials">
+              <div class="amount-row"><span>Username</span><strong>${invite.username}</strong></div>
+              <div class="amount-row"><span>Temporary password</span><strong>${invite.password}</strong></div>
+            </div>
+
+            ${invite.loginUrl ? `<p><a href="${invite.loginUrl}">${invite.loginUrl}</a></p>` : ''}
+            <p>You will be asked to choose your own password in the first step.</p>
+
+            <div class="footer">
+              <p>Bhuyan Complex Management System</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+      text: `
+        Welcome to Bhuyan Complex - complete your move-in
+
+        Dear ${tenantName},
+
+        You have been invited to move into Room ${invite.roomNumber} from ${invite.moveInDate}.
+        Log in to complete your profile, add an emergency contact and upload your ID proof and photo.
+
+        Username: ${invite.username}
+        Temporary password: ${invite.password}
+        ${invite.loginUrl || ''}
+
+        Bhuyan Complex Management System
+      `
+    };
+
+    console.log(`📧 Sending onboarding invitation to ${tenantEmail}...`);
+    await transporter.sendMail(mailOptions);
+
+    console.log(`✅ Onboarding invitation sent to ${tenantEmail}`);
+    return {
+      success: true,
+      message: 'Onboarding invitation sent successfully'
+    };
+
+  } catch (error) {
+    console.error('❌ Error sending onboarding invitation:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 module.exports = {
   sendVerificationCode,
   verifyCode,
@@ -1009,5 +1478,8 @@ module.exports = {
   cleanupExpiredCodes,
   testEmailConfiguration,
   sendLateFeeNotification,
-  sendPaymentReminder
+  sendPaymentReminder,
+  sendPaymentReceipt,
+  sendLeaseExpiryReminder,
+  sendOnboardingInvitation
 };
@@ -0,0 +1,279 @@
+const { Enquiry, Room, Tenant } = require('../../models');
+const TenantAssignmentService = require('./tenantAssignmentService');
+const { badRequest, notFound, conflict } = require('../utils/serviceHelpers');
+
+// Prospective tenants. People enquire through the public form (or the owner
+// enters a phone enquiry) and the owner moves each enquiry along the
+// pipeline: new → visited → reserved → converted, or closes it. Reserving
+// holds a vacant room for the enquiry; converting assigns the enquirer to
+// that room as a tenant through the same path as the owner's assign-tenant
+// form. Open enquiries with no vacant room that suits them are the waitlist.
+
+const STATUSES = ['new', 'visited', 'reserved', 'converted', 'closed'];
+const OPEN_STATUSES = ['new', 'visited', 'reserved'];
+// Moves the owner can make by hand; conversion has its own endpoint
+const TRANSITIONS = {
+  new: ['visited', 'reserved', 'closed'],
+  visited: ['new', 'reserved', 'closed'],
+  reserved: ['new', 'visited', 'closed'],
+  closed: ['new'],
+  converted: []
+};
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_PHONE_DIGITS = 15;
+// Repeat enquiries stop being noted once an enquiry's history is this long
+const MAX_HISTORY = 50;
+
+const requireText = (value, label) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw badRequest(`${label} is required`);
+  return text;
+};
+
+const normalizePhone = (value) => String(value || '').replace(/[^\d+]/g, '');
+
+const roomTypes = () => Enquiry.schema.path('preferredRoomType').enumValues;
+
+// Whether a vacant room suits what the enquirer asked for
+const roomMatches = (enquiry, room) => room.type === enquiry.preferredRoomType
+  && (!enquiry.budget || room.rent <= enquiry.budget);
+
+class EnquiryService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+    this.tenantAssignmentService = new TenantAssignmentService(broadcastFunction);
+  }
+
+  /**
+   * Record an enquiry. A repeat enquiry from the same phone number while an
+   * earlier one is still open is noted on that one rather than added again;
+   * the form is public, so the details already on file are left as they are,
+   * and only the first MAX_HISTORY entries of history are kept.
+   */
+  async createEnquiry(data = {}, { source = 'website', by = 'enquirer' } = {}) {
+    const details = this.validateDetails(data);
+    const now = new Date();
+
+    const existing = await Enquiry.findOne({ phone: details.phone, status: { $in: OPEN_STATUSES } });
+    if (existing) {
+      existing.updatedAt = now;
+      if (existing.history.length < MAX_HISTORY) {
+        existing.history.push({
+          status: existing.status,
+          note: details.message ? `Enquired again: ${details.message}` : 'Enquired again',
+          by,
+          at: now
+        });
+      }
+      await existing.save();
+      this.broadcastUpdate(existing);
+      return existing;
+    }
+
+    const enquiry = new Enquiry({
+      ...details,
+      source,
+      status: 'new',
+      history: [{ status: 'new', note: source === 'owner' ? 'Added by owner' : 'Enquiry form', by, at: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+    await enquiry.save();
+
+    console.log(`✅ [Enquiry] New ${details.preferredRoomType} enquiry from ${details.name}`);
+    this.broadcastUpdate(enquiry);
+    return enquiry;
+  }
+
+  validateDetails({ name, phone, email, preferredRoomType, budget, moveInDate, message }) {
+    const details = {
+      name: requireText(name, 'Name'),
+      phone: normalizePhone(requireText(phone, 'Phone'))
+    };
+    if (details.name.length > MAX_NAME_LENGTH) throw badRequest(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    const phoneDigits = details.phone.replace(/\D/g, '').length;
+    if (phoneDigits < 10 || phoneDigits > MAX_PHONE_DIGITS) throw badRequest('Enter a valid phone number');
+
+    if (!roomTypes().includes(preferredRoomType)) {
+      throw badRequest(`Room type must be one of ${roomTypes().join(', ')}`);
+    }
+    details.preferredRoomType = preferredRoomType;
+
+    if (email !== undefined && email !== '') {
+      const trimmed = String(email).trim().toLowerCase();
+      if (trimmed.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) {
+        throw badRequest('Enter a valid email address');
+      }
+      details.email = trimmed;
+    }
+
+    if (budget !== undefined && budget !== '' && budget !== null) {
+      const amount = Number(budget);
+      if (!Number.isFinite(amount) || amount < 0) throw badRequest('Budget must be a positive amount');
+      details.budget = amount;
+    }
+
+    if (moveInDate) {
+      const date = new Date(moveInDate);
+      if (Number.isNaN(date.getTime())) throw badRequest('Move-in date is not a valid date');
+      details.moveInDate = date;
+    }
+
+    if (message) details.message = String(message).trim().slice(0, MAX_MESSAGE_LENGTH);
+    return details;
+  }
+
+  // Vacant rooms not held for an enquiry and not offered to an invited tenant
+  async listAvailableRooms(exceptEnquiryId = null) {
+    const [rooms, reserved, invited] = await Promise.all([
+      Room.find({ status: 'vacant', currentTenant: null }).select('roomNumber type floor rent securityDeposit').sort({ roomNumber: 1 }),
+      Enquiry.find({ status: 'reserved', reservedRoom: { $ne: null }, _id: { $ne: exceptEnquiryId } }).select('reservedRoom'),
+      Tenant.distinct('room', { status: 'pending', 'onboarding.status': { $exists: true } })
+    ]);
+    const taken = new Set([...reserved.map(enquiry => String(enquiry.reservedRoom)), ...invited.map(String)]);
+    return rooms.filter(room => !taken.has(String(room._id)));
+  }
+
+  /**
+   * The pipeline for the owner: every enquiry with the available rooms that
+   * suit it, counts per stage and the waitlist (open enquiries no vacant
+   * room suits yet).
+   */
+  async listEnquiries() {
+    const [enquiries, availableRooms] = await Promise.all([
+      Enquiry.find({})
+        .populate('reservedRoom', 'roomNumber type rent')
+        .populate('convertedTenant', 'name username')
+        .sort({ createdAt: -1 }),
+      this.listAvailableRooms()
+    ]);
+
+    const rows = enquiries.map(enquiry => {
+      const open = ['new', 'visited'].includes(enquiry.status);
+      const matchingRooms = open ? availableRooms.filter(room => roomMatches(enquiry, room)) : [];
+      return {
+        ...enquiry.toObject(),
+        matchingRooms,
+        waitlisted: open && matchingRooms.length === 0
+      };
+    });
+
+    const counts = STATUSES.reduce((totals, status) => ({ ...totals, [status]: 0 }), {});
+    rows.forEach(row => { counts[row.status] += 1; });
+
+    return {
+      enquiries: rows,
+      counts,
+      waitlist: rows.filter(row => row.waitlisted).length,
+      availableRooms
+    };
+  }
+
+  /**
+   * Move an enquiry along the pipeline (Owner). Reserving needs a room that
+   * is vacant and not already held; leaving 'reserved' releases the room.
+   */
+  async updateStatus(enquiryId, { status, roomId, note, closedReason } = {}, updatedBy) {
+    if (!STATUSES.includes(status)) throw badRequest(`status must be one of ${STATUSES.join(', ')}`);
+    if (status === 'converted') throw badRequest('Convert the enquiry to assign the tenant to a room');
+
+    const enquiry = await Enquiry.findById(enquiryId);
+    if (!enquiry) throw notFound('Enquiry not found');
+    if (status !== enquiry.status && !TRANSITIONS[enquiry.status].includes(status)) {
+      throw badRequest(`A ${enquiry.status} enquiry cannot be moved to ${status}`);
+    }
+
+    const now = new Date();
+    if (status === 'reserved') {
+      if (!roomId) throw badRequest('Choose the room to reserve');
+      const available = await this.listAvailableRooms(enquiry._id);
+      const room = available.find(candidate => String(candidate._id) === String(roomId));
+      if (!room) throw conflict('That room is no longer available');
+      enquiry.reservedRoom = room._id;
+      enquiry.reservedAt = now;
+    } else {
+      enquiry.reservedRoom = null;
+      enquiry.reservedAt = null;
+    }
+
+    if (status === 'visited' && !enquiry.visitedAt) enquiry.visitedAt = now;
+    enquiry.closedReason = status === 'closed' ? (closedReason ? String(closedReason).trim() : enquiry.closedReason) : undefined;
+    if (note !== undefined) enquiry.notes = String(note).trim();
+
+    enquiry.status = status;
+    enquiry.updatedAt = now;
+    enquiry.history.push({ status, note: status === 'closed' ? enquiry.closedReason : note, by: updatedBy, at: now });
+    await enquiry.save();
+
+    console.log(`✅ [Enquiry] ${enquiry.name} moved to ${status} by ${updatedBy}`);
+    this.broadcastUpdate(enquiry);
+    return Enquiry.findById(enquiry._id).populate('reservedRoom', 'roomNumber type rent');
+  }
+
+  /**
+   * Turn an open enquiry into a tenant assigned to the reserved room (or the
+   * room given). Returns the enquiry, the tenant and their login details.
+   */
+  async convert(enquiryId, { roomId, email, moveInDate, securityDepositPaid, emergencyContact } = {}, convertedBy) {
+    const enquiry = await Enquiry.findById(enquiryId);
+    if (!enquiry) throw notFound('Enquiry not found');
+    if (!OPEN_STATUSES.includes(enquiry.status)) throw badRequest(`A ${enquiry.status} enquiry cannot be converted`);
+
+    const targetRoomId = roomId || enquiry.reservedRoom;
+    if (!targetRoomId) throw badRequest('Choose the room to assign');
+    const available = await this.listAvailableRooms(enquiry._id);
+    const room = available.find(candidate => String(candidate._id) === String(targetRoomId));
+    if (!room) throw conflict('That room is no longer available');
+
+    const tenantEmail = String(email || enquiry.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(tenantEmail)) throw badRequest('An email address is needed for the tenant login');
+    const deposit = securityDepositPaid === undefined || securityDepositPaid === '' ? 0 : Number(securityDepositPaid);
+    if (!Number.isFinite(deposit) || deposit < 0) throw badRequest('Security deposit paid must be a positive amount');
+
+    const existingTenant = await Tenant.findOne({ $or: [{ email: tenantEmail }, { phone: enquiry.phone }] }).select('name');
+    if (existingTenant) throw conflict(`${existingTenant.name} already has this email or phone number`);
+
+    const { tenant, username, password } = await this.tenantAssignmentService.assignTenant(room._id, {
+      name: enquiry.name,
+      email: tenantEmail,
+      phone: enquiry.phone,
+      emergencyContact,
+      moveInDate: moveInDate || enquiry.moveInDate,
+      securityDepositPaid: deposit
+    });
+
+    const now = new Date();
+    enquiry.email = tenantEmail;
+    enquiry.status = 'converted';
+    enquiry.reservedRoom = room._id;
+    enquiry.convertedTenant = tenant._id;
+    enquiry.convertedAt = now;
+    enquiry.updatedAt = now;
+    enquiry.history.push({ status: 'converted', note: `Assigned to room ${room.roomNumber}`, by: convertedBy, at: now });
+    await enquiry.save();
+
+    console.log(`✅ [Enquiry] ${enquiry.name} converted to tenant ${username} in room ${room.roomNumber}`);
+    this.broadcastUpdate(enquiry);
+    if (this.broadcastToClients) {
+      this.broadcastToClients({ type: 'ROOMS_UPDATED' });
+    }
+
+    return { enquiry, tenant, username, password };
+  }
+
+  broadcastUpdate(enquiry) {
+    if (!this.broadcastToClients) return;
+    this.broadcastToClients({
+      type: 'ENQUIRIES_UPDATED',
+      enquiryId: enquiry._id,
+      status: enquiry.status
+    });
+  }
+}
+
+EnquiryService.STATUSES = STATUSES;
+EnquiryService.roomTypes = roomTypes;
+
+module.exports = EnquiryService;
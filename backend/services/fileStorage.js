@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { StoredFile } = require('../../models');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+const S3Storage = require('./storage/s3Storage');
+const { badRequest, forbidden, notFound } = require('../utils/serviceHelpers');
+
+// Uploaded files. Bytes go to the configured storage - local disk by default
+// (FILE_STORAGE_DIR), or any S3-compatible store with FILE_STORAGE_DRIVER=s3 -
+// and a StoredFile document records what was stored. Everything else keeps
+// only the file's path, /api/files/:id, which is served behind
+// authentication or with a short-lived signature (see fileUrl), since an
+// <img> tag cannot send the Bearer token.
+
+const FILE_PATH_PATTERN = /^\/api\/files\/([a-f0-9]{24})(\/thumbnail)?$/;
+const DATA_URL_PATTERN = /^data:([^;,]+)?(;base64)?,/;
+
+const URL_SECRET = process.env.FILE_URL_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+const URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+const THUMBNAIL_SIZE = 320;
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// What each kind of upload may be
+const CATEGORIES = {
+  payment_screenshot: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  profile_photo: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  tenant_document: { types: [...IMAGE_TYPES, 'application/pdf'], maxSize: 5 * MB },
+  owner_document: { types: [...IMAGE_TYPES, 'application/pdf'], maxSize: 10 * MB },
+  lease_signature: { types: ['image/png'], maxSize: 1 * MB }
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+// ---- Storage ----
+
+let adapter = null;
+
+const getAdapter = () => {
+  if (adapter) return adapter;
+
+  if ((process.env.FILE_STORAGE_DRIVER || 'local') === 's3') {
+    adapter = new S3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+    });
+  } else {
+    adapter = new LocalDiskStorage(process.env.FILE_STORAGE_DIR || path.join(__dirname, '../../uploads'));
+  }
+
+  console.log(`📁 [FileStorage] Using ${adapter.name} storage`);
+  return adapter;
+};
+
+// Files are read back from the storage they were written to
+const adapterFor = (file) => {
+  const current = getAdapter();
+  if (file.storage !== current.name) {
+    throw new Error(`File ${file._id} is in ${file.storage} storage but ${current.name} is configured`);
+  }
+  return current;
+};
+
+// ---- Validation ----
+
+// The declared type is not trusted; the bytes say what the file is
+const detectMimeType = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+};
+
+const decodeData = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  const text = String(data || '');
+  const match = text.match(DATA_URL_PATTERN);
+  if (match && !match[2]) throw badRequest('Only base64 data URLs are supported');
+  return Buffer.from(match ? text.slice(match[0].length) : text, 'base64');
+};
+
+const formatSize = (bytes) => `${Math.round(bytes / MB * 10) / 10} MB`;
+
+// ---- Saving and reading ----
+
+const generateKey = (category, extension) => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  return `${category}/${now.getFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+};
+
+/**
+ * Validate and store one upload. `data` is a Buffer, a base64 data URL or
+ * bare base64. Images get a thumbnail. Returns the StoredFile.
+ */
+const saveFile = async ({ data, fileName, category, tenant, owner, uploadedBy }) => {
+  const rules = CATEGORIES[category];
+  if (!rules) throw new Error(`Unknown file category: ${category}`);
+
+  const buffer = decodeData(data);
+  if (buffer.length === 0) throw badRequest('File is empty');
+  if (buffer.length > rules.maxSize) {
+    throw badRequest(`File is ${formatSize(buffer.length)}; the limit is ${formatSize(rules.maxSize)}`);
+  }
+
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType || !rules.types.includes(mimeType)) {
+    const allowed = rules.types.map(type => EXTENSIONS[type].toUpperCase()).join(', ');
+    throw badRequest(`Unsupported file type - upload ${allowed}`);
+  }
+
+  const storage = getAdapter();
+  const key = generateKey(category, EXTENSIONS[mimeType]);
+  const file = new StoredFile({
+    storage: storage.name,
+    key,
+    category,
+    originalName: fileName ? path.basename(String(fileName)) : undefined,
+    mimeType,
+    size: buffer.length,
+    tenant,
+    owner,
+    uploadedBy
+  });
+
+  let thumbnail = null;
+  if (mimeType.startsWith('image/')) {
+    try {
+      const image = sharp(buffer).rotate();
+      const metadata = await image.metadata();
+      file.width = metadata.width;
+      file.height = metadata.height;
+      thumbnail = await image
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+      file.thumbnailKey = key.replace(/\.[a-z]+$/, '_thumb.webp');
+    } catch {
+      throw badRequest('The image could not be read - it may be corrupt');
+    }
+  }
+
+  await storage.put(key, buffer, mimeType);
+  if (thumbnail) await storage.put(file.thumbnailKey, thumbnail, 'image/webp');
+
+  try {
+    await file.save();
+  } catch (error) {
+    await storage.remove(key);
+    if (file.thumbnailKey) await storage.remove(file.thumbnailKey);
+    throw error;
+  }
+
+  console.log(`✅ [FileStorage] Stored ${category} ${file._id} (${mimeType}, ${buffer.length} bytes)`);
+  return file;
+};
+
+// Tenants can open their own files; owners and admins any file
+const canAccess = (file, user) => {
+  if (!user) return false;
+  if (user.role === 'owner' || user.role === 'admin') return true;
+  return user.role === 'tenant' && file.tenant && String(file.tenant) === String(user.id);
+};
+
+/**
+ * The bytes of a stored file (or its thumbnail). Pass `user` to enforce
+ * ownership, or `null` when a signed URL has already authorised the request.
+ */
+const readFile = async (fileId, { thumbnail = false, user = null } = {}) => {
+  const file = await StoredFile.findById(fileId);
+  if (!file) throw notFound('File not found');
+  if (user !== null && !canAccess(file, user)) throw forbidden('You do not have access to this file');
+
+  const key = thumbnail && file.thumbnailKey ? file.thumbnailKey : file.key;
+  const buffer = await adapterFor(file).get(key);
+
+  return {
+    file,
+    buffer,
+    mimeType: key === file.thumbnailKey ? 'image/webp' : file.mimeType
+  };
+};
+
+const deleteFile = async (fileId) => {
+  const file = await StoredFile.findById(fileId);
+  if (!file) return;
+
+  const storage = adapterFor(file);
+  await storage.remove(file.key);
+  if (file.thumbnailKey) await storage.remove(file.thumbnailKey);
+  await file.deleteOne();
+};
+
+// ---- Paths and URLs ----
+
+const filePath = (file) => `/api/files/${file._id}`;
+const thumbnailPath = (file) => (file.thumbnailKey ? `/api/files/${file._id}/thumbnail` : undefined);
+
+const isFilePath = (value) => typeof value === 'string' && FILE_PATH_PATTERN.test(value);
+const isDataUrl = (value) => typeof value === 'string' && DATA_URL_PATTERN.test(value);
+
+const signPath = (filePathValue, expires) => crypto
+  .createHmac('sha256', URL_SECRET)
+  .update(`${filePathValue}:${expires}`)
+  .digest('base64url');
+
+/**
+ * A URL for a stored file path that works without the Bearer token until
+ * it expires. Anything else (old base64 data, external URLs) is returned
+ * unchanged, so responses can pass every photo through this.
+ */
+const fileUrl = (value) => {
+  if (!isFilePath(value)) return value;
+  const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+  return `${value}?expires=${expires}&signature=${signPath(value, expires)}`;
+};
+
+const verifySignedPath = (filePathValue, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(signPath(filePathValue, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// ---- Profile uploads ----
+
+// Clients send back the signed URLs they were given; store the bare path
+const SIGNED_URL_PATTERN = /^(?:https?:\/\/[^/]+)?(\/api\/files\/[a-f0-9]{24}(?:\/thumbnail)?)\?expires=/;
+
+const toStoredPath = (value) => {
+  const match = typeof value === 'string' && value.match(SIGNED_URL_PATTERN);
+  return match ? match[1] : value;
+};
+
+// Whether a stored file belongs to the tenant or owner a profile is saved for
+const ownsFile = async (value, { tenant, owner } = {}) => {
+  const file = await StoredFile.findById(value.match(FILE_PATH_PATTERN)[1]).select('tenant owner');
+  if (!file) return false;
+  if (tenant) return String(file.tenant) === String(tenant);
+  if (owner) return String(file.owner) === String(owner);
+  return false;
+};
+
+// A file path sent back by the client, refused unless it is one of the profile's own files
+const toOwnedPath = async (value, options) => {
+  const stored = toStoredPath(value);
+  if (isFilePath(stored) && !(await ownsFile(stored, options))) {
+    throw forbidden('You do not have access to this file');
+  }
+  return stored;
+};
+
+// Profile forms still send new files inline as data URLs; store them and keep the path
+const storeDataUrl = async (value, options) => {
+  if (!isDataUrl(value)) return toOwnedPath(value, options);
+  return filePath(await saveFile({ ...options, data: value }));
+};
+
+/**
+ * Store any document in a profile's documents (an object keyed by document
+ * type for tenants, an array for owners) still carrying inline data. The
+ * stored document keeps its metadata, with `data` replaced by the path.
+ */
+const storeDocuments = async (documents, options) => {
+  if (!documents || typeof documents !== 'object') return documents;
+
+  const storeOne = async (document) => {
+    if (!document || typeof document !== 'object') return document;
+    const inline = [document.data, document.fileData].find(isDataUrl);
+    if (!inline) {
+      const data = await toOwnedPath(document.data, options);
+      const thumbnail = await toOwnedPath(document.thumbnail, options);
+      return document.fileId || isFilePath(data) ? { ...document, data, thumbnail } : document;
+    }
+
+    const file = await saveFile({ ...options, data: inline, fileName: document.name || document.fileName });
+    const rest = { ...document };
+    delete rest.fileData;
+    return {
+      ...rest,
+      name: document.name || document.fileName || file.originalName,
+      type: document.type || file.mimeType,
+      data: filePath(file),
+      thumbnail: thumbnailPath(file),
+      fileId: file._id
+    };
+  };
+
+  if (Array.isArray(documents)) return Promise.all(documents.map(storeOne));
+
+  const entries = await Promise.all(
+    Object.entries(documents).map(async ([type, document]) => [type, await storeOne(document)])
+  );
+  return Object.fromEntries(entries);
+};
+
+// Documents with their paths turned into signed URLs, for responses
+const documentUrls = (documents) => {
+  if (!documents || typeof documents !== 'object') return documents;
+  const signOne = (document) => (document && typeof document === 'object'
+    ? { ...document, data: fileUrl(document.data), thumbnail: fileUrl(document.thumbnail) }
+    : document);
+
+  return Array.isArray(documents)
+    ? documents.map(signOne)
+    : Object.fromEntries(Object.entries(documents).map(([type, document]) => [type, signOne(document)]));
+};
+
+// A tenant's or owner's profileData with photo and document URLs signed
+const profileDataUrls = (profileData) => {
+  if (!profileData) return profileData;
+  const plain = typeof profileData.toObject === 'function' ? profileData.toObject() : profileData;
+  return {
+    ...plain,
+    basicInfo: plain.basicInfo && { ...plain.basicInfo, profilePhoto: fileUrl(plain.basicInfo.profilePhoto) },
+    documents: documentUrls(plain.documents)
+  };
+};
+
+// A whole tenant or owner document as a plain object, with its URLs signed
+const withProfileUrls = (person) => {
+  if (!person) return person;
+  const plain = typeof person.toObject === 'function' ? person.toObject() : person;
+  return {
+    ...plain,
+    profilePhoto: fileUrl(plain.profilePhoto),
+    profileData: profileDataUrls(plain.profileData)
+  };
+};
+
+// Every stored file path referenced anywhere in a value
+const collectFilePaths = (value, found = new Set()) => {
+  if (isFilePath(value)) {
+    found.add(value.replace(/\/thumbnail$/, ''));
+  } else if (value && typeof value === 'object') {
+    Object.values(typeof value.toObject === 'function' ? value.toObject() : value)
+      .forEach(child => collectFilePaths(child, found));
+  }
+  return found;
+};
+
+/**
+ * Delete files a profile referenced before an update and no longer does
+ * (a replaced photo, a re-uploaded document). Only the profile's own files
+ * (`owners` is `{ tenant }` or `{ owner }`) are deleted. Failures are logged
+ * only.
+ */
+const removeReplacedFiles = async (before, after, owners) => {
+  const kept = collectFilePaths(after);
+  const removed = [...collectFilePaths(before)].filter(value => !kept.has(value));
+
+  for (const value of removed) {
+    try {
+      if (!(await ownsFile(value, owners))) continue;
+      await deleteFile(value.match(FILE_PATH_PATTERN)[1]);
+    } catch (error) {
+      console.error(`❌ [FileStorage] Could not delete replaced file ${value}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  CATEGORIES,
+  saveFile,
+  readFile,
+  deleteFile,
+  filePath,
+  thumbnailPath,
+  isFilePath,
+  isDataUrl,
+  fileUrl,
+  verifySignedPath,
+  storeDataUrl,
+  storeDocuments,
+  documentUrls,
+  profileDataUrls,
+  withProfileUrls,
+  removeReplacedFiles
+};
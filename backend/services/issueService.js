@@ -0,0 +1,196 @@
+const { Issue, Tenant, Notification } = require('../../models');
+const { badRequest } = require('../utils/serviceHelpers');
+
+// Allowed status moves for a ticket. Owners drive the ticket forward; a tenant
+// can only confirm a resolution (close it) or reopen it.
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'in_progress', 'resolved', 'closed'],
+  acknowledged: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['closed', 'open', 'in_progress'],
+  closed: ['open']
+};
+
+const TENANT_TRANSITIONS = {
+  resolved: ['closed', 'open']
+};
+
+const PRIORITIES = Issue.schema.path('priority').enumValues;
+const CATEGORIES = Issue.schema.path('category').enumValues;
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+class IssueService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  canTransition(fromStatus, toStatus, role = 'owner') {
+    const transitions = role === 'tenant' ? TENANT_TRANSITIONS : STATUS_TRANSITIONS;
+    return (transitions[fromStatus] || []).includes(toStatus);
+  }
+
+  async createIssue(tenantId, { title, description, priority, category, attachments = [] }) {
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+    if (priority && !PRIORITIES.includes(priority)) {
+      throw badRequest(`Priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (category && !CATEGORIES.includes(category)) {
+      throw badRequest(`Category must be one of ${CATEGORIES.join(', ')}`);
+    }
+
+    const issue = new Issue({
+      tenant: tenant._id,
+      room: tenant.room,
+      title,
+      description,
+      priority: priority || 'medium',
+      category: category || 'general',
+      attachments: attachments.map(attachment => ({
+        filename: attachment.filename || attachment.data,
+        originalName: attachment.originalName || attachment.name || 'attachment',
+        uploadDate: new Date()
+      })),
+      statusHistory: [{
+        status: 'open',
+        changedByRole: 'tenant',
+        changedBy: tenant._id,
+        note: 'Issue reported'
+      }]
+    });
+
+    await issue.save();
+
+    console.log(`🛠️ [IssueService] Issue "${issue.title}" reported by ${tenant.name}`);
+
+    const populated = await this.getIssue(issue._id);
+    this.broadcastIssueUpdate(populated, 'created');
+    return populated;
+  }
+
+  async getIssue(issueId) {
+    return Issue.findById(issueId)
+      .populate('tenant', 'name username phone email')
+      .populate('room', 'roomNumber floor');
+  }
+
+  async updateStatus(issue, status, { changedByRole = 'owner', changedBy = null, note = '' } = {}) {
+    const previousStatus = issue.status;
+
+    issue.status = status;
+    issue.statusHistory.push({
+      status,
+      changedByRole,
+      changedBy,
+      note
+    });
+
+    if (status === 'resolved') issue.resolvedAt = new Date();
+    if (status === 'closed') issue.closedAt = new Date();
+    if (status === 'open') {
+      issue.resolvedAt = undefined;
+      issue.closedAt = undefined;
+    }
+    issue.updatedAt = new Date();
+
+    await issue.save();
+
+    console.log(`🛠️ [IssueService] Issue ${issue._id} moved ${previousStatus} → ${status} by ${changedByRole}`);
+
+    const populated = await this.getIssue(issue._id);
+    this.broadcastIssueUpdate(populated, 'status_changed', { previousStatus });
+
+    if (changedByRole !== 'tenant') {
+      try {
+        await this.sendStatusNotification(populated, note);
+      } catch (notifError) {
+        console.warn(`⚠️ [IssueService] Failed to notify tenant for issue ${issue._id}:`, notifError.message);
+      }
+    }
+
+    return populated;
+  }
+
+  async assign(issue, { name, phone, role }) {
+    issue.assignedTo = {
+      name,
+      phone,
+      role,
+      assignedAt: new Date()
+    };
+    issue.updatedAt = new Date();
+
+    await issue.save();
+
+    const populated = await this.getIssue(issue._id);
+    this.broadcastIssueUpdate(populated, 'assigned');
+    return populated;
+  }
+
+  async addComment(issue, { authorRole, authorId, authorName, message }) {
+    issue.comments.push({
+      authorRole,
+      authorId,
+      authorName,
+      message
+    });
+    issue.updatedAt = new Date();
+
+    await issue.save();
+
+    const populated = await this.getIssue(issue._id);
+    this.broadcastIssueUpdate(populated, 'commented');
+    return populated;
+  }
+
+  // Every connected client receives this, so it carries ids and the status
+  // only; the owner's and the tenant's screens fetch the issue themselves
+  broadcastIssueUpdate(issue, event, extra = {}) {
+    if (!this.broadcastToClients || !issue) return;
+
+    this.broadcastToClients({
+      type: 'ISSUE_UPDATED',
+      event,
+      issueId: issue._id,
+      tenantId: issue.tenant?._id || issue.tenant,
+      status: issue.status,
+      ...extra
+    });
+  }
+
+  async sendStatusNotification(issue, note) {
+    const notification = new Notification({
+      title: `Issue ${STATUS_LABELS[issue.status] || issue.status}`,
+      message: `Your issue "${issue.title}" is now ${STATUS_LABELS[issue.status] || issue.status}.${note ? ` Note: ${note}` : ''}`,
+      type: 'personal',
+      category: issue.status === 'resolved' ? 'success' : 'info',
+      priority: 'medium',
+      recipients: [{ tenant: issue.tenant._id }]
+    });
+
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username'),
+      });
+    }
+  }
+}
+
+IssueService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+IssueService.STATUS_LABELS = STATUS_LABELS;
+IssueService.PRIORITIES = PRIORITIES;
+
+module.exports = IssueService;
@@ -0,0 +1,489 @@
+const { Tenant, Owner, Notification, LeaseTemplate, LeaseAgreement } = require('../../models');
+const fileStorage = require('./fileStorage');
+const emailService = require('./emailService');
+const RentTermService = require('./rentTermService');
+const { badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Lease agreements generated from owner-editable templates. Template text
+// uses {{mergeFields}} that are filled in from the tenant, room and lease
+// terms when the owner issues a lease; the rendered text is stored on the
+// lease so it reads the same after the template changes. The tenant signs in
+// the app with their typed name and a drawn signature, and the owner is
+// reminded before a signed lease runs out so it can be renewed.
+
+const MERGE_FIELDS = {
+  tenantName: 'Tenant full name',
+  tenantPhone: 'Tenant phone',
+  tenantEmail: 'Tenant email',
+  tenantAddress: 'Tenant permanent address',
+  roomNumber: 'Room number',
+  roomType: 'Room type',
+  monthlyRent: 'Monthly rent',
+  securityDeposit: 'Security deposit',
+  startDate: 'Lease start date',
+  endDate: 'Lease end date',
+  termMonths: 'Lease term in months',
+  ownerName: 'Owner name',
+  agreementDate: 'Date the lease was issued',
+  clauses: 'The template clauses, numbered'
+};
+
+// Days before the end date on which the owner is reminded
+const REMINDER_DAYS = [30, 7];
+const MAX_TERM_MONTHS = 36;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MERGE_FIELD_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATE = {
+  name: 'Standard residential lease',
+  body: [
+    'This rental agreement is made on {{agreementDate}} between {{ownerName}} ("the Owner") and {{tenantName}}, ' +
+      'residing at {{tenantAddress}} ("the Tenant").',
+    'The Owner lets Room {{roomNumber}} ({{roomType}}) at Bhuyan Complex to the Tenant for {{termMonths}} months, ' +
+      'from {{startDate}} to {{endDate}}.',
+    'The Tenant will pay a monthly rent of {{monthlyRent}} by the due date on each bill, and has paid a refundable ' +
+      'security deposit of {{securityDeposit}}, which is settled against dues and damages when the Tenant moves out.',
+    'Both parties agree to the following terms:',
+    '{{clauses}}'
+  ].join('\n\n'),
+  clauses: [
+    'Electricity, water and other utilities are billed monthly as shown on each bill.',
+    'A late fee applies to bills paid after the due date, as per the building late fee policy.',
+    'The room may not be sublet or used for commercial purposes.',
+    'Either party may end this agreement with one month\'s written notice.',
+    'The Tenant will hand the room back in the condition it was received, allowing for normal wear and tear.'
+  ],
+  defaultTermMonths: 11
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const startOfDay = (date) => {
+  const value = new Date(date);
+  value.setHours(0, 0, 0, 0);
+  return value;
+};
+
+// The last day of a term of `months` starting on `startDate`
+const leaseEndDate = (startDate, months) => {
+  const end = new Date(startDate);
+  end.setMonth(end.getMonth() + months);
+  end.setDate(end.getDate() - 1);
+  return end;
+};
+
+const daysUntil = (date, currentDate) => Math.round((startOfDay(date) - startOfDay(currentDate)) / DAY_MS);
+
+const renderText = (text, values) => String(text || '')
+  .replace(MERGE_FIELD_PATTERN, (match, field) => (values[field] !== undefined ? values[field] : match));
+
+const unknownFields = (text) => [...String(text || '').matchAll(MERGE_FIELD_PATTERN)]
+  .map(match => match[1])
+  .filter(field => !MERGE_FIELDS[field]);
+
+const validateTemplate = (template) => {
+  const errors = [];
+
+  if (!template.name || !String(template.name).trim()) {
+    errors.push('name is required');
+  }
+  if (!template.body || !String(template.body).trim()) {
+    errors.push('body is required');
+  }
+  const unknown = [...new Set([...unknownFields(template.body), ...(template.clauses || []).flatMap(unknownFields)])];
+  if (unknown.length > 0) {
+    errors.push(`unknown merge fields: ${unknown.map(field => `{{${field}}}`).join(', ')}`);
+  }
+  if (!Number.isInteger(template.defaultTermMonths) || template.defaultTermMonths < 1 || template.defaultTermMonths > MAX_TERM_MONTHS) {
+    errors.push(`defaultTermMonths must be a whole number from 1 to ${MAX_TERM_MONTHS}`);
+  }
+
+  return errors;
+};
+
+const normalizeTemplate = (body) => ({
+  name: body.name !== undefined ? String(body.name).trim() : undefined,
+  body: body.body !== undefined ? String(body.body) : undefined,
+  clauses: Array.isArray(body.clauses)
+    ? body.clauses.map(clause => String(clause).trim()).filter(Boolean)
+    : undefined,
+  defaultTermMonths: body.defaultTermMonths !== undefined && body.defaultTermMonths !== ''
+    ? Number(body.defaultTermMonths)
+    : undefined,
+  active: body.active !== undefined ? !!body.active : undefined
+});
+
+// Matches the path fileStorage gives stored files
+const STORED_FILE_PATTERN = /^\/api\/files\/([a-f0-9]{24})$/;
+
+class LeaseService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  // ---- Templates ----
+
+  // Templates for the owner, starting them off with the standard one
+  async listTemplates() {
+    if (await LeaseTemplate.countDocuments() === 0) {
+      await LeaseTemplate.create({ ...DEFAULT_TEMPLATE, createdBy: 'system' });
+    }
+    return LeaseTemplate.find().sort({ active: -1, updatedAt: -1 });
+  }
+
+  async createTemplate(body, createdBy) {
+    const fields = normalizeTemplate(body);
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    const errors = validateTemplate({ defaultTermMonths: DEFAULT_TEMPLATE.defaultTermMonths, ...fields });
+    if (errors.length > 0) throw badRequest(`Invalid lease template: ${errors.join('; ')}`);
+
+    return LeaseTemplate.create({ ...fields, createdBy });
+  }
+
+  async updateTemplate(templateId, body) {
+    const template = await LeaseTemplate.findById(templateId);
+    if (!template) throw notFound('Lease template not found');
+
+    const fields = normalizeTemplate(body);
+    Object.keys(fields).forEach(key => fields[key] !== undefined && template.set(key, fields[key]));
+    const errors = validateTemplate(template.toObject());
+    if (errors.length > 0) throw badRequest(`Invalid lease template: ${errors.join('; ')}`);
+
+    template.updatedAt = new Date();
+    return template.save();
+  }
+
+  // ---- Leases ----
+
+  // Every lease with how long signed ones have left, newest first (Owner)
+  async listLeases({ status } = {}, currentDate = new Date()) {
+    const filter = status ? { status } : {};
+    const leases = await LeaseAgreement.find(filter)
+      .populate('tenant', 'name username status')
+      .populate('room', 'roomNumber')
+      .select('-content -clauses')
+      .sort({ createdAt: -1 });
+
+    return leases.map(lease => ({
+      ...lease.toObject(),
+      daysRemaining: lease.status === 'signed' ? daysUntil(lease.endDate, currentDate) : null
+    }));
+  }
+
+  async getLease(leaseId) {
+    return LeaseAgreement.findById(leaseId)
+      .populate('tenant', 'name email phone address username')
+      .populate('room', 'roomNumber type floor');
+  }
+
+  // The tenant's lease in force, any lease waiting for their signature, and older ones
+  async getTenantLeases(tenantId) {
+    const leases = await LeaseAgreement.find({ tenant: tenantId, status: { $ne: 'cancelled' } })
+      .populate('room', 'roomNumber type')
+      .sort({ startDate: -1 });
+
+    return {
+      pending: leases.find(lease => lease.status === 'pending_signature') || null,
+      current: leases.find(lease => lease.status === 'signed') || null,
+      history: leases.filter(lease => ['expired', 'renewed'].includes(lease.status))
+    };
+  }
+
+  /**
+   * Render a template for a tenant and issue it for signing. Rent, deposit
+   * and term default to the room's rent and deposit and the template's term.
+   * Pass `renewalOf` to issue the lease that follows a signed one.
+   */
+  async createLease({ tenantId, templateId, monthlyRent, securityDeposit, startDate, termMonths, renewalOf } = {}, createdBy) {
+    const tenant = await Tenant.findById(tenantId).populate('room');
+    if (!tenant) throw notFound('Tenant not found');
+    if (!tenant.room) throw badRequest('Assign the tenant a room before issuing a lease');
+
+    const template = await LeaseTemplate.findById(templateId);
+    if (!template) throw notFound('Lease template not found');
+    if (!template.active) throw badRequest('This lease template is inactive');
+
+    const pending = await LeaseAgreement.findOne({ tenant: tenant._id, status: 'pending_signature' });
+    if (pending) throw badRequest('This tenant already has a lease waiting for signature - cancel it first');
+
+    let previous = null;
+    if (renewalOf) {
+      previous = await LeaseAgreement.findOne({ _id: renewalOf, tenant: tenant._id });
+      if (!previous) throw notFound('Lease to renew not found');
+      if (!['signed', 'expired'].includes(previous.status)) throw badRequest('Only a signed or expired lease can be renewed');
+    } else {
+      // A new lease for a tenant with one in force replaces it once signed
+      previous = await LeaseAgreement.findOne({ tenant: tenant._id, status: 'signed' });
+    }
+
+    const term = termMonths !== undefined && termMonths !== '' ? Number(termMonths) : template.defaultTermMonths;
+    if (!Number.isInteger(term) || term < 1 || term > MAX_TERM_MONTHS) {
+      throw badRequest(`termMonths must be a whole number from 1 to ${MAX_TERM_MONTHS}`);
+    }
+    const deposit = securityDeposit !== undefined && securityDeposit !== ''
+      ? Number(securityDeposit)
+      : (tenant.securityDepositPaid || tenant.room.securityDeposit || 0);
+    if (!Number.isFinite(deposit) || deposit < 0) throw badRequest('securityDeposit cannot be negative');
+
+    const defaultStart = previous
+      ? new Date(startOfDay(previous.endDate).getTime() + DAY_MS)
+      : (tenant.moveInDate || new Date());
+    const start = startOfDay(startDate || defaultStart);
+    if (Number.isNaN(start.getTime())) throw badRequest('startDate is not a valid date');
+    const end = leaseEndDate(start, term);
+    // Without an explicit rent the lease states the rent in effect when it starts
+    const rent = monthlyRent !== undefined && monthlyRent !== ''
+      ? Number(monthlyRent)
+      : (await RentTermService.getRentForPeriod(tenant, tenant.room, start.getMonth() + 1, start.getFullYear())).amount;
+    if (!Number.isFinite(rent) || rent <= 0) throw badRequest('monthlyRent must be a positive number');
+
+    const owner = await Owner.findOne().select('name');
+    const now = new Date();
+    const values = {
+      tenantName: tenant.name,
+      tenantPhone: tenant.phone || '',
+      tenantEmail: tenant.email || '',
+      tenantAddress: tenant.address || 'the address on record',
+      roomNumber: tenant.room.roomNumber,
+      roomType: tenant.room.type,
+      monthlyRent: formatAmount(rent),
+      securityDeposit: formatAmount(deposit),
+      startDate: formatDate(start),
+      endDate: formatDate(end),
+      termMonths: String(term),
+      ownerName: owner?.name || 'the Owner',
+      agreementDate: formatDate(now)
+    };
+    const renderedClauses = template.clauses.map(clause => renderText(clause, values));
+    values.clauses = renderedClauses.map((clause, index) => `${index + 1}. ${clause}`).join('\n');
+    // Templates that do not place {{clauses}} get them at the end
+    const body = /\{\{\s*clauses\s*\}\}/.test(template.body) || renderedClauses.length === 0
+      ? template.body
+      : `${template.body}\n\n{{clauses}}`;
+
+    const lease = await LeaseAgreement.create({
+      tenant: tenant._id,
+      room: tenant.room._id,
+      template: template._id,
+      title: template.name,
+      content: renderText(body, values),
+      clauses: renderedClauses,
+      monthlyRent: rent,
+      securityDeposit: deposit,
+      startDate: start,
+      endDate: end,
+      termMonths: term,
+      renewalOf: previous?._id,
+      createdBy
+    });
+
+    await this.notifyTenant(tenant._id, 'info', previous ? 'Lease renewal ready to sign' : 'Lease ready to sign',
+      `Your lease for Room ${tenant.room.roomNumber} from ${formatDate(start)} to ${formatDate(end)} is ready. ` +
+      'Open the Lease tab in your dashboard to review and sign it.');
+    this.broadcastUpdate(lease);
+
+    return this.getLease(lease._id);
+  }
+
+  /**
+   * Sign a lease as the tenant: the typed name must match the name on the
+   * lease, and the drawn signature (a PNG data URL) is stored alongside the
+   * time, IP address and browser it was signed from.
+   */
+  async signLease(leaseId, tenantId, { typedName, signature } = {}, { ipAddress, userAgent } = {}) {
+    const lease = await LeaseAgreement.findOne({ _id: leaseId, tenant: tenantId }).populate('tenant', 'name');
+    if (!lease) throw notFound('Lease not found');
+    if (lease.status !== 'pending_signature') throw badRequest('This lease is not waiting for a signature');
+
+    if (normalizeName(typedName) !== normalizeName(lease.tenant.name)) {
+      throw badRequest(`Type your full name exactly as it appears on the lease (${lease.tenant.name})`);
+    }
+    if (!fileStorage.isDataUrl(signature)) throw badRequest('Draw your signature before signing');
+
+    const stored = await fileStorage.saveFile({
+      data: signature,
+      fileName: `lease-signature-${lease._id}.png`,
+      category: 'lease_signature',
+      tenant: tenantId,
+      uploadedBy: lease.tenant.name
+    });
+
+    const now = new Date();
+    const signed = await LeaseAgreement.findOneAndUpdate(
+      { _id: lease._id, status: 'pending_signature' },
+      {
+        $set: {
+          status: 'signed',
+          signature: {
+            typedName: String(typedName).trim(),
+            image: fileStorage.filePath(stored),
+            signedAt: now,
+            ipAddress,
+            userAgent
+          },
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+    if (!signed) {
+      await fileStorage.deleteFile(stored._id);
+      throw badRequest('This lease is not waiting for a signature');
+    }
+
+    if (signed.renewalOf) {
+      await LeaseAgreement.updateOne(
+        { _id: signed.renewalOf, status: { $in: ['signed', 'expired'] } },
+        { $set: { status: 'renewed', renewedBy: signed._id, updatedAt: now } }
+      );
+    }
+    await Tenant.updateOne({ _id: tenantId }, { $set: { currentLease: signed._id, updatedAt: now } });
+
+    console.log(`✅ [Lease] ${lease.tenant.name} signed lease ${signed._id}`);
+    this.broadcastUpdate(signed);
+    return this.getLease(signed._id);
+  }
+
+  // Withdraw a lease the tenant has not signed yet (Owner)
+  async cancelLease(leaseId, performedBy) {
+    const now = new Date();
+    const lease = await LeaseAgreement.findOneAndUpdate(
+      { _id: leaseId, status: 'pending_signature' },
+      { $set: { status: 'cancelled', cancelledBy: performedBy, cancelledAt: now, updatedAt: now } },
+      { new: true }
+    );
+    if (!lease) {
+      if (!await LeaseAgreement.exists({ _id: leaseId })) throw notFound('Lease not found');
+      throw badRequest('Only a lease waiting for signature can be cancelled');
+    }
+
+    this.broadcastUpdate(lease);
+    return lease;
+  }
+
+  // The drawn signature as a buffer for the PDF, or null
+  async getSignatureImage(lease) {
+    const match = STORED_FILE_PATTERN.exec(lease.signature?.image || '');
+    if (!match) return null;
+
+    try {
+      const { buffer } = await fileStorage.readFile(match[1]);
+      return buffer;
+    } catch (error) {
+      console.error(`❌ [Lease] Could not read signature for lease ${lease._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // ---- Expiry ----
+
+  /**
+   * Daily run: mark signed leases past their end date as expired and remind
+   * the owner as each one approaches its end, once per reminder day.
+   */
+  async runExpiryChecks(currentDate = new Date()) {
+    const summary = { expired: 0, reminded: 0 };
+    const today = startOfDay(currentDate);
+
+    const lapsed = await LeaseAgreement.find({ status: 'signed', endDate: { $lt: today } })
+      .populate('tenant', 'name')
+      .populate('room', 'roomNumber');
+    for (const lease of lapsed) {
+      lease.status = 'expired';
+      lease.updatedAt = currentDate;
+      await lease.save();
+      summary.expired++;
+      await this.notifyTenant(lease.tenant._id, 'warning', 'Your lease has expired',
+        `Your lease for Room ${lease.room?.roomNumber || ''} ended on ${formatDate(lease.endDate)}. ` +
+        'The owner will share a renewal for you to sign.');
+      this.broadcastUpdate(lease);
+    }
+
+    const horizon = new Date(today.getTime() + Math.max(...REMINDER_DAYS) * DAY_MS);
+    const expiring = await LeaseAgreement.find({ status: 'signed', endDate: { $gte: today, $lte: horizon } })
+      .populate('tenant', 'name')
+      .populate('room', 'roomNumber');
+
+    const due = [];
+    for (const lease of expiring) {
+      const daysLeft = daysUntil(lease.endDate, currentDate);
+      // The nearest threshold already reached that has not been reminded about
+      const threshold = REMINDER_DAYS
+        .filter(days => daysLeft <= days)
+        .sort((a, b) => a - b)[0];
+      if (threshold === undefined || lease.remindersSent.some(reminder => reminder.daysBefore <= threshold)) continue;
+
+      const renewalIssued = await LeaseAgreement.exists({ renewalOf: lease._id, status: 'pending_signature' });
+      if (renewalIssued) continue;
+
+      lease.remindersSent.push({ daysBefore: threshold, sentAt: currentDate });
+      lease.updatedAt = currentDate;
+      await lease.save();
+      due.push({ lease, daysLeft });
+    }
+
+    if (due.length > 0) {
+      await this.remindOwners(due);
+      summary.reminded = due.length;
+    }
+
+    console.log(`✅ [Lease] Expiry check: ${summary.expired} expired, ${summary.reminded} reminders`);
+    return summary;
+  }
+
+  async remindOwners(due) {
+    const leases = due.map(({ lease, daysLeft }) => ({
+      tenantName: lease.tenant?.name || 'Tenant',
+      roomNumber: lease.room?.roomNumber || 'N/A',
+      endDate: formatDate(lease.endDate),
+      daysLeft
+    }));
+
+    const owners = await Owner.find().select('name email');
+    for (const owner of owners) {
+      await emailService.sendLeaseExpiryReminder(owner.email, owner.name, leases);
+    }
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({ type: 'LEASES_EXPIRING', leases });
+    }
+  }
+
+  async notifyTenant(tenantId, category, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category,
+      priority: category === 'info' ? 'medium' : 'high',
+      recipients: [{ tenant: tenantId }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+    }
+  }
+
+  broadcastUpdate(lease) {
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'LEASE_UPDATED',
+        leaseId: lease._id,
+        tenantId: lease.tenant?._id || lease.tenant,
+        status: lease.status
+      });
+    }
+  }
+}
+
+LeaseService.MERGE_FIELDS = MERGE_FIELDS;
+LeaseService.REMINDER_DAYS = REMINDER_DAYS;
+
+module.exports = LeaseService;
@@ -0,0 +1,344 @@
+const XLSX = require('xlsx');
+const { Bill, Payment, Tenant, LedgerEntry, CreditNote } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const { MONTH_NAMES, roundAmount } = require('../utils/serviceHelpers');
+
+// Tenant ledger: one chronological list of everything that moves a tenant's
+// balance. Bill charges, late fees, payments and payment refunds come from
+// their own collections; adjustments, deposits and other refunds are
+// LedgerEntry documents.
+// Credit notes are listed as their own credit line rather than netted into the
+// bill charge, so the statement shows what was billed and what was taken off.
+// Owner and tenant statements are both built here so the numbers always agree.
+//
+// Two accounts are tracked:
+//   rent    - balance = debits - credits (positive: tenant owes, negative: in credit)
+//   deposit - held    = credits - debits (security deposit held for the tenant)
+
+const TYPE_LABELS = {
+  charge: 'Bill Charge',
+  penalty: 'Late Fee',
+  payment: 'Payment',
+  credit_note: 'Credit Note',
+  adjustment: 'Adjustment',
+  deposit_receipt: 'Deposit Received',
+  deposit_refund: 'Deposit Refund',
+  deposit_deduction: 'Deposit Deduction',
+  refund: 'Refund'
+};
+
+// Same-day ordering: charges before the payments that settle them
+const TYPE_ORDER = ['charge', 'penalty', 'credit_note', 'adjustment', 'deposit_receipt', 'deposit_deduction', 'payment', 'refund', 'deposit_refund'];
+
+// Manual postings and the account side(s) each one hits
+const MANUAL_POSTINGS = {
+  adjustment: null, // direction chosen by the owner
+  deposit_receipt: [{ account: 'deposit', side: 'credit' }],
+  deposit_refund: [{ account: 'deposit', side: 'debit' }],
+  // Deposit used to clear dues: leaves the deposit account, settles the rent account
+  deposit_deduction: [{ account: 'deposit', side: 'debit' }, { account: 'rent', side: 'credit' }],
+  refund: [{ account: 'rent', side: 'debit' }]
+};
+
+const billPeriod = (bill) => `${MONTH_NAMES[bill.month - 1]} ${bill.year}`;
+
+const toEntry = (fields) => ({
+  account: 'rent',
+  debit: 0,
+  credit: 0,
+  reference: '',
+  ...fields
+});
+
+const billEntries = (bill, policy, currentDate) => {
+  const entries = [];
+  // The charge is the bill as raised; credit notes follow as their own lines
+  const credited = (bill.items?.additionalCharges || [])
+    .filter(charge => charge.creditNote)
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0);
+  const baseAmount = roundAmount(penaltyPolicy.getBaseAmount(bill) - credited);
+
+  entries.push(toEntry({
+    date: bill.generatedAt || bill.dueDate,
+    type: 'charge',
+    description: `Bill for ${billPeriod(bill)}`,
+    reference: bill.billNumber,
+    debit: baseAmount,
+    bill: bill._id
+  }));
+
+  // Settled bills keep the fee that was charged; open bills show today's figure
+  const settled = bill.status === 'paid';
+  const penalty = settled
+    ? { amount: bill.penalty?.amount || 0, days: bill.penalty?.days || 0 }
+    : penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+
+  if (penalty.amount > 0) {
+    entries.push(toEntry({
+      date: bill.penalty?.appliedDate || bill.dueDate,
+      type: 'penalty',
+      description: `Late fee on ${billPeriod(bill)} bill (${penalty.days} days)`,
+      reference: bill.billNumber,
+      debit: penalty.amount,
+      bill: bill._id
+    }));
+  }
+
+  return entries;
+};
+
+const creditNoteEntry = (creditNote) => toEntry({
+  date: creditNote.issuedAt,
+  type: 'credit_note',
+  description: `Credit note on ${creditNote.bill?.billNumber || 'bill'}: ${creditNote.reason}`,
+  reference: creditNote.creditNoteNumber,
+  credit: creditNote.amount,
+  bill: creditNote.bill?._id || creditNote.bill
+});
+
+const paymentEntry = (payment) => toEntry({
+  date: payment.paidAt || payment.createdAt,
+  type: 'payment',
+  description: `Payment received (${String(payment.paymentMethod).replace('_', ' ')})`,
+  reference: payment.transactionId || payment.razorpayPaymentId || payment.bill?.billNumber || '',
+  credit: payment.amount,
+  payment: payment._id,
+  bill: payment.bill?._id || payment.bill
+});
+
+// Money returned on a payment; a refund the gateway failed to make never left
+const paymentRefundEntries = (payment) => (payment.refunds || [])
+  .filter(refund => refund.status !== 'failed')
+  .map(refund => toEntry({
+    date: refund.processedAt || refund.createdAt,
+    type: 'refund',
+    description: `Refund of payment (${String(refund.method || payment.paymentMethod).replace('_', ' ')}): ${refund.reason || ''}`.replace(/: $/, ''),
+    reference: refund.razorpayRefundId || refund.reference || '',
+    debit: refund.amount,
+    payment: payment._id,
+    bill: payment.bill?._id || payment.bill
+  }));
+
+/**
+ * Every ledger line for a tenant, oldest first.
+ */
+const getLedgerEntries = async (tenantId, currentDate = new Date()) => {
+  const [tenant, bills, payments, manualEntries, creditNotes, policy] = await Promise.all([
+    Tenant.findById(tenantId).select('securityDepositPaid moveInDate createdAt'),
+    Bill.find({ tenant: tenantId, status: { $ne: 'cancelled' } }),
+    // Credit applications only move money between bills, and deposit-funded
+    // payments are listed as the deposit_deduction entry, so neither is repeated
+    Payment.find({
+      tenant: tenantId,
+      status: { $in: ['completed', 'verified', 'refunded'] },
+      paymentMethod: { $nin: ['credit', 'deposit'] }
+    }).populate('bill', 'billNumber'),
+    LedgerEntry.find({ tenant: tenantId }),
+    CreditNote.find({ tenant: tenantId }).populate('bill', 'billNumber status'),
+    penaltyPolicy.getPolicy()
+  ]);
+
+  const entries = [
+    ...bills.flatMap(bill => billEntries(bill, policy, currentDate)),
+    ...creditNotes
+      .filter(creditNote => creditNote.bill && creditNote.bill.status !== 'cancelled')
+      .map(creditNoteEntry),
+    ...payments.map(paymentEntry),
+    ...payments.flatMap(paymentRefundEntries),
+    ...manualEntries.map(entry => toEntry({
+      date: entry.date,
+      type: entry.type,
+      account: entry.account,
+      description: entry.description,
+      reference: entry.reference || '',
+      debit: entry.debit,
+      credit: entry.credit,
+      bill: entry.bill,
+      payment: entry.payment,
+      entryId: entry._id
+    }))
+  ];
+
+  // Deposits taken before the ledger existed only live on the tenant record
+  const hasDepositReceipts = manualEntries.some(entry => entry.type === 'deposit_receipt');
+  if (tenant && !hasDepositReceipts && tenant.securityDepositPaid > 0) {
+    entries.push(toEntry({
+      date: tenant.moveInDate || tenant.createdAt,
+      type: 'deposit_receipt',
+      account: 'deposit',
+      description: 'Security deposit (opening balance)',
+      credit: tenant.securityDepositPaid
+    }));
+  }
+
+  return entries.sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+  );
+};
+
+/**
+ * Statement for a date range with opening/closing balances and a running
+ * balance on every line. `from`/`to` are optional.
+ */
+const getStatement = async (tenantId, { from, to } = {}, currentDate = new Date()) => {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if (toDate) toDate.setHours(23, 59, 59, 999);
+
+  const entries = await getLedgerEntries(tenantId, currentDate);
+
+  let balance = 0;
+  let depositHeld = 0;
+  let openingBalance = 0;
+  let openingDeposit = 0;
+  const totals = { debit: 0, credit: 0 };
+  const lines = [];
+
+  entries.forEach(entry => {
+    const date = new Date(entry.date);
+    if (toDate && date > toDate) return;
+
+    if (entry.account === 'deposit') {
+      depositHeld = roundAmount(depositHeld + entry.credit - entry.debit);
+    } else {
+      balance = roundAmount(balance + entry.debit - entry.credit);
+    }
+
+    if (fromDate && date < fromDate) {
+      openingBalance = balance;
+      openingDeposit = depositHeld;
+      return;
+    }
+
+    if (entry.account === 'rent') {
+      totals.debit = roundAmount(totals.debit + entry.debit);
+      totals.credit = roundAmount(totals.credit + entry.credit);
+    }
+    lines.push({ ...entry, typeLabel: TYPE_LABELS[entry.type], balance, depositHeld });
+  });
+
+  return {
+    from: fromDate,
+    to: toDate,
+    generatedAt: currentDate,
+    openingBalance,
+    openingDeposit,
+    totals,
+    closingBalance: balance,
+    depositHeld,
+    entries: lines
+  };
+};
+
+/**
+ * Post a manual ledger entry. Returns the created LedgerEntry documents
+ * (two for a deposit deduction). Throws with `statusCode` 400 on bad input.
+ */
+const recordEntry = async (tenantId, { type, amount, direction, description, date, reference, bill, settlement, postingKey }, createdBy = null) => {
+  const value = roundAmount(Number(amount));
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  if (!Object.prototype.hasOwnProperty.call(MANUAL_POSTINGS, type)) {
+    fail(`type must be one of ${Object.keys(MANUAL_POSTINGS).join(', ')}`);
+  }
+  if (!(value > 0)) fail('amount must be greater than zero');
+
+  let postings = MANUAL_POSTINGS[type];
+  if (type === 'adjustment') {
+    if (!['debit', 'credit'].includes(direction)) fail('direction must be debit or credit for adjustments');
+    postings = [{ account: 'rent', side: direction }];
+  }
+
+  // A settlement step that was already posted is not posted again
+  if (settlement && postingKey) {
+    const posted = await LedgerEntry.find({ settlement, postingKey });
+    if (posted.length > 0) return posted;
+  }
+
+  const entries = await LedgerEntry.insertMany(postings.map(posting => ({
+    tenant: tenantId,
+    account: posting.account,
+    type,
+    debit: posting.side === 'debit' ? value : 0,
+    credit: posting.side === 'credit' ? value : 0,
+    description: description || TYPE_LABELS[type],
+    date: date ? new Date(date) : new Date(),
+    reference,
+    bill: bill || undefined,
+    settlement: settlement || undefined,
+    postingKey: postingKey || undefined,
+    createdBy
+  })));
+
+  // Keep the tenant's deposit figure in step with the ledger
+  if (type === 'deposit_receipt') {
+    await Tenant.findByIdAndUpdate(tenantId, { $inc: { securityDepositPaid: value } });
+  }
+
+  console.log(`✅ [Ledger] ${TYPE_LABELS[type]} of ₹${value} posted for tenant ${tenantId}`);
+  return entries;
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+
+// XLSX export of a statement (same layout as the other report exports)
+const buildStatementWorkbook = (statement, tenant) => {
+  const rows = [
+    { 'Date': 'Tenant', 'Type': tenant.name, 'Description': `Room ${tenant.room?.roomNumber || 'N/A'}`, 'Reference': '', 'Debit': '', 'Credit': '', 'Balance': '', 'Deposit Held': '' },
+    { 'Date': 'Period', 'Type': `${formatDate(statement.from) || 'Start'} - ${formatDate(statement.to) || formatDate(statement.generatedAt)}`, 'Description': '', 'Reference': '', 'Debit': '', 'Credit': '', 'Balance': '', 'Deposit Held': '' },
+    { 'Date': '', 'Type': '', 'Description': '', 'Reference': '', 'Debit': '', 'Credit': '', 'Balance': '', 'Deposit Held': '' },
+    { 'Date': formatDate(statement.from), 'Type': '', 'Description': 'Opening Balance', 'Reference': '', 'Debit': '', 'Credit': '', 'Balance': statement.openingBalance, 'Deposit Held': statement.openingDeposit }
+  ];
+
+  statement.entries.forEach(entry => {
+    rows.push({
+      'Date': formatDate(entry.date),
+      'Type': entry.account === 'deposit' ? `${entry.typeLabel} (Deposit)` : entry.typeLabel,
+      'Description': entry.description,
+      'Reference': entry.reference,
+      'Debit': entry.debit || '',
+      'Credit': entry.credit || '',
+      'Balance': entry.balance,
+      'Deposit Held': entry.depositHeld
+    });
+  });
+
+  rows.push({
+    'Date': formatDate(statement.to || statement.generatedAt),
+    'Type': '',
+    'Description': 'Closing Balance',
+    'Reference': '',
+    'Debit': statement.totals.debit,
+    'Credit': statement.totals.credit,
+    'Balance': statement.closingBalance,
+    'Deposit Held': statement.depositHeld
+  });
+
+  const workbook = XLSX.utils.book_new();
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+  worksheet['!cols'] = [
+    { wch: 12 }, // Date
+    { wch: 22 }, // Type
+    { wch: 40 }, // Description
+    { wch: 18 }, // Reference
+    { wch: 12 }, // Debit
+    { wch: 12 }, // Credit
+    { wch: 12 }, // Balance
+    { wch: 14 }  // Deposit Held
+  ];
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Statement');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  TYPE_LABELS,
+  getLedgerEntries,
+  getStatement,
+  recordEntry,
+  buildStatementWorkbook
+};
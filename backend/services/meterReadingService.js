@@ -0,0 +1,249 @@
+const { MeterReading, Room } = require('../../models');
+const tariffService = require('./tariffService');
+const { roundAmount, badRequest } = require('../utils/serviceHelpers');
+
+// Monthly meter readings per room and utility. Each month's start reading
+// carries over from the previous month's end reading, and readings that go
+// backwards or jump well above the room's recent average are flagged for the
+// owner before they reach a bill.
+
+const METERED_UTILITIES = ['electricity', 'water', 'gas'];
+
+// Consumption above this multiple of the recent average is flagged as high
+const HIGH_USAGE_FACTOR = 2;
+const HISTORY_WINDOW = 3;
+
+const beforePeriod = (month, year) => ({
+  $or: [
+    { year: { $lt: year } },
+    { year, month: { $lt: month } }
+  ]
+});
+
+const getPreviousReadings = (roomId, utility, month, year, limit = HISTORY_WINDOW) => MeterReading.find({
+  room: roomId,
+  utility,
+  ...beforePeriod(month, year)
+}).sort({ year: -1, month: -1 }).limit(limit);
+
+const getHistory = (roomId, utility, limit = 12) => MeterReading.find({ room: roomId, utility })
+  .populate('bill', 'billNumber status')
+  .sort({ year: -1, month: -1 })
+  .limit(limit);
+
+const detectAnomalies = (startReading, endReading, previousReadings) => {
+  const anomalies = [];
+  const units = endReading - startReading;
+
+  if (units < 0) {
+    anomalies.push({
+      type: 'negative',
+      message: `End reading ${endReading} is below start reading ${startReading} (meter replaced or entry error?)`
+    });
+    return anomalies;
+  }
+
+  const history = previousReadings.filter(r => r.unitsConsumed > 0);
+  if (history.length > 0) {
+    const average = history.reduce((sum, r) => sum + r.unitsConsumed, 0) / history.length;
+    if (units > average * HIGH_USAGE_FACTOR) {
+      anomalies.push({
+        type: 'high',
+        message: `${roundAmount(units)} units is more than ${HIGH_USAGE_FACTOR}x the recent average of ${roundAmount(average)}`
+      });
+    }
+  }
+
+  return anomalies;
+};
+
+/**
+ * Record (or correct) the reading for a room, utility and month. When
+ * startReading is omitted the previous month's end reading is used.
+ * Throws with `statusCode` 400 on bad input or if the reading is already billed.
+ */
+const recordReading = async (roomId, utility, { month, year, startReading, endReading, readingDate, notes }, recordedBy = null) => {
+  const periodMonth = parseInt(month);
+  const periodYear = parseInt(year);
+
+  if (!METERED_UTILITIES.includes(utility)) {
+    throw badRequest(`utility must be one of ${METERED_UTILITIES.join(', ')}`);
+  }
+  if (!(periodMonth >= 1 && periodMonth <= 12) || !periodYear) {
+    throw badRequest('A valid month and year are required');
+  }
+  const end = Number(endReading);
+  if (endReading === undefined || endReading === '' || !(end >= 0)) {
+    throw badRequest('endReading must be zero or more');
+  }
+
+  const room = await Room.findById(roomId).select('_id');
+  if (!room) {
+    const error = new Error('Room not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const existing = await MeterReading.findOne({ room: roomId, utility, month: periodMonth, year: periodYear });
+  if (existing?.bill) {
+    throw badRequest('This reading has already been billed and cannot be changed');
+  }
+
+  const previousReadings = await getPreviousReadings(roomId, utility, periodMonth, periodYear);
+  let start;
+  if (startReading !== undefined && startReading !== '' && startReading !== null) {
+    start = Number(startReading);
+    if (!(start >= 0)) throw badRequest('startReading must be zero or more');
+  } else {
+    start = previousReadings[0]?.endReading ?? existing?.startReading ?? 0;
+  }
+
+  const anomalies = detectAnomalies(start, end, previousReadings);
+  const reading = existing || new MeterReading({ room: roomId, utility, month: periodMonth, year: periodYear });
+  const previousEnd = existing?.endReading;
+
+  reading.startReading = start;
+  reading.endReading = end;
+  reading.unitsConsumed = roundAmount(Math.max(0, end - start));
+  reading.anomalies = anomalies;
+  reading.readingDate = readingDate ? new Date(readingDate) : new Date();
+  reading.notes = notes;
+  reading.recordedBy = recordedBy;
+  reading.updatedAt = new Date();
+  await reading.save();
+
+  // A corrected end reading moves the next month's carried-over start with it
+  if (previousEnd !== undefined && previousEnd !== end) {
+    const next = await MeterReading.findOne({
+      room: roomId,
+      utility,
+      bill: null,
+      startReading: previousEnd,
+      $or: [
+        { year: periodYear, month: { $gt: periodMonth } },
+        { year: { $gt: periodYear } }
+      ]
+    }).sort({ year: 1, month: 1 });
+
+    if (next) {
+      next.startReading = end;
+      next.unitsConsumed = roundAmount(Math.max(0, next.endReading - end));
+      next.anomalies = detectAnomalies(end, next.endReading, [reading]);
+      next.updatedAt = new Date();
+      await next.save();
+    }
+  }
+
+  if (anomalies.length > 0) {
+    console.warn(`⚠️ [MeterReading] ${utility} reading for room ${roomId} (${periodMonth}/${periodYear}) flagged: ${anomalies.map(a => a.type).join(', ')}`);
+  }
+
+  return reading;
+};
+
+/**
+ * One row per room for the entry sheet: this month's reading if recorded and
+ * the start reading that would be carried over otherwise.
+ */
+const getPeriodSheet = async (utility, month, year) => {
+  const periodMonth = parseInt(month);
+  const periodYear = parseInt(year);
+
+  const [rooms, readings] = await Promise.all([
+    Room.find({}).populate('currentTenant', 'name').sort({ roomNumber: 1 }),
+    MeterReading.find({ utility, month: periodMonth, year: periodYear })
+  ]);
+
+  return Promise.all(rooms.map(async room => {
+    const reading = readings.find(r => String(r.room) === String(room._id)) || null;
+    const [previous] = await getPreviousReadings(room._id, utility, periodMonth, periodYear, 1);
+
+    return {
+      room: {
+        _id: room._id,
+        roomNumber: room.roomNumber,
+        status: room.status,
+        tenant: room.currentTenant ? room.currentTenant.name : null,
+        metered: !!room.utilities?.[utility]?.metered,
+        unitRate: room.utilities?.[utility]?.unitRate || 0
+      },
+      reading,
+      suggestedStartReading: previous ? previous.endReading : 0
+    };
+  }));
+};
+
+/**
+ * Bill items for a room's metered utilities in a billing month. Utilities
+ * without a reading are listed in `missing` so the caller can hold the bill.
+ */
+const getMeteredCharges = async (room, month, year) => {
+  const meteredUtilities = METERED_UTILITIES.filter(utility => room.utilities?.[utility]?.metered);
+  const readings = meteredUtilities.length > 0
+    ? await MeterReading.find({ room: room._id, utility: { $in: meteredUtilities }, month: parseInt(month), year: parseInt(year) })
+    : [];
+
+  const items = {};
+  const used = [];
+  const missing = [];
+  let amount = 0;
+
+  for (const utility of meteredUtilities) {
+    const reading = readings.find(r => r.utility === utility);
+    if (!reading) {
+      missing.push(utility);
+      continue;
+    }
+
+    const unitRate = room.utilities[utility].unitRate || 0;
+    used.push(reading);
+
+    if (utility === 'electricity') {
+      // Slab tariff when the room has a plan, flat unit rate otherwise
+      items.electricity = await tariffService.buildElectricityItem(room, reading, unitRate);
+      amount += items.electricity.amount;
+      continue;
+    }
+
+    const charge = roundAmount(reading.unitsConsumed * unitRate);
+    amount += charge;
+
+    if (utility === 'water') {
+      items.waterBill = {
+        amount: charge,
+        description: `Water (${reading.unitsConsumed} units @ ₹${unitRate})`
+      };
+    } else {
+      items.additionalCharges = [
+        ...(items.additionalCharges || []),
+        { description: `Gas (${reading.unitsConsumed} units @ ₹${unitRate})`, amount: charge }
+      ];
+    }
+  }
+
+  return {
+    meteredUtilities,
+    items,
+    amount: roundAmount(amount),
+    readings: used,
+    missing
+  };
+};
+
+// Link readings to the bill that charged them so they can no longer be edited
+const markBilled = (readings, billId) => MeterReading.updateMany(
+  { _id: { $in: readings.map(r => r._id) } },
+  { bill: billId, updatedAt: new Date() }
+);
+
+module.exports = {
+  METERED_UTILITIES,
+  HIGH_USAGE_FACTOR,
+  getPreviousReadings,
+  getHistory,
+  detectAnomalies,
+  recordReading,
+  getPeriodSheet,
+  getMeteredCharges,
+  markBilled
+};
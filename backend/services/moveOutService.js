@@ -0,0 +1,334 @@
+const { Tenant, Room, Payment, Notification, MoveOutSettlement } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const paymentAllocation = require('./paymentAllocation');
+const ledgerService = require('./ledgerService');
+const { MONTH_NAMES, roundAmount, badRequest } = require('../utils/serviceHelpers');
+
+// Deductions the owner enters during inspection; bill deductions are computed
+const MANUAL_CATEGORIES = ['damage', 'cleaning', 'other'];
+
+class MoveOutService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  // Unpaid bill amounts and pending late fees, one deduction each, oldest first
+  async getBillDeductions(tenantId, currentDate = new Date()) {
+    const policy = await penaltyPolicy.getPolicy();
+    const bills = await paymentAllocation.getOutstandingBills(tenantId);
+    const deductions = [];
+
+    bills.forEach(bill => {
+      const period = `${MONTH_NAMES[bill.month - 1]} ${bill.year}`;
+      const penalty = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+      const penaltyPaid = bill.paidBreakdown?.penalty || 0;
+      const principalPaid = Math.max(bill.paidBreakdown?.principal || 0, (bill.paidAmount || 0) - penaltyPaid);
+
+      const principalDue = roundAmount(Math.max(0, penalty.baseAmount - principalPaid));
+      const penaltyDue = roundAmount(Math.max(0, penalty.amount - penaltyPaid));
+
+      if (principalDue > 0) {
+        deductions.push({
+          category: 'unpaid_bill',
+          description: `Unpaid bill ${bill.billNumber} (${period})`,
+          amount: principalDue,
+          bill: bill._id
+        });
+      }
+      if (penaltyDue > 0) {
+        deductions.push({
+          category: 'penalty',
+          description: `Late fee on ${bill.billNumber} (${penalty.days} days)`,
+          amount: penaltyDue,
+          bill: bill._id
+        });
+      }
+    });
+
+    return deductions;
+  }
+
+  calculateTotals(depositHeld, creditBalance, deductions) {
+    const totalDeductions = roundAmount(deductions.reduce((sum, d) => sum + d.amount, 0));
+    const available = roundAmount(depositHeld + creditBalance);
+
+    return {
+      depositHeld,
+      creditBalance,
+      totalDeductions,
+      refundAmount: roundAmount(Math.max(0, available - totalDeductions)),
+      amountDue: roundAmount(Math.max(0, totalDeductions - available))
+    };
+  }
+
+  normalizeManualDeductions(deductions = []) {
+    return deductions
+      .filter(d => d && Number(d.amount) > 0)
+      .map(d => {
+        if (!MANUAL_CATEGORIES.includes(d.category)) {
+          throw badRequest(`Deduction category must be one of ${MANUAL_CATEGORIES.join(', ')}`);
+        }
+        if (!d.description || !String(d.description).trim()) {
+          throw badRequest('Every deduction needs a description');
+        }
+        return {
+          category: d.category,
+          description: String(d.description).trim(),
+          amount: roundAmount(Number(d.amount))
+        };
+      });
+  }
+
+  // What the settlement would look like today, before any inspection deductions
+  async buildPreview(tenantId, currentDate = new Date()) {
+    const tenant = await Tenant.findById(tenantId).populate('room', 'roomNumber securityDeposit');
+    if (!tenant) {
+      const error = new Error('Tenant not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const statement = await ledgerService.getStatement(tenantId, {}, currentDate);
+    const billDeductions = await this.getBillDeductions(tenantId, currentDate);
+    const creditBalance = tenant.creditBalance || 0;
+
+    return {
+      tenant,
+      room: tenant.room,
+      deductions: billDeductions,
+      ...this.calculateTotals(statement.depositHeld, creditBalance, billDeductions)
+    };
+  }
+
+  /**
+   * Post a settlement's deductions, deposit use and refunds. Each posting is
+   * keyed to the settlement, so running this again after a failure only makes
+   * the postings that are still missing.
+   */
+  async postSettlement(settlement, settledBy, currentDate = new Date()) {
+    const tenantId = settlement.tenant;
+    const label = `Move-out ${settlement.moveOutDate.toLocaleDateString('en-IN')}`;
+    const post = (postingKey, entry) => ledgerService.recordEntry(tenantId, {
+      ...entry,
+      settlement: settlement._id,
+      postingKey
+    }, settledBy);
+
+    const manualDeductions = settlement.deductions.filter(d => MANUAL_CATEGORIES.includes(d.category));
+    const billDeductions = settlement.deductions.filter(d => !MANUAL_CATEGORIES.includes(d.category));
+    const billDues = roundAmount(billDeductions.reduce((sum, d) => sum + d.amount, 0));
+
+    // 1. Inspection charges go on the rent account
+    for (const [index, deduction] of manualDeductions.entries()) {
+      await post(`deduction-${index}`, {
+        type: 'adjustment',
+        direction: 'debit',
+        amount: deduction.amount,
+        description: `${label}: ${deduction.description}`,
+        date: currentDate
+      });
+    }
+
+    // 2. Deposit covers what the tenant owes after any remaining credit
+    const depositUsed = roundAmount(Math.min(
+      settlement.depositHeld,
+      Math.max(0, settlement.totalDeductions - settlement.creditBalance)
+    ));
+    if (depositUsed > 0) {
+      await post('deposit-deduction', {
+        type: 'deposit_deduction',
+        amount: depositUsed,
+        description: `${label}: deposit applied to dues`,
+        date: currentDate
+      });
+    }
+
+    // Bills paid from the deposit are settled through a deposit payment
+    const depositForBills = roundAmount(Math.min(depositUsed, billDues));
+    if (depositForBills > 0) {
+      let payment = await Payment.findOne({ settlement: settlement._id, paymentMethod: 'deposit' });
+      if (!payment) {
+        payment = new Payment({
+          tenant: tenantId,
+          bill: billDeductions[0].bill,
+          amount: depositForBills,
+          paymentMethod: 'deposit',
+          status: 'completed',
+          paidAt: currentDate,
+          notes: 'Settled from security deposit at move-out',
+          settlement: settlement._id
+        });
+        await payment.save();
+      }
+      await paymentAllocation.allocatePayment(payment, currentDate);
+    }
+
+    // 3. Return what is left of the deposit, then any unused credit
+    const refund = settlement.refund || {};
+    const depositRefund = roundAmount(settlement.depositHeld - depositUsed);
+    const creditRefund = roundAmount(Math.max(0, settlement.refundAmount - depositRefund));
+    const refundDetails = {
+      reference: refund.reference,
+      date: refund.paidAt || currentDate
+    };
+
+    if (depositRefund > 0) {
+      await post('deposit-refund', {
+        type: 'deposit_refund',
+        amount: depositRefund,
+        description: `${label}: deposit refund${refund.method ? ` (${refund.method})` : ''}`,
+        ...refundDetails
+      });
+    }
+    if (creditRefund > 0) {
+      await post('credit-refund', {
+        type: 'refund',
+        amount: creditRefund,
+        description: `${label}: unused credit refunded${refund.method ? ` (${refund.method})` : ''}`,
+        ...refundDetails
+      });
+    }
+  }
+
+  /**
+   * Finalise a move-out: post deductions and refunds to the ledger, settle
+   * unpaid bills from the deposit, free the room and mark the tenant moved out.
+   * The settlement is recorded (in progress) before anything is posted; if a
+   * step fails the tenant is left as they were and submitting again finishes
+   * that settlement.
+   */
+  async settle(tenantId, { moveOutDate, inspection = {}, deductions = [], refund = {} }, settledBy = null) {
+    const currentDate = new Date();
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant) {
+      const error = new Error('Tenant not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (tenant.status === 'moved_out') {
+      throw badRequest('Tenant has already moved out');
+    }
+
+    const manualDeductions = this.normalizeManualDeductions(deductions);
+    const roomId = tenant.room;
+
+    // Claim the move-out so a second submit cannot settle the deposit twice
+    const claimed = await Tenant.updateOne(
+      { _id: tenantId, status: tenant.status },
+      { $set: { status: 'moved_out', updatedAt: currentDate } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw badRequest('Tenant has already moved out');
+    }
+
+    const previousStatus = tenant.status;
+    let settlement;
+    try {
+      // A move-out that failed part way left its settlement in progress; finish
+      // that one with the figures it was started with
+      settlement = await MoveOutSettlement.findOne({ tenant: tenantId, status: 'in_progress' });
+      if (!settlement) {
+        // Spend any overpayment credit on open bills first, so credit and dues never coexist
+        await paymentAllocation.applyTenantCredit(tenantId, currentDate);
+
+        const preview = await this.buildPreview(tenantId, currentDate);
+        const allDeductions = [...preview.deductions, ...manualDeductions];
+        const totals = this.calculateTotals(preview.depositHeld, preview.creditBalance, allDeductions);
+
+        // Recorded before anything is posted so every posting can be keyed to it
+        settlement = new MoveOutSettlement({
+          tenant: tenantId,
+          room: roomId,
+          moveOutDate: moveOutDate ? new Date(moveOutDate) : currentDate,
+          inspection: {
+            date: inspection.date ? new Date(inspection.date) : currentDate,
+            inspectedBy: inspection.inspectedBy || settledBy,
+            condition: inspection.condition || 'good',
+            notes: inspection.notes
+          },
+          deductions: allDeductions,
+          ...totals,
+          refund: totals.refundAmount > 0
+            ? { method: refund.method, reference: refund.reference, paidAt: refund.paidAt ? new Date(refund.paidAt) : currentDate }
+            : undefined,
+          settledBy,
+          status: 'in_progress'
+        });
+        await settlement.save();
+      }
+
+      await this.postSettlement(settlement, settledBy, currentDate);
+
+      // 4. Free the room and close the tenancy
+      tenant.status = 'moved_out';
+      tenant.moveOutDate = settlement.moveOutDate;
+      tenant.securityDepositRefundable = settlement.refundAmount;
+      tenant.creditBalance = 0;
+      tenant.room = null;
+      tenant.updatedAt = currentDate;
+      await tenant.save();
+
+      if (settlement.room) {
+        await Room.findByIdAndUpdate(settlement.room, { status: 'vacant', currentTenant: null, updatedAt: currentDate });
+      }
+
+      settlement.status = 'completed';
+      await settlement.save();
+    } catch (error) {
+      // Postings already made are keyed to the settlement, so a retry skips them
+      await Tenant.updateOne({ _id: tenantId }, { $set: { status: previousStatus, room: roomId } });
+      if (roomId) {
+        await Room.updateOne({ _id: roomId, currentTenant: null }, { $set: { status: 'occupied', currentTenant: tenantId } });
+      }
+      throw error;
+    }
+
+    console.log(`✅ [MoveOutService] Tenant ${tenant.name} moved out: deductions ₹${settlement.totalDeductions}, refund ₹${settlement.refundAmount}, due ₹${settlement.amountDue}`);
+
+    try {
+      await this.sendSettlementNotification(tenant, settlement);
+    } catch (notifError) {
+      console.warn(`⚠️ [MoveOutService] Failed to notify tenant ${tenant._id}:`, notifError.message);
+    }
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({ type: 'TENANT_MOVED_OUT', tenantId, settlementId: settlement._id });
+      this.broadcastToClients({ type: 'ROOMS_UPDATED' });
+    }
+
+    return this.getSettlement(settlement._id);
+  }
+
+  async getSettlement(settlementId) {
+    return MoveOutSettlement.findById(settlementId)
+      .populate('tenant', 'name email phone username')
+      .populate('room', 'roomNumber floor type');
+  }
+
+  async sendSettlementNotification(tenant, settlement) {
+    const outcome = settlement.amountDue > 0
+      ? `₹${settlement.amountDue} remains payable after the deposit was applied.`
+      : `₹${settlement.refundAmount} will be refunded to you.`;
+
+    const notification = new Notification({
+      title: 'Move-out Settlement Completed',
+      message: `Your deposit of ₹${settlement.depositHeld} has been settled with ₹${settlement.totalDeductions} in deductions. ${outcome}`,
+      type: 'personal',
+      category: 'info',
+      priority: 'high',
+      recipients: [{ tenant: tenant._id }]
+    });
+
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+    }
+  }
+}
+
+module.exports = MoveOutService;
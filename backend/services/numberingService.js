@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const { Counter, NumberingPolicy } = require('../../models');
+
+// Document numbers for bills, receipts and credit notes. Each document type
+// has its own format and an atomic counter per numbering period, so two bills
+// saved at the same moment can never get the same number and voided bills do
+// not cause numbers to be reused. Sequences restart at 1 each financial year
+// (or calendar year, or never), which is why the format must show the period.
+//
+// Format tokens:
+//   {FY}   financial year, e.g. 2026-27 (just 2026 when the year starts in January)
+//   {YYYY} calendar year
+//   {MM}   two-digit month
+//   {SEQ}  the sequence number, zero-padded to `padding` digits
+
+const DOCUMENT_TYPES = {
+  bill: { model: 'Bill', field: 'billNumber', label: 'Bills' },
+  receipt: { model: 'Receipt', field: 'receiptNumber', label: 'Receipts' },
+  credit_note: { model: 'CreditNote', field: 'creditNoteNumber', label: 'Credit notes' }
+};
+
+const RESET_PERIODS = ['financial_year', 'calendar_year', 'never'];
+
+const DEFAULT_POLICY = {
+  financialYearStartMonth: 4,
+  sequences: [
+    { documentType: 'bill', format: 'BCR/{FY}/{SEQ}', padding: 4, reset: 'financial_year' },
+    { documentType: 'receipt', format: 'BCR/RCT/{FY}/{SEQ}', padding: 4, reset: 'financial_year' },
+    { documentType: 'credit_note', format: 'BCR/CN/{FY}/{SEQ}', padding: 4, reset: 'financial_year' }
+  ]
+};
+
+// Numbers already taken (legacy or from an earlier format) are skipped, up to this many
+const MAX_SKIPS = 50;
+
+let cachedPolicy = null;
+
+const toPlainPolicy = (doc) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  const configured = source.sequences || [];
+
+  return {
+    financialYearStartMonth: Number(source.financialYearStartMonth ?? DEFAULT_POLICY.financialYearStartMonth),
+    // Every document type always has a sequence; stored ones override the defaults
+    sequences: DEFAULT_POLICY.sequences.map(fallback => {
+      const stored = configured.find(sequence => sequence.documentType === fallback.documentType) || {};
+      return {
+        documentType: fallback.documentType,
+        format: stored.format ?? fallback.format,
+        padding: Number(stored.padding ?? fallback.padding),
+        reset: stored.reset ?? fallback.reset
+      };
+    }),
+    updatedAt: source.updatedAt || null,
+    updatedBy: source.updatedBy || null
+  };
+};
+
+// Load the policy from the database (cached after the first read)
+const getPolicy = async ({ refresh = false } = {}) => {
+  if (cachedPolicy && !refresh) return cachedPolicy;
+
+  try {
+    const doc = await NumberingPolicy.findOne({ key: 'default' });
+    cachedPolicy = toPlainPolicy(doc);
+  } catch (error) {
+    console.error('❌ [Numbering] Failed to load policy, using defaults:', error.message);
+    return cachedPolicy || toPlainPolicy(null);
+  }
+
+  return cachedPolicy;
+};
+
+const validatePolicy = (policy) => {
+  const errors = [];
+  const startMonth = policy.financialYearStartMonth;
+
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    errors.push('financialYearStartMonth must be a month from 1 to 12');
+  }
+
+  policy.sequences.forEach(sequence => {
+    const label = DOCUMENT_TYPES[sequence.documentType].label;
+    const format = String(sequence.format || '');
+
+    if (!format.includes('{SEQ}')) {
+      errors.push(`${label}: format must include {SEQ}`);
+    }
+    if (!Number.isInteger(sequence.padding) || sequence.padding < 1 || sequence.padding > 10) {
+      errors.push(`${label}: padding must be a whole number from 1 to 10`);
+    }
+    if (!RESET_PERIODS.includes(sequence.reset)) {
+      errors.push(`${label}: reset must be one of ${RESET_PERIODS.join(', ')}`);
+    } else if (sequence.reset === 'financial_year' && !format.includes('{FY}')) {
+      // Without the period in the number, the restarted sequence would repeat last year's numbers
+      errors.push(`${label}: a sequence that resets each financial year must include {FY}`);
+    } else if (sequence.reset === 'calendar_year' && !format.includes('{YYYY}')) {
+      errors.push(`${label}: a sequence that resets each calendar year must include {YYYY}`);
+    }
+  });
+
+  return errors;
+};
+
+// Validate and persist policy changes. Throws with `validationErrors` set on bad input.
+const updatePolicy = async (updates, updatedBy = null) => {
+  const current = await getPolicy({ refresh: true });
+  const next = toPlainPolicy({
+    financialYearStartMonth: updates.financialYearStartMonth ?? current.financialYearStartMonth,
+    sequences: current.sequences.map(sequence => ({
+      ...sequence,
+      ...((updates.sequences || []).find(update => update.documentType === sequence.documentType) || {})
+    }))
+  });
+
+  const errors = validatePolicy(next);
+  if (errors.length > 0) {
+    const error = new Error('Invalid numbering policy');
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const doc = await NumberingPolicy.findOneAndUpdate(
+    { key: 'default' },
+    {
+      $set: {
+        financialYearStartMonth: next.financialYearStartMonth,
+        sequences: next.sequences,
+        updatedBy,
+        updatedAt: new Date()
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  cachedPolicy = toPlainPolicy(doc);
+  console.log(`✅ [Numbering] Policy updated by ${updatedBy || 'system'}`);
+  return cachedPolicy;
+};
+
+// '2026-27' for a year starting in April 2026; '2026' when the year starts in January
+const getFinancialYear = (date, startMonth = DEFAULT_POLICY.financialYearStartMonth) => {
+  const value = new Date(date);
+  const month = value.getMonth() + 1;
+  const year = value.getFullYear();
+
+  if (startMonth === 1) return String(year);
+
+  const startYear = month >= startMonth ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const getPeriodKey = (sequence, date, startMonth) => {
+  if (sequence.reset === 'financial_year') return getFinancialYear(date, startMonth);
+  if (sequence.reset === 'calendar_year') return String(new Date(date).getFullYear());
+  return 'all';
+};
+
+const formatNumber = (sequence, seq, date, startMonth) => {
+  const value = new Date(date);
+  return sequence.format
+    .replace(/\{FY\}/g, getFinancialYear(value, startMonth))
+    .replace(/\{YYYY\}/g, String(value.getFullYear()))
+    .replace(/\{MM\}/g, String(value.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{SEQ\}/g, String(seq).padStart(sequence.padding, '0'));
+};
+
+const getSequence = (policy, documentType) => {
+  if (!DOCUMENT_TYPES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+  return policy.sequences.find(sequence => sequence.documentType === documentType);
+};
+
+const isTaken = async (documentType, number) => {
+  const { model, field } = DOCUMENT_TYPES[documentType];
+  const Model = mongoose.models[model];
+  return Model ? !!(await Model.exists({ [field]: number })) : false;
+};
+
+/**
+ * Claim the next number for a document type. The counter is advanced with a
+ * single atomic $inc, so concurrent callers always get different numbers.
+ */
+const nextNumber = async (documentType, date = new Date()) => {
+  const policy = await getPolicy();
+  const sequence = getSequence(policy, documentType);
+  const issuedOn = date || new Date();
+  const key = `${documentType}:${getPeriodKey(sequence, issuedOn, policy.financialYearStartMonth)}`;
+
+  for (let attempt = 0; attempt <= MAX_SKIPS; attempt++) {
+    const counter = await Counter.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+    const number = formatNumber(sequence, counter.seq, issuedOn, policy.financialYearStartMonth);
+    if (!(await isTaken(documentType, number))) return number;
+
+    console.warn(`⚠️ [Numbering] ${number} is already in use, skipping`);
+  }
+
+  throw new Error(`Could not find a free ${documentType} number after ${MAX_SKIPS} attempts`);
+};
+
+// The number the next document would get, without claiming it (for settings previews)
+const peekNumber = async (documentType, date = new Date(), policy = null) => {
+  const current = policy || await getPolicy();
+  const sequence = getSequence(current, documentType);
+  const key = `${documentType}:${getPeriodKey(sequence, date, current.financialYearStartMonth)}`;
+  const counter = await Counter.findOne({ key });
+
+  return formatNumber(sequence, (counter?.seq || 0) + 1, date, current.financialYearStartMonth);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  RESET_PERIODS,
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  validatePolicy,
+  getFinancialYear,
+  formatNumber,
+  nextNumber,
+  peekNumber
+};
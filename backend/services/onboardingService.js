@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const { Tenant, Room, Notification } = require('../../models');
+const fileStorage = require('./fileStorage');
+const emailService = require('./emailService');
+const ledgerService = require('./ledgerService');
+const BillingService = require('./billingService');
+const { badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Tenant onboarding. The owner invites a tenant to a vacant room; the tenant
+// gets their login by email and, while their status is 'pending', works
+// through a wizard: choose a password, complete their profile, add an
+// emergency contact and upload ID proof and a photo. The owner verifies the
+// ID proof and activates the tenancy, which occupies the room, raises the
+// move-in bill (first month's rent plus the security deposit) and lets the
+// tenant into the full dashboard.
+
+const STEPS = ['account', 'profile', 'emergencyContact', 'idProof', 'photo'];
+const ID_PROOF_TYPES = ['aadhaar', 'pan', 'passport', 'driving_licence', 'voter_id', 'other'];
+// Statuses in which the tenant can still change their answers
+const EDITABLE_STATUSES = ['invited', 'in_progress', 'changes_requested'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const requireText = (value, label) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) throw badRequest(`${label} is required`);
+  return text;
+};
+
+const normalizePhone = (value) => String(value || '').replace(/[^\d+]/g, '');
+
+const temporaryPassword = () => crypto.randomBytes(5).toString('hex');
+
+// The StoredFile id behind an /api/files/:id path
+const storedFileId = (value) => (fileStorage.isFilePath(value) ? value.split('/')[3] : null);
+
+class OnboardingService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+    this.billingService = new BillingService(broadcastFunction);
+  }
+
+  /**
+   * Invite a tenant to a vacant room. Creates the pending tenant with a
+   * temporary password and emails them their login. Returns the tenant and
+   * the generated credentials so the owner can share them another way.
+   */
+  async inviteTenant({ name, email, phone, roomId, moveInDate, securityDeposit } = {}, invitedBy) {
+    const tenantName = requireText(name, 'Name');
+    const tenantEmail = requireText(email, 'Email').toLowerCase();
+    const tenantPhone = normalizePhone(phone);
+    if (!/^\S+@\S+\.\S+$/.test(tenantEmail)) throw badRequest('Email is not valid');
+    if (tenantPhone.replace(/\D/g, '').length < 10) throw badRequest('Phone must have at least 10 digits');
+
+    const room = await Room.findById(roomId);
+    if (!room) throw notFound('Room not found');
+    if (room.status !== 'vacant' || room.currentTenant) throw badRequest(`Room ${room.roomNumber} is not vacant`);
+    const invited = await Tenant.findOne({ room: room._id, status: 'pending' }).select('name');
+    if (invited) throw badRequest(`${invited.name} has already been invited to room ${room.roomNumber}`);
+
+    const duplicate = await Tenant.findOne({ $or: [{ email: tenantEmail }, { phone: tenantPhone }] }).select('email');
+    if (duplicate) {
+      throw badRequest(duplicate.email === tenantEmail ? 'A tenant with this email already exists' : 'A tenant with this phone number already exists');
+    }
+
+    const moveIn = moveInDate ? new Date(moveInDate) : new Date();
+    if (Number.isNaN(moveIn.getTime())) throw badRequest('moveInDate is not a valid date');
+    const deposit = securityDeposit !== undefined && securityDeposit !== ''
+      ? Number(securityDeposit)
+      : (room.securityDeposit || 0);
+    if (!Number.isFinite(deposit) || deposit < 0) throw badRequest('securityDeposit cannot be negative');
+
+    const username = `tenant_${Date.now()}`;
+    const password = temporaryPassword();
+    const now = new Date();
+    const tenant = new Tenant({
+      username,
+      password,
+      name: tenantName,
+      email: tenantEmail,
+      phone: tenantPhone,
+      room: room._id,
+      moveInDate: moveIn,
+      status: 'pending',
+      onboarding: {
+        status: 'invited',
+        invitedAt: now,
+        invitedBy,
+        agreedDeposit: deposit
+      }
+    });
+    await tenant.save();
+
+    const invitation = await this.sendInvitation(tenant, room, username, password);
+    console.log(`✅ [Onboarding] ${tenantName} invited to room ${room.roomNumber} by ${invitedBy}`);
+    this.broadcastUpdate(tenant);
+
+    return { tenant, username, password, emailSent: invitation.success && !invitation.devMode };
+  }
+
+  // Issue a new temporary password and send the invitation again
+  async resendInvitation(tenantId) {
+    const tenant = await Tenant.findById(tenantId).populate('room', 'roomNumber');
+    if (!tenant || tenant.status !== 'pending' || !tenant.onboarding?.status) throw notFound('Invitation not found');
+    if (!EDITABLE_STATUSES.includes(tenant.onboarding.status)) throw badRequest('The tenant has already submitted their details');
+
+    const password = temporaryPassword();
+    tenant.password = password;
+    tenant.onboarding.steps.account = undefined;
+    tenant.updatedAt = new Date();
+    await tenant.save();
+
+    const invitation = await this.sendInvitation(tenant, tenant.room, tenant.username, password);
+    return { username: tenant.username, password, emailSent: invitation.success && !invitation.devMode };
+  }
+
+  sendInvitation(tenant, room, username, password) {
+    return emailService.sendOnboardingInvitation(tenant.email, tenant.name, {
+      username,
+      password,
+      roomNumber: room?.roomNumber,
+      moveInDate: formatDate(tenant.moveInDate),
+      loginUrl: process.env.FRONTEND_URL
+    });
+  }
+
+  // Withdraw an invitation before activation; the tenant record and uploads are removed
+  async cancelInvitation(tenantId) {
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant || tenant.status !== 'pending' || !tenant.onboarding?.status) throw notFound('Invitation not found');
+
+    await Tenant.deleteOne({ _id: tenant._id });
+    for (const value of [tenant.documents?.idProof?.file, tenant.profilePhoto]) {
+      const fileId = storedFileId(value);
+      if (fileId) await fileStorage.deleteFile(fileId).catch(() => {});
+    }
+
+    console.log(`✅ [Onboarding] Invitation for ${tenant.name} cancelled`);
+    this.broadcastUpdate(tenant);
+    return tenant;
+  }
+
+  // Everyone still being onboarded, with their progress and documents (Owner)
+  async listOnboarding() {
+    const tenants = await Tenant.find({ status: 'pending', 'onboarding.status': { $exists: true, $ne: 'completed' } })
+      .select('-password')
+      .populate('room', 'roomNumber rent securityDeposit status')
+      .sort({ 'onboarding.invitedAt': -1 });
+
+    return tenants.map(tenant => this.present(tenant));
+  }
+
+  // Vacant rooms nobody has been invited to yet (Owner)
+  async listInvitableRooms() {
+    const [rooms, invited] = await Promise.all([
+      Room.find({ status: 'vacant', currentTenant: null }).select('roomNumber type rent securityDeposit').sort({ roomNumber: 1 }),
+      Tenant.distinct('room', { status: 'pending', 'onboarding.status': { $exists: true } })
+    ]);
+    const taken = new Set(invited.map(String));
+    return rooms.filter(room => !taken.has(String(room._id)));
+  }
+
+  // The wizard's view of a tenant: what they entered and which steps are done
+  async getForTenant(tenantId) {
+    const tenant = await Tenant.findById(tenantId)
+      .select('-password')
+      .populate('room', 'roomNumber type floor rent securityDeposit');
+    if (!tenant) throw notFound('Tenant not found');
+    return this.present(tenant);
+  }
+
+  present(tenant) {
+    const plain = tenant.toObject();
+    const steps = plain.onboarding?.steps || {};
+    const idProof = plain.documents?.idProof || {};
+    return {
+      _id: plain._id,
+      name: plain.name,
+      email: plain.email,
+      phone: plain.phone,
+      address: plain.address,
+      username: plain.username,
+      room: plain.room,
+      moveInDate: plain.moveInDate,
+      status: plain.status,
+      emergencyContact: plain.emergencyContact || {},
+      idProof: {
+        ...idProof,
+        file: fileStorage.fileUrl(idProof.file)
+      },
+      profilePhoto: fileStorage.fileUrl(plain.profilePhoto),
+      onboarding: plain.onboarding || null,
+      completedSteps: STEPS.filter(step => steps[step]),
+      steps: STEPS
+    };
+  }
+
+  /**
+   * Save one wizard step for the tenant. Steps can be completed in any
+   * order and revisited until the onboarding is submitted.
+   */
+  async saveStep(tenantId, step, body = {}) {
+    if (!STEPS.includes(step)) throw badRequest(`step must be one of ${STEPS.join(', ')}`);
+
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant || !tenant.onboarding?.status) throw notFound('Onboarding not found');
+    if (!EDITABLE_STATUSES.includes(tenant.onboarding.status)) {
+      throw badRequest(tenant.onboarding.status === 'submitted'
+        ? 'Your details are with the owner for review'
+        : 'Onboarding is already complete');
+    }
+
+    const now = new Date();
+    const replacedFiles = [];
+
+    if (step === 'account') {
+      const password = typeof body.newPassword === 'string' ? body.newPassword : '';
+      if (password.length < MIN_PASSWORD_LENGTH) throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      if (password !== body.confirmPassword) throw badRequest('Passwords do not match');
+      tenant.password = password;
+    }
+
+    if (step === 'profile') {
+      const phone = normalizePhone(body.phone);
+      if (phone.replace(/\D/g, '').length < 10) throw badRequest('Phone must have at least 10 digits');
+      const taken = await Tenant.findOne({ _id: { $ne: tenant._id }, phone }).select('_id');
+      if (taken) throw badRequest('This phone number belongs to another tenant');
+
+      tenant.name = requireText(body.name, 'Name');
+      tenant.phone = phone;
+      tenant.address = requireText(body.address, 'Permanent address');
+    }
+
+    if (step === 'emergencyContact') {
+      const contact = {
+        name: requireText(body.name, 'Contact name'),
+        phone: normalizePhone(body.phone),
+        relationship: requireText(body.relationship, 'Relationship')
+      };
+      if (contact.phone.replace(/\D/g, '').length < 10) throw badRequest('Contact phone must have at least 10 digits');
+      tenant.emergencyContact = contact;
+      // The profile page reads the contact from profileData
+      tenant.profileData = {
+        ...(tenant.profileData || {}),
+        emergencyContact: { name: contact.name, phone: contact.phone, relation: contact.relationship }
+      };
+      tenant.markModified('profileData');
+    }
+
+    if (step === 'idProof') {
+      if (!ID_PROOF_TYPES.includes(body.documentType)) throw badRequest(`documentType must be one of ${ID_PROOF_TYPES.join(', ')}`);
+      const documentNumber = requireText(body.documentNumber, 'Document number');
+      if (!fileStorage.isDataUrl(body.file)) throw badRequest('Upload a photo or PDF of your ID proof');
+
+      const stored = await fileStorage.saveFile({
+        data: body.file,
+        fileName: body.fileName,
+        category: 'tenant_document',
+        tenant: tenant._id,
+        uploadedBy: tenant.name
+      });
+      replacedFiles.push(tenant.documents?.idProof?.file);
+      tenant.set('documents.idProof', {
+        file: fileStorage.filePath(stored),
+        documentType: body.documentType,
+        documentNumber,
+        uploadedAt: now,
+        verified: false
+      });
+    }
+
+    if (step === 'photo') {
+      if (!fileStorage.isDataUrl(body.file)) throw badRequest('Upload a photo of yourself');
+      const stored = await fileStorage.saveFile({
+        data: body.file,
+        fileName: body.fileName,
+        category: 'profile_photo',
+        tenant: tenant._id,
+        uploadedBy: tenant.name
+      });
+      replacedFiles.push(tenant.profilePhoto);
+      tenant.profilePhoto = fileStorage.filePath(stored);
+    }
+
+    tenant.onboarding.steps[step] = now;
+    if (tenant.onboarding.status === 'invited') tenant.onboarding.status = 'in_progress';
+    tenant.updatedAt = now;
+    await tenant.save();
+
+    for (const value of replacedFiles) {
+      const fileId = storedFileId(value);
+      if (fileId) await fileStorage.deleteFile(fileId).catch(() => {});
+    }
+
+    return this.getForTenant(tenant._id);
+  }
+
+  // Hand the completed wizard to the owner for review
+  async submit(tenantId) {
+    const tenant = await Tenant.findById(tenantId).populate('room', 'roomNumber');
+    if (!tenant || !tenant.onboarding?.status) throw notFound('Onboarding not found');
+    if (!EDITABLE_STATUSES.includes(tenant.onboarding.status)) throw badRequest('Your details have already been submitted');
+
+    const missing = STEPS.filter(step => !tenant.onboarding.steps?.[step]);
+    if (missing.length > 0) throw badRequest(`Complete these steps first: ${missing.join(', ')}`);
+
+    tenant.onboarding.status = 'submitted';
+    tenant.onboarding.submittedAt = new Date();
+    tenant.updatedAt = new Date();
+    await tenant.save();
+
+    console.log(`✅ [Onboarding] ${tenant.name} submitted onboarding for review`);
+    this.broadcastUpdate(tenant);
+    return this.getForTenant(tenant._id);
+  }
+
+  // Mark the ID proof as checked against the original (Owner)
+  async verifyIdProof(tenantId, verifiedBy) {
+    const tenant = await this.loadForReview(tenantId);
+    if (!tenant.documents?.idProof?.file) throw badRequest('No ID proof has been uploaded');
+
+    tenant.documents.idProof.verified = true;
+    tenant.documents.idProof.verifiedAt = new Date();
+    tenant.documents.idProof.verifiedBy = verifiedBy;
+    tenant.documents.idProof.rejectionReason = undefined;
+    tenant.updatedAt = new Date();
+    await tenant.save();
+
+    console.log(`✅ [Onboarding] ID proof of ${tenant.name} verified by ${verifiedBy}`);
+    this.broadcastUpdate(tenant);
+    return this.getForTenant(tenant._id);
+  }
+
+  /**
+   * Send the onboarding back to the tenant with a reason. `idProof: true`
+   * rejects the uploaded ID proof so it has to be uploaded again.
+   */
+  async requestChanges(tenantId, { reason, idProof = false } = {}) {
+    const note = requireText(reason, 'A reason');
+    const tenant = await this.loadForReview(tenantId);
+
+    tenant.onboarding.status = 'changes_requested';
+    tenant.onboarding.reviewNote = note;
+    if (idProof && tenant.documents?.idProof) {
+      tenant.documents.idProof.verified = false;
+      tenant.documents.idProof.rejectionReason = note;
+      tenant.onboarding.steps.idProof = undefined;
+    }
+    tenant.updatedAt = new Date();
+    await tenant.save();
+
+    await this.notifyTenant(tenant._id, 'Action needed on your move-in details', `The owner has asked for changes: ${note}`);
+    this.broadcastUpdate(tenant);
+    return this.getForTenant(tenant._id);
+  }
+
+  /**
+   * Activate a submitted tenant whose ID proof is verified: the room is
+   * occupied, any deposit collected in person is posted to the ledger and
+   * the move-in bill is raised for the rest of the deposit plus the first
+   * month. Metered utilities for the move-in month go on the next bill.
+   * A failure to raise the bill does not undo the activation; it is
+   * returned as `billError` so the owner can raise it by hand.
+   */
+  async activate(tenantId, { depositCollected } = {}, activatedBy) {
+    const tenant = await this.loadForReview(tenantId);
+    if (tenant.onboarding.status !== 'submitted') throw badRequest('The tenant has not submitted their details yet');
+    if (!tenant.documents?.idProof?.verified) throw badRequest('Verify the ID proof before activating');
+
+    const collected = depositCollected !== undefined && depositCollected !== '' ? Number(depositCollected) : 0;
+    if (!Number.isFinite(collected) || collected < 0) throw badRequest('depositCollected cannot be negative');
+    if (collected > tenant.onboarding.agreedDeposit) {
+      throw badRequest(`depositCollected cannot be more than the agreed deposit of ${formatAmount(tenant.onboarding.agreedDeposit)}`);
+    }
+
+    const now = new Date();
+    const room = await Room.findOneAndUpdate(
+      { _id: tenant.room, currentTenant: null, status: 'vacant' },
+      { $set: { currentTenant: tenant._id, status: 'occupied', updatedAt: now } },
+      { new: true }
+    );
+    if (!room) throw badRequest('The room is no longer vacant');
+
+    tenant.status = 'active';
+    tenant.onboarding.status = 'completed';
+    tenant.onboarding.activatedAt = now;
+    tenant.onboarding.activatedBy = activatedBy;
+    tenant.onboarding.reviewNote = undefined;
+    tenant.updatedAt = now;
+    await tenant.save();
+
+    if (collected > 0) {
+      await ledgerService.recordEntry(tenant._id, {
+        type: 'deposit_receipt',
+        amount: collected,
+        description: 'Security deposit collected at move-in',
+        date: now
+      }, activatedBy);
+    }
+
+    const depositDue = Math.round((tenant.onboarding.agreedDeposit - collected) * 100) / 100;
+    const moveIn = new Date(tenant.moveInDate || now);
+    let bill = null;
+    let billError = null;
+    try {
+      const result = await this.billingService.generateForTenant(tenant._id, moveIn.getMonth() + 1, moveIn.getFullYear(), {
+        deferMeteredUtilities: true,
+        extraCharges: depositDue > 0
+          ? [{ description: 'Security deposit (refundable)', amount: depositDue, securityDeposit: true }]
+          : [],
+        notify: false
+      });
+      bill = result.bill;
+      await Tenant.updateOne({ _id: tenant._id }, { $set: { 'onboarding.firstBill': bill._id } });
+    } catch (error) {
+      console.error(`❌ [Onboarding] Could not raise the move-in bill for ${tenant.name}:`, error.message);
+      billError = error.message;
+    }
+
+    await this.notifyTenant(tenant._id, 'Welcome to Bhuyan Complex',
+      `Your tenancy for room ${room.roomNumber} is now active.` +
+      (bill ? ` Your move-in bill of ${formatAmount(bill.totalAmount)} is due on ${formatDate(bill.dueDate)}.` : ''));
+
+    console.log(`✅ [Onboarding] ${tenant.name} activated in room ${room.roomNumber} by ${activatedBy}`);
+    this.broadcastUpdate(tenant);
+    if (this.broadcastToClients) {
+      this.broadcastToClients({ type: 'ROOMS_UPDATED' });
+    }
+
+    return { tenant: await this.getForTenant(tenant._id), bill, billError };
+  }
+
+  async loadForReview(tenantId) {
+    const tenant = await Tenant.findById(tenantId);
+    if (!tenant || !tenant.onboarding?.status) throw notFound('Onboarding not found');
+    if (tenant.onboarding.status === 'completed') throw badRequest('This tenant is already active');
+    return tenant;
+  }
+
+  async notifyTenant(tenantId, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category: 'info',
+      priority: 'high',
+      recipients: [{ tenant: tenantId }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+    }
+  }
+
+  broadcastUpdate(tenant) {
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'ONBOARDING_UPDATED',
+        tenantId: tenant._id,
+        status: tenant.onboarding?.status
+      });
+    }
+  }
+}
+
+OnboardingService.STEPS = STEPS;
+OnboardingService.ID_PROOF_TYPES = ID_PROOF_TYPES;
+
+module.exports = OnboardingService;
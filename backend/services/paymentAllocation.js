@@ -0,0 +1,253 @@
+const { Bill, Payment, Tenant } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const ledgerService = require('./ledgerService');
+const { roundAmount, conflict } = require('../utils/serviceHelpers');
+
+// Spreads a payment over the tenant's outstanding bills, oldest bill first.
+// Within a bill the late fee or the bill amount is settled first depending on
+// the policy's allocationOrder. Anything left over becomes tenant credit,
+// which is applied to the next bill that is generated.
+
+const OUTSTANDING_STATUSES = ['pending', 'overdue', 'partially_paid', 'payment_pending_verification'];
+
+// How often a bill is re-read when other payments keep changing it
+const MAX_BILL_ATTEMPTS = 3;
+
+const getOutstandingBills = (tenantId) => Bill.find({
+  tenant: tenantId,
+  status: { $in: OUTSTANDING_STATUSES }
+}).sort({ year: 1, month: 1, dueDate: 1, generatedAt: 1 });
+
+// Apply up to `available` to one bill; mutates the bill and returns the split
+const allocateToBill = (bill, available, policy, currentDate) => {
+  const penalty = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+  const baseAmount = penalty.baseAmount;
+
+  // Bring the late fee up to date so penalty-first allocation sees today's figure
+  bill.penalty = bill.penalty || {};
+  bill.penalty.amount = penalty.amount;
+  bill.penalty.days = penalty.days;
+  bill.penalty.rate = penalty.rate;
+  if (penalty.amount > 0) bill.penalty.appliedDate = currentDate;
+
+  // Bills paid before the breakdown existed count their paidAmount as principal
+  const penaltyPaid = bill.paidBreakdown?.penalty || 0;
+  const principalPaid = Math.max(bill.paidBreakdown?.principal || 0, (bill.paidAmount || 0) - penaltyPaid);
+
+  const due = {
+    penalty: Math.max(0, penalty.amount - penaltyPaid),
+    principal: Math.max(0, baseAmount - principalPaid)
+  };
+  const sequence = policy.allocationOrder === 'principal_first'
+    ? ['principal', 'penalty']
+    : ['penalty', 'principal'];
+
+  const applied = { principal: 0, penalty: 0 };
+  let remaining = available;
+  sequence.forEach(part => {
+    applied[part] = roundAmount(Math.min(remaining, due[part]));
+    remaining = roundAmount(remaining - applied[part]);
+  });
+
+  bill.paidBreakdown = {
+    principal: roundAmount(principalPaid + applied.principal),
+    penalty: roundAmount(penaltyPaid + applied.penalty)
+  };
+  bill.totalAmount = baseAmount + penalty.amount;
+  bill.paidAmount = roundAmount(bill.paidBreakdown.principal + bill.paidBreakdown.penalty);
+  bill.remainingAmount = roundAmount(Math.max(0, bill.totalAmount - bill.paidAmount));
+
+  if (bill.remainingAmount <= 0) {
+    bill.status = 'paid';
+    bill.paidDate = currentDate;
+  } else if (bill.paidAmount > 0) {
+    bill.status = 'partially_paid';
+  }
+  bill.updatedAt = currentDate;
+
+  return {
+    amount: roundAmount(applied.principal + applied.penalty),
+    principalAmount: applied.principal,
+    penaltyAmount: applied.penalty
+  };
+};
+
+// Once a move-in bill is paid its security deposit is held in the deposit account
+const recordDepositReceipt = async (bill, currentDate) => {
+  const deposit = roundAmount((bill.items?.additionalCharges || [])
+    .filter(charge => charge.securityDeposit)
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0));
+  if (deposit <= 0 || bill.depositRecordedAt) return;
+
+  // Claim the bill first so a deposit is never posted twice
+  const claimed = await Bill.updateOne(
+    { _id: bill._id, depositRecordedAt: null },
+    { $set: { depositRecordedAt: currentDate } }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  await ledgerService.recordEntry(bill.tenant, {
+    type: 'deposit_receipt',
+    amount: deposit,
+    description: `Security deposit paid with bill ${bill.billNumber}`,
+    date: currentDate,
+    reference: bill.billNumber,
+    bill: bill._id
+  }, 'system');
+};
+
+// Apply up to `available` to one bill and write it back. The write only goes
+// through if paidAmount is still what was read, so a payment being allocated
+// to the same bill at the same time is never overwritten; the bill is read
+// again and the split worked out afresh instead. Returns the bill as written.
+const settleBill = async (bill, available, policy, currentDate) => {
+  for (let attempt = 0; attempt < MAX_BILL_ATTEMPTS; attempt++) {
+    const paidBefore = bill.paidAmount || 0;
+    const split = allocateToBill(bill, available, policy, currentDate);
+    if (split.amount <= 0) return { bill, split };
+
+    const written = await Bill.updateOne({
+      _id: bill._id,
+      status: { $in: OUTSTANDING_STATUSES },
+      paidAmount: paidBefore > 0 ? paidBefore : { $in: [0, null] }
+    }, bill.getChanges());
+    if (written.modifiedCount === 1) return { bill, split };
+
+    bill = await Bill.findById(bill._id);
+    if (!bill || !OUTSTANDING_STATUSES.includes(bill.status)) {
+      return { bill, split: { amount: 0, principalAmount: 0, penaltyAmount: 0 } };
+    }
+  }
+  throw conflict(`Bill ${bill.billNumber} kept changing while a payment was allocated to it`);
+};
+
+// Allocate an amount across the tenant's outstanding bills; returns what is
+// left over. `onAllocated` is told about each bill as soon as it is written.
+const allocateAmount = async (tenantId, amount, currentDate = new Date(), onAllocated = null) => {
+  const policy = await penaltyPolicy.getPolicy();
+  const bills = await getOutstandingBills(tenantId);
+  const allocations = [];
+  let available = roundAmount(amount);
+
+  for (const outstanding of bills) {
+    if (available <= 0) break;
+
+    const { bill, split } = await settleBill(outstanding, available, policy, currentDate);
+    if (split.amount <= 0) continue;
+
+    available = roundAmount(available - split.amount);
+    const allocation = {
+      bill: bill._id,
+      billNumber: bill.billNumber,
+      ...split,
+      billStatus: bill.status
+    };
+    allocations.push(allocation);
+    if (onAllocated) await onAllocated(allocation);
+    if (bill.status === 'paid') await recordDepositReceipt(bill, currentDate);
+  }
+
+  return { allocations, remainder: Math.max(0, available) };
+};
+
+/**
+ * Allocate a completed (saved) payment. Safe to call more than once, even
+ * concurrently - a payment that has already been allocated is returned
+ * unchanged. Each bill settled is recorded on the payment straight away, so
+ * if allocation fails part way the claim is released and a retry picks up
+ * with what is left of the payment.
+ */
+const allocatePayment = async (payment, currentDate = new Date()) => {
+  const alreadyAllocated = async () => {
+    const stored = await Payment.findById(payment._id).select('allocations creditAmount');
+    return { allocations: stored?.allocations || [], creditAmount: stored?.creditAmount || 0 };
+  };
+  if (payment.allocatedAt) return alreadyAllocated();
+
+  // Claim the payment first so two concurrent runs cannot allocate it twice
+  const claimed = await Payment.updateOne(
+    { _id: payment._id, allocatedAt: null },
+    { $set: { allocatedAt: currentDate } }
+  );
+  if (claimed.modifiedCount === 0) return alreadyAllocated();
+
+  const tenantId = payment.tenant?._id || payment.tenant;
+  let allocations;
+  let remainder;
+  try {
+    const stored = await Payment.findById(payment._id).select('allocations');
+    allocations = (stored?.allocations || []).map(allocation => allocation.toObject());
+    const allocatedBefore = roundAmount(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+
+    ({ remainder } = await allocateAmount(tenantId, payment.amount - allocatedBefore, currentDate, async (allocation) => {
+      await Payment.updateOne({ _id: payment._id }, { $push: { allocations: allocation } });
+      allocations.push(allocation);
+    }));
+
+    // Tenant credit is added last, so a failure before it leaves no credit to undo
+    await Payment.updateOne({ _id: payment._id }, { $set: { creditAmount: remainder } });
+    if (remainder > 0) {
+      await Tenant.findByIdAndUpdate(tenantId, { $inc: { creditBalance: remainder } });
+    }
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $set: { allocatedAt: null, creditAmount: 0 } });
+    throw error;
+  }
+
+  payment.allocations = allocations;
+  payment.creditAmount = remainder;
+  payment.allocatedAt = currentDate;
+
+  console.log(`✅ [PaymentAllocation] Payment ${payment._id}: ₹${payment.amount} across ${allocations.length} bill(s)${remainder > 0 ? `, ₹${remainder} to tenant credit` : ''}`);
+
+  return { allocations, creditAmount: remainder };
+};
+
+/**
+ * Apply any credit the tenant is carrying to their outstanding bills.
+ * Recorded as a 'credit' payment so it shows up in the payment history.
+ */
+const applyTenantCredit = async (tenantId, currentDate = new Date()) => {
+  const tenant = await Tenant.findById(tenantId).select('creditBalance');
+  const credit = tenant?.creditBalance || 0;
+  if (credit <= 0) return null;
+
+  // Claim the credit first so two concurrent runs cannot spend it twice
+  const claimed = await Tenant.updateOne(
+    { _id: tenantId, creditBalance: credit },
+    { $set: { creditBalance: 0 } }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  const { allocations, remainder } = await allocateAmount(tenantId, credit, currentDate);
+
+  if (remainder > 0) {
+    await Tenant.findByIdAndUpdate(tenantId, { $inc: { creditBalance: remainder } });
+  }
+  if (allocations.length === 0) return null;
+
+  const payment = new Payment({
+    tenant: tenantId,
+    bill: allocations[0].bill,
+    amount: roundAmount(credit - remainder),
+    paymentMethod: 'credit',
+    status: 'completed',
+    paidAt: currentDate,
+    notes: 'Tenant credit carried forward',
+    allocations,
+    creditAmount: 0,
+    allocatedAt: currentDate
+  });
+  await payment.save();
+
+  console.log(`✅ [PaymentAllocation] Applied ₹${payment.amount} tenant credit for tenant ${tenantId}`);
+
+  return { payment, allocations, remainingCredit: remainder };
+};
+
+module.exports = {
+  OUTSTANDING_STATUSES,
+  getOutstandingBills,
+  allocatePayment,
+  applyTenantCredit
+};
@@ -0,0 +1,296 @@
+const { Bill, Payment, Notification } = require('../../models');
+const penaltyPolicy = require('./penaltyPolicy');
+const paymentAllocation = require('./paymentAllocation');
+const receiptService = require('./receiptService');
+const fileStorage = require('./fileStorage');
+const { MONTH_NAMES, roundAmount, badRequest, notFound } = require('../utils/serviceHelpers');
+
+// The owner's inbox of manual payments (screenshot / UPI / bank transfer)
+// that tenants recorded and that wait on a decision. Each one is approved
+// (applied to the tenant's bills with a receipt), rejected with a reason, or
+// sent back for a new screenshot; the tenant hears about it straight away.
+
+const HISTORY_LIMIT = 6;
+
+const requireReason = (reason, action) => {
+  const text = String(reason || '').trim();
+  if (!text) throw badRequest(`A reason is required to ${action}`);
+  return text;
+};
+
+const describeBill = (bill) => (bill
+  ? `bill ${bill.billNumber} (${MONTH_NAMES[bill.month - 1]} ${bill.year})`
+  : 'your bill');
+
+class PaymentVerificationService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  /**
+   * Payments waiting on the owner, oldest first. `view` is 'pending' (ready
+   * to review) or 'resubmission' (sent back, waiting on the tenant).
+   */
+  async listQueue({ view = 'pending' } = {}) {
+    const resubmission = view === 'resubmission';
+    const [payments, counts, policy] = await Promise.all([
+      Payment.find({
+        status: 'pending_verification',
+        'verification.resubmissionRequested': resubmission ? true : { $ne: true }
+      })
+        .populate('tenant', 'name username phone')
+        .populate('bill')
+        .sort({ paidAt: 1 }),
+      this.getCounts(),
+      penaltyPolicy.getPolicy()
+    ]);
+
+    const items = await Promise.all(payments.map(payment => this.buildItem(payment, policy)));
+    return { items, counts };
+  }
+
+  async getCounts() {
+    const [pending, resubmission] = await Promise.all([
+      Payment.countDocuments({ status: 'pending_verification', 'verification.resubmissionRequested': { $ne: true } }),
+      Payment.countDocuments({ status: 'pending_verification', 'verification.resubmissionRequested': true })
+    ]);
+    return { pending, resubmission };
+  }
+
+  // One inbox row: the claim, what the bill expected on the day, and the tenant's record
+  async buildItem(payment, policy) {
+    const bill = payment.bill;
+    let expectedAmount = null;
+    if (bill) {
+      const penalty = penaltyPolicy.calculatePenalty(bill, policy, payment.paidAt || payment.createdAt);
+      expectedAmount = roundAmount(Math.max(0, penalty.baseAmount + penalty.amount - (bill.paidAmount || 0)));
+    }
+
+    const recent = await Payment.find({ tenant: payment.tenant?._id || payment.tenant, _id: { $ne: payment._id } })
+      .select('amount status paymentMethod paidAt bill verification.rejectionReason')
+      .populate('bill', 'billNumber month year')
+      .sort({ paidAt: -1 })
+      .limit(HISTORY_LIMIT);
+
+    const screenshot = payment.paymentScreenshot || {};
+
+    return {
+      _id: payment._id,
+      amount: payment.amount,
+      expectedAmount,
+      difference: expectedAmount === null ? null : roundAmount(payment.amount - expectedAmount),
+      paymentMethod: payment.paymentMethod,
+      transactionId: payment.transactionId,
+      notes: payment.notes,
+      paidAt: payment.paidAt,
+      tenant: payment.tenant,
+      bill: bill && {
+        _id: bill._id,
+        billNumber: bill.billNumber,
+        month: bill.month,
+        year: bill.year,
+        dueDate: bill.dueDate,
+        status: bill.status,
+        totalAmount: bill.totalAmount,
+        paidAmount: bill.paidAmount || 0
+      },
+      screenshot: screenshot.filename
+        ? {
+            url: fileStorage.fileUrl(screenshot.filename),
+            thumbnailUrl: fileStorage.fileUrl(screenshot.thumbnail || screenshot.filename),
+            uploadDate: screenshot.uploadDate
+          }
+        : null,
+      verification: payment.verification,
+      recentPayments: recent,
+      rejectedBefore: recent.filter(entry => entry.status === 'rejected').length
+    };
+  }
+
+  // Claim a pending payment for a decision so two owners (or a double click) cannot both decide it
+  async claim(paymentId, update) {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: 'pending_verification' },
+      update,
+      { new: true }
+    ).populate('bill');
+
+    if (!payment) {
+      const existing = await Payment.findById(paymentId).select('status');
+      if (!existing) throw notFound('Payment not found');
+      throw badRequest(`Payment is already ${existing.status}`);
+    }
+    return payment;
+  }
+
+  /**
+   * Accept the payment as received: apply it to the tenant's bills (oldest
+   * first, any excess to credit) and issue the receipt.
+   */
+  async approve(paymentId, { notes } = {}, user) {
+    const currentDate = new Date();
+    const performedBy = user.username || user.id;
+
+    // Approved payments are completed like any other money received, so totals
+    // and receipts count them; the screenshot fields record the check
+    const payment = await this.claim(paymentId, {
+      $set: {
+        status: 'completed',
+        'paymentScreenshot.verified': true,
+        'paymentScreenshot.verifiedBy': user.id,
+        'paymentScreenshot.verifiedDate': currentDate,
+        'paymentScreenshot.notes': String(notes || '').trim(),
+        'verification.resubmissionRequested': false,
+        'verification.decidedBy': performedBy,
+        'verification.decidedAt': currentDate
+      },
+      $push: { 'verification.history': { action: 'approved', reason: notes, by: performedBy, at: currentDate } }
+    });
+
+    const allocation = await paymentAllocation.allocatePayment(payment, currentDate);
+    const receipt = await receiptService.issueReceipt(payment, { currentDate });
+
+    console.log(`✅ [Verification] Payment ${payment._id} of ₹${payment.amount} approved by ${performedBy}`);
+
+    await this.notifyTenant(payment, 'success', 'Payment verified',
+      `Your payment of ₹${payment.amount} for ${describeBill(payment.bill)} has been verified.` +
+      (receipt ? ` Receipt ${receipt.receiptNumber} is available under Payments & Receipts.` : '') +
+      (allocation.creditAmount > 0 ? ` ₹${allocation.creditAmount} is held as credit for future bills.` : ''));
+
+    if (this.broadcastToClients && payment.bill) {
+      this.broadcastToClients({
+        type: 'BILL_PAYMENT_VERIFIED',
+        billId: payment.bill._id,
+        paymentId: payment._id,
+        allocations: allocation.allocations,
+        creditAmount: allocation.creditAmount
+      });
+      this.broadcastToClients({
+        type: 'PAYMENT_DASHBOARD_UPDATE',
+        month: payment.bill.month,
+        year: payment.bill.year,
+        paymentAmount: payment.amount,
+        paymentId: payment._id
+      });
+    }
+
+    return { payment, allocation, receipt };
+  }
+
+  // Turn the payment down; the bill goes back to what is actually owed
+  async reject(paymentId, { reason } = {}, user) {
+    const text = requireReason(reason, 'reject a payment');
+    const currentDate = new Date();
+    const performedBy = user.username || user.id;
+
+    const payment = await this.claim(paymentId, {
+      $set: {
+        status: 'rejected',
+        'paymentScreenshot.verified': false,
+        'paymentScreenshot.verifiedDate': currentDate,
+        'paymentScreenshot.notes': text,
+        'verification.resubmissionRequested': false,
+        'verification.rejectionReason': text,
+        'verification.decidedBy': performedBy,
+        'verification.decidedAt': currentDate
+      },
+      $push: { 'verification.history': { action: 'rejected', reason: text, by: performedBy, at: currentDate } }
+    });
+
+    await this.reopenBill(payment.bill, currentDate);
+
+    console.log(`❌ [Verification] Payment ${payment._id} of ₹${payment.amount} rejected by ${performedBy}: ${text}`);
+
+    await this.notifyTenant(payment, 'warning', 'Payment rejected',
+      `Your payment of ₹${payment.amount} for ${describeBill(payment.bill)} was not accepted. Reason: ${text}. ` +
+      'The bill is still due.');
+
+    return { payment };
+  }
+
+  // Keep the payment open but ask the tenant for a clearer or correct screenshot
+  async requestResubmission(paymentId, { reason } = {}, user) {
+    const text = requireReason(reason, 'ask for a new screenshot');
+    const currentDate = new Date();
+    const performedBy = user.username || user.id;
+
+    const payment = await this.claim(paymentId, {
+      $set: {
+        'verification.resubmissionRequested': true,
+        'verification.resubmissionReason': text
+      },
+      $push: { 'verification.history': { action: 'resubmission_requested', reason: text, by: performedBy, at: currentDate } }
+    });
+
+    console.log(`🔁 [Verification] New screenshot requested for payment ${payment._id} by ${performedBy}: ${text}`);
+
+    await this.notifyTenant(payment, 'warning', 'New payment screenshot needed',
+      `Please upload a new screenshot for your payment of ₹${payment.amount} for ${describeBill(payment.bill)}. ` +
+      `Reason: ${text}. You can upload it under Payments & Receipts.`);
+
+    return { payment };
+  }
+
+  // Approve several payments; each succeeds or fails on its own
+  async bulkApprove(paymentIds, user) {
+    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+      throw badRequest('Select at least one payment to approve');
+    }
+
+    const approved = [];
+    const failed = [];
+    for (const paymentId of [...new Set(paymentIds.map(String))]) {
+      try {
+        const { payment, receipt } = await this.approve(paymentId, {}, user);
+        approved.push({ paymentId, amount: payment.amount, receiptNumber: receipt?.receiptNumber || null });
+      } catch (error) {
+        if (!error.statusCode) console.error(`❌ [Verification] Bulk approve failed for ${paymentId}:`, error);
+        failed.push({ paymentId, message: error.statusCode ? error.message : 'Failed to approve payment' });
+      }
+    }
+
+    return { approved, failed };
+  }
+
+  // A bill waiting on this payment is owed again, unless another payment for it is still pending
+  async reopenBill(bill, currentDate) {
+    if (!bill || bill.status !== 'payment_pending_verification') return;
+    if (await Payment.exists({ bill: bill._id, status: 'pending_verification' })) return;
+
+    await Bill.findByIdAndUpdate(bill._id, {
+      status: bill.paidAmount > 0
+        ? 'partially_paid'
+        : (new Date(bill.dueDate) < currentDate ? 'overdue' : 'pending'),
+      paymentId: null
+    });
+  }
+
+  async notifyTenant(payment, category, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category,
+      priority: category === 'warning' ? 'high' : 'medium',
+      recipients: [{ tenant: payment.tenant }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+      this.broadcastToClients({
+        type: 'PAYMENT_VERIFICATION_UPDATED',
+        paymentId: payment._id,
+        tenantId: payment.tenant,
+        status: payment.status,
+        resubmissionRequested: !!payment.verification?.resubmissionRequested
+      });
+    }
+  }
+}
+
+module.exports = PaymentVerificationService;
@@ -1,4 +1,6 @@
 const PDFDocument = require('pdfkit');
+const penaltyPolicy = require('./penaltyPolicy');
+const upiService = require('./upiService');
 
 class PDFService {
   static async generateBillInvoice(bill, tenant, room) {
@@ -14,10 +16,20 @@ class PDFService {
     this.addTenantDetails(doc, tenant, room, bill);
     
     // Add bill breakdown table
-    this.addBillBreakdown(doc, bill);
+    const policy = await penaltyPolicy.getPolicy();
+    const breakdownEnd = this.addBillBreakdown(doc, bill, policy);
     
     // Add payment status and notes
-    this.addPaymentStatus(doc, bill);
+    const statusEnd = this.addPaymentStatus(doc, bill, breakdownEnd);
+
+    // Voids, credit notes and revisions recorded against the bill
+    const amendmentsEnd = this.addAmendments(doc, bill, statusEnd);
+
+    // Scan-to-pay QR for the owner's UPI ID while the bill is unpaid
+    const upi = await upiService.getBillPayment(bill);
+    if (upi) {
+      this.addUpiPayment(doc, upi, await upiService.qrBuffer(upi.intentUrl), amendmentsEnd);
+    }
     
     // Add footer
     this.addFooter(doc);
@@ -25,6 +37,590 @@ class PDFService {
     return doc;
   }
 
+  static generateLedgerStatement(statement, tenant) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+    const pageWidth = doc.page.width;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('Bhuyan Complex', 50, 50, { align: 'left' });
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text('ACCOUNT STATEMENT', 50, 90);
+
+    doc.fontSize(10)
+       .text(`Date: ${formatDate(statement.generatedAt)}`, pageWidth - 200, 100)
+       .text(`From: ${formatDate(statement.from) || 'Start of tenancy'}`, pageWidth - 200, 115)
+       .text(`To: ${formatDate(statement.to || statement.generatedAt)}`, pageWidth - 200, 130);
+
+    doc.moveTo(50, 160)
+       .lineTo(pageWidth - 50, 160)
+       .strokeColor('#e5e7eb')
+       .stroke();
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('TENANT:', 50, 180)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`${tenant.name}`, 50, 200)
+       .text(`${tenant.email || ''}`, 50, 215)
+       .text(`Room: ${tenant.room ? tenant.room.roomNumber : 'N/A'}`, 50, 230);
+
+    // Summary (right side)
+    doc.fontSize(10)
+       .fillColor('#374151')
+       .text(`Opening Balance: ${formatAmount(statement.openingBalance)}`, pageWidth - 250, 180)
+       .text(`Charges: ${formatAmount(statement.totals.debit)}`, pageWidth - 250, 195)
+       .text(`Payments & Credits: ${formatAmount(statement.totals.credit)}`, pageWidth - 250, 210)
+       .text(`Deposit Held: ${formatAmount(statement.depositHeld)}`, pageWidth - 250, 225);
+
+    const columns = [
+      { label: 'Date', x: 55 },
+      { label: 'Description', x: 115 },
+      { label: 'Debit', x: pageWidth - 230 },
+      { label: 'Credit', x: pageWidth - 165 },
+      { label: 'Balance', x: pageWidth - 100 }
+    ];
+
+    const addTableHeader = (y) => {
+      doc.rect(50, y, pageWidth - 100, 22)
+         .fillAndStroke('#f3f4f6', '#e5e7eb');
+      doc.fontSize(9).fillColor('#374151');
+      columns.forEach(column => doc.text(column.label, column.x, y + 7));
+      return y + 22;
+    };
+
+    const addRow = (y, cells, index, color = '#374151') => {
+      const bgColor = index % 2 === 0 ? '#ffffff' : '#f9fafb';
+      doc.rect(50, y, pageWidth - 100, 20)
+         .fillAndStroke(bgColor, '#f3f4f6');
+      doc.fontSize(8).fillColor(color);
+      cells.forEach((cell, i) => {
+        const width = i === 1 ? pageWidth - 360 : 60;
+        doc.text(cell, columns[i].x, y + 6, { width, lineBreak: false, ellipsis: true });
+      });
+      return y + 20;
+    };
+
+    let yPos = addTableHeader(260);
+    yPos = addRow(yPos, [formatDate(statement.from), 'Opening balance', '', '', formatAmount(statement.openingBalance)], 0);
+
+    statement.entries.forEach((entry, index) => {
+      if (yPos > doc.page.height - 140) {
+        doc.addPage();
+        yPos = addTableHeader(50);
+      }
+
+      // Deposit lines do not move the rent balance
+      const isDeposit = entry.account === 'deposit';
+      const description = entry.reference ? `${entry.description} [${entry.reference}]` : entry.description;
+      yPos = addRow(yPos, [
+        formatDate(entry.date),
+        isDeposit ? `${description} (deposit)` : description,
+        entry.debit ? formatAmount(entry.debit) : '',
+        entry.credit ? formatAmount(entry.credit) : '',
+        isDeposit ? '-' : formatAmount(entry.balance)
+      ], index + 1, isDeposit ? '#6b7280' : '#374151');
+    });
+
+    if (yPos > doc.page.height - 160) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    // Closing balance
+    const closing = statement.closingBalance;
+    const closingLabel = closing > 0 ? 'BALANCE DUE' : closing < 0 ? 'CREDIT BALANCE' : 'SETTLED';
+    doc.rect(50, yPos + 10, pageWidth - 100, 30)
+       .fillAndStroke(closing > 0 ? '#dc2626' : '#059669', closing > 0 ? '#dc2626' : '#059669');
+
+    doc.fontSize(12)
+       .fillColor('#ffffff')
+       .text(closingLabel, 60, yPos + 20)
+       .fontSize(14)
+       .text(formatAmount(Math.abs(closing)), pageWidth - 150, yPos + 18);
+
+    this.addFooter(doc);
+
+    return doc;
+  }
+
+  static generateMoveOutSettlement(settlement, tenant, room) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+    const pageWidth = doc.page.width;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+    const categoryLabels = {
+      damage: 'Damage',
+      cleaning: 'Cleaning',
+      unpaid_bill: 'Unpaid Bill',
+      penalty: 'Late Fee',
+      other: 'Other'
+    };
+
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('Bhuyan Complex', 50, 50, { align: 'left' });
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text('MOVE-OUT SETTLEMENT', 50, 90);
+
+    doc.fontSize(10)
+       .text(`Date: ${formatDate(settlement.createdAt)}`, pageWidth - 200, 100)
+       .text(`Move-out: ${formatDate(settlement.moveOutDate)}`, pageWidth - 200, 115);
+
+    doc.moveTo(50, 150)
+       .lineTo(pageWidth - 50, 150)
+       .strokeColor('#e5e7eb')
+       .stroke();
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('TENANT:', 50, 170)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`${tenant.name}`, 50, 190)
+       .text(`${tenant.email || ''}`, 50, 205)
+       .text(`${tenant.phone || ''}`, 50, 220);
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('INSPECTION:', 300, 170)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`Room: ${room ? room.roomNumber : 'N/A'}`, 300, 190)
+       .text(`Inspected: ${formatDate(settlement.inspection?.date)}${settlement.inspection?.inspectedBy ? ` by ${settlement.inspection.inspectedBy}` : ''}`, 300, 205)
+       .text(`Condition: ${(settlement.inspection?.condition || 'good').toUpperCase()}`, 300, 220);
+
+    let yPos = 250;
+    if (settlement.inspection?.notes) {
+      doc.fontSize(9)
+         .fillColor('#6b7280')
+         .text(`Notes: ${settlement.inspection.notes}`, 50, yPos, { width: pageWidth - 100 });
+      yPos = doc.y + 15;
+    }
+
+    // Deductions table
+    doc.rect(50, yPos, pageWidth - 100, 22)
+       .fillAndStroke('#f3f4f6', '#e5e7eb');
+    doc.fontSize(9)
+       .fillColor('#374151')
+       .text('Category', 60, yPos + 7)
+       .text('Description', 160, yPos + 7)
+       .text('Amount', pageWidth - 130, yPos + 7);
+    yPos += 22;
+
+    if (settlement.deductions.length === 0) {
+      doc.rect(50, yPos, pageWidth - 100, 20)
+         .fillAndStroke('#ffffff', '#f3f4f6');
+      doc.fontSize(8)
+         .fillColor('#6b7280')
+         .text('No deductions', 160, yPos + 6);
+      yPos += 20;
+    }
+
+    settlement.deductions.forEach((deduction, index) => {
+      if (yPos > doc.page.height - 200) {
+        doc.addPage();
+        yPos = 50;
+      }
+      doc.rect(50, yPos, pageWidth - 100, 20)
+         .fillAndStroke(index % 2 === 0 ? '#ffffff' : '#f9fafb', '#f3f4f6');
+      doc.fontSize(8)
+         .fillColor('#374151')
+         .text(categoryLabels[deduction.category] || deduction.category, 60, yPos + 6)
+         .text(deduction.description, 160, yPos + 6, { width: pageWidth - 320, lineBreak: false, ellipsis: true })
+         .text(formatAmount(deduction.amount), pageWidth - 130, yPos + 6);
+      yPos += 20;
+    });
+
+    if (yPos > doc.page.height - 260) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    // Settlement summary
+    const summary = [
+      ['Security deposit held', formatAmount(settlement.depositHeld)],
+      ['Account credit', formatAmount(settlement.creditBalance)],
+      ['Total deductions', `- ${formatAmount(settlement.totalDeductions)}`]
+    ];
+    yPos += 15;
+    summary.forEach(([label, value]) => {
+      doc.fontSize(10)
+         .fillColor('#374151')
+         .text(label, pageWidth - 300, yPos)
+         .text(value, pageWidth - 130, yPos);
+      yPos += 18;
+    });
+
+    const owesTenant = settlement.amountDue <= 0;
+    const color = owesTenant ? '#059669' : '#dc2626';
+    doc.rect(50, yPos + 10, pageWidth - 100, 30)
+       .fillAndStroke(color, color);
+    doc.fontSize(12)
+       .fillColor('#ffffff')
+       .text(owesTenant ? 'REFUND TO TENANT' : 'BALANCE PAYABLE BY TENANT', 60, yPos + 20)
+       .fontSize(14)
+       .text(formatAmount(owesTenant ? settlement.refundAmount : settlement.amountDue), pageWidth - 150, yPos + 18);
+    yPos += 55;
+
+    if (owesTenant && settlement.refund?.method) {
+      doc.fontSize(9)
+         .fillColor('#6b7280')
+         .text(`Refunded via ${settlement.refund.method}${settlement.refund.reference ? ` (Ref: ${settlement.refund.reference})` : ''} on ${formatDate(settlement.refund.paidAt)}`, 50, yPos);
+    }
+
+    this.addFooter(doc);
+
+    return doc;
+  }
+
+  static generatePaymentReceipt(receipt, tenant, room) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+    const pageWidth = doc.page.width;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+    const method = String(receipt.paymentMethod || '').replace('_', ' ').toUpperCase();
+
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('Bhuyan Complex', 50, 50, { align: 'left' });
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text('PAYMENT RECEIPT', 50, 90);
+
+    doc.fontSize(10)
+       .text(`Receipt #: ${receipt.receiptNumber}`, pageWidth - 200, 100)
+       .text(`Issued: ${formatDate(receipt.issuedAt)}`, pageWidth - 200, 115)
+       .text(`Paid On: ${formatDate(receipt.paidAt)}`, pageWidth - 200, 130);
+
+    doc.moveTo(50, 160)
+       .lineTo(pageWidth - 50, 160)
+       .strokeColor('#e5e7eb')
+       .stroke();
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('RECEIVED FROM:', 50, 180)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`${tenant.name || ''}`, 50, 200)
+       .text(`${tenant.email || ''}`, 50, 215)
+       .text(`${tenant.phone || ''}`, 50, 230)
+       .text(`Room: ${room ? room.roomNumber : 'N/A'}`, 50, 245);
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('PAYMENT DETAILS:', pageWidth - 250, 180)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`Method: ${method}`, pageWidth - 250, 200)
+       .text(`Reference: ${receipt.reference || 'N/A'}`, pageWidth - 250, 215, { width: 200, lineBreak: false, ellipsis: true });
+
+    // What the payment settled
+    let yPos = 285;
+    doc.rect(50, yPos, pageWidth - 100, 22)
+       .fillAndStroke('#f3f4f6', '#e5e7eb');
+    doc.fontSize(9)
+       .fillColor('#374151')
+       .text('Applied To', 60, yPos + 7)
+       .text('Period', 250, yPos + 7)
+       .text('Amount', pageWidth - 150, yPos + 7);
+    yPos += 22;
+
+    const rows = (receipt.allocations || []).map(allocation => [
+      `Bill ${allocation.billNumber}`,
+      allocation.period || '',
+      formatAmount(allocation.amount)
+    ]);
+    if (receipt.creditAmount > 0) {
+      rows.push(['Held as credit for future bills', '', formatAmount(receipt.creditAmount)]);
+    }
+
+    rows.forEach((row, index) => {
+      doc.rect(50, yPos, pageWidth - 100, 20)
+         .fillAndStroke(index % 2 === 0 ? '#ffffff' : '#f9fafb', '#f3f4f6');
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(row[0], 60, yPos + 6)
+         .text(row[1], 250, yPos + 6)
+         .text(row[2], pageWidth - 150, yPos + 6);
+      yPos += 20;
+    });
+
+    // Amount received
+    yPos += 10;
+    doc.rect(50, yPos, pageWidth - 100, 30)
+       .fillAndStroke('#059669', '#059669');
+    doc.fontSize(12)
+       .fillColor('#ffffff')
+       .text('AMOUNT RECEIVED', 60, yPos + 10)
+       .fontSize(14)
+       .text(formatAmount(receipt.amount), pageWidth - 150, yPos + 8);
+
+    doc.fontSize(10)
+       .fillColor('#374151')
+       .text(receipt.amountInWords || '', 50, yPos + 45, { width: pageWidth - 100, oblique: true });
+
+    this.addFooter(doc);
+
+    return doc;
+  }
+
+  static generateLeaseAgreement(lease, tenant, room, signatureImage = null) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+    const pageWidth = doc.page.width;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('Bhuyan Complex', 50, 50, { align: 'left' });
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text('RENTAL AGREEMENT', 50, 90);
+
+    doc.fontSize(10)
+       .text(`Issued: ${formatDate(lease.createdAt)}`, pageWidth - 200, 100)
+       .text(`Term: ${lease.termMonths} months`, pageWidth - 200, 115);
+
+    doc.moveTo(50, 150)
+       .lineTo(pageWidth - 50, 150)
+       .strokeColor('#e5e7eb')
+       .stroke();
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('TENANT:', 50, 170)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`${tenant.name || ''}`, 50, 190)
+       .text(`${tenant.phone || ''}`, 50, 205)
+       .text(`Room: ${room ? room.roomNumber : 'N/A'}`, 50, 220);
+
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('TERMS:', 300, 170)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`Rent: ${formatAmount(lease.monthlyRent)} per month`, 300, 190)
+       .text(`Security deposit: ${formatAmount(lease.securityDeposit)}`, 300, 205)
+       .text(`From ${formatDate(lease.startDate)} to ${formatDate(lease.endDate)}`, 300, 220);
+
+    // Agreement text as rendered when the lease was issued
+    doc.fontSize(13)
+       .fillColor('#1f2937')
+       .text(lease.title, 50, 255);
+    doc.moveDown(0.5)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(lease.content, { width: pageWidth - 100, align: 'justify', paragraphGap: 4 });
+
+    let yPos = doc.y + 30;
+    if (yPos > doc.page.height - 230) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    // Signatures
+    doc.fontSize(12)
+       .fillColor('#1f2937')
+       .text('TENANT SIGNATURE', 50, yPos)
+       .text('OWNER', 320, yPos);
+    yPos += 20;
+
+    if (lease.signature?.signedAt) {
+      if (signatureImage) {
+        try {
+          doc.image(signatureImage, 50, yPos, { fit: [200, 60] });
+        } catch (error) {
+          console.error('❌ [PDF] Could not draw lease signature:', error.message);
+        }
+      }
+      doc.moveTo(50, yPos + 65)
+         .lineTo(250, yPos + 65)
+         .strokeColor('#9ca3af')
+         .stroke();
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(`Signed as "${lease.signature.typedName}"`, 50, yPos + 72)
+         .text(`on ${new Date(lease.signature.signedAt).toLocaleString('en-IN')}`, 50, yPos + 85)
+         .fillColor('#6b7280')
+         .text(`IP address: ${lease.signature.ipAddress || 'not recorded'}`, 50, yPos + 98);
+    } else {
+      doc.fontSize(10)
+         .fillColor('#dc2626')
+         .text('Awaiting tenant signature', 50, yPos + 25);
+    }
+
+    doc.fontSize(9)
+       .fillColor('#374151')
+       .text(`Issued by ${lease.createdBy || 'the Owner'}`, 320, yPos + 72)
+       .text(`on ${formatDate(lease.createdAt)}`, 320, yPos + 85);
+
+    if (lease.signature?.signedAt) {
+      doc.fontSize(8)
+         .fillColor('#6b7280')
+         .text('Signed electronically in the Bhuyan Complex app. The signature, time and IP address above were recorded at signing.',
+           50, doc.page.height - 70, { width: pageWidth - 100, align: 'center' });
+    }
+
+    return doc;
+  }
+
+  static generatePoliceVerificationForm(form) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50
+    });
+    const pageWidth = doc.page.width;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    const formatAmount = (amount) => (amount ? `₹${Number(amount).toLocaleString('en-IN')}` : '');
+    const { tenant, owner, room, lease } = form;
+
+    // One labelled line per field; anything not on record is left blank to fill by hand
+    const field = (label, value, x, y, width = 230) => {
+      doc.fontSize(9)
+         .fillColor('#6b7280')
+         .text(label, x, y);
+      doc.fontSize(10)
+         .fillColor('#111827')
+         .text(value ? String(value) : '', x, y + 12, { width });
+      doc.moveTo(x, y + 26)
+         .lineTo(x + width, y + 26)
+         .strokeColor('#d1d5db')
+         .stroke();
+    };
+    const section = (title, y) => {
+      doc.fontSize(12)
+         .fillColor('#1f2937')
+         .text(title, 50, y);
+      doc.moveTo(50, y + 16)
+         .lineTo(pageWidth - 50, y + 16)
+         .strokeColor('#e5e7eb')
+         .stroke();
+    };
+
+    doc.fontSize(24)
+       .fillColor('#2563eb')
+       .text('Bhuyan Complex', 50, 50, { align: 'left' });
+
+    doc.fontSize(18)
+       .fillColor('#333333')
+       .text('TENANT VERIFICATION FORM', 50, 90);
+
+    doc.fontSize(10)
+       .text(`Prepared: ${formatDate(form.generatedAt)}`, pageWidth - 200, 100);
+
+    // Owner and property
+    section('LANDLORD / PROPERTY', 130);
+    field('Owner name', owner.name, 50, 155);
+    field('Owner phone', owner.phone, 300, 155);
+    field('Property address', owner.address, 50, 190, pageWidth - 100);
+    field('Room', room?.roomNumber, 50, 225, 110);
+    field('Floor', room?.floor, 175, 225, 110);
+    field('Owner email', owner.email, 300, 225);
+
+    // Tenant, with the photo box on the right
+    section('TENANT', 270);
+    const photoX = pageWidth - 50 - 100;
+    doc.rect(photoX, 295, 100, 120)
+       .strokeColor('#9ca3af')
+       .stroke();
+    if (form.photo) {
+      try {
+        doc.image(form.photo, photoX + 2, 297, { fit: [96, 116], align: 'center', valign: 'center' });
+      } catch (error) {
+        console.error('❌ [PDF] Could not draw tenant photo:', error.message);
+      }
+    } else {
+      doc.fontSize(8)
+         .fillColor('#6b7280')
+         .text('Affix passport-size photo', photoX + 10, 350, { width: 80, align: 'center' });
+    }
+    field('Full name', tenant.name, 50, 295, 330);
+    field('Phone', tenant.phone, 50, 330, 160);
+    field('Email', tenant.email, 220, 330, 160);
+    field('Permanent address', tenant.address, 50, 365, 330);
+
+    // ID proof and emergency contact
+    const detailsY = Math.max(doc.y + 25, 430);
+    section('IDENTITY PROOF', detailsY);
+    field('Document', tenant.idProof?.type, 50, detailsY + 25);
+    field('Document number', tenant.idProof?.number, 300, detailsY + 25);
+
+    section('EMERGENCY CONTACT', detailsY + 70);
+    field('Name', tenant.emergencyContact?.name, 50, detailsY + 95, 150);
+    field('Phone', tenant.emergencyContact?.phone, 215, detailsY + 95, 150);
+    field('Relationship', tenant.emergencyContact?.relationship, 380, detailsY + 95, pageWidth - 430);
+
+    // Tenancy
+    section('TENANCY', detailsY + 140);
+    field('Moved in', formatDate(tenant.moveInDate), 50, detailsY + 165, 150);
+    field('Monthly rent', formatAmount(form.rent), 215, detailsY + 165, 150);
+    field('Lease', lease ? `${formatDate(lease.startDate)} to ${formatDate(lease.endDate)}` : '', 380, detailsY + 165, pageWidth - 430);
+
+    // Declaration and signatures
+    const declarationY = detailsY + 215;
+    doc.fontSize(9)
+       .fillColor('#374151')
+       .text('I declare that the particulars above are true to the best of my knowledge and that the tenant has been let the room named above.',
+         50, declarationY, { width: pageWidth - 100 });
+
+    const signatureY = declarationY + 55;
+    doc.moveTo(50, signatureY)
+       .lineTo(230, signatureY)
+       .moveTo(pageWidth - 230, signatureY)
+       .lineTo(pageWidth - 50, signatureY)
+       .strokeColor('#9ca3af')
+       .stroke();
+    doc.fontSize(9)
+       .fillColor('#374151')
+       .text('Signature of tenant', 50, signatureY + 5)
+       .text('Signature of landlord', pageWidth - 230, signatureY + 5);
+
+    // Left for the police station to fill in
+    const officeY = signatureY + 30;
+    doc.rect(50, officeY, pageWidth - 100, 70)
+       .strokeColor('#9ca3af')
+       .stroke();
+    doc.fontSize(9)
+       .fillColor('#6b7280')
+       .text('FOR POLICE STATION USE', 60, officeY + 8)
+       .text('Received on: ____________    Reference no.: ____________    Verified by: ____________', 60, officeY + 30);
+
+    return doc;
+  }
+
+  // Content-Disposition for a PDF download. Header values must be ASCII, so a
+  // name with other characters (a tenant's name in their own script) gets an
+  // ASCII fallback and the full name in filename* (RFC 6266)
+  static attachmentDisposition(filename) {
+    const fallback = filename.normalize('NFKD').replace(/[^\x20-\x7e]|["\\]/g, '') || 'document.pdf';
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+  }
+
   static addHeader(doc, bill) {
     const pageWidth = doc.page.width;
     
@@ -101,7 +697,7 @@ class PDFService {
     return yPos + 150;
   }
 
-  static addBillBreakdown(doc, bill) {
+  static addBillBreakdown(doc, bill, policy = penaltyPolicy.DEFAULT_POLICY) {
     let yPos = 350;
     const pageWidth = doc.page.width;
     
@@ -135,14 +731,40 @@ class PDFService {
     }
     
     // Add electricity
-    if (bill.items.electricity && bill.items.electricity.amount > 0) {
-      const unitsText = bill.items.electricity.unitsConsumed 
-        ? ` (${bill.items.electricity.unitsConsumed} units @ ₹${bill.items.electricity.chargesPerUnit}/unit)`
-        : '';
-      items.push({
-        description: `Electricity Bill${unitsText}`,
-        amount: bill.items.electricity.amount
-      });
+    const electricity = bill.items.electricity;
+    if (electricity && electricity.amount > 0) {
+      if (electricity.slabs && electricity.slabs.length > 0) {
+        // Slab tariff: one line per slab plus fixed/minimum charges and tax
+        items.push({
+          description: `Electricity Bill (${electricity.unitsConsumed} units, ${electricity.tariffPlan || 'slab tariff'})`,
+          amount: electricity.amount
+        });
+        electricity.slabs.forEach(slab => {
+          const range = slab.to !== null && slab.to !== undefined ? `${slab.from}-${slab.to}` : `above ${slab.from}`;
+          items.push({
+            description: `Units ${range}: ${slab.units} @ ₹${slab.rate}/unit`,
+            amount: slab.amount,
+            detail: true
+          });
+        });
+        if (electricity.fixedCharge > 0) {
+          items.push({ description: 'Fixed charge', amount: electricity.fixedCharge, detail: true });
+        }
+        if (electricity.minimumChargeAdjustment > 0) {
+          items.push({ description: 'Minimum charge adjustment', amount: electricity.minimumChargeAdjustment, detail: true });
+        }
+        if (electricity.tax > 0) {
+          items.push({ description: `Tax (${electricity.taxPercent}%)`, amount: electricity.tax, detail: true });
+        }
+      } else {
+        const unitsText = electricity.unitsConsumed 
+          ? ` (${electricity.unitsConsumed} units @ ₹${electricity.chargesPerUnit}/unit)`
+          : '';
+        items.push({
+          description: `Electricity Bill${unitsText}`,
+          amount: electricity.amount
+        });
+      }
     }
     
     // Add water bill
@@ -171,8 +793,19 @@ class PDFService {
       });
     }
     
-    // Render items
+    // Render items (detail lines are indented and already counted in their parent)
     items.forEach((item, index) => {
+      if (item.detail) {
+        doc.rect(50, yPos, pageWidth - 100, 16)
+           .fillAndStroke('#ffffff', '#f3f4f6');
+        doc.fontSize(8)
+           .fillColor('#6b7280')
+           .text(item.description, 75, yPos + 4)
+           .text(`₹${item.amount.toLocaleString('en-IN')}`, pageWidth - 220, yPos + 4);
+        yPos += 16;
+        return;
+      }
+
       const bgColor = index % 2 === 0 ? '#ffffff' : '#f9fafb';
       doc.rect(50, yPos, pageWidth - 100, 20)
          .fillAndStroke(bgColor, '#f3f4f6');
@@ -185,27 +818,30 @@ class PDFService {
       yPos += 20;
     });
     
-    // Subtotal
+    // Subtotal (bill amount without any late fee)
+    const baseAmount = penaltyPolicy.getBaseAmount(bill);
     doc.rect(50, yPos, pageWidth - 100, 25)
        .fillAndStroke('#f3f4f6', '#e5e7eb');
     
     doc.fontSize(10)
        .fillColor('#1f2937')
        .text('Subtotal', 60, yPos + 8)
-       .text(`₹${bill.totalAmount.toLocaleString('en-IN')}`, pageWidth - 150, yPos + 8);
+       .text(`₹${baseAmount.toLocaleString('en-IN')}`, pageWidth - 150, yPos + 8);
     
     yPos += 25;
     
-    // Calculate and add penalty if applicable
-    const currentDate = new Date();
+    // Late fee: the amount charged for settled bills, otherwise the current
+    // figure under the late fee policy
     let penaltyAmount = 0;
     let daysOverdue = 0;
     
-    if (bill.status !== 'paid' && bill.dueDate < currentDate) {
-      daysOverdue = Math.ceil((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const penaltyPerDay = bill.totalAmount * 0.01;
-      penaltyAmount = Math.min(daysOverdue * penaltyPerDay, bill.totalAmount * 0.25);
-      penaltyAmount = Math.round(penaltyAmount);
+    if (bill.status === 'paid' || bill.status === 'cancelled') {
+      penaltyAmount = bill.penalty?.amount || 0;
+      daysOverdue = bill.penalty?.days || 0;
+    } else {
+      const penalty = penaltyPolicy.calculatePenalty(bill, policy);
+      penaltyAmount = penalty.amount;
+      daysOverdue = penalty.days;
     }
     
     if (penaltyAmount > 0) {
@@ -221,7 +857,7 @@ class PDFService {
     }
     
     // Total amount
-    const totalAmount = bill.totalAmount + penaltyAmount;
+    const totalAmount = baseAmount + penaltyAmount;
     doc.rect(50, yPos, pageWidth - 100, 30)
        .fillAndStroke('#059669', '#059669');
     
@@ -234,15 +870,17 @@ class PDFService {
     return yPos + 50;
   }
 
-  static addPaymentStatus(doc, bill) {
-    let yPos = 580;
+  static addPaymentStatus(doc, bill, startY = 580) {
+    let yPos = Math.max(580, startY);
     const pageWidth = doc.page.width;
     
     // Payment status
     const statusColor = bill.status === 'paid' ? '#059669' : 
-                       bill.status === 'overdue' ? '#dc2626' : '#d97706';
+                       bill.status === 'overdue' ? '#dc2626' :
+                       bill.status === 'cancelled' ? '#6b7280' : '#d97706';
     const statusBg = bill.status === 'paid' ? '#f0fdf4' : 
-                    bill.status === 'overdue' ? '#fef2f2' : '#fef3c7';
+                    bill.status === 'overdue' ? '#fef2f2' :
+                    bill.status === 'cancelled' ? '#f3f4f6' : '#fef3c7';
     
     doc.rect(50, yPos, 200, 30)
        .fillAndStroke(statusBg, statusColor);
@@ -267,6 +905,82 @@ class PDFService {
     return yPos + 50;
   }
 
+  static addAmendments(doc, bill, startY) {
+    const amendments = bill.amendments || [];
+    if (amendments.length === 0) return startY;
+
+    const pageWidth = doc.page.width;
+    let yPos = startY;
+    if (yPos + 30 + amendments.length * 15 > doc.page.height - 110) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    const describe = (amendment) => {
+      switch (amendment.type) {
+        case 'voided':
+          return 'Bill voided';
+        case 'credit_note':
+          return `Credit note of ₹${(amendment.amount || 0).toLocaleString('en-IN')}`;
+        case 'revised':
+          return `Replaced by revised bill ${amendment.relatedBillNumber}`;
+        case 'revision_of':
+          return `Revision of bill ${amendment.relatedBillNumber}`;
+        default:
+          return amendment.type;
+      }
+    };
+
+    doc.fontSize(11)
+       .fillColor('#1f2937')
+       .text('AMENDMENT HISTORY', 50, yPos);
+    yPos += 18;
+
+    amendments.forEach(amendment => {
+      const date = new Date(amendment.performedAt).toLocaleDateString('en-IN');
+      doc.fontSize(9)
+         .fillColor('#374151')
+         .text(`${date}  ${describe(amendment)}${amendment.reason ? ` - ${amendment.reason}` : ''}`, 60, yPos, {
+           width: pageWidth - 120,
+           lineBreak: false,
+           ellipsis: true
+         });
+      yPos += 15;
+    });
+
+    return yPos + 10;
+  }
+
+  static addUpiPayment(doc, upi, qrImage, startY) {
+    const pageWidth = doc.page.width;
+    let yPos = startY;
+    if (yPos + 130 > doc.page.height - 110) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    doc.rect(50, yPos, pageWidth - 100, 120)
+       .fillAndStroke('#f5f3ff', '#c4b5fd');
+
+    doc.image(qrImage, 60, yPos + 10, { width: 100 });
+
+    doc.fontSize(12)
+       .fillColor('#5b21b6')
+       .text('PAY BY UPI', 175, yPos + 15)
+       .fontSize(10)
+       .fillColor('#374151')
+       .text(`Scan with any UPI app to pay ₹${upi.amount.toLocaleString('en-IN')}`, 175, yPos + 35)
+       .text(`UPI ID: ${upi.upiId} (${upi.payeeName})`, 175, yPos + 52)
+       .text(`Reference: ${upi.reference}`, 175, yPos + 69)
+       .fontSize(8)
+       .fillColor('#6b7280')
+       .text('Keep the reference in the payment note so your payment is matched to this bill.', 175, yPos + 90, {
+         width: pageWidth - 235
+       });
+
+    return yPos + 135;
+  }
+
   static addFooter(doc) {
     const pageHeight = doc.page.height;
     const pageWidth = doc.page.width;
@@ -0,0 +1,332 @@
+const { PenaltyPolicy } = require('../../models');
+
+// Single source of truth for late fees. Every path that shows or charges a
+// penalty (PenaltyService, tenant dashboard, checkout, PDFs) goes through
+// calculatePenalty() with the policy stored in the database.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  gracePeriodDays: 0,
+  chargeGraceDays: false,
+  rateType: 'flat',
+  flatRate: 50,
+  percentageRate: 1,
+  tiers: [],
+  compounding: false,
+  allocationOrder: 'penalty_first',
+  cap: { type: 'none', value: 0 }
+};
+
+const EDITABLE_FIELDS = Object.keys(DEFAULT_POLICY);
+
+let cachedPolicy = null;
+
+const toPlainPolicy = (doc) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  const policy = { ...DEFAULT_POLICY };
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      policy[field] = source[field];
+    }
+  });
+
+  policy.cap = { ...DEFAULT_POLICY.cap, ...(source.cap || {}) };
+  policy.tiers = (source.tiers || []).map(tier => ({
+    fromDay: tier.fromDay,
+    toDay: tier.toDay ?? null,
+    rateType: tier.rateType || 'flat',
+    rate: tier.rate
+  }));
+  policy.updatedAt = source.updatedAt || null;
+  policy.updatedBy = source.updatedBy || null;
+
+  return policy;
+};
+
+// Load the policy from the database (cached after the first read)
+const getPolicy = async ({ refresh = false } = {}) => {
+  if (cachedPolicy && !refresh) return cachedPolicy;
+
+  try {
+    const doc = await PenaltyPolicy.findOne({ key: 'default' });
+    cachedPolicy = toPlainPolicy(doc);
+  } catch (error) {
+    console.error('❌ [PenaltyPolicy] Failed to load policy, using defaults:', error.message);
+    return cachedPolicy || toPlainPolicy(null);
+  }
+
+  return cachedPolicy;
+};
+
+const validatePolicy = (policy) => {
+  const errors = [];
+
+  if (!['flat', 'percentage', 'tiered'].includes(policy.rateType)) {
+    errors.push('rateType must be flat, percentage or tiered');
+  }
+  if (!(policy.gracePeriodDays >= 0)) {
+    errors.push('gracePeriodDays must be zero or more');
+  }
+  if (policy.rateType === 'flat' && !(policy.flatRate >= 0)) {
+    errors.push('flatRate must be zero or more');
+  }
+  if (policy.rateType === 'percentage' && !(policy.percentageRate >= 0 && policy.percentageRate <= 100)) {
+    errors.push('percentageRate must be between 0 and 100');
+  }
+  if (policy.rateType === 'tiered') {
+    if (!policy.tiers.length) {
+      errors.push('At least one tier is required for tiered rates');
+    }
+    const sorted = [...policy.tiers].sort((a, b) => a.fromDay - b.fromDay);
+    sorted.forEach((tier, index) => {
+      if (!(tier.fromDay >= 1)) errors.push(`Tier ${index + 1}: fromDay must be 1 or more`);
+      if (tier.toDay !== null && !(tier.toDay >= tier.fromDay)) errors.push(`Tier ${index + 1}: toDay must not be before fromDay`);
+      if (!['flat', 'percentage'].includes(tier.rateType)) errors.push(`Tier ${index + 1}: rateType must be flat or percentage`);
+      if (!(tier.rate >= 0)) errors.push(`Tier ${index + 1}: rate must be zero or more`);
+
+      const next = sorted[index + 1];
+      if (next && (tier.toDay === null || next.fromDay <= tier.toDay)) {
+        errors.push(`Tier ${index + 1} overlaps tier ${index + 2}`);
+      }
+    });
+  }
+  if (!['penalty_first', 'principal_first'].includes(policy.allocationOrder)) {
+    errors.push('allocationOrder must be penalty_first or principal_first');
+  }
+  if (!['none', 'fixed', 'percentage'].includes(policy.cap.type)) {
+    errors.push('cap.type must be none, fixed or percentage');
+  }
+  if (policy.cap.type !== 'none' && !(policy.cap.value >= 0)) {
+    errors.push('cap.value must be zero or more');
+  }
+
+  return errors;
+};
+
+// Validate and persist policy changes. Throws with `validationErrors` set on bad input.
+const updatePolicy = async (updates, updatedBy = null) => {
+  const current = await getPolicy({ refresh: true });
+  const next = toPlainPolicy({
+    ...current,
+    ...updates,
+    cap: { ...current.cap, ...(updates.cap || {}) },
+    tiers: updates.tiers !== undefined ? updates.tiers : current.tiers
+  });
+
+  ['gracePeriodDays', 'flatRate', 'percentageRate'].forEach(field => {
+    next[field] = Number(next[field]);
+  });
+  next.cap.value = Number(next.cap.value);
+  next.tiers = next.tiers.map(tier => ({
+    ...tier,
+    fromDay: Number(tier.fromDay),
+    toDay: tier.toDay === null || tier.toDay === '' ? null : Number(tier.toDay),
+    rate: Number(tier.rate)
+  }));
+
+  const errors = validatePolicy(next);
+  if (errors.length > 0) {
+    const error = new Error('Invalid penalty policy');
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => { fields[field] = next[field]; });
+
+  const doc = await PenaltyPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { $set: { ...fields, updatedBy, updatedAt: new Date() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  cachedPolicy = toPlainPolicy(doc);
+  console.log(`✅ [PenaltyPolicy] Policy updated by ${updatedBy || 'system'}: ${describePolicy(cachedPolicy)}`);
+  return cachedPolicy;
+};
+
+// Bill amount without any penalty, from line items where possible
+const getBaseAmount = (bill) => {
+  let baseAmount = 0;
+
+  if (bill.items) {
+    baseAmount += bill.items.rent?.amount || 0;
+    baseAmount += bill.items.electricity?.amount || 0;
+    baseAmount += bill.items.waterBill?.amount || 0;
+    baseAmount += bill.items.commonAreaCharges?.amount || 0;
+
+    if (Array.isArray(bill.items.additionalCharges)) {
+      baseAmount += bill.items.additionalCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
+    }
+
+    // Utilities (nested object used by some bill generators)
+    if (bill.items.utilities && typeof bill.items.utilities === 'object') {
+      Object.values(bill.items.utilities).forEach(utility => {
+        if (utility && typeof utility === 'object' && utility.amount) {
+          baseAmount += utility.amount;
+        }
+      });
+    }
+  }
+
+  // Legacy bills without usable items: strip the stored penalty from the total
+  if (baseAmount <= 0) {
+    baseAmount = (bill.totalAmount || 0) - (bill.penalty?.amount || 0);
+  }
+
+  return Math.max(0, baseAmount);
+};
+
+const getDaysOverdue = (dueDate, currentDate = new Date()) => {
+  if (!dueDate) return 0;
+  const diff = new Date(currentDate) - new Date(dueDate);
+  return diff > 0 ? Math.floor(diff / DAY_MS) : 0;
+};
+
+const rateForDay = (policy, day) => {
+  if (policy.rateType === 'flat') return { rateType: 'flat', rate: policy.flatRate };
+  if (policy.rateType === 'percentage') return { rateType: 'percentage', rate: policy.percentageRate };
+
+  const tier = policy.tiers.find(t => day >= t.fromDay && (t.toDay === null || day <= t.toDay));
+  return tier ? { rateType: tier.rateType, rate: tier.rate } : { rateType: 'flat', rate: 0 };
+};
+
+/**
+ * Compute the late fee for a bill under a policy.
+ * Tier day numbers count chargeable days, so day 1 is the first day a fee applies.
+ */
+const calculatePenalty = (bill, policy = DEFAULT_POLICY, currentDate = new Date()) => {
+  const baseAmount = bill ? getBaseAmount(bill) : 0;
+  const daysOverdue = bill ? getDaysOverdue(bill.dueDate, currentDate) : 0;
+  const result = {
+    amount: 0,
+    days: daysOverdue,
+    chargeableDays: 0,
+    rate: 0,
+    baseAmount,
+    gracePeriodDays: policy.gracePeriodDays,
+    inGracePeriod: false,
+    capped: false,
+    shouldApply: false
+  };
+
+  if (!bill || bill.status === 'paid' || bill.status === 'cancelled' || !policy.enabled || daysOverdue <= 0) {
+    return result;
+  }
+
+  if (daysOverdue <= policy.gracePeriodDays) {
+    result.inGracePeriod = true;
+    return result;
+  }
+
+  const chargeableDays = policy.chargeGraceDays ? daysOverdue : daysOverdue - policy.gracePeriodDays;
+  let accrued = 0;
+
+  for (let day = 1; day <= chargeableDays; day++) {
+    const { rateType, rate } = rateForDay(policy, day);
+    if (rateType === 'flat') {
+      accrued += rate;
+    } else {
+      const principal = policy.compounding ? baseAmount + accrued : baseAmount;
+      accrued += principal * (rate / 100);
+    }
+  }
+
+  let limit = Infinity;
+  if (policy.cap.type === 'fixed') limit = policy.cap.value;
+  if (policy.cap.type === 'percentage') limit = baseAmount * (policy.cap.value / 100);
+
+  if (accrued > limit) {
+    accrued = limit;
+    result.capped = true;
+  }
+
+  result.amount = Math.round(accrued);
+  result.chargeableDays = chargeableDays;
+  result.rate = chargeableDays > 0 ? Math.round(result.amount / chargeableDays) : 0;
+  result.shouldApply = result.amount > 0;
+
+  return result;
+};
+
+// Human readable summary, e.g. "₹50/day after a 3-day grace period, capped at ₹1,000"
+const describePolicy = (policy = DEFAULT_POLICY) => {
+  if (!policy.enabled) return 'Late fees disabled';
+
+  const formatRate = (rateType, rate) => rateType === 'flat'
+    ? `₹${Number(rate).toLocaleString('en-IN')}/day`
+    : `${rate}%/day`;
+
+  let text;
+  if (policy.rateType === 'tiered') {
+    text = policy.tiers
+      .map(tier => `${formatRate(tier.rateType, tier.rate)} for day ${tier.fromDay}${tier.toDay ? `-${tier.toDay}` : '+'}`)
+      .join(', ');
+  } else {
+    text = policy.rateType === 'flat'
+      ? formatRate('flat', policy.flatRate)
+      : formatRate('percentage', policy.percentageRate);
+  }
+
+  if (policy.compounding && policy.rateType !== 'flat') text += ' (compounding)';
+  if (policy.gracePeriodDays > 0) text += ` after a ${policy.gracePeriodDays}-day grace period`;
+  if (policy.cap.type === 'fixed') text += `, capped at ₹${Number(policy.cap.value).toLocaleString('en-IN')}`;
+  if (policy.cap.type === 'percentage') text += `, capped at ${policy.cap.value}% of the bill`;
+
+  return text;
+};
+
+/**
+ * Attach the penalty fields the tenant UI reads (penalty, lateFee, daysLate,
+ * baseAmount, totalWithLateFee, remainingAmount) to a plain bill object.
+ */
+const withPenaltyFields = (bill, policy, currentDate = new Date()) => {
+  const billObj = typeof bill.toObject === 'function' ? bill.toObject() : { ...bill };
+
+  // Settled bills keep the late fee that was actually charged
+  if (billObj.status === 'paid' || billObj.status === 'cancelled') {
+    const charged = billObj.penalty?.amount || 0;
+    billObj.baseAmount = getBaseAmount(billObj);
+    billObj.lateFee = charged;
+    billObj.daysLate = billObj.penalty?.days || 0;
+    billObj.totalWithLateFee = billObj.baseAmount + charged;
+    return billObj;
+  }
+
+  const penalty = calculatePenalty(billObj, policy, currentDate);
+
+  billObj.baseAmount = penalty.baseAmount;
+  billObj.lateFee = penalty.amount;
+  billObj.daysLate = penalty.days;
+  billObj.totalWithLateFee = penalty.baseAmount + penalty.amount;
+  billObj.remainingAmount = Math.max(0, billObj.totalWithLateFee - (billObj.paidAmount || 0));
+  billObj.penalty = {
+    ...(billObj.penalty || {}),
+    amount: penalty.amount,
+    days: penalty.days,
+    rate: penalty.rate,
+    inGracePeriod: penalty.inGracePeriod,
+    description: describePolicy(policy)
+  };
+
+  if (penalty.amount > 0 && billObj.status === 'pending') {
+    billObj.status = 'overdue';
+  }
+
+  return billObj;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  validatePolicy,
+  getBaseAmount,
+  getDaysOverdue,
+  calculatePenalty,
+  describePolicy,
+  withPenaltyFields
+};
@@ -1,13 +1,17 @@
 const { Bill, Tenant, Notification } = require('../../models');
 const emailService = require('./emailService');
+const penaltyPolicy = require('./penaltyPolicy');
 
 class PenaltyService {
   constructor(broadcastFunction = null) {
     this.broadcastToClients = broadcastFunction;
-    this.PENALTY_RATE = 50; // ₹50 per day
     this.PENALTY_APPLICATION_DAY = 10; // not used for daily logic now
   }
 
+  async getPolicy() {
+    return penaltyPolicy.getPolicy();
+  }
+
   async applyMonthlyPenalties() {
     try {
       const currentDate = new Date();
@@ -20,9 +24,10 @@ class PenaltyService {
 
       let penaltyApplied = 0;
       let totalPenaltyAmount = 0;
+      const policy = await this.getPolicy();
 
       for (const bill of unpaidBills) {
-        const penaltyResult = await this.applyPenaltyToBill(bill, currentDate);
+        const penaltyResult = await this.applyPenaltyToBill(bill, currentDate, policy);
         if (penaltyResult.applied) {
           penaltyApplied++;
           totalPenaltyAmount += penaltyResult.amount;
@@ -49,91 +54,62 @@ class PenaltyService {
     }
   }
 
-  async applyPenaltyToBill(bill, currentDate = new Date()) {
+  async applyPenaltyToBill(bill, currentDate = new Date(), policy = null) {
     try {
-      // skip paid bills
+      // skip paid and voided bills
       if (bill.status === 'paid') return { applied: false, amount: 0, reason: 'Already paid' };
+      if (bill.status === 'cancelled') return { applied: false, amount: 0, reason: 'Bill cancelled' };
 
       const dueDate = new Date(bill.dueDate);
       if (currentDate <= dueDate) return { applied: false, amount: 0, reason: 'Not overdue yet' };
 
-      // Calculate days overdue
-      const diffInMs = currentDate - dueDate;
-      const daysOverdue = Math.floor(diffInMs / (1000 * 60 * 60 * 24));
-
-      // Calculate penalty: ₹50 per day
-      const penaltyAmount = daysOverdue * this.PENALTY_RATE;
+      policy = policy || await this.getPolicy();
+      const result = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
 
-      // CRITICAL FIX: Calculate base amount (without penalty) from bill items
-      // Always calculate from items first as the source of truth
-      let originalAmount = 0;
-      let calculatedFromItems = false;
-      
-      if (bill.items) {
-        // Sum all items
-        originalAmount += bill.items.rent?.amount || 0;
-        originalAmount += bill.items.electricity?.amount || 0;
-        originalAmount += bill.items.waterBill?.amount || 0;
-        originalAmount += bill.items.commonAreaCharges?.amount || 0;
-        
-        // Additional charges
-        if (bill.items.additionalCharges && Array.isArray(bill.items.additionalCharges)) {
-          originalAmount += bill.items.additionalCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
-        }
-        
-        // Utilities (nested object)
-        if (bill.items.utilities && typeof bill.items.utilities === 'object') {
-          Object.values(bill.items.utilities).forEach(utility => {
-            if (utility && typeof utility === 'object' && utility.amount) {
-              originalAmount += utility.amount || 0;
-            }
-          });
-        }
-        
-        calculatedFromItems = originalAmount > 0;
+      if (result.inGracePeriod) {
+        return { applied: false, amount: 0, reason: 'Within grace period' };
       }
-      
-      // Fallback: If items don't add up or are missing, extract from totalAmount
-      // This handles legacy bills where items might not be structured correctly
-      if (originalAmount <= 0) {
-        const existingPenalty = bill.penalty?.amount || 0;
-        originalAmount = bill.totalAmount - existingPenalty;
-        console.log(`⚠️ [PenaltyService] Using extracted base amount for bill ${bill.billNumber}: ₹${originalAmount} (totalAmount: ₹${bill.totalAmount}, existingPenalty: ₹${existingPenalty})`);
-      }
-      
-      // Ensure originalAmount is positive
-      if (originalAmount <= 0) {
-        console.error(`❌ [PenaltyService] Invalid base amount for bill ${bill.billNumber}: ₹${originalAmount}. Using totalAmount as fallback.`);
-        originalAmount = bill.totalAmount - (bill.penalty?.amount || 0);
+
+      const penaltyAmount = result.amount;
+      const daysOverdue = result.days;
+      const originalAmount = result.baseAmount;
+
+      // Nothing changed since the last run - avoid re-notifying the tenant
+      if ((bill.penalty?.amount || 0) === penaltyAmount && (bill.penalty?.days || 0) === daysOverdue) {
+        return { applied: false, amount: penaltyAmount, reason: 'Penalty already up to date' };
       }
 
       // Update penalty information
       bill.penalty = bill.penalty || {};
       bill.penalty.amount = penaltyAmount;
       bill.penalty.days = daysOverdue;
-      bill.penalty.rate = this.PENALTY_RATE;
+      bill.penalty.rate = result.rate;
       bill.penalty.appliedDate = currentDate;
 
       // Update totals: original amount + penalty
       bill.totalAmount = originalAmount + penaltyAmount;
       bill.remainingAmount = Math.max(0, bill.totalAmount - bill.paidAmount);
 
-      if (bill.status === 'pending' || bill.status === 'partially_paid') {
+      if (penaltyAmount > 0 && (bill.status === 'pending' || bill.status === 'partially_paid')) {
         bill.status = 'overdue';
       }
 
       await bill.save();
 
+      if (penaltyAmount <= 0) {
+        return { applied: false, amount: 0, reason: 'No penalty under current policy' };
+      }
+
       // Send notification (don't let this break the penalty application)
       try {
-        await this.sendPenaltyNotification(bill, penaltyAmount);
+        await this.sendPenaltyNotification(bill, penaltyAmount, penaltyPolicy.describePolicy(policy));
       } catch (notifError) {
         console.warn(`⚠️ [PenaltyService] Failed to send notification for bill ${bill.billNumber}:`, notifError.message);
         // Continue - penalty was applied successfully
       }
 
       console.log(`✅ [PenaltyService] Applied ₹${penaltyAmount} penalty (${daysOverdue} days) to bill ${bill.billNumber}`);
-      console.log(`   Base Amount: ₹${originalAmount} ${calculatedFromItems ? '(from items)' : '(extracted from total)'}, Penalty: ₹${penaltyAmount}, Total: ₹${bill.totalAmount}`);
+      console.log(`   Base Amount: ₹${originalAmount}, Penalty: ₹${penaltyAmount}${result.capped ? ' (capped)' : ''}, Total: ₹${bill.totalAmount}`);
 
       return { applied: true, amount: penaltyAmount };
     } catch (error) {
@@ -142,7 +118,7 @@ class PenaltyService {
     }
   }
 
-  async sendPenaltyNotification(bill, penaltyAmount) {
+  async sendPenaltyNotification(bill, penaltyAmount, policyDescription = '') {
     try {
       const monthNames = [
         'January', 'February', 'March', 'April', 'May', 'June',
@@ -151,7 +127,7 @@ class PenaltyService {
 
       const notification = new Notification({
         title: 'Late Payment Penalty Applied',
-        message: `A late payment penalty of ₹${penaltyAmount} (₹50/day) has been added to your ${monthNames[bill.month - 1]} ${bill.year} bill. Total outstanding: ₹${bill.remainingAmount}.`,
+        message: `A late payment penalty of ₹${penaltyAmount}${policyDescription ? ` (${policyDescription})` : ''} has been added to your ${monthNames[bill.month - 1]} ${bill.year} bill. Total outstanding: ₹${bill.remainingAmount}.`,
         type: 'personal',
         category: 'warning',
         priority: 'high',
@@ -177,8 +153,10 @@ class PenaltyService {
             month: bill.month,
             year: bill.year,
             dueDate: bill.dueDate,
+            originalAmount: bill.totalAmount - penaltyAmount,
             lateFee: penaltyAmount,
-            totalOutstanding: bill.remainingAmount
+            totalOutstanding: bill.remainingAmount,
+            policyDescription
           }
         );
       }
@@ -187,19 +165,19 @@ class PenaltyService {
     }
   }
 
-  calculateCurrentPenalty(bill, currentDate = new Date()) {
-    if (!bill || bill.status === 'paid') {
-      return { amount: 0, days: 0, shouldApply: false };
-    }
-
-    const dueDate = new Date(bill.dueDate);
-    if (currentDate <= dueDate) return { amount: 0, days: 0, shouldApply: false };
-
-    const diffInMs = currentDate - dueDate;
-    const daysOverdue = Math.floor(diffInMs / (1000 * 60 * 60 * 24));
-    const amount = daysOverdue * this.PENALTY_RATE;
-
-    return { amount, days: daysOverdue, shouldApply: true };
+  async calculateCurrentPenalty(bill, currentDate = new Date()) {
+    const policy = await this.getPolicy();
+    const result = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+
+    return {
+      amount: result.amount,
+      days: result.days,
+      chargeableDays: result.chargeableDays,
+      inGracePeriod: result.inGracePeriod,
+      capped: result.capped,
+      baseAmount: result.baseAmount,
+      shouldApply: result.shouldApply
+    };
   }
 
   // Add missing methods that are called in the routes
@@ -245,7 +223,7 @@ class PenaltyService {
       const newPenalty = Math.max(0, currentPenalty + adjustment);
       
       // Calculate base amount (without penalty) - same logic as applyPenaltyToBill
-      const baseAmount = bill.totalAmount - currentPenalty;
+      const baseAmount = penaltyPolicy.getBaseAmount(bill);
       
       // Update penalty
       bill.penalty = bill.penalty || {};
@@ -287,70 +265,39 @@ class PenaltyService {
 
       let recalculated = 0;
       let totalPenaltyCorrection = 0;
+      const policy = await this.getPolicy();
 
       for (const bill of unpaidBills) {
-        const dueDate = new Date(bill.dueDate);
-        
-        // Only recalculate if bill is overdue
-        if (currentDate > dueDate) {
-          const oldPenalty = bill.penalty?.amount || 0;
-          
-          // Calculate what the penalty should be
-          const diffInMs = currentDate - dueDate;
-          const daysOverdue = Math.floor(diffInMs / (1000 * 60 * 60 * 24));
-          const correctPenalty = daysOverdue * this.PENALTY_RATE;
-          
-          // Only update if penalty is different
-          if (Math.abs(oldPenalty - correctPenalty) > 1) { // Allow 1 rupee tolerance for rounding
-            // Calculate base amount from bill items
-            let baseAmount = 0;
-            if (bill.items) {
-              baseAmount += bill.items.rent?.amount || 0;
-              baseAmount += bill.items.electricity?.amount || 0;
-              baseAmount += bill.items.waterBill?.amount || 0;
-              baseAmount += bill.items.commonAreaCharges?.amount || 0;
-              if (bill.items.additionalCharges && Array.isArray(bill.items.additionalCharges)) {
-                baseAmount += bill.items.additionalCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
-              }
-              if (bill.items.utilities) {
-                Object.values(bill.items.utilities).forEach(utility => {
-                  if (utility && typeof utility === 'object' && utility.amount) {
-                    baseAmount += utility.amount || 0;
-                  }
-                });
-              }
-            }
-            
-            // If we can't calculate from items, extract from totalAmount
-            if (baseAmount <= 0) {
-              baseAmount = bill.totalAmount - oldPenalty;
-            }
-
-            // Update penalty
-            bill.penalty = bill.penalty || {};
-            bill.penalty.amount = correctPenalty;
-            bill.penalty.days = daysOverdue;
-            bill.penalty.rate = this.PENALTY_RATE;
-            bill.penalty.appliedDate = currentDate;
-
-            // Update totals
-            bill.totalAmount = baseAmount + correctPenalty;
-            bill.remainingAmount = Math.max(0, bill.totalAmount - bill.paidAmount);
-
-            if (bill.status === 'pending') {
-              bill.status = 'overdue';
-            }
-
-            await bill.save();
-            
-            const correction = correctPenalty - oldPenalty;
-            totalPenaltyCorrection += correction;
-            recalculated++;
-            
-            console.log(`✅ [PenaltyService] Recalculated bill ${bill.billNumber}: ${daysOverdue} days overdue`);
-            console.log(`   Old penalty: ₹${oldPenalty}, New penalty: ₹${correctPenalty}, Correction: ₹${correction}`);
-            console.log(`   Base: ₹${baseAmount}, Total: ₹${bill.totalAmount}`);
+        const oldPenalty = bill.penalty?.amount || 0;
+        const result = penaltyPolicy.calculatePenalty(bill, policy, currentDate);
+
+        // Only update if penalty is different
+        if (Math.abs(oldPenalty - result.amount) > 1) { // Allow 1 rupee tolerance for rounding
+          const baseAmount = result.baseAmount;
+
+          bill.penalty = bill.penalty || {};
+          bill.penalty.amount = result.amount;
+          bill.penalty.days = result.days;
+          bill.penalty.rate = result.rate;
+          bill.penalty.appliedDate = currentDate;
+
+          // Update totals
+          bill.totalAmount = baseAmount + result.amount;
+          bill.remainingAmount = Math.max(0, bill.totalAmount - bill.paidAmount);
+
+          if (bill.status === 'pending' && result.amount > 0) {
+            bill.status = 'overdue';
           }
+
+          await bill.save();
+
+          const correction = result.amount - oldPenalty;
+          totalPenaltyCorrection += correction;
+          recalculated++;
+
+          console.log(`✅ [PenaltyService] Recalculated bill ${bill.billNumber}: ${result.days} days overdue`);
+          console.log(`   Old penalty: ₹${oldPenalty}, New penalty: ₹${result.amount}, Correction: ₹${correction}`);
+          console.log(`   Base: ₹${baseAmount}, Total: ₹${bill.totalAmount}`);
         }
       }
 
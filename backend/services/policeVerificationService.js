@@ -0,0 +1,188 @@
+const sharp = require('sharp');
+const { Tenant, Owner } = require('../../models');
+const fileStorage = require('./fileStorage');
+const RentTermService = require('./rentTermService');
+const { badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Police verification of tenants. Local rules require the landlord to file a
+// tenant verification form with the police station; everything the form asks
+// for is already held on the tenant (profile, ID proof, emergency contact and
+// photo), so the form is filled in from there as a PDF. The owner records
+// when it was submitted and the outcome, and active tenants without a
+// submitted form are flagged.
+
+const STATUSES = ['not_submitted', 'submitted', 'verified', 'rejected'];
+// Statuses that count as filed with the police
+const FILED_STATUSES = ['submitted', 'verified'];
+const ID_PROOF_LABELS = {
+  aadhaar: 'Aadhaar card',
+  pan: 'PAN card',
+  passport: 'Passport',
+  driving_licence: 'Driving licence',
+  voter_id: 'Voter ID',
+  other: 'Government ID'
+};
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${field} is not a valid date`);
+  return date;
+};
+
+// The emergency contact from onboarding, or the one entered on the profile page
+const emergencyContactOf = (tenant) => {
+  const contact = tenant.emergencyContact?.name ? tenant.emergencyContact : null;
+  const profileContact = tenant.profileData?.emergencyContact;
+  if (contact) return { name: contact.name, phone: contact.phone, relationship: contact.relationship };
+  if (profileContact?.name) return { name: profileContact.name, phone: profileContact.phone, relationship: profileContact.relation };
+  return null;
+};
+
+// The verified ID proof from onboarding, or the government ID uploaded on the profile page
+const idProofOf = (tenant) => {
+  const idProof = tenant.documents?.idProof;
+  if (idProof?.file) {
+    return {
+      type: ID_PROOF_LABELS[idProof.documentType] || 'Government ID',
+      number: idProof.documentNumber || '',
+      verified: !!idProof.verified
+    };
+  }
+  const governmentId = tenant.profileData?.documents?.governmentId;
+  if (governmentId?.data) {
+    return { type: 'Government ID (on file)', number: '', verified: false };
+  }
+  return null;
+};
+
+// Details the form needs that the tenant record does not have yet
+const missingDetails = (tenant) => {
+  const missing = [];
+  if (!tenant.address) missing.push('Permanent address');
+  if (!idProofOf(tenant)) missing.push('ID proof');
+  if (!tenant.profilePhoto) missing.push('Photo');
+  if (!emergencyContactOf(tenant)) missing.push('Emergency contact');
+  return missing;
+};
+
+/**
+ * Active tenants with their verification status and what is missing for
+ * the form. `needsAttention` is set on tenants not yet filed with the police.
+ */
+const listVerifications = async () => {
+  const tenants = await Tenant.find({ status: 'active' })
+    .select('name phone address emergencyContact documents profilePhoto profileData moveInDate room policeVerification')
+    .populate('room', 'roomNumber')
+    .sort({ name: 1 });
+
+  const rows = tenants.map(tenant => {
+    const verification = tenant.policeVerification?.toObject ? tenant.policeVerification.toObject() : (tenant.policeVerification || {});
+    return {
+      tenant: { _id: tenant._id, name: tenant.name, phone: tenant.phone, moveInDate: tenant.moveInDate },
+      room: tenant.room,
+      verification: { ...verification, status: verification.status || 'not_submitted' },
+      missing: missingDetails(tenant),
+      needsAttention: !FILED_STATUSES.includes(verification.status)
+    };
+  });
+
+  return {
+    tenants: rows,
+    summary: {
+      total: rows.length,
+      missing: rows.filter(row => row.needsAttention).length,
+      submitted: rows.filter(row => row.verification.status === 'submitted').length,
+      verified: rows.filter(row => row.verification.status === 'verified').length,
+      rejected: rows.filter(row => row.verification.status === 'rejected').length
+    }
+  };
+};
+
+// The tenant photo as PNG for the form (stored photos may be WebP, which PDFKit cannot draw)
+const loadPhoto = async (tenant) => {
+  const match = typeof tenant.profilePhoto === 'string' && tenant.profilePhoto.match(/^\/api\/files\/([a-f0-9]{24})/);
+  if (!match) return null;
+  try {
+    const { buffer } = await fileStorage.readFile(match[1]);
+    return await sharp(buffer).rotate().png().toBuffer();
+  } catch (error) {
+    console.error(`❌ [PoliceVerification] Could not load photo of ${tenant.name}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Everything the verification form shows for a tenant, and note that the
+ * form was generated. Throws with `statusCode` 404 for an unknown tenant.
+ */
+const buildForm = async (tenantId, currentDate = new Date()) => {
+  const tenant = await Tenant.findById(tenantId)
+    .populate('room', 'roomNumber floor type rent')
+    .populate('currentLease', 'startDate endDate monthlyRent');
+  if (!tenant) throw notFound('Tenant not found');
+
+  const owner = await Owner.findOne().select('name phone email address');
+  const rent = tenant.room
+    ? (await RentTermService.getRentForPeriod(tenant, tenant.room, currentDate.getMonth() + 1, currentDate.getFullYear())).amount
+    : null;
+
+  await Tenant.updateOne({ _id: tenant._id }, { $set: { 'policeVerification.formGeneratedAt': currentDate } });
+
+  return {
+    tenant: {
+      name: tenant.name,
+      phone: tenant.phone,
+      email: tenant.email,
+      address: tenant.address || '',
+      moveInDate: tenant.moveInDate,
+      idProof: idProofOf(tenant),
+      emergencyContact: emergencyContactOf(tenant)
+    },
+    room: tenant.room,
+    lease: tenant.currentLease,
+    rent,
+    owner: owner ? owner.toObject() : {},
+    photo: await loadPhoto(tenant),
+    missing: missingDetails(tenant),
+    generatedAt: currentDate
+  };
+};
+
+// Record where the form stands with the police (Owner)
+const updateStatus = async (tenantId, { status, submittedAt, policeStation, referenceNumber, verifiedAt, notes } = {}, updatedBy) => {
+  if (!STATUSES.includes(status)) throw badRequest(`status must be one of ${STATUSES.join(', ')}`);
+
+  const tenant = await Tenant.findById(tenantId).select('name policeVerification');
+  if (!tenant) throw notFound('Tenant not found');
+
+  const now = new Date();
+  const current = tenant.policeVerification || {};
+  const update = {
+    status,
+    formGeneratedAt: current.formGeneratedAt,
+    policeStation: policeStation !== undefined ? String(policeStation).trim() : current.policeStation,
+    referenceNumber: referenceNumber !== undefined ? String(referenceNumber).trim() : current.referenceNumber,
+    notes: notes !== undefined ? String(notes).trim() : current.notes,
+    submittedAt: status === 'not_submitted' ? null : (parseDate(submittedAt, 'submittedAt') || current.submittedAt || now),
+    verifiedAt: status === 'verified' ? (parseDate(verifiedAt, 'verifiedAt') || current.verifiedAt || now) : null,
+    updatedBy
+  };
+  if (update.submittedAt && update.submittedAt > now) throw badRequest('submittedAt cannot be in the future');
+  if (status !== 'not_submitted' && !update.policeStation) throw badRequest('policeStation is required once the form is submitted');
+
+  tenant.policeVerification = update;
+  await tenant.save();
+
+  console.log(`✅ [PoliceVerification] ${tenant.name} marked ${status} by ${updatedBy}`);
+  return tenant.policeVerification;
+};
+
+module.exports = {
+  STATUSES,
+  FILED_STATUSES,
+  missingDetails,
+  listVerifications,
+  buildForm,
+  updateStatus
+};
@@ -0,0 +1,150 @@
+const Razorpay = require('razorpay');
+const crypto = require('crypto');
+const { Bill, Payment } = require('../../models');
+const paymentAllocation = require('./paymentAllocation');
+const receiptService = require('./receiptService');
+
+// Razorpay client and the one place a captured gateway payment is recorded.
+// A payment can be confirmed twice - by the tenant's browser after checkout
+// and by Razorpay's webhook - in either order or at the same moment. Both go
+// through recordCapturedPayment: the unique razorpayPaymentId on Payment
+// makes the second one a no-op, and allocatePayment claims the payment so it
+// is applied to the bills only once.
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_your_key_id',
+  key_secret: process.env.RAZORPAY_KEY_SECRET || 'your_key_secret'
+});
+
+const SETTLED_STATUSES = ['completed', 'verified', 'refunded'];
+
+const hmacHex = (secret, payload) => crypto
+  .createHmac('sha256', secret)
+  .update(payload)
+  .digest('hex');
+
+// Constant-time comparison so the signature cannot be guessed byte by byte
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received || ''));
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Signature returned to the browser by Checkout: HMAC of "order_id|payment_id"
+const verifyCheckoutSignature = (orderId, paymentId, signature) => {
+  const secret = process.env.RAZORPAY_KEY_SECRET || 'your_key_secret';
+  return signaturesMatch(hmacHex(secret, `${orderId}|${paymentId}`), signature);
+};
+
+// Signature on a webhook delivery: HMAC of the raw request body with the webhook secret
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ [Razorpay] RAZORPAY_WEBHOOK_SECRET is not set; rejecting webhook');
+    return false;
+  }
+  return signaturesMatch(hmacHex(secret, rawBody), signature);
+};
+
+const isDuplicateKey = (error) => error.code === 11000 && error.keyPattern?.razorpayPaymentId;
+
+/**
+ * Record a captured Razorpay payment, apply it to the tenant's bills and
+ * issue its receipt. Safe to call more than once for the same gateway
+ * payment: a payment already recorded is returned with `duplicate: true`
+ * after finishing any allocation or receipt a crashed first attempt missed.
+ * Allocation is skipped when another call has already claimed the payment.
+ */
+const recordCapturedPayment = async ({
+  razorpayPaymentId,
+  razorpayOrderId,
+  razorpaySignature,
+  billId,
+  tenantId,
+  amount,
+  paidAt,
+  confirmedVia,
+  currentDate = new Date()
+}) => {
+  let payment = await Payment.findOne({ razorpayPaymentId });
+  const duplicate = !!payment && SETTLED_STATUSES.includes(payment.status);
+
+  if (!duplicate) {
+    // New, or a failure report that has since been captured
+    payment = payment || new Payment({ razorpayPaymentId, bill: billId, tenant: tenantId });
+    payment.set({
+      amount,
+      paymentMethod: 'razorpay',
+      razorpayOrderId,
+      status: 'completed',
+      paidAt: paidAt || currentDate,
+      confirmedVia,
+      failureReason: undefined
+    });
+    if (razorpaySignature) payment.razorpaySignature = razorpaySignature;
+
+    try {
+      await payment.save();
+    } catch (error) {
+      // The other confirmation path saved it first
+      if (isDuplicateKey(error)) {
+        return recordCapturedPayment({ razorpayPaymentId, razorpayOrderId, razorpaySignature, billId, tenantId, amount, paidAt, confirmedVia, currentDate });
+      }
+      throw error;
+    }
+
+    console.log(`✅ [Razorpay] Payment ${razorpayPaymentId} recorded via ${confirmedVia} (₹${amount})`);
+  }
+
+  const allocation = await paymentAllocation.allocatePayment(payment, currentDate);
+  if (!duplicate) {
+    await Bill.findByIdAndUpdate(payment.bill, { transactionId: razorpayPaymentId });
+  }
+  const receipt = await receiptService.issueReceipt(payment, { currentDate });
+
+  return { payment, allocation, receipt, duplicate };
+};
+
+/**
+ * Record a payment attempt Razorpay reports as failed, for the payment
+ * history. A payment that has already been captured is left alone.
+ */
+const recordFailedPayment = async ({ razorpayPaymentId, razorpayOrderId, billId, tenantId, amount, reason }) => {
+  const existing = await Payment.findOne({ razorpayPaymentId });
+  if (existing) {
+    return { payment: existing, duplicate: true };
+  }
+
+  const payment = new Payment({
+    razorpayPaymentId,
+    razorpayOrderId,
+    bill: billId,
+    tenant: tenantId,
+    amount,
+    paymentMethod: 'razorpay',
+    status: 'failed',
+    failureReason: reason,
+    confirmedVia: 'webhook'
+  });
+
+  try {
+    await payment.save();
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return { payment: await Payment.findOne({ razorpayPaymentId }), duplicate: true };
+    }
+    throw error;
+  }
+
+  console.log(`⚠️ [Razorpay] Payment ${razorpayPaymentId} failed: ${reason || 'no reason given'}`);
+  return { payment, duplicate: false };
+};
+
+module.exports = {
+  razorpay,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  recordCapturedPayment,
+  recordFailedPayment
+};
@@ -0,0 +1,261 @@
+const { Bill, Payment, Notification, WebhookEvent } = require('../../models');
+const razorpayService = require('./razorpayService');
+const RefundService = require('./refundService');
+const AutoPayService = require('./autoPayService');
+const { badRequest, conflict } = require('../utils/serviceHelpers');
+
+// Server-side confirmation of Razorpay payments. Checkout only reports back
+// if the tenant's browser stays open; the webhook reports every payment, so a
+// closed tab no longer leaves a captured payment unrecorded. Each delivery is
+// logged by its event id - Razorpay retries until it gets a 2xx, and a retry
+// of an event already handled is acknowledged without doing anything.
+// Auto-pay charges arrive as ordinary payments; token.* events track the
+// tenants' mandates.
+
+const HANDLED_EVENTS = [
+  'payment.captured', 'payment.failed', 'order.paid', 'refund.processed', 'refund.failed',
+  'token.confirmed', 'token.rejected', 'token.cancelled', 'token.paused'
+];
+
+// A delivery that has held an event this long is assumed to have died with
+// the process, and a redelivery may take the event over
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const fromPaise = (paise) => Math.round(Number(paise || 0)) / 100;
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+class RazorpayWebhookService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+    this.refundService = new RefundService(broadcastFunction);
+    this.autoPayService = new AutoPayService(broadcastFunction);
+  }
+
+  /**
+   * Verify, log and apply one webhook delivery. `rawBody` must be the exact
+   * bytes Razorpay sent - the signature is over the body as received.
+   */
+  async handleDelivery(rawBody, signature, eventIdHeader) {
+    if (!razorpayService.verifyWebhookSignature(rawBody, signature)) {
+      throw unauthorized('Invalid webhook signature');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      throw badRequest('Webhook body is not valid JSON');
+    }
+
+    const eventId = eventIdHeader || `${body.event}:${body.account_id}:${body.created_at}`;
+    const entityId = this.getEntityId(body);
+
+    const record = await WebhookEvent.findOneAndUpdate(
+      { eventId },
+      {
+        $setOnInsert: { provider: 'razorpay', event: body.event, entityId, receivedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { new: true, upsert: true }
+    );
+
+    if (['processed', 'ignored'].includes(record.status)) {
+      console.log(`ℹ️ [RazorpayWebhook] ${body.event} ${eventId} already handled`);
+      return { status: record.status, duplicate: true };
+    }
+
+    // Take the event so an overlapping redelivery does not apply it as well.
+    // The redelivery is refused, not acknowledged, so Razorpay tries again if
+    // this attempt fails.
+    const claimedAt = new Date();
+    const claimed = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: record._id,
+        $or: [
+          { status: { $in: ['received', 'failed'] } },
+          { status: 'processing', claimedAt: { $lt: new Date(claimedAt.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', claimedAt } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw conflict(`Event ${eventId} is already being processed`);
+    }
+
+    try {
+      const result = HANDLED_EVENTS.includes(body.event)
+        ? await this.applyEvent(body)
+        : { status: 'ignored', reason: `Event ${body.event} is not handled` };
+
+      claimed.status = result.status;
+      claimed.error = result.reason;
+      claimed.payment = result.payment?._id;
+      claimed.processedAt = new Date();
+      await claimed.save();
+
+      console.log(`✅ [RazorpayWebhook] ${body.event} ${entityId || ''}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+      return { status: result.status, duplicate: false };
+    } catch (error) {
+      // Left as failed so Razorpay's retry gets another go
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await claimed.save();
+      throw error;
+    }
+  }
+
+  getEntityId(body) {
+    const payload = body.payload || {};
+    return payload.refund?.entity?.id || payload.payment?.entity?.id || payload.order?.entity?.id ||
+      payload.token?.entity?.id || null;
+  }
+
+  async applyEvent(body) {
+    const payload = body.payload || {};
+
+    switch (body.event) {
+      case 'payment.captured':
+      case 'order.paid':
+        return this.handleCaptured(payload.payment?.entity, payload.order?.entity);
+      case 'payment.failed':
+        return this.handleFailed(payload.payment?.entity);
+      case 'refund.processed':
+      case 'refund.failed':
+        return this.handleRefund(body.event, payload.refund?.entity);
+      case 'token.confirmed':
+      case 'token.rejected':
+      case 'token.cancelled':
+      case 'token.paused':
+        return (await this.autoPayService.handleTokenEvent(body.event, payload.token?.entity)) ||
+          { status: 'ignored', reason: 'Token is not an auto-pay mandate' };
+      default:
+        return { status: 'ignored', reason: `Event ${body.event} is not handled` };
+    }
+  }
+
+  /**
+   * Which bill and tenant a gateway payment belongs to. create-order puts
+   * both in the order notes; payment.captured does not carry the order, so
+   * it is fetched when the payment's own notes do not have them.
+   */
+  async resolveBill(paymentEntity, orderEntity) {
+    let notes = { ...(orderEntity?.notes || {}), ...(paymentEntity?.notes || {}) };
+
+    if (!notes.billId && paymentEntity?.order_id) {
+      const order = await razorpayService.razorpay.orders.fetch(paymentEntity.order_id);
+      notes = { ...(order?.notes || {}), ...notes };
+    }
+    if (!notes.billId) return null;
+
+    const bill = await Bill.findById(notes.billId);
+    if (!bill) return null;
+
+    return { bill, tenantId: notes.tenantId || bill.tenant };
+  }
+
+  async handleCaptured(paymentEntity, orderEntity) {
+    if (!paymentEntity?.id) {
+      return { status: 'ignored', reason: 'No payment in event' };
+    }
+
+    const target = await this.resolveBill(paymentEntity, orderEntity);
+    if (!target) {
+      return { status: 'ignored', reason: 'Payment is not for a known bill' };
+    }
+
+    const { payment, allocation, duplicate } = await razorpayService.recordCapturedPayment({
+      razorpayPaymentId: paymentEntity.id,
+      razorpayOrderId: paymentEntity.order_id || orderEntity?.id,
+      billId: target.bill._id,
+      tenantId: target.tenantId,
+      amount: fromPaise(paymentEntity.amount),
+      paidAt: paymentEntity.created_at ? new Date(paymentEntity.created_at * 1000) : new Date(),
+      confirmedVia: 'webhook'
+    });
+
+    if (!duplicate) {
+      await this.notifyCaptured(payment, target.bill, allocation);
+    }
+    await this.autoPayService.handleGatewayOutcome('payment.captured', paymentEntity, payment);
+
+    return { status: 'processed', payment, reason: duplicate ? 'Already recorded' : undefined };
+  }
+
+  async handleFailed(paymentEntity) {
+    if (!paymentEntity?.id) {
+      return { status: 'ignored', reason: 'No payment in event' };
+    }
+
+    const target = await this.resolveBill(paymentEntity, null);
+    if (!target) {
+      return { status: 'ignored', reason: 'Payment is not for a known bill' };
+    }
+
+    const { payment, duplicate } = await razorpayService.recordFailedPayment({
+      razorpayPaymentId: paymentEntity.id,
+      razorpayOrderId: paymentEntity.order_id,
+      billId: target.bill._id,
+      tenantId: target.tenantId,
+      amount: fromPaise(paymentEntity.amount),
+      reason: paymentEntity.error_description || paymentEntity.error_reason
+    });
+    await this.autoPayService.handleGatewayOutcome('payment.failed', paymentEntity);
+
+    return { status: 'processed', payment, reason: duplicate ? 'Already recorded' : undefined };
+  }
+
+  // Refunds started here are confirmed; ones made on the Razorpay dashboard are applied
+  async handleRefund(event, refundEntity) {
+    if (!refundEntity?.payment_id) {
+      return { status: 'ignored', reason: 'No refund in event' };
+    }
+
+    const payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+    if (!payment) {
+      return { status: 'ignored', reason: 'Refund is for an unknown payment' };
+    }
+
+    const result = event === 'refund.failed'
+      ? await this.refundService.recordGatewayRefundFailure(payment, refundEntity)
+      : await this.refundService.recordGatewayRefund(payment, refundEntity);
+
+    return { status: 'processed', payment: result.payment, reason: result.duplicate ? 'Already recorded' : undefined };
+  }
+
+  // The tenant may have closed the tab, so tell them the payment went through
+  async notifyCaptured(payment, bill, allocation) {
+    const notification = new Notification({
+      title: 'Payment received',
+      message: `Your payment of ₹${payment.amount} for bill ${bill.billNumber} has been received.` +
+        (allocation?.creditAmount > 0 ? ` ₹${allocation.creditAmount} is held as credit for future bills.` : ''),
+      type: 'personal',
+      category: 'success',
+      priority: 'medium',
+      recipients: [{ tenant: payment.tenant }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+      this.broadcastToClients({
+        type: 'PAYMENT_DASHBOARD_UPDATE',
+        month: bill.month,
+        year: bill.year,
+        paymentAmount: payment.amount,
+        paymentId: payment._id
+      });
+    }
+  }
+}
+
+module.exports = RazorpayWebhookService;
@@ -0,0 +1,178 @@
+const { Receipt, Payment, Tenant, Room, Bill } = require('../../models');
+const billingPolicy = require('./billingPolicy');
+const emailService = require('./emailService');
+const PDFService = require('./pdfService');
+const { MONTH_NAMES } = require('../utils/serviceHelpers');
+
+// Official receipts for money received. One receipt per completed payment,
+// numbered from the 'receipt' sequence and frozen at issue: the amount, the
+// bills it settled and the amount in words are copied onto the receipt. Tenant
+// credit and deposit applications only move money already held, so they get
+// no receipt of their own.
+
+// A refunded payment was still received, so its receipt stays available
+const RECEIPT_STATUSES = ['completed', 'verified', 'refunded'];
+const NON_RECEIPT_METHODS = ['credit', 'deposit'];
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => (n < 20
+  ? ONES[n]
+  : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const threeDigitWords = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigitWords(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Indian grouping: crore, lakh, thousand, hundred
+const integerWords = (n) => {
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor(n / 100000) % 100;
+  const thousand = Math.floor(n / 1000) % 100;
+  const rest = n % 1000;
+
+  return [
+    crore ? `${integerWords(crore)} Crore` : '',
+    lakh ? `${twoDigitWords(lakh)} Lakh` : '',
+    thousand ? `${twoDigitWords(thousand)} Thousand` : '',
+    rest ? threeDigitWords(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Amount as printed on a receipt, e.g. 12500.5 ->
+ * 'Rupees Twelve Thousand Five Hundred and Fifty Paise Only'.
+ */
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+
+  return `Rupees ${integerWords(rupees)}${paise ? ` and ${twoDigitWords(paise)} Paise` : ''} Only`;
+};
+
+const isReceiptable = (payment) => (
+  !!payment &&
+  RECEIPT_STATUSES.includes(payment.status) &&
+  !NON_RECEIPT_METHODS.includes(payment.paymentMethod)
+);
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// PDF document for a receipt; the caller pipes it and calls end()
+const generatePdf = async (receipt) => {
+  const tenant = await Tenant.findById(receipt.tenant?._id || receipt.tenant).select('name email phone');
+  const room = receipt.room ? await Room.findById(receipt.room._id || receipt.room).select('roomNumber') : null;
+  return PDFService.generatePaymentReceipt(receipt, tenant || {}, room);
+};
+
+/**
+ * Email a receipt to the tenant with the PDF attached. Returns the email
+ * service result; the receipt records where and when it was sent.
+ */
+const sendReceiptEmail = async (receipt) => {
+  const tenant = await Tenant.findById(receipt.tenant?._id || receipt.tenant).select('name email');
+  if (!tenant?.email) {
+    return { success: false, error: 'Tenant has no email address' };
+  }
+
+  const pdfBuffer = await toBuffer(await generatePdf(receipt));
+  const result = await emailService.sendPaymentReceipt(tenant.email, tenant.name, receipt, pdfBuffer);
+
+  if (result.success && !result.devMode) {
+    receipt.emailedTo = tenant.email;
+    receipt.emailedAt = new Date();
+    await receipt.save();
+  }
+  return result;
+};
+
+/**
+ * Issue the receipt for a completed payment. Safe to call more than once -
+ * a payment that already has a receipt returns it unchanged. Never throws:
+ * the payment is already recorded, and a missing receipt is issued on first
+ * download instead. Pass `email: false` to skip the tenant email.
+ */
+const issueReceipt = async (payment, { email = true, currentDate = new Date() } = {}) => {
+  if (!isReceiptable(payment)) return null;
+
+  try {
+    const existing = await Receipt.findOne({ payment: payment._id });
+    if (existing) return existing;
+
+    const billNumbers = (payment.allocations || []).map(allocation => allocation.billNumber);
+    const bills = await Bill.find({ billNumber: { $in: billNumbers } }).select('billNumber month year');
+    const periodOf = (billNumber) => {
+      const bill = bills.find(b => b.billNumber === billNumber);
+      return bill ? `${MONTH_NAMES[bill.month - 1]} ${bill.year}` : '';
+    };
+
+    const tenantId = payment.tenant?._id || payment.tenant;
+    const tenant = await Tenant.findById(tenantId).select('room');
+
+    const receipt = new Receipt({
+      payment: payment._id,
+      tenant: tenantId,
+      room: tenant?.room || null,
+      amount: payment.amount,
+      amountInWords: amountInWords(payment.amount),
+      paymentMethod: payment.paymentMethod,
+      reference: payment.transactionId || payment.razorpayPaymentId || '',
+      paidAt: payment.paidAt || currentDate,
+      allocations: (payment.allocations || []).map(allocation => ({
+        billNumber: allocation.billNumber,
+        period: periodOf(allocation.billNumber),
+        amount: allocation.amount
+      })),
+      creditAmount: payment.creditAmount || 0,
+      issuedAt: currentDate
+    });
+
+    try {
+      await receipt.save();
+    } catch (error) {
+      // Another request issued it first
+      if (error.code === 11000 && error.keyPattern?.payment) {
+        return Receipt.findOne({ payment: payment._id });
+      }
+      throw error;
+    }
+
+    await Payment.updateOne({ _id: payment._id }, { receipt: receipt._id });
+    payment.receipt = receipt._id;
+
+    console.log(`✅ [Receipt] ${receipt.receiptNumber} issued for payment ${payment._id} (₹${receipt.amount})`);
+
+    const policy = await billingPolicy.getPolicy();
+    if (email && policy.emailReceipts) {
+      await sendReceiptEmail(receipt);
+    }
+
+    return receipt;
+  } catch (error) {
+    console.error(`❌ [Receipt] Failed to issue receipt for payment ${payment._id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  amountInWords,
+  isReceiptable,
+  issueReceipt,
+  generatePdf,
+  sendReceiptEmail
+};
@@ -0,0 +1,328 @@
+const { Bill, Payment, Tenant, Notification } = require('../../models');
+const paymentAllocation = require('./paymentAllocation');
+const razorpayService = require('./razorpayService');
+const { roundAmount, badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Owner-initiated refunds. Razorpay payments are refunded through the gateway;
+// cash, bank and UPI payments are refunded by hand and recorded here. Either
+// way the refunded amount is taken back from what the payment did: first from
+// any of it still sitting unspent as tenant credit (a double payment), then
+// off the bills it settled, newest first, which reopens them. A refund the
+// gateway later reports as failed is returned to the tenant as credit.
+
+const REFUNDABLE_STATUSES = ['completed', 'verified'];
+const MANUAL_METHODS = ['cash', 'bank_transfer', 'upi'];
+
+// Take up to `amount` of what was paid off a bill; mutates the bill and returns what was taken
+const reverseOnBill = (bill, amount, currentDate) => {
+  const taken = roundAmount(Math.min(amount, bill.paidAmount || 0));
+  if (taken <= 0) return 0;
+
+  // Bills paid before the breakdown existed count their paidAmount as principal
+  const penaltyPaid = bill.paidBreakdown?.penalty || 0;
+  const principalPaid = Math.max(bill.paidBreakdown?.principal || 0, (bill.paidAmount || 0) - penaltyPaid);
+  const fromPrincipal = Math.min(taken, principalPaid);
+
+  bill.paidBreakdown = {
+    principal: roundAmount(principalPaid - fromPrincipal),
+    penalty: roundAmount(Math.max(0, penaltyPaid - (taken - fromPrincipal)))
+  };
+  bill.paidAmount = roundAmount(bill.paidAmount - taken);
+  bill.remainingAmount = roundAmount(Math.max(0, (bill.totalAmount || 0) - bill.paidAmount));
+
+  if (bill.remainingAmount > 0) {
+    bill.status = bill.paidAmount > 0
+      ? 'partially_paid'
+      : (new Date(bill.dueDate) < currentDate ? 'overdue' : 'pending');
+    bill.paidDate = undefined;
+  }
+  bill.updatedAt = currentDate;
+
+  return taken;
+};
+
+class RefundService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  async getPayment(paymentId) {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) throw notFound('Payment not found');
+    return payment;
+  }
+
+  // What can still be refunded on a payment
+  getRefundable(payment) {
+    return roundAmount(Math.max(0, (payment.amount || 0) - (payment.refundedAmount || 0)));
+  }
+
+  /**
+   * Refund all or part of a payment. `amount` defaults to everything not yet
+   * refunded. Razorpay payments go back through the gateway; other payments
+   * need `method` (cash, bank_transfer or upi) and ideally a `reference`.
+   */
+  async refundPayment(paymentId, { amount, reason, method, reference } = {}, performedBy) {
+    const payment = await this.getPayment(paymentId);
+    const text = String(reason || '').trim();
+    if (!text) throw badRequest('A reason is required');
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw badRequest(`Only completed payments can be refunded (this one is ${payment.status})`);
+    }
+    if (['credit', 'deposit'].includes(payment.paymentMethod)) {
+      throw badRequest('Credit and deposit applications are not money received and cannot be refunded');
+    }
+
+    const refundable = this.getRefundable(payment);
+    const value = amount === undefined || amount === '' ? refundable : roundAmount(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) throw badRequest('amount must be more than zero');
+    if (value > refundable) {
+      throw badRequest(`At most ₹${refundable} of this payment can still be refunded`);
+    }
+
+    const viaGateway = payment.paymentMethod === 'razorpay' && !!payment.razorpayPaymentId;
+    const refundMethod = viaGateway ? 'razorpay' : (method || payment.paymentMethod);
+    if (!viaGateway && !MANUAL_METHODS.includes(refundMethod)) {
+      throw badRequest(`method must be one of ${MANUAL_METHODS.join(', ')}`);
+    }
+
+    // Claim the amount first so two refunds at once cannot exceed the payment
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, refundedAmount: payment.refundedAmount || 0 },
+      { $inc: { refundedAmount: value } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw badRequest('Another refund on this payment is in progress - reload and try again');
+    }
+
+    const currentDate = new Date();
+    const refund = {
+      amount: value,
+      method: refundMethod,
+      reference: reference ? String(reference).trim() : undefined,
+      reason: text,
+      status: 'processed',
+      refundedBy: performedBy,
+      createdAt: currentDate,
+      processedAt: currentDate
+    };
+
+    if (viaGateway) {
+      try {
+        const gatewayRefund = await razorpayService.razorpay.payments.refund(payment.razorpayPaymentId, {
+          amount: Math.round(value * 100),
+          notes: { paymentId: String(payment._id), reason: text.slice(0, 250) }
+        });
+        refund.razorpayRefundId = gatewayRefund.id;
+        refund.status = gatewayRefund.status === 'processed' ? 'processed' : 'pending';
+        refund.processedAt = refund.status === 'processed' ? currentDate : undefined;
+      } catch (error) {
+        await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -value } });
+        console.error(`❌ [Refund] Razorpay refund failed for ${payment.razorpayPaymentId}:`, error?.error || error);
+        const gatewayError = new Error(`Razorpay refused the refund: ${error?.error?.description || error.message}`);
+        gatewayError.statusCode = 502;
+        throw gatewayError;
+      }
+    }
+
+    const result = await this.applyRefund(payment._id, refund, currentDate);
+
+    console.log(`✅ [Refund] ₹${value} refunded on payment ${payment._id} via ${refundMethod} by ${performedBy}`);
+    return result;
+  }
+
+  /**
+   * Record a refund Razorpay reports that was not started here (e.g. from
+   * the Razorpay dashboard), or mark one started here as processed.
+   */
+  async recordGatewayRefund(payment, refundEntity) {
+    const processedAt = refundEntity.created_at ? new Date(refundEntity.created_at * 1000) : new Date();
+    const existing = payment.refunds.find(refund => refund.razorpayRefundId === refundEntity.id);
+
+    if (existing) {
+      if (existing.status !== 'processed') {
+        await Payment.updateOne(
+          { _id: payment._id, 'refunds._id': existing._id },
+          { $set: { 'refunds.$.status': 'processed', 'refunds.$.processedAt': processedAt } }
+        );
+      }
+      return { payment: await Payment.findById(payment._id), duplicate: true };
+    }
+
+    // Started by refundPayment, which records it once Razorpay's call returns
+    if (refundEntity.notes?.paymentId) {
+      throw new Error(`Refund ${refundEntity.id} is not recorded yet; waiting for the retry`);
+    }
+
+    const value = roundAmount(Math.min(Number(refundEntity.amount || 0) / 100, this.getRefundable(payment)));
+    if (value <= 0) {
+      return { payment, duplicate: true };
+    }
+
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, refundedAmount: payment.refundedAmount || 0, 'refunds.razorpayRefundId': { $ne: refundEntity.id } },
+      { $inc: { refundedAmount: value } }
+    );
+    if (claimed.modifiedCount === 0) {
+      // Changed underneath us; Razorpay retries the webhook
+      throw new Error(`Payment ${payment._id} changed while recording refund ${refundEntity.id}`);
+    }
+
+    const result = await this.applyRefund(payment._id, {
+      amount: value,
+      method: 'razorpay',
+      razorpayRefundId: refundEntity.id,
+      reason: refundEntity.notes?.reason || 'Refunded through Razorpay',
+      status: 'processed',
+      refundedBy: 'razorpay',
+      createdAt: processedAt,
+      processedAt
+    }, new Date());
+
+    console.log(`✅ [Refund] Razorpay refund ${refundEntity.id} of ₹${value} recorded on payment ${payment._id}`);
+    return { ...result, duplicate: false };
+  }
+
+  /**
+   * A gateway refund that failed: the money never left, so it is given back
+   * to the tenant as credit (which settles the bills the refund reopened).
+   */
+  async recordGatewayRefundFailure(payment, refundEntity) {
+    const existing = payment.refunds.find(refund => refund.razorpayRefundId === refundEntity.id);
+    if (!existing || existing.status === 'failed') {
+      return { payment, duplicate: true };
+    }
+
+    const marked = await Payment.updateOne(
+      { _id: payment._id, refunds: { $elemMatch: { _id: existing._id, status: { $ne: 'failed' } } } },
+      {
+        $set: { 'refunds.$.status': 'failed', status: payment.status === 'refunded' ? 'completed' : payment.status },
+        $inc: { refundedAmount: -existing.amount }
+      }
+    );
+    if (marked.modifiedCount === 0) {
+      return { payment, duplicate: true };
+    }
+
+    const tenantId = payment.tenant?._id || payment.tenant;
+    await Tenant.findByIdAndUpdate(tenantId, { $inc: { creditBalance: existing.amount } });
+    await paymentAllocation.applyTenantCredit(tenantId);
+
+    console.warn(`⚠️ [Refund] Razorpay refund ${refundEntity.id} failed; ₹${existing.amount} returned to tenant credit`);
+
+    await this.notifyTenant(tenantId, 'Refund Failed',
+      `Your refund of ₹${existing.amount} could not be completed by the payment gateway. The amount has been added back to your account as credit.`,
+      payment._id);
+
+    return { payment: await Payment.findById(payment._id), duplicate: false };
+  }
+
+  // Take the refunded amount back from credit and bills, then store the refund
+  async applyRefund(paymentId, refund, currentDate) {
+    const payment = await Payment.findById(paymentId);
+    const tenantId = payment.tenant?._id || payment.tenant;
+    let remaining = refund.amount;
+
+    // 1. Whatever of this payment is still unspent tenant credit
+    const creditAlreadyRefunded = payment.refunds
+      .filter(previous => previous.status !== 'failed')
+      .reduce((sum, previous) => sum + (previous.creditReduced || 0), 0);
+    const tenant = await Tenant.findById(tenantId).select('creditBalance');
+    let creditReduced = roundAmount(Math.min(
+      remaining,
+      Math.max(0, (payment.creditAmount || 0) - creditAlreadyRefunded),
+      tenant?.creditBalance || 0
+    ));
+    if (creditReduced > 0) {
+      const taken = await Tenant.updateOne(
+        { _id: tenantId, creditBalance: { $gte: creditReduced } },
+        { $inc: { creditBalance: -creditReduced } }
+      );
+      if (taken.modifiedCount === 0) creditReduced = 0;
+    }
+    remaining = roundAmount(remaining - creditReduced);
+
+    // 2. The bills this payment settled, newest first, then (for credit it
+    //    funded that has since been spent) the tenant's other paid bills
+    const billReversals = [];
+    if (remaining > 0) {
+      const ownBillIds = [...(payment.allocations || [])].reverse().map(allocation => String(allocation.bill));
+      const bills = await Bill.find({
+        tenant: tenantId,
+        status: { $ne: 'cancelled' },
+        paidAmount: { $gt: 0 }
+      }).sort({ year: -1, month: -1, dueDate: -1 });
+      bills.sort((a, b) => {
+        const rankA = ownBillIds.indexOf(String(a._id));
+        const rankB = ownBillIds.indexOf(String(b._id));
+        return (rankA === -1 ? Infinity : rankA) - (rankB === -1 ? Infinity : rankB);
+      });
+
+      for (const bill of bills) {
+        if (remaining <= 0) break;
+        const taken = reverseOnBill(bill, remaining, currentDate);
+        if (taken <= 0) continue;
+
+        await bill.save();
+        remaining = roundAmount(remaining - taken);
+        billReversals.push({ bill: bill._id, billNumber: bill.billNumber, amount: taken });
+      }
+    }
+
+    // Anything left was not sitting anywhere we can take it from; the ledger
+    // still shows the refund as a charge against the tenant
+    if (remaining > 0) {
+      console.warn(`⚠️ [Refund] ₹${remaining} of the refund on payment ${paymentId} could not be matched to credit or bills`);
+    }
+
+    await Payment.updateOne(
+      { _id: paymentId },
+      { $push: { refunds: { ...refund, creditReduced, billReversals } } }
+    );
+    await Payment.updateOne(
+      { _id: paymentId, $expr: { $gte: ['$refundedAmount', '$amount'] } },
+      { $set: { status: 'refunded' } }
+    );
+
+    const updated = await Payment.findById(paymentId);
+    const stored = updated.refunds[updated.refunds.length - 1];
+
+    const reopened = billReversals.length > 0
+      ? ` Bill${billReversals.length > 1 ? 's' : ''} ${billReversals.map(reversal => reversal.billNumber).join(', ')} ${billReversals.length > 1 ? 'have' : 'has'} been updated.`
+      : '';
+    await this.notifyTenant(tenantId, 'Refund Issued',
+      `A refund of ₹${refund.amount} has been ${refund.status === 'pending' ? 'initiated' : 'issued'} on your payment of ₹${updated.amount}` +
+      ` (${refund.method.replace('_', ' ')}). Reason: ${refund.reason}.${reopened}`,
+      paymentId);
+
+    return { payment: updated, refund: stored };
+  }
+
+  async notifyTenant(tenantId, title, message, paymentId) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category: 'info',
+      priority: 'medium',
+      recipients: [{ tenant: tenantId }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+      this.broadcastToClients({
+        type: 'PAYMENT_REFUNDED',
+        paymentId,
+        tenantId
+      });
+    }
+  }
+}
+
+module.exports = RefundService;
@@ -0,0 +1,301 @@
+const { Tenant, Notification, RentTerm } = require('../../models');
+const billingPolicy = require('./billingPolicy');
+const { badRequest, notFound } = require('../utils/serviceHelpers');
+
+// Rent agreed per tenancy. A rent term starts from a base rent and applies
+// escalations in date order: a percentage of the rent in effect or a fixed
+// rupee amount, once or on every anniversary of its effective date (the
+// usual 5-10% yearly increase is one escalation repeating every 12 months).
+// A bill charges the rent in effect on the first day of its billing month, so
+// a change dated mid-month is billed from the next month. Tenants without a
+// rent term are billed the room's listed rent as before.
+
+const ESCALATION_TYPES = ['percentage', 'fixed'];
+const MAX_PERCENTAGE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const startOfDay = (date) => {
+  const value = new Date(date);
+  value.setHours(0, 0, 0, 0);
+  return value;
+};
+
+const addMonths = (date, months) => {
+  const value = new Date(date);
+  value.setMonth(value.getMonth() + months);
+  return value;
+};
+
+const monthsBetween = (from, to) => (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+// Every escalation date up to `until`, oldest first
+const occurrencesUntil = (term, until) => {
+  const limit = startOfDay(until);
+  const occurrences = [];
+
+  (term.escalations || []).forEach((escalation, order) => {
+    // As many repeats as fit between the first effective date and the limit
+    const repeats = escalation.repeatEveryMonths > 0
+      ? Math.floor(monthsBetween(startOfDay(escalation.effectiveDate), limit) / escalation.repeatEveryMonths)
+      : 0;
+    for (let index = 0; index <= repeats; index++) {
+      const effectiveDate = startOfDay(addMonths(escalation.effectiveDate, index * (escalation.repeatEveryMonths || 0)));
+      if (effectiveDate > limit) break;
+      occurrences.push({ escalation, order, effectiveDate });
+      if (!(escalation.repeatEveryMonths > 0)) break;
+    }
+  });
+
+  return occurrences.sort((a, b) => a.effectiveDate - b.effectiveDate || a.order - b.order);
+};
+
+const applyEscalation = (rent, escalation) => {
+  const next = escalation.type === 'percentage'
+    ? rent * (1 + escalation.value / 100)
+    : rent + escalation.value;
+  return Math.max(0, Math.round(next));
+};
+
+// The rent a term charges on a date
+const rentOn = (term, date) => occurrencesUntil(term, date)
+  .filter(occurrence => occurrence.effectiveDate >= startOfDay(term.startDate))
+  .reduce((rent, occurrence) => applyEscalation(rent, occurrence.escalation), term.baseRent);
+
+/**
+ * The rent changes a term makes after `fromDate`, up to `count` of them,
+ * each with the rent before and after.
+ */
+const upcomingChanges = (term, fromDate = new Date(), count = 3) => {
+  const changes = [];
+  let cursor = startOfDay(fromDate);
+
+  while (changes.length < count) {
+    const next = (term.escalations || [])
+      .map(escalation => {
+        if (!(escalation.repeatEveryMonths > 0)) {
+          return startOfDay(escalation.effectiveDate) > cursor ? startOfDay(escalation.effectiveDate) : null;
+        }
+        // Start one repeat short of the cursor (month ends can push a date
+        // into the next month) and step to the first one after it
+        let index = Math.max(0, Math.floor(monthsBetween(startOfDay(escalation.effectiveDate), cursor) / escalation.repeatEveryMonths) - 1);
+        let date = startOfDay(addMonths(escalation.effectiveDate, index * escalation.repeatEveryMonths));
+        while (date <= cursor) {
+          index += 1;
+          date = startOfDay(addMonths(escalation.effectiveDate, index * escalation.repeatEveryMonths));
+        }
+        return date;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0];
+    if (!next) break;
+
+    const previousRent = rentOn(term, new Date(next.getTime() - DAY_MS));
+    const newRent = rentOn(term, next);
+    if (newRent !== previousRent) {
+      changes.push({ effectiveDate: next, previousRent, newRent });
+    }
+    cursor = next;
+  }
+
+  return changes;
+};
+
+const validateTerm = (term) => {
+  const errors = [];
+
+  if (!Number.isFinite(term.baseRent) || term.baseRent <= 0) {
+    errors.push('baseRent must be a positive number');
+  }
+  if (!term.startDate || Number.isNaN(new Date(term.startDate).getTime())) {
+    errors.push('startDate is required');
+  }
+  (term.escalations || []).forEach((escalation, index) => {
+    const label = `escalations[${index}]`;
+    if (!ESCALATION_TYPES.includes(escalation.type)) {
+      errors.push(`${label}.type must be one of ${ESCALATION_TYPES.join(', ')}`);
+    }
+    if (!Number.isFinite(escalation.value) || escalation.value === 0) {
+      errors.push(`${label}.value must be a non-zero number`);
+    } else if (escalation.type === 'percentage' && Math.abs(escalation.value) > MAX_PERCENTAGE) {
+      errors.push(`${label}.value cannot be more than ${MAX_PERCENTAGE}%`);
+    }
+    if (!escalation.effectiveDate || Number.isNaN(new Date(escalation.effectiveDate).getTime())) {
+      errors.push(`${label}.effectiveDate is required`);
+    } else if (term.startDate && startOfDay(escalation.effectiveDate) <= startOfDay(term.startDate)) {
+      errors.push(`${label}.effectiveDate must be after the start date`);
+    }
+    if (!Number.isInteger(escalation.repeatEveryMonths) || escalation.repeatEveryMonths < 0 || escalation.repeatEveryMonths > 60) {
+      errors.push(`${label}.repeatEveryMonths must be a whole number from 0 to 60`);
+    }
+  });
+
+  return errors;
+};
+
+const normalizeTerm = (body) => ({
+  baseRent: body.baseRent !== undefined && body.baseRent !== '' ? Number(body.baseRent) : undefined,
+  startDate: body.startDate ? new Date(body.startDate) : undefined,
+  escalations: Array.isArray(body.escalations)
+    ? body.escalations.map(escalation => ({
+      type: escalation.type,
+      value: Number(escalation.value),
+      effectiveDate: escalation.effectiveDate ? new Date(escalation.effectiveDate) : null,
+      repeatEveryMonths: escalation.repeatEveryMonths !== undefined && escalation.repeatEveryMonths !== ''
+        ? Number(escalation.repeatEveryMonths)
+        : 0,
+      note: escalation.note ? String(escalation.note).trim() : undefined
+    }))
+    : undefined
+});
+
+/**
+ * The rent to bill a tenant for a month (1-12): their rent term's rent on the
+ * first day of the month, or the room's rent when they have no rent term.
+ */
+const getRentForPeriod = async (tenant, room, month, year) => {
+  const term = await RentTerm.findOne({ tenant: tenant._id });
+  if (!term) return { amount: room.rent, term: null };
+  return { amount: rentOn(term, new Date(year, month - 1, 1)), term };
+};
+
+class RentTermService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  // Every active tenant with their rent today and the next changes (Owner)
+  async listTerms(currentDate = new Date()) {
+    const [tenants, terms] = await Promise.all([
+      Tenant.find({ status: 'active' }).select('name room moveInDate').populate('room', 'roomNumber rent').sort({ name: 1 }),
+      RentTerm.find()
+    ]);
+    const termByTenant = new Map(terms.map(term => [String(term.tenant), term]));
+
+    return tenants.map(tenant => {
+      const term = termByTenant.get(String(tenant._id)) || null;
+      return {
+        tenant: { _id: tenant._id, name: tenant.name, moveInDate: tenant.moveInDate },
+        room: tenant.room,
+        term,
+        currentRent: term ? rentOn(term, currentDate) : tenant.room?.rent ?? null,
+        upcoming: term ? upcomingChanges(term, currentDate) : []
+      };
+    });
+  }
+
+  // Create or replace a tenant's rent term, then tell them of any change now due for notice
+  async saveTerm(tenantId, body, updatedBy, currentDate = new Date()) {
+    const tenant = await Tenant.findById(tenantId).populate('room', 'roomNumber rent');
+    if (!tenant) throw notFound('Tenant not found');
+
+    const existing = await RentTerm.findOne({ tenant: tenant._id });
+    const fields = normalizeTerm(body);
+    const next = {
+      baseRent: fields.baseRent ?? existing?.baseRent ?? tenant.room?.rent,
+      startDate: fields.startDate ?? existing?.startDate ?? tenant.moveInDate,
+      escalations: fields.escalations ?? existing?.escalations ?? []
+    };
+    const errors = validateTerm(next);
+    if (errors.length > 0) throw badRequest(`Invalid rent terms: ${errors.join('; ')}`);
+
+    const term = existing || new RentTerm({ tenant: tenant._id });
+    term.set({
+      ...next,
+      room: tenant.room?._id,
+      updatedBy,
+      updatedAt: currentDate
+    });
+    // Notices for changes that no longer happen are dropped so a new one goes out
+    const scheduled = new Set(occurrencesUntil(term, addMonths(currentDate, 24)).map(occurrence => occurrence.effectiveDate.getTime()));
+    term.noticesSent = term.noticesSent.filter(notice => scheduled.has(startOfDay(notice.effectiveDate).getTime()));
+    await term.save();
+
+    console.log(`✅ [RentTerm] Rent terms saved for ${tenant.name} by ${updatedBy}`);
+    await this.sendNoticesFor(term, tenant, currentDate);
+    this.broadcastUpdate(term);
+    return term;
+  }
+
+  // Go back to billing the room's rent
+  async deleteTerm(tenantId) {
+    const term = await RentTerm.findOneAndDelete({ tenant: tenantId });
+    if (!term) throw notFound('This tenant has no rent terms');
+    this.broadcastUpdate(term);
+    return term;
+  }
+
+  /**
+   * Daily run: tell tenants about rent changes coming up within the notice
+   * period from the billing settings. Each change is announced once.
+   */
+  async sendIncreaseNotices(currentDate = new Date()) {
+    const terms = await RentTerm.find({ 'escalations.0': { $exists: true } });
+    let sent = 0;
+
+    for (const term of terms) {
+      const tenant = await Tenant.findById(term.tenant).select('name status');
+      if (!tenant || tenant.status !== 'active') continue;
+      sent += await this.sendNoticesFor(term, tenant, currentDate);
+    }
+
+    console.log(`✅ [RentTerm] Sent ${sent} rent change notices`);
+    return { sent };
+  }
+
+  async sendNoticesFor(term, tenant, currentDate) {
+    const { rentIncreaseNoticeDays } = await billingPolicy.getPolicy();
+    const horizon = new Date(startOfDay(currentDate).getTime() + rentIncreaseNoticeDays * DAY_MS);
+    const due = upcomingChanges(term, currentDate, 12).filter(change => (
+      change.effectiveDate <= horizon &&
+      !term.noticesSent.some(notice => startOfDay(notice.effectiveDate).getTime() === change.effectiveDate.getTime())
+    ));
+
+    for (const change of due) {
+      const direction = change.newRent > change.previousRent ? 'increases' : 'decreases';
+      await this.notifyTenant(term.tenant, 'Rent change notice',
+        `As per your rent terms, your monthly rent ${direction} from ${formatAmount(change.previousRent)} ` +
+        `to ${formatAmount(change.newRent)} from ${formatDate(change.effectiveDate)}. ` +
+        'Bills for months starting on or after that date will show the new rent.');
+      term.noticesSent.push({ effectiveDate: change.effectiveDate, newRent: change.newRent, sentAt: currentDate });
+      console.log(`📢 [RentTerm] ${tenant.name} told of rent ${formatAmount(change.newRent)} from ${formatDate(change.effectiveDate)}`);
+    }
+
+    if (due.length > 0) await term.save();
+    return due.length;
+  }
+
+  async notifyTenant(tenantId, title, message) {
+    const notification = new Notification({
+      title,
+      message,
+      type: 'personal',
+      category: 'info',
+      priority: 'high',
+      recipients: [{ tenant: tenantId }]
+    });
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification: await Notification.findById(notification._id)
+          .populate('recipients.tenant', 'name username')
+      });
+    }
+  }
+
+  broadcastUpdate(term) {
+    if (this.broadcastToClients) {
+      this.broadcastToClients({ type: 'RENT_TERMS_UPDATED', tenantId: term.tenant });
+    }
+  }
+}
+
+RentTermService.rentOn = rentOn;
+RentTermService.upcomingChanges = upcomingChanges;
+RentTermService.getRentForPeriod = getRentForPeriod;
+
+module.exports = RentTermService;
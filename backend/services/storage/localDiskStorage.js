@@ -0,0 +1,41 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files under one directory on the server's disk. The default, and fine for
+// a single server; use the S3 adapter when the disk is not persistent.
+
+class LocalDiskStorage {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Keys are generated by fileStorage, but never let one escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Any S3-compatible object store: AWS S3, Cloudflare R2, DigitalOcean
+// Spaces, MinIO. Requests are signed with AWS Signature V4 directly, so no
+// SDK is needed for the three calls made here.
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding of each path segment, as SigV4 expects
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+class S3Storage {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region || 'us-east-1';
+    this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    // Custom endpoints (MinIO and most self-hosted stores) usually need path-style URLs
+    this.forcePathStyle = forcePathStyle ?? !!endpoint;
+  }
+
+  objectUrl(key) {
+    if (this.forcePathStyle) {
+      return { host: this.endpoint.host, path: `/${this.bucket}/${encodeKey(key)}` };
+    }
+    return { host: `${this.bucket}.${this.endpoint.host}`, path: `/${encodeKey(key)}` };
+  }
+
+  signedHeaders(method, host, path, payloadHash, extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+    const headers = {
+      ...extraHeaders,
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lookup = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lookup[name]).trim()}\n`).join('');
+    const signedHeaderNames = names.join(';');
+
+    const canonicalRequest = [method, path, '', canonicalHeaders, signedHeaderNames, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    // Host is set by axios from the URL
+    delete headers.host;
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+    };
+  }
+
+  async request(method, key, { body, contentType, responseType } = {}) {
+    const { host, path } = this.objectUrl(key);
+    const payload = body || Buffer.alloc(0);
+    const headers = this.signedHeaders(method, host, path, sha256(payload), contentType ? { 'content-type': contentType } : {});
+
+    return axios({
+      method,
+      url: `${this.endpoint.protocol}//${host}${path}`,
+      headers,
+      data: body,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    await this.request('PUT', key, { body: buffer, contentType });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  }
+
+  async remove(key) {
+    try {
+      await this.request('DELETE', key);
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+    }
+  }
+}
+
+module.exports = S3Storage;
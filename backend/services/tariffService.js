@@ -0,0 +1,184 @@
+const { TariffPlan } = require('../../models');
+const { roundAmount } = require('../utils/serviceHelpers');
+
+// Slab tariffs for metered electricity, in the shape state electricity boards
+// publish them: the first N units at one rate, the next M at another, and so
+// on, plus a fixed monthly charge, a minimum charge and tax on the total.
+// Rooms point at a plan; rooms without one use the default plan, and with no
+// plan at all electricity is billed at the room's flat unit rate. A unit rate
+// set on the room itself overrides any plan.
+
+const validatePlan = (plan) => {
+  const errors = [];
+
+  if (!plan.name || !String(plan.name).trim()) {
+    errors.push('name is required');
+  }
+  if (!Array.isArray(plan.slabs) || plan.slabs.length === 0) {
+    errors.push('at least one slab is required');
+  } else {
+    let previous = 0;
+    plan.slabs.forEach((slab, index) => {
+      const isLast = index === plan.slabs.length - 1;
+      if (!(slab.rate >= 0)) {
+        errors.push(`slab ${index + 1}: rate must be zero or more`);
+      }
+      if (slab.upTo === null || slab.upTo === undefined || slab.upTo === '') {
+        if (!isLast) errors.push(`slab ${index + 1}: only the last slab can be open-ended`);
+        return;
+      }
+      if (!(Number(slab.upTo) > previous)) {
+        errors.push(`slab ${index + 1}: upTo must be greater than ${previous}`);
+      }
+      previous = Number(slab.upTo);
+    });
+  }
+  ['fixedCharge', 'minimumCharge'].forEach(field => {
+    if (plan[field] !== undefined && !(plan[field] >= 0)) {
+      errors.push(`${field} must be zero or more`);
+    }
+  });
+  if (plan.taxPercent !== undefined && !(plan.taxPercent >= 0 && plan.taxPercent <= 100)) {
+    errors.push('taxPercent must be between 0 and 100');
+  }
+
+  return errors;
+};
+
+const normalizePlan = (body) => ({
+  name: body.name !== undefined ? String(body.name).trim() : undefined,
+  description: body.description,
+  slabs: Array.isArray(body.slabs)
+    ? body.slabs.map(slab => ({
+      upTo: slab.upTo === null || slab.upTo === undefined || slab.upTo === '' ? null : Number(slab.upTo),
+      rate: Number(slab.rate)
+    }))
+    : body.slabs,
+  fixedCharge: body.fixedCharge !== undefined ? Number(body.fixedCharge) : undefined,
+  minimumCharge: body.minimumCharge !== undefined ? Number(body.minimumCharge) : undefined,
+  taxPercent: body.taxPercent !== undefined ? Number(body.taxPercent) : undefined,
+  isDefault: body.isDefault !== undefined ? !!body.isDefault : undefined,
+  active: body.active !== undefined ? !!body.active : undefined
+});
+
+/**
+ * Charge for a number of units under a plan, with the per-slab breakdown
+ * that is stored on the bill and printed on the invoice.
+ */
+const calculateCharge = (units, plan) => {
+  const consumed = Math.max(0, Number(units) || 0);
+  const slabs = [];
+  let from = 0;
+  let remaining = consumed;
+
+  for (const slab of plan.slabs) {
+    if (remaining <= 0) break;
+    const width = slab.upTo === null || slab.upTo === undefined ? remaining : slab.upTo - from;
+    const slabUnits = roundAmount(Math.min(remaining, width));
+    if (slabUnits > 0) {
+      slabs.push({
+        from,
+        to: slab.upTo ?? null,
+        units: slabUnits,
+        rate: slab.rate,
+        amount: roundAmount(slabUnits * slab.rate)
+      });
+    }
+    remaining = roundAmount(remaining - slabUnits);
+    from = slab.upTo ?? from;
+  }
+
+  // Units beyond a closed last slab are charged at the last slab's rate
+  if (remaining > 0) {
+    const last = plan.slabs[plan.slabs.length - 1];
+    slabs.push({ from, to: null, units: remaining, rate: last.rate, amount: roundAmount(remaining * last.rate) });
+  }
+
+  const energyCharge = roundAmount(slabs.reduce((sum, slab) => sum + slab.amount, 0));
+  const fixedCharge = plan.fixedCharge || 0;
+  const minimumChargeAdjustment = roundAmount(Math.max(0, (plan.minimumCharge || 0) - (energyCharge + fixedCharge)));
+  const subtotal = roundAmount(energyCharge + fixedCharge + minimumChargeAdjustment);
+  const taxPercent = plan.taxPercent || 0;
+  const tax = roundAmount(subtotal * taxPercent / 100);
+
+  return {
+    tariffPlan: plan.name,
+    unitsConsumed: consumed,
+    slabs,
+    energyCharge,
+    fixedCharge,
+    minimumChargeAdjustment,
+    taxPercent,
+    tax,
+    amount: roundAmount(subtotal + tax)
+  };
+};
+
+const getDefaultPlan = () => TariffPlan.findOne({ isDefault: true, active: true });
+
+// The plan that applies to a room, or null for its own unit rate. A plan
+// assigned to the room wins; without one the room's own unit rate beats the
+// default plan.
+const getPlanForRoom = async (room) => {
+  if (room.tariffPlan) {
+    const plan = room.tariffPlan.slabs
+      ? room.tariffPlan
+      : await TariffPlan.findById(room.tariffPlan);
+    if (plan && plan.active) return plan;
+  }
+  if (room.utilities?.electricity?.unitRate > 0) return null;
+  return getDefaultPlan();
+};
+
+/**
+ * Electricity bill item for a room: slab tariff when a plan applies,
+ * otherwise units at the flat `fallbackRate`.
+ */
+const buildElectricityItem = async (room, reading, fallbackRate = 0) => {
+  const base = {
+    meterStartReading: reading?.startReading || 0,
+    meterEndReading: reading?.endReading || 0,
+    unitsConsumed: reading?.unitsConsumed || 0
+  };
+  const plan = await getPlanForRoom(room);
+
+  if (!plan) {
+    return {
+      ...base,
+      chargesPerUnit: fallbackRate,
+      energyCharge: roundAmount(base.unitsConsumed * fallbackRate),
+      amount: roundAmount(base.unitsConsumed * fallbackRate)
+    };
+  }
+
+  const charge = calculateCharge(base.unitsConsumed, plan);
+  return {
+    ...base,
+    // Effective rate, so older views that only know chargesPerUnit still add up
+    chargesPerUnit: base.unitsConsumed > 0 ? roundAmount(charge.amount / base.unitsConsumed) : 0,
+    tariffPlan: charge.tariffPlan,
+    slabs: charge.slabs,
+    energyCharge: charge.energyCharge,
+    fixedCharge: charge.fixedCharge,
+    minimumChargeAdjustment: charge.minimumChargeAdjustment,
+    taxPercent: charge.taxPercent,
+    tax: charge.tax,
+    amount: charge.amount
+  };
+};
+
+// Only one default plan at a time
+const setDefaultPlan = (planId) => TariffPlan.updateMany(
+  { _id: { $ne: planId }, isDefault: true },
+  { isDefault: false, updatedAt: new Date() }
+);
+
+module.exports = {
+  validatePlan,
+  normalizePlan,
+  calculateCharge,
+  getDefaultPlan,
+  getPlanForRoom,
+  buildElectricityItem,
+  setDefaultPlan
+};
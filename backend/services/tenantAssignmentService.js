@@ -0,0 +1,91 @@
+const { Tenant, Room, Notification } = require('../../models');
+const fileStorage = require('./fileStorage');
+
+// Direct assignment of a new tenant to a room: creates an active tenant with
+// generated login details, occupies the room and sends the tenant their
+// credentials. Used by the owner's assign-tenant form and when an enquiry is
+// converted into a tenancy.
+
+class TenantAssignmentService {
+  constructor(broadcastFunction = null) {
+    this.broadcastToClients = broadcastFunction;
+  }
+
+  /**
+   * Create the tenant and occupy the room. Returns the tenant, the updated
+   * room and the generated username and password.
+   */
+  async assignTenant(roomId, { name, email, phone, emergencyContact, moveInDate, securityDepositPaid } = {}) {
+    // Generate username and password
+    const username = `tenant_${Date.now()}`;
+    const password = Math.random().toString(36).slice(-8);
+
+    // Create tenant
+    const tenant = new Tenant({
+      username,
+      password,
+      name,
+      email,
+      phone,
+      emergencyContact,
+      room: roomId,
+      moveInDate: moveInDate ? new Date(moveInDate) : new Date(),
+      securityDepositPaid: securityDepositPaid || 0,
+      status: 'active'
+    });
+
+    await tenant.save();
+
+    // Update room
+    const room = await Room.findByIdAndUpdate(roomId, {
+      currentTenant: tenant._id,
+      status: 'occupied'
+    }, { new: true });
+
+    // Send credentials notification
+    const notification = new Notification({
+      title: 'Welcome to Bhuyan Complex',
+      message: `Welcome ${name}! Your login credentials: Username: ${username}, Password: ${password}. Please change your password after first login.`,
+      type: 'personal',
+      category: 'info',
+      priority: 'high',
+      recipients: [{
+        tenant: tenant._id
+      }]
+    });
+
+    await notification.save();
+
+    if (this.broadcastToClients) {
+      this.broadcastToClients({
+        type: 'NEW_NOTIFICATION',
+        notification
+      });
+
+      // Broadcast tenant profile update so client dashboards sync instantly
+      const populatedTenant = await Tenant.findById(tenant._id).populate('room');
+      const activeClients = this.broadcastToClients({
+        type: 'TENANT_PROFILE_UPDATED',
+        tenantId: populatedTenant._id,
+        profileData: {
+          userId: populatedTenant._id,
+          id: populatedTenant._id,
+          name: populatedTenant.name,
+          fullName: populatedTenant.name,
+          email: populatedTenant.email,
+          phone: populatedTenant.phone,
+          profilePhoto: fileStorage.fileUrl(populatedTenant.profilePhoto),
+          room: populatedTenant.room,
+          roomNumber: populatedTenant.room?.roomNumber,
+          profileData: fileStorage.profileDataUrls(populatedTenant.profileData) || {}
+        }
+      });
+
+      console.log(`📡 [TenantAssignment] Tenant assignment broadcast to ${activeClients} WebSocket clients`);
+    }
+
+    return { tenant, room, username, password };
+  }
+}
+
+module.exports = TenantAssignmentService;
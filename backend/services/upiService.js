@@ -0,0 +1,73 @@
+const QRCode = require('qrcode');
+const billingPolicy = require('./billingPolicy');
+const penaltyPolicy = require('./penaltyPolicy');
+const { roundAmount } = require('../utils/serviceHelpers');
+
+// UPI payment requests for bills, paid straight into the owner's VPA from
+// any UPI app. The `upi://pay` link (and the QR code that encodes it) carries
+// the amount due and a reference unique to the bill in the transaction note;
+// banks echo that note into the statement narration, which is what lets
+// reconciliation tie the credit back to its bill without guessing.
+
+const PAYABLE_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+/**
+ * Bill-specific reference for the UPI note, e.g. RENTBCR2026270001 for bill
+ * BCR/2026-27/0001. Letters and digits only, since narrations drop the rest.
+ */
+const billReference = (bill) => {
+  const number = String(bill.billNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return `RENT${number || String(bill._id).slice(-10).toUpperCase()}`;
+};
+
+const buildIntentUrl = ({ upiId, payeeName, amount, note }) => {
+  // Spelled out rather than URLSearchParams: several UPI apps read '+' literally
+  // and expect the '@' in the VPA unescaped
+  const params = [
+    ['pa', upiId],
+    ['pn', payeeName],
+    ['am', amount.toFixed(2)],
+    ['cu', 'INR'],
+    ['tn', note]
+  ].filter(([, value]) => value);
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+};
+
+/**
+ * What a tenant needs to pay a bill by UPI right now, or null when no UPI ID
+ * is configured or nothing is owed. The amount includes today's late fee.
+ */
+const getBillPayment = async (bill, { currentDate = new Date() } = {}) => {
+  if (!PAYABLE_STATUSES.includes(bill.status)) return null;
+
+  const settings = await billingPolicy.getPolicy();
+  if (!settings.upiId) return null;
+
+  const penalty = penaltyPolicy.calculatePenalty(bill, await penaltyPolicy.getPolicy(), currentDate);
+  const amount = roundAmount(Math.max(0, penalty.baseAmount + penalty.amount - (bill.paidAmount || 0)));
+  if (amount <= 0) return null;
+
+  const reference = billReference(bill);
+  const payeeName = settings.upiPayeeName || 'Bhuyan Complex';
+  return {
+    upiId: settings.upiId,
+    payeeName,
+    amount,
+    reference,
+    intentUrl: buildIntentUrl({ upiId: settings.upiId, payeeName, amount, note: reference })
+  };
+};
+
+// QR code for a payment link, as a data URL for the browser or a PNG buffer for PDFs
+const qrDataUrl = (intentUrl) => QRCode.toDataURL(intentUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+const qrBuffer = (intentUrl) => QRCode.toBuffer(intentUrl, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+module.exports = {
+  PAYABLE_STATUSES,
+  billReference,
+  buildIntentUrl,
+  getBillPayment,
+  qrDataUrl,
+  qrBuffer
+};
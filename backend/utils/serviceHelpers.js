@@ -0,0 +1,60 @@
+// Helpers shared by the backend services and the routes in front of them.
+// Services throw errors carrying an HTTP statusCode; routes turn those into
+// JSON responses with sendServiceError and anything else into a 500.
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Rupee amounts are kept to the paisa
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Razorpay takes amounts as whole paise
+const toPaise = (amount) => Math.round(amount * 100);
+
+const httpError = (statusCode) => (message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const badRequest = httpError(400);
+const forbidden = httpError(403);
+const notFound = httpError(404);
+const conflict = httpError(409);
+
+/**
+ * Send a service error as JSON. Errors with a statusCode carry their own
+ * message; anything else is a 500 with the fallback message (and the reason
+ * Razorpay gave, when the error came from its SDK). Routes whose ids name one
+ * kind of record pass notFoundMessage so a malformed id is a 404.
+ */
+const sendServiceError = (res, error, fallbackMessage, { notFoundMessage } = {}) => {
+  if (notFoundMessage && error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: notFoundMessage
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    details: error?.error?.description
+  });
+};
+
+module.exports = {
+  MONTH_NAMES,
+  roundAmount,
+  toPaise,
+  badRequest,
+  forbidden,
+  notFound,
+  conflict,
+  sendServiceError
+};
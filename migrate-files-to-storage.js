@@ -0,0 +1,138 @@
+// Move files stored inline as base64 into file storage.
+// Payment screenshots, tenant/owner profile photos and profile documents used
+// to be saved as data URLs inside the documents themselves. This stores each
+// one through fileStorage and leaves only its /api/files/:id path behind.
+// Safe to re-run: values that are no longer data URLs are skipped.
+//
+// Usage: node migrate-files-to-storage.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Bill, Payment, Tenant, Owner } = require('./models');
+const fileStorage = require('./backend/services/fileStorage');
+
+const dryRun = process.argv.includes('--dry-run');
+const counts = { screenshots: 0, photos: 0, documents: 0, failed: 0 };
+
+const countInlineDocuments = (documents) => Object.values(documents || {})
+  .filter(document => document && [document.data, document.fileData].some(fileStorage.isDataUrl))
+  .length;
+
+async function migrateScreenshots() {
+  const payments = await Payment.find({ 'paymentScreenshot.filename': /^data:/ });
+  console.log(`🧾 ${payments.length} payments with inline screenshots`);
+
+  for (const payment of payments) {
+    try {
+      if (dryRun) {
+        counts.screenshots++;
+        continue;
+      }
+      const file = await fileStorage.saveFile({
+        data: payment.paymentScreenshot.filename,
+        fileName: `payment_${payment._id}`,
+        category: 'payment_screenshot',
+        tenant: payment.tenant,
+        uploadedBy: 'migration'
+      });
+      payment.paymentScreenshot.filename = fileStorage.filePath(file);
+      payment.paymentScreenshot.file = file._id;
+      payment.paymentScreenshot.thumbnail = fileStorage.thumbnailPath(file);
+      await payment.save();
+
+      // The bill kept its own copy of the same image
+      await Bill.updateOne(
+        { _id: payment.bill, 'paymentScreenshot.filename': /^data:/ },
+        { $set: { 'paymentScreenshot.filename': fileStorage.filePath(file), 'paymentScreenshot.file': file._id } }
+      );
+      counts.screenshots++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Payment ${payment._id}: ${error.message}`);
+    }
+  }
+
+  // Bills whose payment no longer carries the image
+  const orphaned = await Bill.updateMany(
+    { 'paymentScreenshot.filename': /^data:/ },
+    { $unset: { 'paymentScreenshot.filename': '' } }
+  );
+  if (orphaned.modifiedCount) {
+    console.log(`🧹 Cleared ${orphaned.modifiedCount} bill screenshot copies with no matching payment`);
+  }
+}
+
+async function migrateProfiles(Model, label, ownerField, documentCategory) {
+  const people = await Model.find({
+    $or: [
+      { profilePhoto: /^data:/ },
+      { 'profileData.basicInfo.profilePhoto': /^data:/ },
+      { 'profileData.documents': { $exists: true } }
+    ]
+  });
+
+  for (const person of people) {
+    const photo = person.profilePhoto;
+    const inlinePhotos = new Set([photo, person.profileData?.basicInfo?.profilePhoto].filter(fileStorage.isDataUrl)).size;
+    const inlineDocuments = countInlineDocuments(person.profileData?.documents);
+    if (!inlinePhotos && !inlineDocuments) continue;
+
+    console.log(`👤 ${label} ${person.name || person._id}: ${inlinePhotos} photos, ${inlineDocuments} documents`);
+    if (dryRun) {
+      counts.photos += inlinePhotos;
+      counts.documents += inlineDocuments;
+      continue;
+    }
+
+    try {
+      const options = { [ownerField]: person._id, uploadedBy: 'migration' };
+      const photoPath = await fileStorage.storeDataUrl(photo, { ...options, category: 'profile_photo', fileName: 'profile_photo' });
+      const profileData = { ...(person.profileData || {}) };
+
+      if (profileData.basicInfo) {
+        profileData.basicInfo = {
+          ...profileData.basicInfo,
+          // Usually the same image as profilePhoto; reuse it rather than storing it twice
+          profilePhoto: profileData.basicInfo.profilePhoto === photo
+            ? photoPath
+            : await fileStorage.storeDataUrl(profileData.basicInfo.profilePhoto, { ...options, category: 'profile_photo', fileName: 'profile_photo' })
+        };
+      }
+      profileData.documents = await fileStorage.storeDocuments(profileData.documents, { ...options, category: documentCategory });
+
+      person.profilePhoto = photoPath;
+      person.profileData = profileData;
+      person.markModified('profileData');
+      await person.save();
+
+      counts.photos += inlinePhotos;
+      counts.documents += inlineDocuments;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ ${label} ${person._id}: ${error.message}`);
+    }
+  }
+}
+
+async function migrate() {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/rental_management_system';
+  await mongoose.connect(mongoURI);
+  console.log(`✅ Connected${dryRun ? ' (dry run - nothing will be changed)' : ''}`);
+
+  await migrateScreenshots();
+  await migrateProfiles(Tenant, 'Tenant', 'tenant', 'tenant_document');
+  await migrateProfiles(Owner, 'Owner', 'owner', 'owner_document');
+
+  console.log('\n📊 Summary');
+  console.log(`   Payment screenshots: ${counts.screenshots}`);
+  console.log(`   Profile photos:      ${counts.photos}`);
+  console.log(`   Documents:           ${counts.documents}`);
+  console.log(`   Failed:              ${counts.failed}`);
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
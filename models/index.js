@@ -66,15 +66,21 @@ const roomSchema = new mongoose.Schema({
   utilities: {
     electricity: {
       included: { type: Boolean, default: false },
-      rate: { type: Number, default: 0 }
+      rate: { type: Number, default: 0 },
+      metered: { type: Boolean, default: false }, // billed from MeterReading instead of the flat rate
+      unitRate: { type: Number, default: 0 }
     },
     water: {
       included: { type: Boolean, default: true },
-      rate: { type: Number, default: 0 }
+      rate: { type: Number, default: 0 },
+      metered: { type: Boolean, default: false }, // billed from MeterReading instead of the flat rate
+      unitRate: { type: Number, default: 0 }
     },
     gas: {
       included: { type: Boolean, default: false },
-      rate: { type: Number, default: 0 }
+      rate: { type: Number, default: 0 },
+      metered: { type: Boolean, default: false }, // billed from MeterReading instead of the flat rate
+      unitRate: { type: Number, default: 0 }
     },
     internet: {
       included: { type: Boolean, default: false },
@@ -89,6 +95,12 @@ const roomSchema = new mongoose.Schema({
       rate: { type: Number, default: 0 }
     }
   },
+  // Slab tariff for metered electricity; falls back to the default plan, then utilities.electricity.unitRate
+  tariffPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TariffPlan',
+    default: null
+  },
   currentTenant: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Tenant',
@@ -144,9 +156,19 @@ const tenantSchema = new mongoose.Schema({
     relationship: String
   },
   documents: {
+    // Uploaded during onboarding and verified by the owner before activation
     idProof: {
-      type: String, // File path
-      verified: { type: Boolean, default: false }
+      file: String, // File path
+      documentType: {
+        type: String,
+        enum: ['aadhaar', 'pan', 'passport', 'driving_licence', 'voter_id', 'other']
+      },
+      documentNumber: String,
+      uploadedAt: Date,
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      verifiedBy: String,
+      rejectionReason: String
     },
     agreement: {
       type: String, // File path
@@ -154,6 +176,12 @@ const tenantSchema = new mongoose.Schema({
     },
     photos: [String]
   },
+  // The signed lease in force; documents.agreement is kept for uploaded copies
+  currentLease: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaseAgreement',
+    default: null
+  },
   room: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Room',
@@ -167,6 +195,11 @@ const tenantSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Overpayments carried forward to the next bill
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
   moveInDate: Date,
   moveOutDate: Date,
   status: {
@@ -179,6 +212,52 @@ const tenantSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Invited tenants stay 'pending' until the owner verifies their documents
+  // and activates them; tenants added before onboarding existed have no status
+  onboarding: {
+    status: {
+      type: String,
+      enum: ['invited', 'in_progress', 'submitted', 'changes_requested', 'completed']
+    },
+    invitedAt: Date,
+    invitedBy: String,
+    // When each wizard step was last completed
+    steps: {
+      account: Date,
+      profile: Date,
+      emergencyContact: Date,
+      idProof: Date,
+      photo: Date
+    },
+    // Security deposit agreed at invitation, charged on the move-in bill
+    agreedDeposit: {
+      type: Number,
+      default: 0
+    },
+    submittedAt: Date,
+    reviewNote: String,
+    activatedAt: Date,
+    activatedBy: String,
+    firstBill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    }
+  },
+  // Police verification form the owner files with the local police station
+  policeVerification: {
+    status: {
+      type: String,
+      enum: ['not_submitted', 'submitted', 'verified', 'rejected'],
+      default: 'not_submitted'
+    },
+    formGeneratedAt: Date,
+    submittedAt: Date,
+    policeStation: String,
+    referenceNumber: String,
+    verifiedAt: Date,
+    notes: String,
+    updatedBy: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -237,6 +316,20 @@ const billSchema = new mongoose.Schema({
       meterEndReading: { type: Number, default: 0 },
       unitsConsumed: { type: Number, default: 0 },
       chargesPerUnit: { type: Number, default: 0 },
+      // Slab tariff breakdown (empty when billed at a flat chargesPerUnit)
+      tariffPlan: String,
+      slabs: [{
+        from: Number,
+        to: Number,
+        units: Number,
+        rate: Number,
+        amount: Number
+      }],
+      energyCharge: { type: Number, default: 0 },
+      fixedCharge: { type: Number, default: 0 },
+      minimumChargeAdjustment: { type: Number, default: 0 },
+      taxPercent: { type: Number, default: 0 },
+      tax: { type: Number, default: 0 },
       amount: { type: Number, default: 0 }
     },
     waterBill: {
@@ -249,7 +342,19 @@ const billSchema = new mongoose.Schema({
     },
     additionalCharges: [{
       description: String,
-      amount: Number
+      amount: Number,
+      // Set when the line came from an owner-defined charge template
+      chargeTemplate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChargeTemplate'
+      },
+      // Set on the negative line a credit note adds to the bill
+      creditNote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditNote'
+      },
+      // The security deposit on a move-in bill, moved to the deposit account once paid
+      securityDeposit: Boolean
     }]
   },
   totalAmount: {
@@ -275,17 +380,71 @@ const billSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // How paidAmount splits between the bill amount and the late fee
+  paidBreakdown: {
+    principal: { type: Number, default: 0 },
+    penalty: { type: Number, default: 0 }
+  },
   paidDate: Date,
+  // When the securityDeposit lines were posted to the tenant's deposit account
+  depositRecordedAt: Date,
   paymentMethod: String,
   transactionId: String,
   paymentScreenshot: {
+    // /api/files/:id path of the stored image
     filename: String,
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile'
+    },
     originalName: String,
     uploadDate: Date,
     verified: { type: Boolean, default: false },
     verifiedBy: String,
     verifiedDate: Date
   },
+  // Revised bills point back at the bill they replace, and the replaced bill
+  // (cancelled) points forward at its revision
+  revisionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    default: null
+  },
+  revisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    default: null
+  },
+  // Set while this is the tenant's live bill for its month and cleared when it
+  // is voided; the unique index below allows one live bill per tenant per month
+  activeForPeriod: {
+    type: Boolean,
+    default: true
+  },
+  // Audit trail of voids, credit notes and revisions, oldest first
+  amendments: [{
+    type: {
+      type: String,
+      enum: ['voided', 'credit_note', 'revised', 'revision_of'],
+      required: true
+    },
+    reason: String,
+    amount: Number,
+    creditNote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditNote'
+    },
+    relatedBill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    },
+    relatedBillNumber: String,
+    performedBy: String,
+    performedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   generatedAt: {
     type: Date,
     default: Date.now
@@ -296,18 +455,22 @@ const billSchema = new mongoose.Schema({
   }
 });
 
-// Generate bill number
-billSchema.pre('save', async function(next) {
+billSchema.index(
+  { tenant: 1, month: 1, year: 1 },
+  { unique: true, partialFilterExpression: { activeForPeriod: true } }
+);
+
+// Generate bill number from the atomic 'bill' sequence before validation, so
+// the required billNumber is set when it is checked. Required lazily: the
+// numbering service itself loads these models.
+billSchema.pre('validate', async function(next) {
   if (this.isNew && !this.billNumber) {
     try {
-      // Get the count directly from the collection to avoid circular reference
-      const count = await this.constructor.countDocuments();
-      this.billNumber = `BILL${String(count + 1).padStart(6, '0')}`;
+      const numberingService = require('../backend/services/numberingService');
+      this.billNumber = await numberingService.nextNumber('bill', this.generatedAt);
     } catch (error) {
       console.error('Error generating bill number:', error);
-      // Fallback: use timestamp if count fails
-      const timestamp = Date.now().toString().slice(-6);
-      this.billNumber = `BILL${timestamp}`;
+      return next(error);
     }
   }
   next();
@@ -331,11 +494,16 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'online', 'upi', 'card', 'bank_transfer', 'razorpay'],
+    enum: ['cash', 'online', 'upi', 'card', 'bank_transfer', 'razorpay', 'credit', 'deposit'],
     required: true
   },
   transactionId: String,
-  razorpayPaymentId: String,
+  // Unique so the checkout callback and the webhook cannot both record one gateway payment
+  razorpayPaymentId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   razorpayOrderId: String,
   razorpaySignature: String,
   status: {
@@ -343,8 +511,37 @@ const paymentSchema = new mongoose.Schema({
     enum: ['pending', 'pending_verification', 'completed', 'failed', 'refunded', 'rejected', 'verified'],
     default: 'pending'
   },
+  // How a gateway payment was confirmed: the tenant's browser or Razorpay's webhook
+  confirmedVia: {
+    type: String,
+    enum: ['checkout', 'webhook', 'autopay']
+  },
+  failureReason: String,
+  // Owner review of a manual (screenshot) payment
+  verification: {
+    resubmissionRequested: { type: Boolean, default: false },
+    resubmissionReason: String,
+    rejectionReason: String,
+    decidedBy: String,
+    decidedAt: Date,
+    history: [{
+      action: {
+        type: String,
+        enum: ['approved', 'rejected', 'resubmission_requested', 'resubmitted']
+      },
+      reason: String,
+      by: String,
+      at: { type: Date, default: Date.now }
+    }]
+  },
   paymentScreenshot: {
+    // /api/files/:id path of the stored image
     filename: String,
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StoredFile'
+    },
+    thumbnail: String,
     originalName: String,
     uploadDate: Date,
     verified: { type: Boolean, default: false },
@@ -359,8 +556,70 @@ const paymentSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Split of the payment across the tenant's bills (oldest first)
+  allocations: [{
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    },
+    billNumber: String,
+    amount: { type: Number, default: 0 },
+    principalAmount: { type: Number, default: 0 },
+    penaltyAmount: { type: Number, default: 0 },
+    billStatus: String
+  }],
+  creditAmount: {
+    type: Number,
+    default: 0
+  },
+  allocatedAt: Date,
   notes: String,
-  receipt: String, // File path for receipt
+  // Move-out settlement a deposit payment was made for
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MoveOutSettlement'
+  },
+  // Official receipt issued once the payment completed
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt'
+  },
+  // Money returned to the tenant: Razorpay refunds, or cash / bank transfers recorded by the owner
+  refunds: [{
+    amount: { type: Number, default: 0 },
+    method: {
+      type: String,
+      enum: ['razorpay', 'cash', 'bank_transfer', 'upi']
+    },
+    razorpayRefundId: String,
+    reference: String,
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'processed'
+    },
+    // How the refund was taken back: first from unspent tenant credit, then off bills
+    creditReduced: { type: Number, default: 0 },
+    billReversals: [{
+      bill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bill'
+      },
+      billNumber: String,
+      amount: { type: Number, default: 0 }
+    }],
+    refundedBy: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -414,6 +673,1209 @@ const notificationSchema = new mongoose.Schema({
   }
 });
 
+// Issue (maintenance ticket) Schema
+const issueSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['general', 'plumbing', 'electrical', 'appliance', 'cleaning', 'security', 'structural', 'other'],
+    default: 'general'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'in_progress', 'resolved', 'closed'],
+    default: 'open'
+  },
+  assignedTo: {
+    name: String,
+    phone: String,
+    role: String, // e.g., "Plumber", "Caretaker"
+    assignedAt: Date
+  },
+  comments: [{
+    authorRole: {
+      type: String,
+      enum: ['tenant', 'owner'],
+      required: true
+    },
+    authorId: mongoose.Schema.Types.ObjectId,
+    authorName: String,
+    message: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  attachments: [{
+    filename: String, // File path or base64 data
+    originalName: String,
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  statusHistory: [{
+    status: String,
+    changedByRole: String,
+    changedBy: mongoose.Schema.Types.ObjectId,
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolvedAt: Date,
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Late fee (penalty) policy Schema - a single document keyed 'default'
+const penaltyPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  gracePeriodDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Once the grace period is over, charge for the grace days as well
+  chargeGraceDays: {
+    type: Boolean,
+    default: false
+  },
+  rateType: {
+    type: String,
+    enum: ['flat', 'percentage', 'tiered'],
+    default: 'flat'
+  },
+  flatRate: {
+    type: Number,
+    default: 50 // ₹ per day
+  },
+  percentageRate: {
+    type: Number,
+    default: 1 // % of bill amount per day
+  },
+  tiers: [{
+    fromDay: { type: Number, required: true, min: 1 },
+    toDay: { type: Number, default: null }, // null = no upper bound
+    rateType: { type: String, enum: ['flat', 'percentage'], default: 'flat' },
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  // Percentage rates apply to bill amount + penalty accrued so far
+  compounding: {
+    type: Boolean,
+    default: false
+  },
+  // Which part of a bill a partial payment settles first
+  allocationOrder: {
+    type: String,
+    enum: ['penalty_first', 'principal_first'],
+    default: 'penalty_first'
+  },
+  cap: {
+    type: {
+      type: String,
+      enum: ['none', 'fixed', 'percentage'],
+      default: 'none'
+    },
+    value: { type: Number, default: 0 }
+  },
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Ledger Entry Schema - manual postings (adjustments, deposits, refunds).
+// Bill charges, late fees and payments are read from their own collections.
+const ledgerEntrySchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  // 'rent' is what the tenant owes; 'deposit' is the security deposit held
+  account: {
+    type: String,
+    enum: ['rent', 'deposit'],
+    default: 'rent'
+  },
+  type: {
+    type: String,
+    enum: ['adjustment', 'deposit_receipt', 'deposit_refund', 'deposit_deduction', 'refund'],
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Move-out postings name their settlement and step, so each is made once
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MoveOutSettlement'
+  },
+  postingKey: String,
+  reference: String,
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ledgerEntrySchema.index({ tenant: 1, date: 1 });
+ledgerEntrySchema.index({ settlement: 1, postingKey: 1 }, { sparse: true });
+
+// Move-out Settlement Schema - inspection, deductions and deposit refund
+const moveOutSettlementSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  moveOutDate: {
+    type: Date,
+    required: true
+  },
+  inspection: {
+    date: Date,
+    inspectedBy: String,
+    condition: {
+      type: String,
+      enum: ['good', 'fair', 'poor'],
+      default: 'good'
+    },
+    notes: String
+  },
+  deductions: [{
+    category: {
+      type: String,
+      enum: ['damage', 'cleaning', 'unpaid_bill', 'penalty', 'other'],
+      required: true
+    },
+    description: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    }
+  }],
+  depositHeld: { type: Number, default: 0 },
+  creditBalance: { type: Number, default: 0 }, // tenant overpayment credit returned with the deposit
+  totalDeductions: { type: Number, default: 0 },
+  refundAmount: { type: Number, default: 0 },
+  amountDue: { type: Number, default: 0 }, // deductions the deposit could not cover
+  refund: {
+    method: String,
+    reference: String,
+    paidAt: Date
+  },
+  settledBy: String,
+  // In progress until every posting is made and the tenancy is closed
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'completed'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Meter Reading Schema - one reading per room, utility and billing month
+const meterReadingSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  utility: {
+    type: String,
+    enum: ['electricity', 'water', 'gas'],
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  startReading: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  endReading: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitsConsumed: {
+    type: Number,
+    default: 0
+  },
+  readingDate: {
+    type: Date,
+    default: Date.now
+  },
+  anomalies: [{
+    type: {
+      type: String,
+      enum: ['negative', 'high']
+    },
+    message: String
+  }],
+  notes: String,
+  recordedBy: String,
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+meterReadingSchema.index({ room: 1, utility: 1, year: 1, month: 1 }, { unique: true });
+
+// Tariff Plan Schema - slab tariffs for metered electricity
+const tariffPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  // Ordered slabs; upTo is the cumulative unit ceiling, null for the last slab
+  slabs: [{
+    upTo: { type: Number, default: null },
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  fixedCharge: { type: Number, default: 0, min: 0 },
+  minimumCharge: { type: Number, default: 0, min: 0 },
+  taxPercent: { type: Number, default: 0, min: 0, max: 100 },
+  isDefault: { type: Boolean, default: false },
+  active: { type: Boolean, default: true },
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Billing Policy Schema - single document holding bill generation settings
+const billingPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // How a part month is charged: share of the month's actual days, share of a 30-day month, or not at all
+  prorationMethod: {
+    type: String,
+    enum: ['actual_days', 'thirty_day', 'none'],
+    default: 'actual_days'
+  },
+  prorateFixedUtilities: {
+    type: Boolean,
+    default: true
+  },
+  // Email the PDF receipt to the tenant when a payment completes
+  emailReceipts: {
+    type: Boolean,
+    default: true
+  },
+  // VPA printed on bills as a UPI QR code / payment link; blank hides it
+  upiId: {
+    type: String,
+    default: ''
+  },
+  upiPayeeName: {
+    type: String,
+    default: ''
+  },
+  // Auto-pay: charge this many days before the due date, retrying failures
+  autoPayDaysBeforeDue: {
+    type: Number,
+    default: 3
+  },
+  autoPayMaxAttempts: {
+    type: Number,
+    default: 3
+  },
+  autoPayRetryIntervalDays: {
+    type: Number,
+    default: 2
+  },
+  // Tenants are notified this many days before a scheduled rent change
+  rentIncreaseNoticeDays: {
+    type: Number,
+    default: 30
+  },
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Charge Template Schema - owner-defined charges the bill generator adds automatically
+const chargeTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Line description on the bill; the name is used when empty
+  description: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['all', 'room', 'tenant'],
+    default: 'all'
+  },
+  rooms: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  }],
+  tenants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant'
+  }],
+  frequency: {
+    type: String,
+    enum: ['once', 'monthly', 'every_n_months'],
+    default: 'monthly'
+  },
+  intervalMonths: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Billing months are compared, so any day in the month counts for that month
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Bills a one-off charge has already gone on, one per tenant
+  applications: [{
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant'
+    },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    },
+    month: Number,
+    year: Number,
+    appliedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Credit Note Schema - a reduction issued against a bill after it was raised
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  issuedBy: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+creditNoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.creditNoteNumber) {
+    try {
+      const numberingService = require('../backend/services/numberingService');
+      this.creditNoteNumber = await numberingService.nextNumber('credit_note', this.issuedAt);
+    } catch (error) {
+      console.error('Error generating credit note number:', error);
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Receipt Schema - the official acknowledgement of a completed payment. Amounts
+// and the bill split are copied at issue so the receipt never changes afterwards.
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    unique: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  amountInWords: String,
+  paymentMethod: String,
+  reference: String,
+  paidAt: Date,
+  allocations: [{
+    billNumber: String,
+    period: String,
+    amount: Number
+  }],
+  creditAmount: {
+    type: Number,
+    default: 0
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedTo: String,
+  emailedAt: Date
+});
+
+receiptSchema.pre('save', async function(next) {
+  if (this.isNew && !this.receiptNumber) {
+    try {
+      const numberingService = require('../backend/services/numberingService');
+      this.receiptNumber = await numberingService.nextNumber('receipt', this.issuedAt);
+    } catch (error) {
+      console.error('Error generating receipt number:', error);
+      return next(error);
+    }
+  }
+  next();
+});
+
+// Counter Schema - one atomic sequence per document type and numbering period
+// (e.g. key 'bill:2026-27'), advanced with $inc so concurrent saves never share a number
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Numbering Policy Schema - document number formats, stored like the billing policy
+const numberingPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Month (1-12) the financial year starts in; April for Indian financial years
+  financialYearStartMonth: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 12
+  },
+  sequences: [{
+    documentType: {
+      type: String,
+      enum: ['bill', 'receipt', 'credit_note'],
+      required: true
+    },
+    // Tokens: {FY} financial year (2026-27), {YYYY}, {MM}, {SEQ} padded sequence
+    format: {
+      type: String,
+      required: true
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: 1,
+      max: 10
+    },
+    reset: {
+      type: String,
+      enum: ['financial_year', 'calendar_year', 'never'],
+      default: 'financial_year'
+    }
+  }],
+  updatedBy: String,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Webhook Event Schema - one row per delivery from a payment gateway, so a
+// retried event is recognised and not applied twice
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Gateway id of the payment, order or refund the event is about
+  entityId: String,
+  // 'processing' while one delivery holds the event; a redelivery waits for it
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  claimedAt: Date,
+  error: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+});
+
+// Bank Statement Schema - one uploaded statement file; its credits are
+// BankTransaction documents matched against tenant payments and bills
+const bankStatementSchema = new mongoose.Schema({
+  fileName: String,
+  periodFrom: Date,
+  periodTo: Date,
+  transactionCount: { type: Number, default: 0 },
+  creditCount: { type: Number, default: 0 },
+  duplicateCount: { type: Number, default: 0 },
+  uploadedBy: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Bank Transaction Schema - a credit line from a bank statement
+const bankTransactionSchema = new mongoose.Schema({
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankStatement',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  description: String,
+  // UTR / cheque / reference number, from its own column or the narration
+  reference: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  balance: Number,
+  // Same line seen in an earlier statement (overlapping periods) is not imported twice
+  fingerprint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['unmatched', 'suggested', 'matched', 'ignored'],
+    default: 'unmatched'
+  },
+  suggestions: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    bill: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bill'
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant'
+    },
+    score: Number,
+    reasons: [String]
+  }],
+  matchedPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  matchedBy: String,
+  matchedAt: Date,
+  ignoredReason: String
+});
+
+// Uploaded files (payment screenshots, tenant documents, profile photos).
+// The bytes live in the configured storage (local disk or S3-compatible);
+// documents elsewhere keep only the /api/files/:id path.
+const storedFileSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  category: {
+    type: String,
+    enum: ['payment_screenshot', 'tenant_document', 'owner_document', 'profile_photo', 'lease_signature'],
+    required: true
+  },
+  originalName: String,
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // Whose file it is; tenants can only open their own
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner'
+  },
+  uploadedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Auto-Pay Mandate Schema - a tenant's standing instruction (Razorpay
+// recurring token over UPI Autopay, e-mandate or card) to charge new bills
+const autoPayMandateSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_authorization', 'active', 'paused', 'cancelled', 'rejected'],
+    default: 'pending_authorization'
+  },
+  method: {
+    type: String,
+    enum: ['upi', 'emandate', 'card'],
+    required: true
+  },
+  // Largest single charge the tenant authorised
+  maxAmount: {
+    type: Number,
+    required: true
+  },
+  razorpayCustomerId: String,
+  razorpayTokenId: String,
+  authorizationOrderId: String,
+  authorizedAt: Date,
+  expiresAt: Date,
+  statusReason: String,
+  cancelledBy: String,
+  cancelledAt: Date,
+  // Bills in a row whose charge failed on every attempt
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastChargedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Auto-Pay Charge Schema - the automatic collection of one bill, with each attempt
+const autoPayChargeSchema = new mongoose.Schema({
+  mandate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutoPayMandate',
+    required: true
+  },
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  bill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    // processing: waiting on Razorpay; retry_scheduled: failed, next attempt at nextAttemptAt
+    enum: ['processing', 'retry_scheduled', 'succeeded', 'failed', 'skipped'],
+    default: 'processing'
+  },
+  amount: Number,
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    amount: Number,
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    status: {
+      type: String,
+      enum: ['processing', 'succeeded', 'failed']
+    },
+    reason: String
+  }],
+  failureReason: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+autoPayChargeSchema.index({ status: 1, nextAttemptAt: 1 });
+autoPayChargeSchema.index({ 'attempts.razorpayOrderId': 1 });
+
+// Lease Template Schema - owner-editable agreement text with {{mergeFields}}
+const leaseTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  clauses: [String],
+  defaultTermMonths: {
+    type: Number,
+    default: 11
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Lease Agreement Schema - a template rendered for one tenant and term. The
+// text is kept as rendered so later template edits do not change a signed lease.
+const leaseAgreementSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaseTemplate'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  clauses: [String],
+  monthlyRent: {
+    type: Number,
+    required: true
+  },
+  securityDeposit: {
+    type: Number,
+    default: 0
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  termMonths: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    // renewed: replaced by the signed lease in renewedBy
+    enum: ['pending_signature', 'signed', 'expired', 'renewed', 'cancelled'],
+    default: 'pending_signature'
+  },
+  signature: {
+    typedName: String,
+    image: String, // /api/files/:id of the drawn signature
+    signedAt: Date,
+    ipAddress: String,
+    userAgent: String
+  },
+  renewalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaseAgreement'
+  },
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaseAgreement'
+  },
+  // Expiry reminders already sent to the owner, by days before the end date
+  remindersSent: [{
+    daysBefore: Number,
+    sentAt: Date
+  }],
+  createdBy: String,
+  cancelledBy: String,
+  cancelledAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+leaseAgreementSchema.index({ tenant: 1, status: 1 });
+leaseAgreementSchema.index({ status: 1, endDate: 1 });
+
+// Rent Term Schema - the rent agreed for one tenancy and how it changes over
+// time, so bills follow the tenant's terms rather than the room's listed rent
+const rentTermSchema = new mongoose.Schema({
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: true,
+    unique: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  baseRent: {
+    type: Number,
+    required: true
+  },
+  // When baseRent took effect, normally the move-in or lease start date
+  startDate: {
+    type: Date,
+    required: true
+  },
+  escalations: [{
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true
+    },
+    // Percent of the rent in effect, or rupees added (negative for a reduction)
+    value: {
+      type: Number,
+      required: true
+    },
+    effectiveDate: {
+      type: Date,
+      required: true
+    },
+    // 12 repeats the change on every anniversary of effectiveDate; 0 applies it once
+    repeatEveryMonths: {
+      type: Number,
+      default: 0
+    },
+    note: String
+  }],
+  // Rent changes tenants have been told about, by effective date
+  noticesSent: [{
+    effectiveDate: Date,
+    newRent: Number,
+    sentAt: Date
+  }],
+  updatedBy: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Enquiry Schema - someone interested in renting, from the public enquiry
+// form or entered by the owner, tracked until they move in or drop out.
+// Enquiries with no matching vacant room form the waitlist.
+const enquirySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  preferredRoomType: {
+    type: String,
+    enum: roomSchema.path('type').enumValues,
+    required: true
+  },
+  // Highest monthly rent they can pay
+  budget: {
+    type: Number,
+    min: 0
+  },
+  moveInDate: Date,
+  message: String,
+  source: {
+    type: String,
+    enum: ['website', 'owner'],
+    default: 'website'
+  },
+  status: {
+    type: String,
+    enum: ['new', 'visited', 'reserved', 'converted', 'closed'],
+    default: 'new'
+  },
+  visitedAt: Date,
+  // Held for this enquiry until it converts or is released
+  reservedRoom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  reservedAt: Date,
+  convertedTenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  convertedAt: Date,
+  closedReason: String,
+  notes: String,
+  history: [{
+    status: String,
+    note: String,
+    by: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+enquirySchema.index({ status: 1, createdAt: -1 });
+enquirySchema.index({ reservedRoom: 1, status: 1 });
+
 // Create Models
 const Owner = mongoose.model('Owner', ownerSchema);
 const Room = mongoose.model('Room', roomSchema);
@@ -421,6 +1883,28 @@ const Tenant = mongoose.model('Tenant', tenantSchema);
 const Bill = mongoose.model('Bill', billSchema);
 const Payment = mongoose.model('Payment', paymentSchema);
 const Notification = mongoose.model('Notification', notificationSchema);
+const Issue = mongoose.model('Issue', issueSchema);
+const PenaltyPolicy = mongoose.model('PenaltyPolicy', penaltyPolicySchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const MoveOutSettlement = mongoose.model('MoveOutSettlement', moveOutSettlementSchema);
+const MeterReading = mongoose.model('MeterReading', meterReadingSchema);
+const TariffPlan = mongoose.model('TariffPlan', tariffPlanSchema);
+const BillingPolicy = mongoose.model('BillingPolicy', billingPolicySchema);
+const ChargeTemplate = mongoose.model('ChargeTemplate', chargeTemplateSchema);
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+const Receipt = mongoose.model('Receipt', receiptSchema);
+const Counter = mongoose.model('Counter', counterSchema);
+const NumberingPolicy = mongoose.model('NumberingPolicy', numberingPolicySchema);
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+const BankTransaction = mongoose.model('BankTransaction', bankTransactionSchema);
+const StoredFile = mongoose.model('StoredFile', storedFileSchema);
+const AutoPayMandate = mongoose.model('AutoPayMandate', autoPayMandateSchema);
+const AutoPayCharge = mongoose.model('AutoPayCharge', autoPayChargeSchema);
+const LeaseTemplate = mongoose.model('LeaseTemplate', leaseTemplateSchema);
+const LeaseAgreement = mongoose.model('LeaseAgreement', leaseAgreementSchema);
+const RentTerm = mongoose.model('RentTerm', rentTermSchema);
+const Enquiry = mongoose.model('Enquiry', enquirySchema);
 
 module.exports = {
   Owner,
@@ -428,5 +1912,27 @@ module.exports = {
   Tenant,
   Bill,
   Payment,
-  Notification
+  Notification,
+  Issue,
+  PenaltyPolicy,
+  LedgerEntry,
+  MoveOutSettlement,
+  MeterReading,
+  TariffPlan,
+  BillingPolicy,
+  ChargeTemplate,
+  CreditNote,
+  Receipt,
+  Counter,
+  NumberingPolicy,
+  WebhookEvent,
+  BankStatement,
+  BankTransaction,
+  StoredFile,
+  AutoPayMandate,
+  AutoPayCharge,
+  LeaseTemplate,
+  LeaseAgreement,
+  RentTerm,
+  Enquiry
 };
\ No newline at end of file
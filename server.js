@@ -19,10 +19,39 @@ const emailService = require('./backend/services/emailService');
 const XLSX = require('xlsx');     
 
 // Import route modules
-const tenantRoutes = require('./backend/routes/tenant');
+const { router: tenantRoutes, setIssueServiceBroadcast: setTenantIssueBroadcast } = require('./backend/routes/tenant');
+const { router: issueRoutes, setIssueServiceBroadcast } = require('./backend/routes/issues');
 const paymentRoutes = require('./backend/routes/payments');
+const ledgerRoutes = require('./backend/routes/ledger');
+const meterReadingRoutes = require('./backend/routes/meterReadings');
+const tariffRoutes = require('./backend/routes/tariffs');
+const chargeTemplateRoutes = require('./backend/routes/chargeTemplates');
+const { router: billingRoutes, setBillingServiceBroadcast } = require('./backend/routes/billing');
+const { router: billAmendmentRoutes, setBillAmendmentServiceBroadcast } = require('./backend/routes/billAmendments');
+const { router: moveOutRoutes, setMoveOutServiceBroadcast } = require('./backend/routes/moveOuts');
 const { router: penaltyRoutes, setPenaltyServiceBroadcast } = require('./backend/routes/penalties');
+const { router: webhookRoutes, setWebhookServiceBroadcast } = require('./backend/routes/webhooks');
+const { router: refundRoutes, setRefundServiceBroadcast } = require('./backend/routes/refunds');
+const { router: reconciliationRoutes, setReconciliationBroadcast } = require('./backend/routes/reconciliation');
+const { router: paymentVerificationRoutes, setPaymentVerificationServiceBroadcast } = require('./backend/routes/paymentVerifications');
+const { router: autoPayRoutes, setAutoPayServiceBroadcast } = require('./backend/routes/autoPay');
+const { router: leaseRoutes, setLeaseServiceBroadcast } = require('./backend/routes/leases');
+const { router: rentTermRoutes, setRentTermServiceBroadcast } = require('./backend/routes/rentTerms');
+const { router: onboardingRoutes, setOnboardingServiceBroadcast } = require('./backend/routes/onboarding');
+const policeVerificationRoutes = require('./backend/routes/policeVerifications');
+const { router: enquiryRoutes, setEnquiryServiceBroadcast } = require('./backend/routes/enquiries');
+const fileRoutes = require('./backend/routes/files');
 const PenaltyService = require('./backend/services/penaltyService');
+const penaltyPolicy = require('./backend/services/penaltyPolicy');
+const meterReadingService = require('./backend/services/meterReadingService');
+const BillingService = require('./backend/services/billingService');
+const BillAmendmentService = require('./backend/services/billAmendmentService');
+const PaymentVerificationService = require('./backend/services/paymentVerificationService');
+const AutoPayService = require('./backend/services/autoPayService');
+const LeaseService = require('./backend/services/leaseService');
+const RentTermService = require('./backend/services/rentTermService');
+const TenantAssignmentService = require('./backend/services/tenantAssignmentService');
+const fileStorage = require('./backend/services/fileStorage');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -71,6 +100,9 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Gateway webhooks are signed over the raw body, so they are mounted before JSON parsing
+app.use('/api/webhooks', webhookRoutes);
+
 // Increase body size limits to allow base64 profile photos and documents
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -79,6 +111,24 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/tenant', tenantRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/penalties', penaltyRoutes);
+app.use('/api/admin/issues', issueRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/move-outs', moveOutRoutes);
+app.use('/api/admin/meter-readings', meterReadingRoutes);
+app.use('/api/admin/tariffs', tariffRoutes);
+app.use('/api/admin/charge-templates', chargeTemplateRoutes);
+app.use('/api/admin/billing', billingRoutes);
+app.use('/api/admin/bills', billAmendmentRoutes);
+app.use('/api/admin/payments', refundRoutes);
+app.use('/api/admin/reconciliation', reconciliationRoutes);
+app.use('/api/admin/payment-verifications', paymentVerificationRoutes);
+app.use('/api/autopay', autoPayRoutes);
+app.use('/api/leases', leaseRoutes);
+app.use('/api/admin/rent-terms', rentTermRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/admin/police-verifications', policeVerificationRoutes);
+app.use('/api/enquiries', enquiryRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -102,6 +152,55 @@ const connectedClients = new Set();
 const penaltyService = new PenaltyService(broadcastToClients);
 setPenaltyServiceBroadcast(broadcastToClients);
 
+// Issue status changes are pushed live to tenant and owner dashboards
+setTenantIssueBroadcast(broadcastToClients);
+setIssueServiceBroadcast(broadcastToClients);
+
+// Move-out settlements free rooms, so room lists refresh live
+setMoveOutServiceBroadcast(broadcastToClients);
+
+// Bill generation (bulk, single tenant and the monthly cron) shares one engine
+const billingService = new BillingService(broadcastToClients);
+setBillingServiceBroadcast(broadcastToClients);
+
+// Voids, credit notes and revisions notify the tenant as they happen
+const billAmendmentService = new BillAmendmentService(broadcastToClients);
+setBillAmendmentServiceBroadcast(broadcastToClients);
+
+// Payments confirmed by Razorpay's webhook reach the tenant and owner dashboards
+setWebhookServiceBroadcast(broadcastToClients);
+
+// Refunds notify the tenant and reopen the bills they take money back from
+setRefundServiceBroadcast(broadcastToClients);
+
+// Bank statement matches settle payments the owner dashboard is showing
+setReconciliationBroadcast(broadcastToClients);
+
+// Approvals, rejections and screenshot requests reach the tenant as they happen
+const paymentVerificationService = new PaymentVerificationService(broadcastToClients);
+setPaymentVerificationServiceBroadcast(broadcastToClients);
+
+// Auto-pay charges, retries and mandate changes notify tenants and the owner view
+const autoPayService = new AutoPayService(broadcastToClients);
+setAutoPayServiceBroadcast(broadcastToClients);
+
+// Issued and signed leases refresh both dashboards; expiry reminders reach the owner
+const leaseService = new LeaseService(broadcastToClients);
+setLeaseServiceBroadcast(broadcastToClients);
+
+// Rent change notices reach the tenant as soon as they are sent
+const rentTermService = new RentTermService(broadcastToClients);
+setRentTermServiceBroadcast(broadcastToClients);
+
+// Onboarding submissions reach the owner and activations unlock the tenant dashboard
+setOnboardingServiceBroadcast(broadcastToClients);
+
+// Directly assigned tenants get their login details as a notification straight away
+const tenantAssignmentService = new TenantAssignmentService(broadcastToClients);
+
+// New enquiries reach the owner's pipeline as they arrive
+setEnquiryServiceBroadcast(broadcastToClients);
+
 // WebSocket connection handling
 wss.on('connection', (ws, request) => {
   console.log('🔗 New WebSocket client connected');
@@ -411,7 +510,7 @@ app.get('/api/admin/tenants', authenticateToken, async (req, res) => {
       .populate('room', 'roomNumber type rent')
       .sort({ createdAt: -1 });
     
-    res.json({ success: true, tenants });
+    res.json({ success: true, tenants: tenants.map(fileStorage.withProfileUrls) });
   } catch (error) {
     console.error('❌ Error fetching tenants:', error);
     res.status(500).json({ error: 'Failed to fetch tenants' });
@@ -441,12 +540,12 @@ app.get('/api/admin/tenants/:tenantId/profile', authenticateToken, async (req, r
         username: tenant.username,
         email: tenant.email,
         phone: tenant.phone,
-        profilePhoto: tenant.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(tenant.profilePhoto),
         status: tenant.status,
         securityDepositPaid: tenant.securityDepositPaid,
         moveInDate: tenant.moveInDate,
         room: tenant.room,
-        profileData: tenant.profileData
+        profileData: fileStorage.profileDataUrls(tenant.profileData)
       }
     });
   } catch (error) {
@@ -501,14 +600,14 @@ app.put('/api/admin/tenants/:tenantId', authenticateToken, async (req, res) => {
         phone: updated.phone,
         securityDepositPaid: updated.securityDepositPaid,
         moveInDate: updated.moveInDate,
-        profilePhoto: updated.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(updated.profilePhoto),
         room: updated.room,
         roomNumber: updated.room?.roomNumber,
-        profileData: updated.profileData || {}
+        profileData: fileStorage.profileDataUrls(updated.profileData) || {}
       }
     });
 
-    res.json({ success: true, tenant: updated });
+    res.json({ success: true, tenant: fileStorage.withProfileUrls(updated) });
   } catch (error) {
     console.error('❌ Error updating tenant:', error);
     res.status(500).json({ error: 'Failed to update tenant' });
@@ -615,10 +714,10 @@ app.put('/api/admin/rooms/:roomId', authenticateToken, async (req, res) => {
             fullName: tenant.name,
             email: tenant.email,
             phone: tenant.phone,
-            profilePhoto: tenant.profilePhoto,
+            profilePhoto: fileStorage.fileUrl(tenant.profilePhoto),
             room: tenant.room,
             roomNumber: tenant.room?.roomNumber,
-            profileData: tenant.profileData || {}
+            profileData: fileStorage.profileDataUrls(tenant.profileData) || {}
           }
         });
         console.log(`📡 [Server] Room update broadcast to ${activeClients} clients for tenant ${tenant.username}`);
@@ -699,82 +798,7 @@ app.post('/api/admin/rooms', authenticateToken, async (req, res) => {
 // Add tenant to room
 app.post('/api/admin/rooms/:roomId/assign-tenant', authenticateToken, async (req, res) => {
   try {
-    const { roomId } = req.params;
-    const { 
-      name, 
-      email, 
-      phone, 
-      emergencyContact, 
-      moveInDate, 
-      securityDepositPaid 
-    } = req.body;
-
-    // Generate username and password
-    const username = `tenant_${Date.now()}`;
-    const password = Math.random().toString(36).slice(-8);
-
-    // Create tenant
-    const tenant = new Tenant({
-      username,
-      password,
-      name,
-      email,
-      phone,
-      emergencyContact,
-      room: roomId,
-      moveInDate: moveInDate ? new Date(moveInDate) : new Date(),
-      securityDepositPaid: securityDepositPaid || 0,
-      status: 'active'
-    });
-
-    await tenant.save();
-
-    // Update room
-    const updatedRoom = await Room.findByIdAndUpdate(roomId, {
-      currentTenant: tenant._id,
-      status: 'occupied'
-    }, { new: true });
-
-    // Send credentials notification
-    const notification = new Notification({
-      title: 'Welcome to Bhuyan Complex',
-      message: `Welcome ${name}! Your login credentials: Username: ${username}, Password: ${password}. Please change your password after first login.`,
-      type: 'personal',
-      category: 'info',
-      priority: 'high',
-      recipients: [{
-        tenant: tenant._id
-      }]
-    });
-
-    await notification.save();
-
-    // Broadcast notification
-    broadcastToClients({
-      type: 'NEW_NOTIFICATION',
-      notification
-    });
-
-    // Broadcast tenant profile update so client dashboards sync instantly
-    const populatedTenant = await Tenant.findById(tenant._id).populate('room');
-    const activeClients = broadcastToClients({
-      type: 'TENANT_PROFILE_UPDATED',
-      tenantId: populatedTenant._id,
-      profileData: {
-        userId: populatedTenant._id,
-        id: populatedTenant._id,
-        name: populatedTenant.name,
-        fullName: populatedTenant.name,
-        email: populatedTenant.email,
-        phone: populatedTenant.phone,
-        profilePhoto: populatedTenant.profilePhoto,
-        room: populatedTenant.room,
-        roomNumber: populatedTenant.room?.roomNumber,
-        profileData: populatedTenant.profileData || {}
-      }
-    });
-
-    console.log(`📡 [Server] Tenant assignment broadcast to ${activeClients} WebSocket clients`);
+    const { tenant, room, username, password } = await tenantAssignmentService.assignTenant(req.params.roomId, req.body);
 
     res.json({ 
       success: true, 
@@ -783,7 +807,7 @@ app.post('/api/admin/rooms/:roomId/assign-tenant', authenticateToken, async (req
         generatedUsername: username,
         generatedPassword: password
       },
-      room: updatedRoom
+      room
     });
   } catch (error) {
     console.error('❌ Error assigning tenant:', error);
@@ -895,7 +919,7 @@ app.get('/api/admin/payments/recent', authenticateToken, async (req, res) => {
 
     // Get recent payments for the selected month
     const recentPayments = await Payment.find({
-      status: 'completed'
+      status: { $in: ['completed', 'refunded'] }
     })
     .populate({
       path: 'bill',
@@ -925,6 +949,8 @@ app.get('/api/admin/payments/recent', authenticateToken, async (req, res) => {
         amount: payment.amount,
         paymentMethod: payment.paymentMethod,
         paidAt: payment.paidAt,
+        status: payment.status,
+        refundedAmount: payment.refundedAmount || 0,
         billNumber: payment.bill.billNumber,
         month: payment.bill.month,
         year: payment.bill.year
@@ -951,7 +977,8 @@ app.get('/api/admin/payments/export', authenticateToken, async (req, res) => {
     // Get all bills for the selected month
     const bills = await Bill.find({
       month: currentMonth,
-      year: currentYear
+      year: currentYear,
+      status: { $ne: 'cancelled' }
     })
     .populate('tenant', 'name phone email username')
     .populate('room', 'roomNumber type')
@@ -1553,105 +1580,26 @@ app.get('/api/admin/tenants/:tenantId/payment-report', authenticateToken, async
 app.post('/api/admin/bills/generate', authenticateToken, async (req, res) => {
   try {
     const { month, year } = req.body;
-    const dueDate = new Date(year, month, 10); // 10th of next month
-
-    // Get all active tenants with rooms
-    const tenants = await Tenant.find({ 
-      status: 'active', 
-      room: { $ne: null } 
-    }).populate('room');
-
-    const bills = [];
-
-    for (const tenant of tenants) {
-      // Check if bill already exists
-      const existingBill = await Bill.findOne({
-        tenant: tenant._id,
-        month: parseInt(month),
-        year: parseInt(year)
-      });
-
-      if (!existingBill) {
-        const room = tenant.room;
-        
-        // Calculate total amount
-        let totalAmount = room.rent;
-        
-        // Add utilities that are not included
-        Object.keys(room.utilities).forEach(utility => {
-          if (!room.utilities[utility].included) {
-            totalAmount += room.utilities[utility].rate;
-          }
-        });
-
-        const bill = new Bill({
-          tenant: tenant._id,
-          room: room._id,
-          month: parseInt(month),
-          year: parseInt(year),
-          dueDate,
-          items: {
-            rent: {
-              amount: room.rent,
-              description: `Monthly rent for room ${room.roomNumber}`
-            },
-            utilities: {
-              electricity: { 
-                amount: !room.utilities.electricity.included ? room.utilities.electricity.rate : 0 
-              },
-              water: { 
-                amount: !room.utilities.water.included ? room.utilities.water.rate : 0 
-              },
-              gas: { 
-                amount: !room.utilities.gas.included ? room.utilities.gas.rate : 0 
-              },
-              internet: { 
-                amount: !room.utilities.internet.included ? room.utilities.internet.rate : 0 
-              },
-              parking: { 
-                amount: !room.utilities.parking.included ? room.utilities.parking.rate : 0 
-              },
-              maintenance: { 
-                amount: !room.utilities.maintenance.included ? room.utilities.maintenance.rate : 0 
-              }
-            }
-          },
-          totalAmount
-        });
-
-        await bill.save();
-        bills.push(bill);
-
-        // Send bill notification
-        const notification = new Notification({
-          title: 'New Bill Generated',
-          message: `Your bill for ${new Date(year, month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })} has been generated. Amount: ₹${totalAmount}. Due date: ${dueDate.toLocaleDateString()}.`,
-          type: 'personal',
-          category: 'info',
-          priority: 'medium',
-          recipients: [{
-            tenant: tenant._id
-          }]
-        });
-
-        await notification.save();
-      }
-    }
-
-    // Broadcast notification about new bills
-    if (bills.length > 0) {
-      broadcastToClients({
-        type: 'BILLS_GENERATED',
-        count: bills.length
-      });
-    }
+    const run = await billingService.generateMonth(month, year);
+    const skipped = run.results.filter(result => result.status === 'skipped' || result.status === 'failed');
 
     res.json({
       success: true,
-      message: `Generated ${bills.length} bills`,
-      bills: bills.length
+      message: `Generated ${run.summary.created} bills${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`,
+      bills: run.summary.created,
+      skipped: skipped.map(result => ({
+        tenant: result.tenant.name,
+        roomNumber: result.room?.roomNumber,
+        reason: result.reason,
+        missingReadings: result.missingReadings
+      })),
+      summary: run.summary,
+      results: run.results
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('❌ Error generating bills:', error);
     res.status(500).json({ error: 'Failed to generate bills' });
   }
@@ -1661,7 +1609,11 @@ app.post('/api/admin/bills/generate', authenticateToken, async (req, res) => {
 app.get('/api/admin/tenants-for-billing', authenticateToken, async (req, res) => {
   try {
     const tenants = await Tenant.find({ status: 'active', room: { $ne: null } })
-      .populate('room', 'roomNumber type rent securityDeposit utilities')
+      .populate({
+        path: 'room',
+        select: 'roomNumber type rent securityDeposit utilities tariffPlan',
+        populate: { path: 'tariffPlan', select: 'name' }
+      })
       .select('name phone email room username')
       .sort({ name: 1 });
     
@@ -1680,23 +1632,25 @@ app.post('/api/admin/bills/generate-individual', authenticateToken, async (req,
       month,
       year,
       rent,
-      electricity: {
-        meterStartReading = 0,
-        meterEndReading = 0,
-        chargesPerUnit = 0
-      } = {},
+      electricity = {},
       waterBill = 0,
       commonAreaCharges = 0
     } = req.body;
 
+    const tenant = await Tenant.findById(tenantId).populate('room');
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+    if (!tenant.room) {
+      return res.status(400).json({ success: false, error: 'Tenant has no room assigned' });
+    }
 
-    // Check if bill already exists
     const existingBill = await Bill.findOne({
       tenant: tenantId,
       month: parseInt(month),
-      year: parseInt(year)
+      year: parseInt(year),
+      status: { $ne: 'cancelled' }
     });
-
     if (existingBill) {
       return res.status(400).json({ 
         success: false, 
@@ -1704,80 +1658,29 @@ app.post('/api/admin/bills/generate-individual', authenticateToken, async (req,
       });
     }
 
-    // Get tenant and room details
-    const tenant = await Tenant.findById(tenantId).populate('room');
-    if (!tenant) {
-      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    // Readings typed into the form go into the room's meter history; without
+    // them the reading already recorded for the month is used
+    const formReadings = Number(electricity.meterEndReading) > 0;
+    if (formReadings) {
+      await meterReadingService.recordReading(tenant.room._id, 'electricity', {
+        month,
+        year,
+        startReading: electricity.meterStartReading,
+        endReading: electricity.meterEndReading
+      }, req.user.username || req.user.id);
     }
 
-    // Calculate electricity bill
-    const unitsConsumed = Math.max(0, meterEndReading - meterStartReading);
-    const electricityAmount = unitsConsumed * chargesPerUnit;
-
-    // Calculate total amount
-    const totalAmount = rent + electricityAmount + waterBill + commonAreaCharges;
-
-    // Set due date to 10th of the month
-    const dueDate = new Date(year, month - 1, 10);
-    if (dueDate < new Date()) {
-      // If due date is in the past, set it to 10th of next month
-      dueDate.setMonth(dueDate.getMonth() + 1);
+    const overrides = { rent, waterBill, commonAreaCharges };
+    // Electricity is only overridden when the form gives a rate or readings;
+    // otherwise the room's own billing applies, flat rate included. The room's
+    // slab tariff still wins over the form's flat rate per unit.
+    const formRate = electricity.chargesPerUnit !== undefined && electricity.chargesPerUnit !== null && electricity.chargesPerUnit !== '';
+    if (formRate || formReadings) {
+      overrides.electricity = { chargesPerUnit: formRate ? electricity.chargesPerUnit : undefined };
     }
 
-    // Generate bill number manually as backup
-    const billCount = await Bill.countDocuments();
-    const billNumber = `BILL${String(billCount + 1).padStart(6, '0')}`;
-
-    const bill = new Bill({
-      tenant: tenantId,
-      room: tenant.room._id,
-      billNumber,
-      month: parseInt(month),
-      year: parseInt(year),
-      dueDate,
-      items: {
-        rent: {
-          amount: rent,
-          description: `Monthly rent for room ${tenant.room.roomNumber}`
-        },
-        electricity: {
-          meterStartReading,
-          meterEndReading,
-          unitsConsumed,
-          chargesPerUnit,
-          amount: electricityAmount
-        },
-        waterBill: {
-          amount: waterBill,
-          description: 'Water Bill'
-        },
-        commonAreaCharges: {
-          amount: commonAreaCharges,
-          description: 'Common Area Maintenance'
-        }
-      },
-      totalAmount,
-      remainingAmount: totalAmount
-    });
-
-    await bill.save();
-
-    // Send bill notification
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                      'July', 'August', 'September', 'October', 'November', 'December'];
-    
-    const notification = new Notification({
-      title: 'New Bill Generated',
-      message: `Your bill for ${monthNames[month - 1]} ${year} has been generated. Amount: ₹${totalAmount}. Due date: ${dueDate.toLocaleDateString()}.`,
-      type: 'personal',
-      category: 'info',
-      priority: 'medium',
-      recipients: [{
-        tenant: tenantId
-      }]
-    });
-
-    await notification.save();
+    const { draft, bill, notification } = await billingService.generateForTenant(tenantId, month, year, { overrides });
+    const electricityReading = draft.meterReadings.find(reading => reading.utility === 'electricity');
 
     // Broadcast notification
     broadcastToClients({
@@ -1798,9 +1701,13 @@ app.post('/api/admin/bills/generate-individual', authenticateToken, async (req,
       message: 'Bill generated successfully',
       bill: await Bill.findById(bill._id)
         .populate('tenant', 'name username phone')
-        .populate('room', 'roomNumber')
+        .populate('room', 'roomNumber'),
+      meterAnomalies: electricityReading?.anomalies || []
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('❌ Error generating individual bill:', error);
     console.error('❌ Error stack:', error.stack);
     console.error('❌ Error details:', {
@@ -1837,7 +1744,15 @@ app.get('/api/admin/bills', authenticateToken, async (req, res) => {
       
       return {
         ...bill.toObject(),
-        payments
+        payments: payments.map(payment => {
+          const plain = payment.toObject();
+          // Stored screenshots are served through signed URLs
+          if (plain.paymentScreenshot) {
+            plain.paymentScreenshot.filename = fileStorage.fileUrl(plain.paymentScreenshot.filename);
+            plain.paymentScreenshot.thumbnail = fileStorage.fileUrl(plain.paymentScreenshot.thumbnail);
+          }
+          return plain;
+        })
       };
     }));
 
@@ -1848,137 +1763,46 @@ app.get('/api/admin/bills', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete bill (Admin)
+// Delete bill (Admin) - bills are voided rather than removed so the number
+// and the audit trail survive; see POST /api/admin/bills/:billId/void
 app.delete('/api/admin/bills/:billId', authenticateToken, async (req, res) => {
   try {
     const { billId } = req.params;
-    
-    // First, check if the bill exists
-    const bill = await Bill.findById(billId).populate('tenant', 'name username').populate('room', 'roomNumber');
-    if (!bill) {
-      return res.status(404).json({ success: false, error: 'Bill not found' });
-    }
-
-    // Check if the bill has any payments associated with it
-    const payments = await Payment.find({ bill: billId });
-    if (payments.length > 0) {
-      // If there are payments, we need to delete them first or prevent deletion
-      // For safety, let's prevent deletion of bills with payments
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Cannot delete bill with associated payments. Please remove payments first.' 
-      });
-    }
-
-    // Store bill info for logging and broadcasting
-    const billInfo = {
-      billNumber: bill.billNumber,
-      tenantName: bill.tenant?.name,
-      tenantId: bill.tenant?._id,
-      month: bill.month,
-      year: bill.year,
-      amount: bill.totalAmount,
-      roomNumber: bill.room?.roomNumber
-    };
-
-    // Delete the bill
-    await Bill.findByIdAndDelete(billId);
+    const reason = req.body?.reason || 'Deleted by owner';
 
-    // Log the deletion
-    console.log(`🗑️ Bill deleted: ${billInfo.billNumber} for ${billInfo.tenantName} (${billInfo.roomNumber}) - ₹${billInfo.amount}`);
-
-    // Broadcast bill deletion to all clients
-    broadcastToClients({
-      type: 'BILL_DELETED',
-      billId,
-      billInfo
-    });
-
-    // Send notification to tenant about bill deletion
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                      'July', 'August', 'September', 'October', 'November', 'December'];
-                      
-    const notification = new Notification({
-      title: 'Bill Deleted',
-      message: `Your bill for ${monthNames[billInfo.month - 1]} ${billInfo.year} (₹${billInfo.amount}) has been deleted by the admin.`,
-      type: 'personal',
-      category: 'info',
-      priority: 'medium',
-      recipients: [{
-        tenant: billInfo.tenantId
-      }]
-    });
-
-    await notification.save();
-
-    // Broadcast notification
-    broadcastToClients({
-      type: 'NEW_NOTIFICATION',
-      notification: await Notification.findById(notification._id)
-        .populate('recipients.tenant', 'name username')
-    });
+    const { bill } = await billAmendmentService.voidBill(billId, { reason }, req.user.username || req.user.id);
 
     res.json({
       success: true,
-      message: 'Bill deleted successfully',
-      deletedBill: billInfo
+      message: 'Bill voided successfully',
+      bill
     });
   } catch (error) {
-    console.error('❌ Error deleting bill:', error);
-    res.status(500).json({ error: 'Failed to delete bill' });
+    console.error('❌ Error voiding bill:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to void bill' });
   }
 });
 
 // Verify payment screenshot (Admin)
+// Kept for older clients; the verification inbox (/api/admin/payment-verifications) does the same
 app.put('/api/admin/payments/:paymentId/verify', authenticateToken, async (req, res) => {
   try {
     const { paymentId } = req.params;
     const { verified, notes } = req.body;
-    const ownerId = req.user.id;
 
-    const payment = await Payment.findById(paymentId).populate('bill');
-    if (!payment) {
-      return res.status(404).json({ success: false, error: 'Payment not found' });
-    }
-
-    // Update payment verification
-    payment.paymentScreenshot.verified = verified;
-    payment.paymentScreenshot.verifiedBy = ownerId;
-    payment.paymentScreenshot.verifiedDate = new Date();
-    payment.paymentScreenshot.notes = notes || '';
-    payment.status = verified ? 'verified' : 'failed';
-
-    await payment.save();
-
-    // Update bill status if payment is verified
-    if (verified) {
-      const bill = await Bill.findById(payment.bill._id);
-      bill.status = 'paid';
-      bill.paidAmount = bill.totalAmount;
-      bill.remainingAmount = 0;
-      bill.paidDate = new Date();
-      await bill.save();
-
-      // Broadcast bill update and payment dashboard update
-      broadcastToClients({
-        type: 'BILL_PAYMENT_VERIFIED',
-        billId: bill._id,
-        paymentId: payment._id
-      });
-      
-      // Broadcast payment dashboard update
-      broadcastToClients({
-        type: 'PAYMENT_DASHBOARD_UPDATE',
-        month: bill.month,
-        year: bill.year,
-        paymentAmount: payment.amount,
-        tenantName: payment.tenant?.name || 'Unknown'
-      });
-    }
+    const result = verified
+      ? await paymentVerificationService.approve(paymentId, { notes }, req.user)
+      : await paymentVerificationService.reject(paymentId, { reason: notes || 'Rejected by owner' }, req.user);
 
-    res.json({ success: true, payment });
+    res.json({ success: true, payment: result.payment, allocation: result.allocation || null });
   } catch (error) {
     console.error('❌ Error verifying payment:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     res.status(500).json({ error: 'Failed to verify payment' });
   }
 });
@@ -1988,7 +1812,9 @@ app.put('/api/admin/payments/:paymentId/verify', authenticateToken, async (req,
 // Get tenant dashboard data
 app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
   try {
-    const tenant = await Tenant.findById(req.user.id).populate('room');
+    const tenant = await Tenant.findById(req.user.id)
+      .populate('room')
+      .populate('currentLease', 'status startDate endDate');
     
     // Get current and recent bills with late fee calculation
     let bills = await Bill.find({ tenant: req.user.id })
@@ -1998,15 +1824,17 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
 
     // ALWAYS recalculate penalties for overdue bills to ensure they're current
     const currentDate = new Date();
+    const latePolicy = await penaltyPolicy.getPolicy();
     console.log(`🔄 [Dashboard] Recalculating penalties for ${bills.length} bills at ${currentDate.toISOString()}`);
     for (let i = 0; i < bills.length; i++) {
       const bill = bills[i];
-      if (bill.status !== 'paid' && currentDate > bill.dueDate) {
+      if (!['paid', 'cancelled'].includes(bill.status) && currentDate > bill.dueDate) {
         const daysOverdue = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
         
         // Always recalculate for overdue bills to ensure accuracy
         if (daysOverdue > 0) {
-          const correctPenalty = daysOverdue * 50; // ₹50 per day
+          const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+          const correctPenalty = expected.amount;
           const currentPenalty = bill.penalty?.amount || 0;
           
           console.log(`🔄 [Dashboard] Recalculating penalty for bill ${bill.billNumber}`);
@@ -2043,7 +1871,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
                 $set: {
                   'penalty.amount': correctPenalty,
                   'penalty.days': daysOverdue,
-                  'penalty.rate': 50,
+                  'penalty.rate': expected.rate,
                   'penalty.appliedDate': currentDate,
                   totalAmount: baseAmount + correctPenalty,
                   remainingAmount: Math.max(0, (baseAmount + correctPenalty) - (updatedBill.paidAmount || 0)),
@@ -2080,10 +1908,11 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
     // Fix any bills with wrong penalties - AWAIT all updates
     const billsToFix = [];
     for (const bill of freshBills) {
-      if (bill.status !== 'paid' && currentDate > new Date(bill.dueDate)) {
+      if (!['paid', 'cancelled'].includes(bill.status) && currentDate > new Date(bill.dueDate)) {
         const daysOverdue = Math.floor((currentDate - new Date(bill.dueDate)) / (1000 * 60 * 60 * 24));
         if (daysOverdue > 0) {
-          const expectedPenalty = daysOverdue * 50;
+          const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+          const expectedPenalty = expected.amount;
           const currentPenalty = bill.penalty?.amount || 0;
           
           if (['BILL000006', 'BILL000005', 'BILL000004'].includes(bill.billNumber)) {
@@ -2118,7 +1947,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
                 $set: {
                   'penalty.amount': expectedPenalty,
                   'penalty.days': daysOverdue,
-                  'penalty.rate': 50,
+                  'penalty.rate': expected.rate,
                   'penalty.appliedDate': currentDate,
                   totalAmount: baseAmount + expectedPenalty,
                   remainingAmount: Math.max(0, (baseAmount + expectedPenalty) - (bill.paidAmount || 0)),
@@ -2162,6 +1991,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
       // This ensures correctness even if database value is somehow stale
       let penaltyAmount = 0;
       let daysLate = 0;
+      let penaltyRate = bill.penalty?.rate ?? 0;
       
       // Check if bill is overdue (not paid AND current date is past due date)
       const billDueDate = new Date(bill.dueDate);
@@ -2171,7 +2001,9 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
       if (isOverdue) {
         daysLate = Math.floor((currentDate - billDueDate) / (1000 * 60 * 60 * 24));
         if (daysLate > 0) {
-          penaltyAmount = daysLate * 50; // ₹50 per day - PRIMARY calculation
+          const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+          penaltyAmount = expected.amount;
+          penaltyRate = expected.rate;
         }
       }
       
@@ -2221,7 +2053,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
       billObj.penalty = {
         amount: penaltyAmount,
         days: daysLate,
-        rate: 50,
+        rate: penaltyRate,
         appliedDate: bill.penalty?.appliedDate || currentDate
       };
       
@@ -2237,7 +2069,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
       // Update status if overdue but status hasn't been updated yet
       if (billObj.status === 'pending' && new Date() > new Date(billObj.dueDate) && penaltyAmount === 0) {
         billObj.status = 'overdue';
-      } else if (penaltyAmount > 0 && billObj.status !== 'paid') {
+      } else if (penaltyAmount > 0 && !['paid', 'cancelled'].includes(billObj.status)) {
         billObj.status = 'overdue';
       }
       
@@ -2257,7 +2089,8 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
     const currentMonthBill = await Bill.findOne({
       tenant: req.user.id,
       month: currentMonth,
-      year: currentYear
+      year: currentYear,
+      status: { $ne: 'cancelled' }
     });
 
     // Final verification - billsWithLateFees already has all correct values calculated on-the-fly
@@ -2285,7 +2118,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
         penalty: {
           amount: lateFee, // Use lateFee (calculated on-the-fly) as the source of truth
           days: daysLate,
-          rate: 50,
+          rate: bill.penalty?.rate ?? 0,
           appliedDate: bill.penalty?.appliedDate || currentDate
         }
       };
@@ -2313,7 +2146,7 @@ app.get('/api/tenant/dashboard', authenticateToken, async (req, res) => {
     // CRITICAL: Verify the response structure before sending
     const responseData = {
       success: true,
-      tenant,
+      tenant: fileStorage.withProfileUrls(tenant),
       bills: finalBills,
       payments,
       currentMonthBill
@@ -2358,14 +2191,16 @@ app.get('/api/tenant/bills', authenticateToken, async (req, res) => {
 
     // ALWAYS recalculate penalties for overdue bills to ensure they're current
     const currentDate = new Date();
+    const latePolicy = await penaltyPolicy.getPolicy();
     for (let i = 0; i < bills.length; i++) {
       const bill = bills[i];
-      if (bill.status !== 'paid' && currentDate > bill.dueDate) {
+      if (!['paid', 'cancelled'].includes(bill.status) && currentDate > bill.dueDate) {
         const daysOverdue = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
         
         // Always recalculate for overdue bills to ensure accuracy
         if (daysOverdue > 0) {
-          const correctPenalty = daysOverdue * 50; // ₹50 per day
+          const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+          const correctPenalty = expected.amount;
           const currentPenalty = bill.penalty?.amount || 0;
           
           console.log(`🔄 [Bills] Recalculating penalty for bill ${bill.billNumber}`);
@@ -2390,11 +2225,14 @@ app.get('/api/tenant/bills', authenticateToken, async (req, res) => {
       // CRITICAL: Calculate penalty on-the-fly based on due date as PRIMARY source of truth
       let penaltyAmount = 0;
       let daysLate = 0;
+      let penaltyRate = bill.penalty?.rate ?? 0;
       
-      if (bill.status !== 'paid' && currentDate > bill.dueDate) {
+      if (!['paid', 'cancelled'].includes(bill.status) && currentDate > bill.dueDate) {
         daysLate = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
         if (daysLate > 0) {
-          penaltyAmount = daysLate * 50; // ₹50 per day - PRIMARY calculation
+          const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+          penaltyAmount = expected.amount;
+          penaltyRate = expected.rate;
         }
       }
       
@@ -2443,12 +2281,12 @@ app.get('/api/tenant/bills', authenticateToken, async (req, res) => {
       billObj.penalty = {
         amount: penaltyAmount,
         days: daysLate,
-        rate: 50,
+        rate: penaltyRate,
         appliedDate: bill.penalty?.appliedDate || currentDate
       };
       
       // Update status if overdue
-      if (penaltyAmount > 0 && bill.status !== 'paid') {
+      if (penaltyAmount > 0 && !['paid', 'cancelled'].includes(bill.status)) {
         billObj.status = 'overdue';
       }
       
@@ -2516,9 +2354,11 @@ app.get('/api/tenant/bills/:billId', authenticateToken, async (req, res) => {
 
     // Auto-recalculate penalty if bill is overdue and penalty is incorrect
     const currentDate = new Date();
-    if (bill.status !== 'paid' && currentDate > bill.dueDate) {
+    const latePolicy = await penaltyPolicy.getPolicy();
+    if (!['paid', 'cancelled'].includes(bill.status) && currentDate > bill.dueDate) {
       const daysOverdue = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
-      const correctPenalty = daysOverdue * 50; // ₹50 per day
+      const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+      const correctPenalty = expected.amount;
       const currentPenalty = bill.penalty?.amount || 0;
       
       // If penalty doesn't match (allowing 1 rupee tolerance), recalculate
@@ -2547,11 +2387,14 @@ app.get('/api/tenant/bills/:billId', authenticateToken, async (req, res) => {
     // CRITICAL: Calculate penalty on-the-fly based on due date as PRIMARY source of truth
     let penaltyAmount = 0;
     let daysLate = 0;
+    let penaltyRate = bill.penalty?.rate ?? 0;
     
-    if (bill.status !== 'paid' && currentDate > bill.dueDate) {
+    if (!['paid', 'cancelled'].includes(bill.status) && currentDate > bill.dueDate) {
       daysLate = Math.floor((currentDate - bill.dueDate) / (1000 * 60 * 60 * 24));
       if (daysLate > 0) {
-        penaltyAmount = daysLate * 50; // ₹50 per day - PRIMARY calculation
+        const expected = penaltyPolicy.calculatePenalty(bill, latePolicy, currentDate);
+        penaltyAmount = expected.amount;
+        penaltyRate = expected.rate;
       }
     }
     
@@ -2599,7 +2442,7 @@ app.get('/api/tenant/bills/:billId', authenticateToken, async (req, res) => {
       penalty: {
         amount: penaltyAmount,
         days: daysLate,
-        rate: 50,
+        rate: penaltyRate,
         appliedDate: bill.penalty?.appliedDate || currentDate
       },
       payments
@@ -2795,9 +2638,9 @@ app.get('/api/owner/profile', authenticateToken, async (req, res) => {
         name: owner.name,
         email: owner.email,
         phone: owner.phone,
-        profilePhoto: owner.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(owner.profilePhoto),
         address: owner.address,
-        profileData: owner.profileData
+        profileData: fileStorage.profileDataUrls(owner.profileData)
       }
     });
   } catch (error) {
@@ -2821,6 +2664,21 @@ app.put('/api/owner/profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Owner not found' });
     }
     
+    // New photos and documents arrive inline; store them as files and keep the paths
+    const previousFiles = { profilePhoto: owner.profilePhoto, profileData: owner.profileData };
+    const uploadOptions = { owner: owner._id, uploadedBy: req.user.username || ownerId };
+    if (profileData.basicInfo) {
+      profileData.basicInfo.profilePhoto = await fileStorage.storeDataUrl(profileData.basicInfo.profilePhoto, {
+        ...uploadOptions,
+        category: 'profile_photo',
+        fileName: 'profile_photo'
+      });
+      profileData.documents = await fileStorage.storeDocuments(profileData.documents, {
+        ...uploadOptions,
+        category: 'owner_document'
+      });
+    }
+    
     // Update basic info
     if (profileData.basicInfo) {
       owner.name = profileData.basicInfo.fullName || owner.name;
@@ -2840,6 +2698,7 @@ app.put('/api/owner/profile', authenticateToken, async (req, res) => {
     }
     
     await owner.save();
+    await fileStorage.removeReplacedFiles(previousFiles, { profilePhoto: owner.profilePhoto, profileData: owner.profileData }, { owner: owner._id });
     
     console.log(`✅ [Server] Owner profile updated successfully`);
     
@@ -2852,8 +2711,8 @@ app.put('/api/owner/profile', authenticateToken, async (req, res) => {
         name: owner.name,
         email: owner.email,
         phone: owner.phone,
-        profilePhoto: owner.profilePhoto,
-        profileData: owner.profileData
+        profilePhoto: fileStorage.fileUrl(owner.profilePhoto),
+        profileData: fileStorage.profileDataUrls(owner.profileData)
       }
     });
     
@@ -2866,13 +2725,16 @@ app.put('/api/owner/profile', authenticateToken, async (req, res) => {
         name: owner.name,
         email: owner.email,
         phone: owner.phone,
-        profilePhoto: owner.profilePhoto,
-        profileData: owner.profileData
+        profilePhoto: fileStorage.fileUrl(owner.profilePhoto),
+        profileData: fileStorage.profileDataUrls(owner.profileData)
       },
       broadcastedTo: activeClients
     });
   } catch (error) {
     console.error('❌ [Server] Error updating owner profile:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update owner profile' });
   }
 });
@@ -2898,10 +2760,10 @@ app.get('/api/tenant/profile', authenticateToken, async (req, res) => {
         name: tenant.name,
         email: tenant.email,
         phone: tenant.phone,
-        profilePhoto: tenant.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(tenant.profilePhoto),
         room: tenant.room,
         securityDepositPaid: tenant.securityDepositPaid,
-        profileData: tenant.profileData
+        profileData: fileStorage.profileDataUrls(tenant.profileData)
       }
     });
   } catch (error) {
@@ -2925,6 +2787,21 @@ app.put('/api/tenant/profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Tenant not found' });
     }
     
+    // New photos and documents arrive inline; store them as files and keep the paths
+    const previousFiles = { profilePhoto: tenant.profilePhoto, profileData: tenant.profileData };
+    const uploadOptions = { tenant: tenant._id, uploadedBy: req.user.username || tenantId };
+    if (profileData.basicInfo) {
+      profileData.basicInfo.profilePhoto = await fileStorage.storeDataUrl(profileData.basicInfo.profilePhoto, {
+        ...uploadOptions,
+        category: 'profile_photo',
+        fileName: 'profile_photo'
+      });
+    }
+    profileData.documents = await fileStorage.storeDocuments(profileData.documents, {
+      ...uploadOptions,
+      category: 'tenant_document'
+    });
+    
     // Update basic info
     if (profileData.basicInfo) {
       tenant.name = profileData.basicInfo.fullName || tenant.name;
@@ -2944,6 +2821,7 @@ app.put('/api/tenant/profile', authenticateToken, async (req, res) => {
     };
     
     await tenant.save();
+    await fileStorage.removeReplacedFiles(previousFiles, { profilePhoto: tenant.profilePhoto, profileData: tenant.profileData }, { tenant: tenant._id });
     
     console.log(`✅ [Server] Tenant profile updated successfully`);
     
@@ -2958,7 +2836,7 @@ app.put('/api/tenant/profile', authenticateToken, async (req, res) => {
         fullName: tenant.name,
         email: tenant.email,
         phone: tenant.phone,
-        profilePhoto: tenant.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(tenant.profilePhoto),
         room: tenant.room,
         roomNumber: tenant.room?.roomNumber,
         emergencyContactName: tenant.profileData?.emergencyContact?.name,
@@ -2970,8 +2848,8 @@ app.put('/api/tenant/profile', authenticateToken, async (req, res) => {
         leaseStartDate: tenant.profileData?.rentalDetails?.leaseStartDate,
         leaseEndDate: tenant.profileData?.rentalDetails?.leaseEndDate,
         outstandingBill: tenant.profileData?.rentalDetails?.outstandingBill,
-        documents: tenant.profileData?.documents,
-        profileData: tenant.profileData
+        documents: fileStorage.documentUrls(tenant.profileData?.documents),
+        profileData: fileStorage.profileDataUrls(tenant.profileData)
       }
     });
     
@@ -2984,14 +2862,17 @@ app.put('/api/tenant/profile', authenticateToken, async (req, res) => {
         name: tenant.name,
         email: tenant.email,
         phone: tenant.phone,
-        profilePhoto: tenant.profilePhoto,
+        profilePhoto: fileStorage.fileUrl(tenant.profilePhoto),
         room: tenant.room,
-        profileData: tenant.profileData
+        profileData: fileStorage.profileDataUrls(tenant.profileData)
       },
       broadcastedTo: activeClients
     });
   } catch (error) {
     console.error('❌ [Server] Error updating tenant profile:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to update tenant profile' });
   }
 });
@@ -3016,60 +2897,15 @@ cron.schedule('0 9 10 * *', async () => {
   const year = now.getFullYear();
   
   try {
-    // Auto-generate bills (same logic as manual generation)
-    const tenants = await Tenant.find({ 
-      status: 'active', 
-      room: { $ne: null } 
-    }).populate('room');
-
-    let billsGenerated = 0;
-
-    for (const tenant of tenants) {
-      const existingBill = await Bill.findOne({
-        tenant: tenant._id,
-        month,
-        year
+    // Auto-generate bills (same engine as manual generation)
+    const run = await billingService.generateMonth(month, year);
+
+    console.log(`✅ Auto-generated ${run.summary.created} bills for ${new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`);
+    run.results
+      .filter(result => result.status === 'skipped' || result.status === 'failed')
+      .forEach(result => {
+        console.warn(`⚠️ Skipping ${result.tenant.name} (room ${result.room?.roomNumber}): ${result.reason}${result.missingReadings?.length ? ` - ${result.missingReadings.join(', ')}` : ''}`);
       });
-
-      if (!existingBill) {
-        const room = tenant.room;
-        let totalAmount = room.rent;
-        
-        Object.keys(room.utilities).forEach(utility => {
-          if (!room.utilities[utility].included) {
-            totalAmount += room.utilities[utility].rate;
-          }
-        });
-
-        const bill = new Bill({
-          tenant: tenant._id,
-          room: room._id,
-          month,
-          year,
-          dueDate: new Date(year, month, 10),
-          items: {
-            rent: {
-              amount: room.rent,
-              description: `Monthly rent for room ${room.roomNumber}`
-            },
-            utilities: {
-              electricity: { amount: !room.utilities.electricity.included ? room.utilities.electricity.rate : 0 },
-              water: { amount: !room.utilities.water.included ? room.utilities.water.rate : 0 },
-              gas: { amount: !room.utilities.gas.included ? room.utilities.gas.rate : 0 },
-              internet: { amount: !room.utilities.internet.included ? room.utilities.internet.rate : 0 },
-              parking: { amount: !room.utilities.parking.included ? room.utilities.parking.rate : 0 },
-              maintenance: { amount: !room.utilities.maintenance.included ? room.utilities.maintenance.rate : 0 }
-            }
-          },
-          totalAmount
-        });
-
-        await bill.save();
-        billsGenerated++;
-      }
-    }
-
-    console.log(`✅ Auto-generated ${billsGenerated} bills for ${new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}`);
   } catch (error) {
     console.error('❌ Auto bill generation failed:', error);
   }
@@ -3118,6 +2954,7 @@ cron.schedule('0 9 * * *', async () => {
     console.log(`📅 Found ${upcomingBills.length} bills due in 3 days`);
     
     let remindersSent = 0;
+    const lateFeePolicy = penaltyPolicy.describePolicy(await penaltyPolicy.getPolicy());
     
     for (const bill of upcomingBills) {
       if (bill.tenant && bill.tenant.email) {
@@ -3130,7 +2967,8 @@ cron.schedule('0 9 * * *', async () => {
             month: bill.month,
             year: bill.year,
             dueDate: bill.dueDate,
-            amount: bill.remainingAmount || bill.totalAmount
+            amount: bill.remainingAmount || bill.totalAmount,
+            policyDescription: lateFeePolicy
           },
           3 // days until due
         );
@@ -3175,6 +3013,39 @@ cron.schedule('0 9 * * *', async () => {
   }
 });
 
+// Charge bills of tenants on auto-pay and retry failed charges (daily at 8 AM)
+cron.schedule('0 8 * * *', async () => {
+  console.log('💳 Running auto-pay charges...');
+
+  try {
+    await autoPayService.runDueCharges();
+  } catch (error) {
+    console.error('❌ Error in auto-pay cron job:', error);
+  }
+});
+
+// Expire lapsed leases and remind the owner of leases ending soon (daily at 9:30 AM)
+cron.schedule('30 9 * * *', async () => {
+  console.log('📄 Checking lease expiries...');
+
+  try {
+    await leaseService.runExpiryChecks();
+  } catch (error) {
+    console.error('❌ Error in lease expiry cron job:', error);
+  }
+});
+
+// Tell tenants about rent changes coming up within the notice period (daily at 7 AM)
+cron.schedule('0 7 * * *', async () => {
+  console.log('📈 Sending rent change notices...');
+
+  try {
+    await rentTermService.sendIncreaseNotices();
+  } catch (error) {
+    console.error('❌ Error in rent change notice cron job:', error);
+  }
+});
+
 // Serve static files in production (for single-service deployment)
 if (process.env.NODE_ENV === 'production') {
   console.log('🏭 Production mode: Serving static files from dist/');
@@ -3244,12 +3115,102 @@ server.listen(PORT, async () => {
   console.log('    GET    /api/tenant/bills/:id/pdf - Download PDF invoice');
   console.log('    PUT    /api/tenant/profile      - Update profile');
   console.log('    GET    /api/tenant/notifications - Get notifications');
+  console.log('    GET    /api/tenant/issues       - List reported issues');
+  console.log('    POST   /api/tenant/issues       - Report an issue');
+  console.log('    POST   /api/tenant/issues/:id/comments - Comment on an issue');
+  console.log('    PUT    /api/tenant/issues/:id/status   - Confirm or reopen a resolved issue');
   console.log('  Payment Processing:');
   console.log('    POST   /api/payments/create-order - Create Razorpay order');
+  console.log('    GET    /api/payments/upi/:billId - UPI QR code and payment link for a bill');
   console.log('    POST   /api/payments/verify     - Verify payment');
   console.log('    POST   /api/payments/record     - Record manual payment');
   console.log('    GET    /api/payments/history    - Payment history');
+  console.log('    GET    /api/payments/:paymentId/receipt - Download payment receipt');
+  console.log('    POST   /api/payments/:paymentId/receipt/email - Email payment receipt');
   console.log('    GET    /api/payments/statistics - Payment analytics');
+  console.log('    POST   /api/webhooks/razorpay   - Razorpay payment webhook');
+  console.log('    POST   /api/admin/payments/:paymentId/refunds - Refund a payment');
+  console.log('    GET    /api/admin/payments/:paymentId/refunds - Refunds on a payment');
+  console.log('    POST   /api/admin/reconciliation/statements - Import a bank statement');
+  console.log('    GET    /api/admin/reconciliation/statements/:statementId - Statement credits and matches');
+  console.log('    GET    /api/admin/reconciliation/transactions - Unreconciled bank credits');
+  console.log('    POST   /api/admin/reconciliation/transactions/:transactionId/confirm - Confirm a match');
+  console.log('    POST   /api/admin/reconciliation/transactions/:transactionId/ignore - Ignore a credit');
+  console.log('    GET    /api/admin/payment-verifications - Payments waiting on verification');
+  console.log('    POST   /api/admin/payment-verifications/:paymentId/approve - Approve a payment');
+  console.log('    POST   /api/admin/payment-verifications/:paymentId/reject - Reject a payment with a reason');
+  console.log('    POST   /api/admin/payment-verifications/:paymentId/request-resubmission - Ask for a new screenshot');
+  console.log('    POST   /api/admin/payment-verifications/bulk-approve - Approve several payments');
+  console.log('    GET    /api/autopay/me - Tenant auto-pay mandate and charges');
+  console.log('    POST   /api/autopay/authorize - Start authorising an auto-pay mandate');
+  console.log('    POST   /api/autopay/confirm - Store the authorised mandate');
+  console.log('    POST   /api/autopay/cancel - Turn auto-pay off');
+  console.log('    GET    /api/autopay/enrollments - Tenants enrolled in auto-pay');
+  console.log('    POST   /api/autopay/run - Run due auto-pay charges now');
+  console.log('    GET    /api/leases/templates - Lease templates and merge fields');
+  console.log('    POST   /api/leases - Issue a lease or renewal for signature');
+  console.log('    GET    /api/leases/me - Tenant lease and any lease to sign');
+  console.log('    POST   /api/leases/:id/sign - Sign a lease');
+  console.log('    GET    /api/leases/:id/pdf - Download a lease PDF');
+  console.log('    GET    /api/admin/rent-terms - Tenant rents and upcoming rent changes');
+  console.log('    PUT    /api/admin/rent-terms/:tenantId - Set a tenant\'s rent terms');
+  console.log('    DELETE /api/admin/rent-terms/:tenantId - Bill a tenant the room rent again');
+  console.log('    POST   /api/onboarding/invitations - Invite a tenant to a vacant room');
+  console.log('    GET    /api/onboarding/me - Tenant onboarding progress');
+  console.log('    PUT    /api/onboarding/me/steps/:step - Save an onboarding step');
+  console.log('    POST   /api/onboarding/me/submit - Submit onboarding for review');
+  console.log('    POST   /api/onboarding/:tenantId/id-proof/verify - Verify ID proof');
+  console.log('    POST   /api/onboarding/:tenantId/activate - Activate tenancy and raise the move-in bill');
+  console.log('    GET    /api/admin/police-verifications - Tenant police verification status');
+  console.log('    GET    /api/admin/police-verifications/:tenantId/form - Filled verification form (PDF)');
+  console.log('    PUT    /api/admin/police-verifications/:tenantId - Record submission or outcome');
+  console.log('    POST   /api/enquiries - Public enquiry from a prospective tenant');
+  console.log('    POST   /api/enquiries/manual - Record a phone or walk-in enquiry');
+  console.log('    GET    /api/enquiries - Enquiry pipeline and waitlist');
+  console.log('    PUT    /api/enquiries/:id/status - Move an enquiry along the pipeline');
+  console.log('    POST   /api/enquiries/:id/convert - Assign the enquirer to their room as a tenant');
+  console.log('    GET    /api/files/:fileId - Stored file (Bearer token or signed link)');
+  console.log('    GET    /api/files/:fileId/thumbnail - Stored image thumbnail');
+  console.log('  Tenant Ledger:');
+  console.log('    GET    /api/ledger/me                  - Own statement (?from&to&format=pdf|xlsx)');
+  console.log('    GET    /api/ledger/tenants/:tenantId   - Tenant statement (?from&to&format=pdf|xlsx)');
+  console.log('    POST   /api/ledger/tenants/:tenantId/entries - Post adjustment, deposit or refund');
+  console.log('  Meter Readings:');
+  console.log('    GET    /api/admin/meter-readings       - Readings for a month (?utility&month&year)');
+  console.log('    POST   /api/admin/meter-readings       - Record reading (start carries over)');
+  console.log('    GET    /api/admin/meter-readings/rooms/:roomId - Room reading history');
+  console.log('  Electricity Tariffs:');
+  console.log('    GET    /api/admin/tariffs              - List slab tariff plans');
+  console.log('    POST   /api/admin/tariffs              - Create tariff plan');
+  console.log('    PUT    /api/admin/tariffs/:planId/rooms - Assign rooms to a plan');
+  console.log('    POST   /api/admin/tariffs/preview      - Calculate a charge for units');
+  console.log('  Charge Templates:');
+  console.log('    GET    /api/admin/charge-templates     - List recurring and one-off charges');
+  console.log('    POST   /api/admin/charge-templates     - Create charge template');
+  console.log('    PUT    /api/admin/charge-templates/:templateId - Update charge template');
+  console.log('  Billing Settings:');
+  console.log('    GET    /api/admin/billing/settings     - Get proration settings');
+  console.log('    PUT    /api/admin/billing/settings     - Update proration settings');
+  console.log('    GET    /api/admin/billing/proration/:tenantId - Occupied days for a month');
+  console.log('    GET    /api/admin/billing/numbering    - Bill, receipt and credit note number formats');
+  console.log('    PUT    /api/admin/billing/numbering    - Update number formats');
+  console.log('    POST   /api/admin/billing/preview      - Dry run of a month\'s bills');
+  console.log('    POST   /api/admin/billing/commit       - Create the month\'s bills (with edits)');
+  console.log('  Bill Amendments:');
+  console.log('    POST   /api/admin/bills/:billId/void   - Void an unpaid bill with a reason');
+  console.log('    POST   /api/admin/bills/:billId/credit-notes - Issue a credit note');
+  console.log('    POST   /api/admin/bills/:billId/revise - Replace a bill with a revised one');
+  console.log('    GET    /api/admin/bills/:billId/amendments - Revision chain and credit notes');
+  console.log('  Move-out Settlement:');
+  console.log('    GET    /api/move-outs                  - List settlements');
+  console.log('    GET    /api/move-outs/tenants/:tenantId/preview - Deposit and dues before move-out');
+  console.log('    POST   /api/move-outs/tenants/:tenantId - Record inspection and settle deposit');
+  console.log('    GET    /api/move-outs/:settlementId/pdf - Download settlement statement');
+  console.log('  Issue Management:');
+  console.log('    GET    /api/admin/issues               - List tenant issues');
+  console.log('    GET    /api/admin/issues/:issueId      - Get issue details');
+  console.log('    PUT    /api/admin/issues/:issueId      - Update status, assignment or priority');
+  console.log('    POST   /api/admin/issues/:issueId/comments - Comment on an issue');
   console.log('  Penalty Management:');
   console.log('    POST   /api/penalties/apply-monthly     - Apply monthly penalties');
   console.log('    POST   /api/penalties/apply/:billId    - Apply penalty to specific bill');
@@ -3259,6 +3220,7 @@ server.listen(PORT, async () => {
   console.log('    DELETE /api/penalties/remove/:billId   - Remove penalty from bill');
   console.log('    GET    /api/penalties/statistics       - Get penalty statistics');
   console.log('    GET    /api/penalties/settings         - Get penalty settings');
+  console.log('    PUT    /api/penalties/settings         - Update late fee policy');
   console.log('  Profile Management:');
   console.log('    GET    /api/owner/profile        - Get owner profile');
   console.log('    PUT    /api/owner/profile        - Update owner profile');
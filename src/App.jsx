@@ -13,6 +13,7 @@ import { UserProvider, useUser } from './context/UserContext'
 import { OwnerProvider } from './context/OwnerContext'
 import { RealTimeNotificationProvider } from './context/RealTimeNotificationContext'
 import SplashWelcome from './components/splash/SplashWelcome.jsx';
+import EnquiryForm from './components/splash/EnquiryForm.jsx';
 
 import './App.css'
 
@@ -36,6 +37,7 @@ const AppContent = () => {
         <Routes>
           {/* ✅ Splash route first */}
           <Route path="/" element={<SplashWelcome />} />
+          <Route path="/enquire" element={<EnquiryForm />} />
 
           {/* Auth & dashboard routes */}
           <Route 
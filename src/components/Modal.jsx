@@ -3,14 +3,32 @@ import {
   X, DollarSign, CreditCard, Receipt, Users, Building, Plus, Shield, Calendar, AlertCircle,
   User, MapPin, FileText, Upload, Banknote, Calculator, Phone, Mail, Edit2, Save, 
   Trash2, Eye, Download, Search, Filter, TrendingUp, Bell, Send, UserPlus,
-  Home, Zap, Droplets, Wrench, Car, Clock, CheckCircle, XCircle, Copy, RefreshCw, Edit
+  Home, Zap, Droplets, Wrench, Car, Clock, CheckCircle, XCircle, Copy, RefreshCw, Edit, BookOpen, LogOut
 } from 'lucide-react'
 import { toast } from 'react-hot-toast'
 import { useUser } from '../context/UserContext'
 import { useOwner } from '../context/OwnerContext'
 import { useRealTimeNotifications } from '../context/RealTimeNotificationContext'
 import { tenants, bills, getTotalRevenue, getPendingRevenue, paymentHistory } from '../data/mockData'
-import { getApiUrl, apiRequest } from '../utils/api'
+import { getApiUrl, getFileUrl, apiRequest } from '../utils/api'
+import IssuesModal from './owner/IssuesModal'
+import LateFeePolicyModal from './owner/LateFeePolicyModal'
+import MeterReadingsModal from './owner/MeterReadingsModal'
+import TariffPlansModal from './owner/TariffPlansModal'
+import BillingSettingsModal from './owner/BillingSettingsModal'
+import ChargeTemplatesModal from './owner/ChargeTemplatesModal'
+import BillRunPanel from './owner/BillRunPanel'
+import TenantLedger from './TenantLedger'
+import MoveOutSettlement from './owner/MoveOutSettlement'
+import RefundPaymentForm from './owner/RefundPaymentForm'
+import ReconciliationModal from './owner/ReconciliationModal'
+import PaymentVerificationModal from './owner/PaymentVerificationModal'
+import AutoPayModal from './owner/AutoPayModal'
+import LeaseAgreementsModal from './owner/LeaseAgreementsModal'
+import RentTermsModal from './owner/RentTermsModal'
+import TenantOnboardingModal from './owner/TenantOnboardingModal'
+import PoliceVerificationModal from './owner/PoliceVerificationModal'
+import EnquiriesModal from './owner/EnquiriesModal'
 import './Modal.css'
 
 // Payment Monitoring Dashboard Component
@@ -21,6 +39,7 @@ const PaymentMonitoringDashboard = ({ onClose }) => {
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear())
   const [loading, setLoading] = useState(false)
   const [lastUpdated, setLastUpdated] = useState(null)
+  const [refundingId, setRefundingId] = useState(null)
 
   // Fetch payment summary from API
   const fetchPaymentSummary = async () => {
@@ -497,22 +516,51 @@ const PaymentMonitoringDashboard = ({ onClose }) => {
           <div className="transactions-list">
             {recentTransactions.length > 0 ? (
               recentTransactions.map(transaction => (
-                <div key={transaction.id} className="transaction-item">
-                  <div className="transaction-icon">
-                    <CreditCard size={18} />
-                  </div>
-                  <div className="transaction-info">
-                    <h5>{transaction.tenantName}</h5>
-                    <p>{transaction.paymentMethod} • Room {transaction.roomNumber}</p>
-                    <small>{new Date(transaction.paidAt).toLocaleDateString()} {new Date(transaction.paidAt).toLocaleTimeString()}</small>
-                  </div>
-                  <div className="transaction-amount">
-                    <span className="amount positive">₹{transaction.amount.toLocaleString()}</span>
-                    <div className="status completed">
-                      <CheckCircle size={12} />
-                      Completed
+                <div key={transaction.id}>
+                  <div className="transaction-item">
+                    <div className="transaction-icon">
+                      <CreditCard size={18} />
+                    </div>
+                    <div className="transaction-info">
+                      <h5>{transaction.tenantName}</h5>
+                      <p>{transaction.paymentMethod} • Room {transaction.roomNumber}</p>
+                      <small>{new Date(transaction.paidAt).toLocaleDateString()} {new Date(transaction.paidAt).toLocaleTimeString()}</small>
+                    </div>
+                    <div className="transaction-amount">
+                      <span className="amount positive">₹{transaction.amount.toLocaleString()}</span>
+                      {transaction.refundedAmount > 0 ? (
+                        <div className="status refunded">
+                          <RefreshCw size={12} />
+                          {transaction.status === 'refunded' ? 'Refunded' : `₹${transaction.refundedAmount.toLocaleString()} refunded`}
+                        </div>
+                      ) : (
+                        <div className="status completed">
+                          <CheckCircle size={12} />
+                          Completed
+                        </div>
+                      )}
                     </div>
+                    {transaction.status !== 'refunded' && transaction.paymentMethod !== 'credit' && transaction.paymentMethod !== 'deposit' && (
+                      <button
+                        className="btn btn-secondary btn-sm"
+                        title="Refund payment"
+                        onClick={() => setRefundingId(refundingId === transaction.id ? null : transaction.id)}
+                      >
+                        Refund
+                      </button>
+                    )}
                   </div>
+                  {refundingId === transaction.id && (
+                    <RefundPaymentForm
+                      paymentId={transaction.id}
+                      onCancel={() => setRefundingId(null)}
+                      onRefunded={() => {
+                        setRefundingId(null)
+                        fetchPaymentSummary()
+                        fetchRecentTransactions()
+                      }}
+                    />
+                  )}
                 </div>
               ))
             ) : (
@@ -548,7 +596,7 @@ const PaymentMonitoringDashboard = ({ onClose }) => {
 
 // ManageBillsModal Component
 const ManageBillsModal = ({ onClose }) => {
-  const [activeTab, setActiveTab] = useState('generate') // 'generate' | 'manage' | 'payments'
+  const [activeTab, setActiveTab] = useState('generate') // 'generate' | 'run' | 'manage' | 'payments'
   const [tenantsForBilling, setTenantsForBilling] = useState([])
   const [allBills, setAllBills] = useState([])
   const [loading, setLoading] = useState(false)
@@ -570,7 +618,9 @@ const ManageBillsModal = ({ onClose }) => {
     year: new Date().getFullYear(),
     status: 'all'
   })
-  const [deleteConfirmation, setDeleteConfirmation] = useState({ isOpen: false, bill: null })
+  // Void, credit note or revision being entered for a bill
+  const [amendment, setAmendment] = useState(null)
+  const [tariffCharge, setTariffCharge] = useState(null)
 
   // Load tenants for billing
   useEffect(() => {
@@ -602,6 +652,60 @@ const ManageBillsModal = ({ onClose }) => {
     }
   }, [activeTab, filters])
 
+  // Pre-fill the meter from the room's recorded reading or last month's end reading
+  useEffect(() => {
+    if (!selectedTenant?.room?._id) return
+    const fetchMeterReading = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const params = new URLSearchParams({ utility: 'electricity', month: billForm.month, year: billForm.year })
+        const response = await fetch(`${getApiUrl()}/admin/meter-readings/rooms/${selectedTenant.room._id}/period?${params}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          const unitRate = selectedTenant.room.utilities?.electricity?.unitRate
+          setBillForm(prev => ({
+            ...prev,
+            electricity: {
+              meterStartReading: data.reading ? data.reading.startReading : data.suggestedStartReading,
+              meterEndReading: data.reading ? data.reading.endReading : 0,
+              chargesPerUnit: unitRate > 0 ? unitRate : prev.electricity.chargesPerUnit
+            }
+          }))
+        }
+      } catch (error) {
+        console.error('Error fetching meter reading:', error)
+      }
+    }
+    fetchMeterReading()
+  }, [selectedTenant, billForm.month, billForm.year])
+
+  // Rooms on a slab tariff are charged by the plan, not the flat rate per unit
+  const unitsForTariff = Math.max(0, billForm.electricity.meterEndReading - billForm.electricity.meterStartReading)
+  useEffect(() => {
+    if (!selectedTenant?.room?._id) {
+      setTariffCharge(null)
+      return
+    }
+    const fetchTariffCharge = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/admin/tariffs/preview`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ roomId: selectedTenant.room._id, units: unitsForTariff })
+        })
+        const data = await response.json()
+        setTariffCharge(data.success ? data.charge : null)
+      } catch (error) {
+        console.error('Error calculating tariff:', error)
+        setTariffCharge(null)
+      }
+    }
+    fetchTariffCharge()
+  }, [selectedTenant, unitsForTariff])
+
   const fetchBills = async () => {
     try {
       setLoading(true)
@@ -635,6 +739,7 @@ const ManageBillsModal = ({ onClose }) => {
   }
 
   const calculateElectricityBill = () => {
+    if (tariffCharge) return tariffCharge.amount
     const { meterStartReading, meterEndReading, chargesPerUnit } = billForm.electricity
     const unitsConsumed = Math.max(0, meterEndReading - meterStartReading)
     return unitsConsumed * chargesPerUnit
@@ -654,16 +759,18 @@ const ManageBillsModal = ({ onClose }) => {
     try {
       setLoading(true)
       const token = localStorage.getItem('token')
+      const meterEndReading = parseFloat(billForm.electricity.meterEndReading) || 0
       const billData = {
         tenantId: selectedTenant._id,
         month: billForm.month,
         year: billForm.year,
         rent: parseFloat(billForm.rent) || 0,
-        electricity: {
+        // Without readings the room's own electricity billing (e.g. a flat rate) applies
+        electricity: meterEndReading > 0 ? {
           meterStartReading: parseFloat(billForm.electricity.meterStartReading) || 0,
-          meterEndReading: parseFloat(billForm.electricity.meterEndReading) || 0,
+          meterEndReading,
           chargesPerUnit: parseFloat(billForm.electricity.chargesPerUnit) || 0
-        },
+        } : {},
         waterBill: parseFloat(billForm.waterBill) || 0,
         commonAreaCharges: parseFloat(billForm.commonAreaCharges) || 0
       }
@@ -680,6 +787,9 @@ const ManageBillsModal = ({ onClose }) => {
       const result = await response.json()
       if (response.ok) {
         toast.success('Bill generated successfully!')
+        if (result.meterAnomalies?.length > 0) {
+          toast(result.meterAnomalies.map(a => a.message).join('\n'), { icon: '⚠️' })
+        }
         setSelectedTenant(null)
         setBillForm({
           month: new Date().getMonth() + 1,
@@ -732,42 +842,69 @@ const ManageBillsModal = ({ onClose }) => {
     }
   }
 
-  const handleDeleteBill = async (billId) => {
+  const AMENDMENT_ACTIONS = {
+    void: { path: 'void', title: 'Void Bill', success: 'Bill voided' },
+    credit: { path: 'credit-notes', title: 'Issue Credit Note', success: 'Credit note issued' },
+    revise: { path: 'revise', title: 'Revise Bill', success: 'Revised bill issued' }
+  }
+
+  const startAmendment = (type, bill) => {
+    setAmendment({
+      type,
+      bill,
+      reason: '',
+      amount: '',
+      rent: bill.items?.rent?.amount ?? 0,
+      waterBill: bill.items?.waterBill?.amount ?? 0,
+      commonAreaCharges: bill.items?.commonAreaCharges?.amount ?? 0
+    })
+  }
+
+  const handleAmendBill = async () => {
+    if (!amendment.reason.trim()) {
+      toast.error('Please enter a reason')
+      return
+    }
+    const action = AMENDMENT_ACTIONS[amendment.type]
+    const body = { reason: amendment.reason }
+    if (amendment.type === 'credit') {
+      body.amount = amendment.amount
+    }
+    if (amendment.type === 'revise') {
+      body.rent = amendment.rent
+      body.waterBill = amendment.waterBill
+      body.commonAreaCharges = amendment.commonAreaCharges
+    }
+
     try {
       setLoading(true)
       const token = localStorage.getItem('token')
-      const response = await fetch(`${getApiUrl()}/admin/bills/${billId}`, {
-        method: 'DELETE',
+      const response = await fetch(`${getApiUrl()}/admin/bills/${amendment.bill._id}/${action.path}`, {
+        method: 'POST',
         headers: {
+          'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`
-        }
+        },
+        body: JSON.stringify(body)
       })
 
       const result = await response.json()
-      
+
       if (response.ok) {
-        toast.success('Bill deleted successfully!')
+        toast.success(result.message || action.success)
         fetchBills() // Refresh bills
-        setDeleteConfirmation({ isOpen: false, bill: null })
+        setAmendment(null)
       } else {
-        toast.error(result.error || 'Failed to delete bill')
+        toast.error(result.message || `Failed to ${action.title.toLowerCase()}`)
       }
     } catch (error) {
-      console.error('Error deleting bill:', error)
-      toast.error('Failed to delete bill')
+      console.error('Error amending bill:', error)
+      toast.error(`Failed to ${action.title.toLowerCase()}`)
     } finally {
       setLoading(false)
     }
   }
 
-  const confirmDelete = (bill) => {
-    setDeleteConfirmation({ isOpen: true, bill })
-  }
-
-  const cancelDelete = () => {
-    setDeleteConfirmation({ isOpen: false, bill: null })
-  }
-
   const monthNames = [
     'January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'
@@ -784,6 +921,12 @@ const ManageBillsModal = ({ onClose }) => {
         >
           <Plus size={16} /> Generate Bills
         </button>
+        <button 
+          className={`tab-btn ${activeTab === 'run' ? 'active' : ''}`}
+          onClick={() => setActiveTab('run')}
+        >
+          <Calendar size={16} /> Monthly Run
+        </button>
         <button 
           className={`tab-btn ${activeTab === 'manage' ? 'active' : ''}`}
           onClick={() => setActiveTab('manage')}
@@ -927,6 +1070,17 @@ const ManageBillsModal = ({ onClose }) => {
                     />
                   </div>
                 </div>
+                {tariffCharge && (
+                  <div className="utility-details">
+                    <small>Tariff: {tariffCharge.tariffPlan} (charges per unit is not used)</small>
+                    {tariffCharge.slabs.map((slab, index) => (
+                      <small key={index}>{slab.units} units × ₹{slab.rate} = ₹{slab.amount}</small>
+                    ))}
+                    {tariffCharge.fixedCharge > 0 && <small>Fixed charge: ₹{tariffCharge.fixedCharge}</small>}
+                    {tariffCharge.minimumChargeAdjustment > 0 && <small>Minimum charge adjustment: ₹{tariffCharge.minimumChargeAdjustment}</small>}
+                    {tariffCharge.tax > 0 && <small>Tax ({tariffCharge.taxPercent}%): ₹{tariffCharge.tax}</small>}
+                  </div>
+                )}
               </div>
 
               <div className="other-charges-section">
@@ -1001,6 +1155,8 @@ const ManageBillsModal = ({ onClose }) => {
         </div>
       )}
 
+      {activeTab === 'run' && <BillRunPanel />}
+
       {activeTab === 'manage' && (
         <div className="manage-bills-tab">
           <div className="bills-filters">
@@ -1038,6 +1194,7 @@ const ManageBillsModal = ({ onClose }) => {
                 <option value="pending">Pending</option>
                 <option value="paid">Paid</option>
                 <option value="overdue">Overdue</option>
+                <option value="cancelled">Cancelled</option>
               </select>
             </div>
           </div>
@@ -1059,14 +1216,34 @@ const ManageBillsModal = ({ onClose }) => {
                       <span className={`status-badge ${bill.status}`}>
                         {bill.status?.toUpperCase()}
                       </span>
-                      <button 
-                        className="btn btn-danger btn-sm delete-btn"
-                        onClick={() => confirmDelete(bill)}
-                        title="Delete Bill"
-                        disabled={loading}
-                      >
-                        <Trash2 size={14} />
-                      </button>
+                      {bill.status !== 'cancelled' && (
+                        <>
+                          <button
+                            className="btn btn-outline btn-sm"
+                            onClick={() => startAmendment('credit', bill)}
+                            title="Issue Credit Note"
+                            disabled={loading}
+                          >
+                            <Receipt size={14} />
+                          </button>
+                          <button
+                            className="btn btn-outline btn-sm"
+                            onClick={() => startAmendment('revise', bill)}
+                            title="Revise Bill"
+                            disabled={loading}
+                          >
+                            <Edit size={14} />
+                          </button>
+                          <button 
+                            className="btn btn-danger btn-sm delete-btn"
+                            onClick={() => startAmendment('void', bill)}
+                            title="Void Bill"
+                            disabled={loading}
+                          >
+                            <XCircle size={14} />
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                   
@@ -1127,6 +1304,21 @@ const ManageBillsModal = ({ onClose }) => {
                       </span>
                     </div>
                   )}
+
+                  {bill.amendments?.length > 0 && (
+                    <div className="bill-amendments">
+                      {bill.amendments.map(entry => (
+                        <small key={entry._id}>
+                          {new Date(entry.performedAt).toLocaleDateString()} • {{
+                            voided: 'Voided',
+                            credit_note: `Credit note ₹${entry.amount?.toLocaleString()}`,
+                            revised: `Replaced by ${entry.relatedBillNumber}`,
+                            revision_of: `Revision of ${entry.relatedBillNumber}`
+                          }[entry.type]} • {entry.reason} ({entry.performedBy})
+                        </small>
+                      ))}
+                    </div>
+                  )}
                 </div>
               ))
             )}
@@ -1170,15 +1362,17 @@ const ManageBillsModal = ({ onClose }) => {
                           </div>
                         </div>
                         
-                        {payment.paymentScreenshot && (
+                        {payment.paymentScreenshot?.filename && (
                           <div className="screenshot-section">
                             <h6>Payment Screenshot</h6>
                             <div className="screenshot-viewer">
-                              <img 
-                                src={payment.paymentScreenshot.filename} 
-                                alt="Payment Screenshot"
-                                style={{ maxWidth: '200px', maxHeight: '200px' }}
-                              />
+                              <a href={getFileUrl(payment.paymentScreenshot.filename)} target="_blank" rel="noopener noreferrer">
+                                <img 
+                                  src={getFileUrl(payment.paymentScreenshot.thumbnail || payment.paymentScreenshot.filename)} 
+                                  alt="Payment Screenshot"
+                                  style={{ maxWidth: '200px', maxHeight: '200px' }}
+                                />
+                              </a>
                               <div className="screenshot-actions">
                                 {!payment.paymentScreenshot.verified && (
                                   <>
@@ -1214,44 +1408,103 @@ const ManageBillsModal = ({ onClose }) => {
         </div>
       )}
       
-      {/* Delete Confirmation Modal */}
-      {deleteConfirmation.isOpen && (
+      {/* Void / credit note / revision dialog */}
+      {amendment && (
         <div className="delete-confirmation-overlay">
           <div className="delete-confirmation-modal">
             <div className="delete-confirmation-header">
-              <h4>Confirm Bill Deletion</h4>
+              <h4>{AMENDMENT_ACTIONS[amendment.type].title}</h4>
             </div>
             <div className="delete-confirmation-content">
-              <div className="warning-icon">
-                <AlertCircle size={48} color="#ff6b6b" />
-              </div>
               <div className="delete-message">
-                <p><strong>Are you sure you want to delete this bill?</strong></p>
-                {deleteConfirmation.bill && (
-                  <div className="bill-details-to-delete">
-                    <p>Bill: <strong>{deleteConfirmation.bill.billNumber || 'N/A'}</strong></p>
-                    <p>Tenant: <strong>{deleteConfirmation.bill.tenant?.name || 'Unknown'}</strong></p>
-                    <p>Period: <strong>{monthNames[deleteConfirmation.bill.month - 1]} {deleteConfirmation.bill.year}</strong></p>
-                    <p>Amount: <strong>₹{deleteConfirmation.bill.totalAmount?.toLocaleString()}</strong></p>
+                <div className="bill-details-to-delete">
+                  <p>Bill: <strong>{amendment.bill.billNumber || 'N/A'}</strong></p>
+                  <p>Tenant: <strong>{amendment.bill.tenant?.name || 'Unknown'}</strong></p>
+                  <p>Period: <strong>{monthNames[amendment.bill.month - 1]} {amendment.bill.year}</strong></p>
+                  <p>Amount: <strong>₹{amendment.bill.totalAmount?.toLocaleString()}</strong></p>
+                  {amendment.bill.paidAmount > 0 && (
+                    <p>Paid: <strong>₹{amendment.bill.paidAmount.toLocaleString()}</strong></p>
+                  )}
+                </div>
+
+                {amendment.type === 'credit' && (
+                  <div className="form-group">
+                    <label>Credit Amount (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className="form-control"
+                      value={amendment.amount}
+                      onChange={(e) => setAmendment(prev => ({ ...prev, amount: e.target.value }))}
+                    />
                   </div>
                 )}
-                <p className="warning-text">This action cannot be undone.</p>
+                {amendment.type === 'revise' && (
+                  <div className="form-grid">
+                    <div className="form-group">
+                      <label>Rent (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="form-control"
+                        value={amendment.rent}
+                        onChange={(e) => setAmendment(prev => ({ ...prev, rent: e.target.value }))}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Water (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="form-control"
+                        value={amendment.waterBill}
+                        onChange={(e) => setAmendment(prev => ({ ...prev, waterBill: e.target.value }))}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Common Area (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        className="form-control"
+                        value={amendment.commonAreaCharges}
+                        onChange={(e) => setAmendment(prev => ({ ...prev, commonAreaCharges: e.target.value }))}
+                      />
+                    </div>
+                  </div>
+                )}
+                <div className="form-group">
+                  <label>Reason</label>
+                  <textarea
+                    className="form-control"
+                    rows="2"
+                    value={amendment.reason}
+                    onChange={(e) => setAmendment(prev => ({ ...prev, reason: e.target.value }))}
+                  />
+                </div>
+
+                <p className="warning-text">
+                  {amendment.type === 'void' && 'The bill is kept for the record and marked cancelled. Bills with payments need a credit note or a revision instead.'}
+                  {amendment.type === 'credit' && 'The credit is taken off this bill. Anything already paid above the new total becomes tenant credit.'}
+                  {amendment.type === 'revise' && 'This bill is cancelled and a corrected bill is issued in its place. Payments made on it carry over as credit.'}
+                </p>
               </div>
             </div>
             <div className="delete-confirmation-actions">
               <button 
                 className="btn btn-secondary"
-                onClick={cancelDelete}
+                onClick={() => setAmendment(null)}
                 disabled={loading}
               >
                 Cancel
               </button>
               <button 
-                className="btn btn-danger"
-                onClick={() => deleteConfirmation.bill && handleDeleteBill(deleteConfirmation.bill._id)}
+                className={amendment.type === 'void' ? 'btn btn-danger' : 'btn btn-primary'}
+                onClick={handleAmendBill}
                 disabled={loading}
               >
-                {loading ? 'Deleting...' : 'Delete Bill'}
+                {loading ? 'Saving...' : AMENDMENT_ACTIONS[amendment.type].title}
               </button>
             </div>
           </div>
@@ -1343,6 +1596,8 @@ const Modal = ({ isOpen, onClose, type, data: _data, customContent }) => {
   const [tenantsList, setTenantsList] = useState([])
   const [tenantsLoading, setTenantsLoading] = useState(false)
   const [editTenantId, setEditTenantId] = useState(null)
+  const [ledgerTenantId, setLedgerTenantId] = useState(null)
+  const [moveOutTenantId, setMoveOutTenantId] = useState(null)
   const [editForm, setEditForm] = useState({ name: '', email: '', phone: '', roomId: '' })
   
   // Notification modal tenants state
@@ -1983,7 +2238,7 @@ t.phone, profilePhoto: p.profilePhoto || t.profilePhoto, room: p.room || t.room
                       <div className="tenant-avatar">
                         {tenant.profilePhoto ? (
                           <img 
-                            src={tenant.profilePhoto} 
+                            src={getFileUrl(tenant.profilePhoto)} 
                             alt={tenant.name} 
                             className="tenant-photo"
                           />
@@ -2196,6 +2451,24 @@ t.phone, profilePhoto: p.profilePhoto || t.profilePhoto, room: p.room || t.room
                           </div>
                           
                           <div className="secondary-actions">
+                            <button 
+                              className="btn btn-outline btn-statement"
+                              onClick={() => setLedgerTenantId(ledgerTenantId === tenant._id ? null : tenant._id)}
+                              title="View running account statement"
+                            >
+                              <BookOpen size={16} />
+                              Statement
+                            </button>
+                            {tenant.status !== 'moved_out' && (
+                              <button 
+                                className="btn btn-outline btn-move-out"
+                                onClick={() => setMoveOutTenantId(moveOutTenantId === tenant._id ? null : tenant._id)}
+                                title="Record move-out inspection and settle deposit"
+                              >
+                                <LogOut size={16} />
+                                Move Out
+                              </button>
+                            )}
                             <button 
                               className="btn btn-outline btn-edit"
                               onClick={()=>{ 
@@ -2240,6 +2513,13 @@ t.phone, profilePhoto: p.profilePhoto || t.profilePhoto, room: p.room || t.room
                         </div>
                       )}
                     </div>
+                    {ledgerTenantId === tenant._id && <TenantLedger tenantId={tenant._id} />}
+                    {moveOutTenantId === tenant._id && (
+                      <MoveOutSettlement
+                        tenant={tenant}
+                        onSettled={() => setTenantsList(prev => prev.map(x => x._id === tenant._id ? { ...x, status: 'moved_out', room: null } : x))}
+                      />
+                    )}
                   </div>
                 ))
               )}
@@ -3980,6 +4260,48 @@ t.phone, profilePhoto: p.profilePhoto || t.profilePhoto, room: p.room || t.room
       case 'manageBills':
         return <ManageBillsModal onClose={onClose} />
 
+      case 'manageIssues':
+        return <IssuesModal />
+
+      case 'lateFeePolicy':
+        return <LateFeePolicyModal onClose={onClose} />
+
+      case 'meterReadings':
+        return <MeterReadingsModal />
+
+      case 'tariffPlans':
+        return <TariffPlansModal />
+
+      case 'chargeTemplates':
+        return <ChargeTemplatesModal />
+
+      case 'billingSettings':
+        return <BillingSettingsModal onClose={onClose} />
+
+      case 'reconciliation':
+        return <ReconciliationModal />
+
+      case 'paymentVerifications':
+        return <PaymentVerificationModal />
+
+      case 'autoPay':
+        return <AutoPayModal />
+
+      case 'leases':
+        return <LeaseAgreementsModal />
+
+      case 'rentTerms':
+        return <RentTermsModal />
+
+      case 'onboarding':
+        return <TenantOnboardingModal />
+
+      case 'policeVerification':
+        return <PoliceVerificationModal />
+
+      case 'enquiries':
+        return <EnquiriesModal />
+
       case 'payment':
         // Allow custom content injection (e.g., PaymentModal from caller)
         if (customContent) return customContent
@@ -1,4 +1,40 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { getApiUrl } from '../utils/api';
+
+// Late fee policy is shared by every badge on the page, so fetch it once
+let policyRequest = null;
+
+const fetchPenaltyPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = fetch(`${getApiUrl()}/penalties/settings`)
+      .then(response => response.json())
+      .then(data => (data.success ? data.settings : null))
+      .catch(error => {
+        console.error('Error fetching penalty policy:', error);
+        policyRequest = null;
+        return null;
+      });
+  }
+  return policyRequest;
+};
+
+const usePenaltyPolicy = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    fetchPenaltyPolicy().then(settings => {
+      if (active) setPolicy(settings);
+    });
+    return () => { active = false; };
+  }, []);
+
+  return policy;
+};
+
+// Penalty fields as returned by the API (lateFee/daysLate) with fallbacks to the stored penalty
+const getPenaltyAmount = (bill) => bill?.lateFee ?? bill?.penalty?.amount ?? 0;
+const getPenaltyDays = (bill) => bill?.daysLate ?? bill?.penalty?.days ?? 0;
 
 const PenaltyBadge = ({ 
   bill, 
@@ -7,9 +43,23 @@ const PenaltyBadge = ({
   className = '',
   variant = 'default' // 'default', 'compact', 'detailed'
 }) => {
-  const penaltyAmount = bill?.penalty?.amount || 0;
-  const penaltyDays = bill?.penalty?.days || 0;
+  const policy = usePenaltyPolicy();
+  const penaltyAmount = getPenaltyAmount(bill);
+  const penaltyDays = getPenaltyDays(bill);
   const isOverdue = bill?.status === 'overdue' || penaltyAmount > 0;
+  const policyDescription = bill?.penalty?.description || policy?.penaltyType || '';
+
+  if (bill?.penalty?.inGracePeriod && bill?.status !== 'paid') {
+    const daysLeft = Math.max(0, (policy?.gracePeriodDays ?? 0) - penaltyDays);
+    return (
+      <div
+        className={`inline-flex items-center rounded-full font-medium bg-yellow-100 text-yellow-800 px-2 py-1 text-xs ${className}`}
+        title={policyDescription}
+      >
+        Grace period{policy ? ` (${daysLeft} day${daysLeft === 1 ? '' : 's'} left)` : ''}
+      </div>
+    );
+  }
 
   if (!isOverdue || penaltyAmount <= 0) {
     return null;
@@ -29,7 +79,7 @@ const PenaltyBadge = ({
   const baseStyles = `inline-flex items-center rounded-full font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 ${getVariantStyles()}`;
 
   return (
-    <div className={`${baseStyles} ${className}`}>
+    <div className={`${baseStyles} ${className}`} title={policyDescription}>
       <svg 
         className="w-3 h-3 mr-1" 
         fill="currentColor" 
@@ -52,15 +102,18 @@ const PenaltyBadge = ({
           )}
           {showDays && penaltyDays > 0 && (
             <span className="text-xs opacity-75">
-              {Math.ceil(penaltyDays / 30)} month(s) late
+              {penaltyDays} day{penaltyDays === 1 ? '' : 's'} late
             </span>
           )}
+          {policyDescription && (
+            <span className="text-xs opacity-75">{policyDescription}</span>
+          )}
         </div>
       ) : (
         <>
           {showAmount && <span>₹{penaltyAmount}</span>}
           {showDays && penaltyDays > 0 && (
-            <span className="ml-1">({Math.ceil(penaltyDays / 30)}m)</span>
+            <span className="ml-1">({penaltyDays}d)</span>
           )}
         </>
       )}
@@ -74,9 +127,10 @@ export const BillTotalWithPenalty = ({
   showBreakdown = false,
   className = '' 
 }) => {
-  const originalAmount = bill?.totalAmount || 0;
-  const penaltyAmount = bill?.penalty?.amount || 0;
-  const totalWithPenalty = originalAmount + penaltyAmount;
+  // totalAmount already includes any stored penalty, so start from the base amount
+  const penaltyAmount = getPenaltyAmount(bill);
+  const originalAmount = bill?.baseAmount ?? ((bill?.totalAmount || 0) - (bill?.penalty?.amount || 0));
+  const totalWithPenalty = bill?.totalWithLateFee ?? originalAmount + penaltyAmount;
 
   return (
     <div className={`bill-total-with-penalty ${className}`}>
@@ -118,7 +172,7 @@ export const BillStatusWithPenalty = ({
   bill, 
   className = '' 
 }) => {
-  const penaltyAmount = bill?.penalty?.amount || 0;
+  const penaltyAmount = getPenaltyAmount(bill);
   const status = bill?.status || 'pending';
   
   const getStatusConfig = () => {
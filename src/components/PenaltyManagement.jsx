@@ -1,13 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 
 const PenaltyManagement = ({ token, apiBase = '' }) => {
   const [penalties, setPenalties] = useState([]);
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [settings, setSettings] = useState(null);
 
   // Fetch penalty statistics
-  const fetchPenaltyStats = async () => {
+  const fetchPenaltyStats = useCallback(async () => {
     try {
       const response = await fetch(`${apiBase}/api/penalties/statistics`, {
         headers: {
@@ -24,7 +25,26 @@ const PenaltyManagement = ({ token, apiBase = '' }) => {
     } catch (error) {
       console.error('Error fetching penalty stats:', error);
     }
-  };
+  }, [apiBase, token]);
+
+  // Fetch the late fee policy
+  const fetchPenaltySettings = useCallback(async () => {
+    try {
+      const response = await fetch(`${apiBase}/api/penalties/settings`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setSettings(data.settings);
+      }
+    } catch (error) {
+      console.error('Error fetching penalty settings:', error);
+    }
+  }, [apiBase, token]);
 
   // Apply monthly penalties manually
   const applyMonthlyPenalties = async () => {
@@ -83,8 +103,9 @@ const PenaltyManagement = ({ token, apiBase = '' }) => {
   useEffect(() => {
     if (token) {
       fetchPenaltyStats();
+      fetchPenaltySettings();
     }
-  }, [token]);
+  }, [token, fetchPenaltyStats, fetchPenaltySettings]);
 
   return (
     <div className="penalty-management p-6 bg-white dark:bg-gray-800 rounded-lg shadow-lg">
@@ -253,13 +274,13 @@ const PenaltyManagement = ({ token, apiBase = '' }) => {
         </h4>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600 dark:text-gray-300">
           <div>
-            <strong>Rate:</strong> ₹50 per month
+            <strong>Rate:</strong> {settings ? settings.penaltyType : 'Loading...'}
           </div>
           <div>
-            <strong>Application Day:</strong> 10th of every month
+            <strong>Grace Period:</strong> {settings ? `${settings.gracePeriodDays} day(s)` : '-'}
           </div>
           <div>
-            <strong>Auto-Application:</strong> Enabled
+            <strong>Auto-Application:</strong> {settings?.enabled === false ? 'Disabled' : 'Enabled'}
           </div>
         </div>
       </div>
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, FileText, Plus } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../utils/api';
+import './TenantLedger.css';
+
+const ENTRY_TYPES = [
+  { value: 'adjustment', label: 'Adjustment' },
+  { value: 'deposit_receipt', label: 'Deposit received' },
+  { value: 'deposit_deduction', label: 'Deduct dues from deposit' },
+  { value: 'deposit_refund', label: 'Deposit refunded' },
+  { value: 'refund', label: 'Refund to tenant' }
+];
+
+const emptyEntry = { type: 'adjustment', direction: 'credit', amount: '', description: '', date: '' };
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+// Running account statement. Pass tenantId for the owner view; without it the
+// logged-in tenant's own statement is shown.
+const TenantLedger = ({ tenantId }) => {
+  const [statement, setStatement] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  // The range the statement on screen was fetched for; 'Show' applies `range`
+  const [shownRange, setShownRange] = useState(range);
+  const [loading, setLoading] = useState(false);
+  const [entryForm, setEntryForm] = useState(emptyEntry);
+  const [showEntryForm, setShowEntryForm] = useState(false);
+
+  const basePath = tenantId ? `/ledger/tenants/${tenantId}` : '/ledger/me';
+
+  const buildQuery = (period, format) => {
+    const params = new URLSearchParams();
+    if (period.from) params.append('from', period.from);
+    if (period.to) params.append('to', period.to);
+    if (format) params.append('format', format);
+    return params.toString();
+  };
+
+  const fetchStatement = useCallback(async () => {
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}${basePath}?${buildQuery(shownRange)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setStatement(data.statement);
+      } else {
+        toast.error(data.message || 'Failed to load statement');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching statement:', error);
+      toast.error('Failed to load statement');
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath, shownRange]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  const downloadStatement = async (format) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}${basePath}?${buildQuery(range, format)}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to download statement');
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Statement_${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error downloading statement:', error);
+      toast.error('Failed to download statement');
+    }
+  };
+
+  const submitEntry = async (e) => {
+    e.preventDefault();
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}${basePath}/entries`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          ...entryForm,
+          date: entryForm.date || undefined
+        })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success('Ledger entry recorded');
+        setEntryForm(emptyEntry);
+        setShowEntryForm(false);
+        fetchStatement();
+      } else {
+        toast.error(data.message || 'Failed to record entry');
+      }
+    } catch (error) {
+      console.error('❌ Error recording ledger entry:', error);
+      toast.error('Failed to record entry');
+    }
+  };
+
+  const closing = statement?.closingBalance || 0;
+
+  return (
+    <div className="tenant-ledger">
+      <div className="ledger-toolbar">
+        <label>
+          From
+          <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+        </label>
+        <label>
+          To
+          <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+        </label>
+        <button className="btn btn-primary btn-sm" onClick={() => setShownRange({ ...range })} disabled={loading}>
+          {loading ? 'Loading...' : 'Show'}
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={() => downloadStatement('pdf')}>
+          <FileText size={14} /> PDF
+        </button>
+        <button className="btn btn-secondary btn-sm" onClick={() => downloadStatement('xlsx')}>
+          <Download size={14} /> Excel
+        </button>
+        {tenantId && (
+          <button className="btn btn-success btn-sm" onClick={() => setShowEntryForm(!showEntryForm)}>
+            <Plus size={14} /> Entry
+          </button>
+        )}
+      </div>
+
+      {showEntryForm && (
+        <form className="ledger-entry-form" onSubmit={submitEntry}>
+          <select value={entryForm.type} onChange={(e) => setEntryForm({ ...entryForm, type: e.target.value })}>
+            {ENTRY_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          {entryForm.type === 'adjustment' && (
+            <select value={entryForm.direction} onChange={(e) => setEntryForm({ ...entryForm, direction: e.target.value })}>
+              <option value="credit">Credit (reduce balance)</option>
+              <option value="debit">Debit (add charge)</option>
+            </select>
+          )}
+          <input
+            type="number"
+            min="0"
+            placeholder="Amount"
+            value={entryForm.amount}
+            onChange={(e) => setEntryForm({ ...entryForm, amount: e.target.value })}
+            required
+          />
+          <input
+            type="text"
+            placeholder="Description"
+            value={entryForm.description}
+            onChange={(e) => setEntryForm({ ...entryForm, description: e.target.value })}
+          />
+          <input
+            type="date"
+            value={entryForm.date}
+            onChange={(e) => setEntryForm({ ...entryForm, date: e.target.value })}
+          />
+          <button type="submit" className="btn btn-primary btn-sm">Save</button>
+        </form>
+      )}
+
+      {statement && (
+        <>
+          <div className="ledger-summary">
+            <div><span>Opening</span><strong>{formatAmount(statement.openingBalance)}</strong></div>
+            <div><span>Charges</span><strong>{formatAmount(statement.totals.debit)}</strong></div>
+            <div><span>Payments & Credits</span><strong>{formatAmount(statement.totals.credit)}</strong></div>
+            <div className={closing > 0 ? 'due' : 'settled'}>
+              <span>{closing > 0 ? 'Balance Due' : closing < 0 ? 'In Credit' : 'Settled'}</span>
+              <strong>{formatAmount(Math.abs(closing))}</strong>
+            </div>
+            <div><span>Deposit Held</span><strong>{formatAmount(statement.depositHeld)}</strong></div>
+          </div>
+
+          <div className="ledger-table">
+            <div className="ledger-row ledger-head">
+              <span>Date</span>
+              <span>Description</span>
+              <span>Debit</span>
+              <span>Credit</span>
+              <span>Balance</span>
+            </div>
+            {statement.entries.length === 0 ? (
+              <div className="ledger-empty">No transactions in this period</div>
+            ) : (
+              statement.entries.map((entry, index) => (
+                <div key={index} className={`ledger-row ${entry.type} ${entry.account}`}>
+                  <span>{new Date(entry.date).toLocaleDateString('en-IN')}</span>
+                  <span>
+                    {entry.description}
+                    <small>{entry.typeLabel}{entry.reference ? ` • ${entry.reference}` : ''}{entry.account === 'deposit' ? ' • Deposit' : ''}</small>
+                  </span>
+                  <span>{entry.debit ? formatAmount(entry.debit) : ''}</span>
+                  <span>{entry.credit ? formatAmount(entry.credit) : ''}</span>
+                  <span>{entry.account === 'deposit' ? '-' : formatAmount(entry.balance)}</span>
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TenantLedger;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Smartphone, Copy, Send } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../utils/api';
+import './UpiPayPanel.css';
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+// Pay a bill straight to the owner's UPI ID: a QR code to scan, a link that
+// opens the UPI app on phones, and a form to report the UTR afterwards so the
+// payment goes to the owner for verification. Call onRecorded to refresh bills.
+const UpiPayPanel = ({ bill, onRecorded }) => {
+  const [upi, setUpi] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [utr, setUtr] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadUpi = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/upi/${bill._id}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success && data.upi) {
+        setUpi(data.upi);
+        setOpen(true);
+      } else {
+        toast.error(data.message || 'UPI payment is not available');
+      }
+    } catch (error) {
+      console.error('❌ Error loading UPI details:', error);
+      toast.error('Failed to load UPI details');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyReference = async () => {
+    try {
+      await navigator.clipboard.writeText(upi.reference);
+      toast.success('Reference copied');
+    } catch {
+      toast.error('Could not copy the reference');
+    }
+  };
+
+  const recordPayment = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/record`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          billId: bill._id,
+          amount: upi.amount,
+          paymentMethod: 'upi',
+          transactionId: utr.trim(),
+          notes: `UPI reference ${upi.reference}`
+        })
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        toast.success('Payment sent to the owner for verification');
+        setOpen(false);
+        setUtr('');
+        if (onRecorded) onRecorded();
+      } else {
+        toast.error(data.message || 'Failed to record payment');
+      }
+    } catch (error) {
+      console.error('❌ Error recording UPI payment:', error);
+      toast.error('Failed to record payment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="upi-pay">
+      <button type="button" className="upi-pay-toggle" onClick={loadUpi} disabled={loading}>
+        <Smartphone size={16} />
+        {loading ? 'Loading...' : open ? 'Hide UPI QR' : 'Pay by UPI QR'}
+      </button>
+
+      {open && upi && (
+        <div className="upi-pay-panel">
+          <img src={upi.qrCode} alt={`UPI QR code for ${formatAmount(upi.amount)}`} />
+          <div className="upi-pay-details">
+            <strong>{formatAmount(upi.amount)}</strong>
+            <span>{upi.payeeName} • {upi.upiId}</span>
+            <span className="upi-pay-reference">
+              Reference: <code>{upi.reference}</code>
+              <button type="button" onClick={copyReference} title="Copy reference">
+                <Copy size={14} />
+              </button>
+            </span>
+            <small>Keep this reference in the payment note so your payment is matched to this bill.</small>
+            <a className="upi-pay-link" href={upi.intentUrl}>
+              Open UPI app
+            </a>
+
+            <form onSubmit={recordPayment} className="upi-pay-record">
+              <input
+                type="text"
+                placeholder="UTR / transaction ID after paying"
+                value={utr}
+                onChange={(e) => setUtr(e.target.value)}
+                required
+              />
+              <button type="submit" disabled={submitting || !utr.trim()}>
+                <Send size={14} />
+                {submitting ? 'Sending...' : "I've paid"}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpiPayPanel;
@@ -18,6 +18,7 @@ import {
   Bell
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
+import { getFileUrl } from '../../utils/api';
 import './AdminDashboard.css';
 import '../Modal.css';
 
@@ -500,7 +501,7 @@ body: JSON.stringify({
             <div className="tenant-header">
               <div className="tenant-avatar">
                 {tenant.profilePhoto ? (
-                  <img src={tenant.profilePhoto} alt={tenant.name} />
+                  <img src={getFileUrl(tenant.profilePhoto)} alt={tenant.name} />
                 ) : (
                   <Users size={24} />
                 )}
@@ -1218,7 +1219,7 @@ body: JSON.stringify({
                   <div className="profile-header">
                     <div className="profile-avatar">
                       {selectedTenant.profilePhoto ? (
-                        <img src={selectedTenant.profilePhoto} alt={selectedTenant.name} />
+                        <img src={getFileUrl(selectedTenant.profilePhoto)} alt={selectedTenant.name} />
                       ) : (
                         <Users size={48} />
                       )}
@@ -1295,13 +1296,16 @@ body: JSON.stringify({
                   
                   {selectedTenant.profileData?.documents && Object.keys(selectedTenant.profileData.documents).length > 0 ? (
                     <div className="documents-grid">
-                      {Object.entries(selectedTenant.profileData.documents).map(([docType, docData]) => (
-                        docData && docData.fileData && (
+                      {Object.entries(selectedTenant.profileData.documents).map(([docType, docData]) => {
+                        // Stored documents carry a signed URL in data; older ones inline fileData
+                        const fileUrl = getFileUrl(docData?.data || docData?.fileData);
+                        const fileType = docData?.type || (fileUrl?.startsWith('data:') ? fileUrl.slice(5, fileUrl.indexOf(';')) : '');
+                        return fileUrl && (
                           <div key={docType} className="document-card">
                             <div className="document-preview">
-                              {docData.fileData.startsWith('data:image') ? (
-                                <img src={docData.fileData} alt={docType} />
-                              ) : docData.fileData.startsWith('data:application/pdf') ? (
+                              {fileType.startsWith('image') ? (
+                                <img src={getFileUrl(docData.thumbnail) || fileUrl} alt={docType} />
+                              ) : fileType === 'application/pdf' ? (
                                 <div className="pdf-preview">
                                   <svg viewBox="0 0 24 24" width="48" height="48" fill="#e74c3c">
                                     <path d="M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18.5,9L13,3.5V9H18.5Z" />
@@ -1319,21 +1323,21 @@ body: JSON.stringify({
                             </div>
                             <div className="document-info">
                               <h4>{docType.replace(/([A-Z])/g, ' $1').trim()}</h4>
-                              <p className="doc-filename">{docData.fileName || 'Document'}</p>
-                              {docData.fileSize && (
-                                <p className="doc-size">{(docData.fileSize / 1024).toFixed(2)} KB</p>
+                              <p className="doc-filename">{docData.fileName || docData.name || 'Document'}</p>
+                              {(docData.fileSize || docData.size) && (
+                                <p className="doc-size">{((docData.fileSize || docData.size) / 1024).toFixed(2)} KB</p>
                               )}
                               <div className="document-actions">
                                 <a 
-                                  href={docData.fileData} 
-                                  download={docData.fileName || `${docType}.pdf`}
+                                  href={fileUrl} 
+                                  download={docData.fileName || docData.name || `${docType}.pdf`}
                                   className="btn-download"
                                 >
                                   <Download size={16} />
                                   Download
                                 </a>
                                 <a 
-                                  href={docData.fileData} 
+                                  href={fileUrl} 
                                   target="_blank" 
                                   rel="noopener noreferrer"
                                   className="btn-view"
@@ -1343,8 +1347,8 @@ body: JSON.stringify({
                               </div>
                             </div>
                           </div>
-                        )
-                      ))}
+                        );
+                      })}
                     </div>
                   ) : (
                     <div className="no-documents">
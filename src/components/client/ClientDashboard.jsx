@@ -16,15 +16,49 @@ import {
   Mail,
   FileText,
   Wallet,
-  History
+  History,
+  Wrench,
+  BookOpen,
+  FileSignature
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import { useRealTimeNotifications } from '../../context/RealTimeNotificationContext';
-import { getApiUrl } from '../../utils/api';
+import { getApiUrl, getFileUrl } from '../../utils/api';
 import SlidingNavbar from '../SlidingNavbar';
 import Modal from '../Modal';
+import TenantIssues from './TenantIssues';
+import TenantPayments from './TenantPayments';
+import TenantAutoPay from './TenantAutoPay';
+import TenantLease from './TenantLease';
+import TenantOnboarding from './TenantOnboarding';
+import TenantLedger from '../TenantLedger';
+import UpiPayPanel from '../UpiPayPanel';
 import './ClientDashboard.css';
 
+// Outstanding balance after any partial payments (includes the current late fee)
+const getAmountDue = (bill) => bill.remainingAmount ?? bill.totalWithLateFee ?? bill.totalAmount ?? 0;
+
+const PAYABLE_STATUSES = ['pending', 'overdue', 'partially_paid'];
+
+// Bills that still need action from the tenant (cancelled bills are kept for the record only)
+const isOpenBill = (bill) => !['paid', 'cancelled'].includes(bill.status);
+
+// One line per recorded void, credit note or revision
+const describeAmendment = (amendment) => {
+  switch (amendment.type) {
+    case 'voided':
+      return `Cancelled: ${amendment.reason}`;
+    case 'credit_note':
+      return `Credit note ₹${(amendment.amount || 0).toLocaleString()}: ${amendment.reason}`;
+    case 'revised':
+      return `Replaced by ${amendment.relatedBillNumber}: ${amendment.reason}`;
+    case 'revision_of':
+      return `Revises ${amendment.relatedBillNumber}: ${amendment.reason}`;
+    default:
+      return amendment.reason;
+  }
+};
+
 const ClientDashboard = ({ user, onLogout }) => {
   const [activeTab, setActiveTab] = useState('dashboard');
   const [tenantData, setTenantData] = useState(null);
@@ -134,7 +168,8 @@ const ClientDashboard = ({ user, onLogout }) => {
           )
         );
         
-        const fileName = `Invoice_${bill.billNumber}.pdf`;
+        // Bill numbers contain slashes (BCR/2026-27/0001), which are not allowed in file names
+        const fileName = `Invoice_${bill.billNumber.replace(/\//g, '-')}.pdf`;
         
         await window.Capacitor.Plugins.Filesystem.writeFile({
           path: fileName,
@@ -148,7 +183,7 @@ const ClientDashboard = ({ user, onLogout }) => {
         const blobUrl = window.URL.createObjectURL(blob);
         const link = document.createElement('a');
         link.href = blobUrl;
-        link.download = `Invoice_${bill.billNumber}.pdf`;
+        link.download = `Invoice_${bill.billNumber.replace(/\//g, '-')}.pdf`;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
@@ -187,8 +222,8 @@ const ClientDashboard = ({ user, onLogout }) => {
       
       if (paymentMethod === 'razorpay') {
         // Create Razorpay order
-        // bill.totalAmount already includes penalty, so use totalAmount directly
-        const safeAmount = Math.round(bill.totalAmount || 0);
+        // Server recomputes the amount due; this is only used as a sanity check
+        const safeAmount = Math.round(getAmountDue(bill));
         const orderResponse = await fetch(`${getApiUrl()}/payments/create-order`, {
           method: 'POST',
           headers: {
@@ -301,7 +336,7 @@ const ClientDashboard = ({ user, onLogout }) => {
         }
       } else if (paymentMethod === 'upi') {
         // UPI-only flow via Razorpay Checkout (with QR enabled)
-        const safeAmount = Math.round((bill.totalAmount || 0) + (bill.penalty?.amount || 0));
+        const safeAmount = Math.round(getAmountDue(bill));
         const orderResponse = await fetch(`${getApiUrl()}/payments/create-order`, {
           method: 'POST',
           headers: {
@@ -401,7 +436,7 @@ const ClientDashboard = ({ user, onLogout }) => {
           },
           body: JSON.stringify({
             billId: bill._id,
-            amount: Math.round((bill.totalAmount || 0) + (bill.penalty?.amount || 0)),
+            amount: Math.round(getAmountDue(bill)),
             paymentMethod: paymentMethod
           })
         });
@@ -510,11 +545,9 @@ const ClientDashboard = ({ user, onLogout }) => {
 
   // Dashboard Overview
   const DashboardOverview = () => {
-    const currentBills = bills.filter(bill => 
-      bill.status === 'pending' || bill.status === 'overdue'
-    );
+    const currentBills = bills.filter(bill => PAYABLE_STATUSES.includes(bill.status));
         const totalDue = currentBills.reduce((sum, bill) => 
-      sum + (bill.totalWithLateFee || bill.totalAmount), 0
+      sum + getAmountDue(bill), 0
     );
 
     return (
@@ -523,7 +556,7 @@ const ClientDashboard = ({ user, onLogout }) => {
           <div className="user-info">
             <div className="user-avatar">
               {tenantData?.profilePhoto ? (
-                <img src={tenantData.profilePhoto} alt={tenantData.name} />
+                <img src={getFileUrl(tenantData.profilePhoto)} alt={tenantData.name} />
               ) : (
                 <User size={32} />
               )}
@@ -665,7 +698,7 @@ const ClientDashboard = ({ user, onLogout }) => {
                   )}
                 </div>
                 <div className="bill-actions">
-                  {bill.status !== 'paid' && (
+                  {isOpenBill(bill) && (
                     <button 
                       className="pay-btn"
                       onClick={() => setModalState({ 
@@ -794,8 +827,10 @@ const ClientDashboard = ({ user, onLogout }) => {
               <FileText size={16} />
               <div>
                 <span className="info-label">Agreement Status</span>
-                <span className={`info-value ${tenantData?.documents?.agreement?.signed ? 'signed' : 'pending'}`}>
-                  {tenantData?.documents?.agreement?.signed ? 'Signed' : 'Pending'}
+                <span className={`info-value ${tenantData?.currentLease?.status === 'signed' ? 'signed' : 'pending'}`}>
+                  {tenantData?.currentLease?.status === 'signed'
+                    ? `Signed until ${new Date(tenantData.currentLease.endDate).toLocaleDateString()}`
+                    : tenantData?.currentLease?.status === 'expired' ? 'Expired' : 'Pending'}
                 </span>
               </div>
             </div>
@@ -827,9 +862,7 @@ const ClientDashboard = ({ user, onLogout }) => {
   const PayBills = () => {
     console.log('📄 PayBills component rendering with bills:', bills);
     
-    const pendingBills = bills.filter(bill => 
-      bill.status === 'pending' || bill.status === 'overdue'
-    );
+    const pendingBills = bills.filter(bill => PAYABLE_STATUSES.includes(bill.status));
     
     console.log('⚡ Pending bills:', pendingBills.length, pendingBills);
 
@@ -840,8 +873,11 @@ const ClientDashboard = ({ user, onLogout }) => {
           <div className="bills-summary">
           {pendingBills.length} pending bill{pendingBills.length !== 1 ? 's' : ''} • 
             Total: ₹{pendingBills.reduce((sum, bill) => 
-              sum + (bill.totalWithLateFee || bill.totalAmount), 0
+              sum + getAmountDue(bill), 0
             ).toLocaleString()}
+            {tenantData?.creditBalance > 0 && (
+              <> • Credit: ₹{tenantData.creditBalance.toLocaleString()}</>
+            )}
           </div>
         </div>
 
@@ -898,7 +934,21 @@ const ClientDashboard = ({ user, onLogout }) => {
                         <span>Electricity Bill</span>
                         <div className="utility-details">
                           <small>Units: {bill.items.electricity.unitsConsumed || 0} ({bill.items.electricity.meterStartReading || 0} - {bill.items.electricity.meterEndReading || 0})</small>
-                          <small>Rate: ₹{bill.items.electricity.chargesPerUnit || 0}/unit</small>
+                          {bill.items.electricity.slabs?.length > 0 ? (
+                            <>
+                              <small>Tariff: {bill.items.electricity.tariffPlan}</small>
+                              {bill.items.electricity.slabs.map((slab, index) => (
+                                <small key={index}>
+                                  {slab.to != null ? `${slab.from}-${slab.to}` : `Above ${slab.from}`} units: {slab.units} × ₹{slab.rate} = ₹{slab.amount.toLocaleString()}
+                                </small>
+                              ))}
+                              {bill.items.electricity.fixedCharge > 0 && <small>Fixed charge: ₹{bill.items.electricity.fixedCharge}</small>}
+                              {bill.items.electricity.minimumChargeAdjustment > 0 && <small>Minimum charge adjustment: ₹{bill.items.electricity.minimumChargeAdjustment}</small>}
+                              {bill.items.electricity.tax > 0 && <small>Tax ({bill.items.electricity.taxPercent}%): ₹{bill.items.electricity.tax}</small>}
+                            </>
+                          ) : (
+                            <small>Rate: ₹{bill.items.electricity.chargesPerUnit || 0}/unit</small>
+                          )}
                         </div>
                       </div>
                       <span>₹{bill.items.electricity.amount.toLocaleString()}</span>
@@ -951,6 +1001,19 @@ const ClientDashboard = ({ user, onLogout }) => {
                     <span>Total Amount</span>
                     <span>₹{(bill.totalWithLateFee || bill.totalAmount).toLocaleString()}</span>
                   </div>
+
+                  {bill.paidAmount > 0 && (
+                    <>
+                      <div className="breakdown-item">
+                        <span>Paid So Far</span>
+                        <span>- ₹{bill.paidAmount.toLocaleString()}</span>
+                      </div>
+                      <div className="breakdown-total">
+                        <span>Balance Due</span>
+                        <span>₹{getAmountDue(bill).toLocaleString()}</span>
+                      </div>
+                    </>
+                  )}
                 </div>
 
                 <div className="bill-dates">
@@ -976,7 +1039,7 @@ const ClientDashboard = ({ user, onLogout }) => {
                     })}
                   >
                     <CreditCard size={16} />
-                    Pay ₹{(bill.totalWithLateFee || bill.totalAmount).toLocaleString()}
+                    Pay ₹{getAmountDue(bill).toLocaleString()}
                   </button>
                   <button 
                     className="download-invoice-btn"
@@ -986,6 +1049,8 @@ const ClientDashboard = ({ user, onLogout }) => {
                     Download Invoice
                   </button>
                 </div>
+
+                <UpiPayPanel bill={bill} onRecorded={fetchDashboardData} />
               </div>
             ))}
           </div>
@@ -1002,7 +1067,7 @@ const ClientDashboard = ({ user, onLogout }) => {
         <div className="bills-stats">
           Total Bills: {bills.length} • 
           Paid: {bills.filter(b => b.status === 'paid').length} • 
-          Pending: {bills.filter(b => b.status !== 'paid').length}
+          Pending: {bills.filter(isOpenBill).length}
         </div>
       </div>
 
@@ -1022,6 +1087,11 @@ const ClientDashboard = ({ user, onLogout }) => {
               <div className="td bill-number">
                 <Receipt size={16} />
                 {bill.billNumber}
+                {(bill.amendments || []).map(amendment => (
+                  <small key={amendment._id} className="amendment-note">
+                    {describeAmendment(amendment)}
+                  </small>
+                ))}
               </div>
               <div className="td">
                 {new Date(bill.year, bill.month - 1).toLocaleDateString('en-US', { 
@@ -1075,7 +1145,7 @@ const ClientDashboard = ({ user, onLogout }) => {
                 >
                   <Eye size={14} />
                 </button>
-                {bill.status !== 'paid' && (
+                {isOpenBill(bill) && (
                   <button 
                     className="action-btn pay"
                     onClick={() => setModalState({ 
@@ -1102,7 +1172,7 @@ const ClientDashboard = ({ user, onLogout }) => {
       <div className="payment-header">
         <h3>Pay Bill - {bill.billNumber}</h3>
         <div className="payment-amount">
-          Total: ₹{(bill.totalWithLateFee || bill.totalAmount).toLocaleString()}
+          {bill.paidAmount > 0 ? 'Balance Due' : 'Total'}: ₹{getAmountDue(bill).toLocaleString()}
         </div>
       </div>
 
@@ -1152,9 +1222,15 @@ const ClientDashboard = ({ user, onLogout }) => {
             <span>₹{(bill.lateFee || bill.penalty?.amount || 0).toLocaleString()}</span>
           </div>
         )}
+        {bill.paidAmount > 0 && (
+          <div className="summary-item">
+            <span>Paid So Far:</span>
+            <span>- ₹{bill.paidAmount.toLocaleString()}</span>
+          </div>
+        )}
         <div className="summary-total">
-          <span>Total Amount:</span>
-          <span>₹{(bill.totalWithLateFee || bill.totalAmount).toLocaleString()}</span>
+          <span>Amount Due:</span>
+          <span>₹{getAmountDue(bill).toLocaleString()}</span>
         </div>
       </div>
     </div>
@@ -1169,6 +1245,24 @@ const ClientDashboard = ({ user, onLogout }) => {
     );
   }
 
+  // Invited tenants finish onboarding before the dashboard opens
+  const onboardingStatus = tenantData?.onboarding?.status;
+  if (tenantData?.status === 'pending' && onboardingStatus && onboardingStatus !== 'completed') {
+    return (
+      <div className={`client-dashboard ${isDarkTheme ? 'dark' : ''}`}>
+        <SlidingNavbar 
+          user={user}
+          onLogout={onLogout} 
+          onThemeToggle={() => setIsDarkTheme(!isDarkTheme)}
+          isDarkTheme={isDarkTheme}
+        />
+        <div className="main-content">
+          <TenantOnboarding onActivated={fetchDashboardData} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={`client-dashboard ${isDarkTheme ? 'dark' : ''}`}>
       <SlidingNavbar 
@@ -1200,9 +1294,9 @@ const ClientDashboard = ({ user, onLogout }) => {
           >
             <CreditCard size={20} />
             Pay Bills
-            {bills.filter(b => b.status !== 'paid').length > 0 && (
+            {bills.filter(isOpenBill).length > 0 && (
               <span className="tab-badge">
-                {bills.filter(b => b.status !== 'paid').length}
+                {bills.filter(isOpenBill).length}
               </span>
             )}
           </button>
@@ -1213,6 +1307,34 @@ const ClientDashboard = ({ user, onLogout }) => {
             <History size={20} />
             Previous Bills
           </button>
+          <button 
+            className={activeTab === 'payments' ? 'active' : ''}
+            onClick={() => setActiveTab('payments')}
+          >
+            <Receipt size={20} />
+            Payments
+          </button>
+          <button 
+            className={activeTab === 'issues' ? 'active' : ''}
+            onClick={() => setActiveTab('issues')}
+          >
+            <Wrench size={20} />
+            Issues
+          </button>
+          <button 
+            className={activeTab === 'statement' ? 'active' : ''}
+            onClick={() => setActiveTab('statement')}
+          >
+            <BookOpen size={20} />
+            Statement
+          </button>
+          <button 
+            className={activeTab === 'lease' ? 'active' : ''}
+            onClick={() => setActiveTab('lease')}
+          >
+            <FileSignature size={20} />
+            Lease
+          </button>
         </div>
 
         <div className="tab-content">
@@ -1220,6 +1342,32 @@ const ClientDashboard = ({ user, onLogout }) => {
           {activeTab === 'balance' && <ViewBalance />}
           {activeTab === 'bills' && <PayBills />}
           {activeTab === 'history' && <PreviousBills />}
+          {activeTab === 'payments' && (
+            <div className="previous-bills">
+              <div className="bills-header">
+                <h2>Payments & Receipts</h2>
+              </div>
+              <TenantAutoPay />
+              <TenantPayments />
+            </div>
+          )}
+          {activeTab === 'issues' && <TenantIssues user={user} />}
+          {activeTab === 'statement' && (
+            <div className="previous-bills">
+              <div className="bills-header">
+                <h2>Account Statement</h2>
+              </div>
+              <TenantLedger />
+            </div>
+          )}
+          {activeTab === 'lease' && (
+            <div className="previous-bills">
+              <div className="bills-header">
+                <h2>Lease Agreement</h2>
+              </div>
+              <TenantLease />
+            </div>
+          )}
         </div>
       </div>
 
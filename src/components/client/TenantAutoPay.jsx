@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, XCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../../utils/api';
+
+const METHOD_LABELS = {
+  upi: 'UPI Autopay',
+  emandate: 'Bank e-mandate (net banking)',
+  card: 'Debit / credit card'
+};
+
+const STATUS_LABELS = {
+  pending_authorization: 'Waiting for authorisation',
+  active: 'On',
+  paused: 'Paused',
+  cancelled: 'Off',
+  rejected: 'Rejected by bank'
+};
+
+const CHARGE_LABELS = {
+  processing: 'Processing',
+  retry_scheduled: 'Failed, will retry',
+  succeeded: 'Paid',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const CHECKOUT_SRC = 'https://checkout.razorpay.com/v1/checkout.js';
+
+const loadCheckout = () => new Promise((resolve, reject) => {
+  if (window.Razorpay) return resolve();
+  const script = document.createElement('script');
+  script.src = CHECKOUT_SRC;
+  script.onload = () => resolve();
+  script.onerror = () => reject(new Error('Failed to load Razorpay script'));
+  document.body.appendChild(script);
+});
+
+// Opt-in auto-pay: authorise a Razorpay mandate once and new bills are
+// charged automatically before they fall due
+const TenantAutoPay = () => {
+  const [mandate, setMandate] = useState(null);
+  const [charges, setCharges] = useState([]);
+  const [maxAmountLimit, setMaxAmountLimit] = useState(100000);
+  const [form, setForm] = useState({ method: 'upi', maxAmount: '' });
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const fetchAutoPay = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/autopay/me`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setMandate(data.mandate);
+        setCharges(data.charges || []);
+        setMaxAmountLimit(data.maxAmountLimit);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching auto-pay:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAutoPay();
+
+    const handleUpdate = () => fetchAutoPay();
+    window.addEventListener('autoPayUpdated', handleUpdate);
+    return () => window.removeEventListener('autoPayUpdated', handleUpdate);
+  }, [fetchAutoPay]);
+
+  const postJson = async (path, body) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${getApiUrl()}/autopay/${path}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body || {})
+    });
+    return response.json();
+  };
+
+  const enroll = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const data = await postJson('authorize', { method: form.method, maxAmount: Number(form.maxAmount) });
+      if (!data.success) {
+        toast.error(data.message || 'Failed to start auto-pay setup');
+        setBusy(false);
+        return;
+      }
+
+      await loadCheckout();
+      const { checkout } = data;
+      const rzp = new window.Razorpay({
+        key: import.meta.env.VITE_RAZORPAY_KEY_ID || 'rzp_test_RQT7cZB747ePSF',
+        order_id: checkout.orderId,
+        customer_id: checkout.customerId,
+        recurring: '1',
+        name: 'Bhuyan Complex',
+        description: 'Auto-pay authorisation',
+        prefill: checkout.prefill,
+        theme: { color: '#667eea' },
+        handler: async (response) => {
+          try {
+            const result = await postJson('confirm', response);
+            if (result.success) {
+              toast.success(result.message);
+            } else {
+              toast.error(result.message || 'Failed to confirm auto-pay');
+            }
+          } catch (error) {
+            console.error('❌ Error confirming auto-pay:', error);
+            toast.error('Failed to confirm auto-pay');
+          } finally {
+            setBusy(false);
+            fetchAutoPay();
+          }
+        },
+        modal: {
+          ondismiss: () => {
+            setBusy(false);
+            fetchAutoPay();
+          }
+        }
+      });
+      rzp.open();
+    } catch (error) {
+      console.error('❌ Error setting up auto-pay:', error);
+      toast.error('Failed to set up auto-pay');
+      setBusy(false);
+    }
+  };
+
+  const cancel = async () => {
+    if (!window.confirm('Turn off auto-pay? You will need to pay new bills yourself.')) return;
+    try {
+      setBusy(true);
+      const data = await postJson('cancel');
+      if (data.success) {
+        toast.success(data.message);
+        fetchAutoPay();
+      } else {
+        toast.error(data.message || 'Failed to turn off auto-pay');
+      }
+    } catch (error) {
+      console.error('❌ Error turning off auto-pay:', error);
+      toast.error('Failed to turn off auto-pay');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return null;
+
+  const enrolled = mandate && ['active', 'paused'].includes(mandate.status);
+  const awaitingBank = mandate?.status === 'pending_authorization' && mandate.razorpayTokenId;
+
+  return (
+    <div className="tenant-autopay">
+      <div className="autopay-header">
+        <h3><Repeat size={20} /> Auto-pay</h3>
+        {mandate && (
+          <span className={`status-badge autopay-${mandate.status}`}>
+            {STATUS_LABELS[mandate.status] || mandate.status}
+          </span>
+        )}
+      </div>
+
+      {enrolled || awaitingBank ? (
+        <>
+          <p>
+            {METHOD_LABELS[mandate.method]} • bills up to {formatAmount(mandate.maxAmount)}
+            {mandate.authorizedAt && ` • since ${formatDate(mandate.authorizedAt)}`}
+          </p>
+          {mandate.statusReason && <small>{mandate.statusReason}</small>}
+          <button className="download-btn" onClick={cancel} disabled={busy}>
+            <XCircle size={16} />
+            Turn off auto-pay
+          </button>
+        </>
+      ) : (
+        <form onSubmit={enroll} className="autopay-form">
+          <p>
+            Authorise once and each new bill is charged automatically before it is due, so you never pay a late fee.
+            You are notified about every charge and can turn it off at any time.
+          </p>
+          {mandate?.statusReason && <small>Last mandate: {mandate.statusReason}</small>}
+          <div className="autopay-fields">
+            <select value={form.method} onChange={(e) => setForm({ ...form, method: e.target.value })}>
+              {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              max={maxAmountLimit}
+              placeholder="Limit per bill (₹)"
+              value={form.maxAmount}
+              onChange={(e) => setForm({ ...form, maxAmount: e.target.value })}
+              required
+            />
+            <button type="submit" className="pay-now-btn" disabled={busy}>
+              {busy ? 'Setting up...' : 'Set up auto-pay'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {charges.length > 0 && (
+        <ul className="autopay-charges">
+          {charges.map(charge => (
+            <li key={charge._id}>
+              {charge.bill?.billNumber || 'Bill'} • {formatAmount(charge.amount)} • {CHARGE_LABELS[charge.status] || charge.status}
+              {charge.status === 'retry_scheduled' && charge.nextAttemptAt && ` on ${formatDate(charge.nextAttemptAt)}`}
+              {['failed', 'retry_scheduled'].includes(charge.status) && charge.failureReason && ` (${charge.failureReason})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TenantAutoPay;
@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Wrench,
+  Send,
+  MessageSquare,
+  CheckCircle,
+  RotateCcw,
+  User
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../../utils/api';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+const CATEGORIES = ['general', 'plumbing', 'electrical', 'appliance', 'cleaning', 'security', 'structural', 'other'];
+
+const emptyForm = { title: '', description: '', category: 'general', priority: 'medium' };
+
+const TenantIssues = ({ user }) => {
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [expandedIssue, setExpandedIssue] = useState(null);
+  const [commentDrafts, setCommentDrafts] = useState({});
+
+  const fetchIssues = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/tenant/issues`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setIssues(data.issues || []);
+      } else {
+        toast.error(data.message || 'Failed to load issues');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching issues:', error);
+      toast.error('Failed to load issues');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchIssues();
+  }, []);
+
+  // Live updates when the owner changes an issue
+  useEffect(() => {
+    const handleIssueUpdated = async (e) => {
+      const update = e.detail;
+      if (!update?.issueId || String(update.tenantId) !== String(user.id)) return;
+
+      // The broadcast only names the issue; fetch it to show the change
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(`${getApiUrl()}/tenant/issues/${update.issueId}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!data.success) return;
+
+        setIssues(prev => {
+          const exists = prev.some(issue => issue._id === update.issueId);
+          if (!exists) return [data.issue, ...prev];
+          return prev.map(issue => issue._id === update.issueId ? data.issue : issue);
+        });
+
+        if (update.event === 'status_changed') {
+          toast.success(`Issue "${data.issue.title}" is now ${STATUS_LABELS[update.status] || update.status}`);
+        }
+      } catch (error) {
+        console.error('❌ Error refreshing issue:', error);
+      }
+    };
+
+    window.addEventListener('issueUpdated', handleIssueUpdated);
+    return () => window.removeEventListener('issueUpdated', handleIssueUpdated);
+  }, [user.id]);
+
+  const replaceIssue = (updated) => {
+    setIssues(prev => prev.map(issue => issue._id === updated._id ? updated : issue));
+  };
+
+  const submitIssue = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || !form.description.trim()) {
+      toast.error('Please enter a title and description');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/tenant/issues`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success('Issue reported successfully');
+        setForm(emptyForm);
+        setIssues(prev => prev.some(issue => issue._id === data.issue._id) ? prev : [data.issue, ...prev]);
+      } else {
+        toast.error(data.message || 'Failed to report issue');
+      }
+    } catch (error) {
+      console.error('❌ Error reporting issue:', error);
+      toast.error('Failed to report issue');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const addComment = async (issueId) => {
+    const message = (commentDrafts[issueId] || '').trim();
+    if (!message) return;
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/tenant/issues/${issueId}/comments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ message })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        replaceIssue(data.issue);
+        setCommentDrafts(prev => ({ ...prev, [issueId]: '' }));
+      } else {
+        toast.error(data.message || 'Failed to add comment');
+      }
+    } catch (error) {
+      console.error('❌ Error adding comment:', error);
+      toast.error('Failed to add comment');
+    }
+  };
+
+  const changeStatus = async (issueId, status) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/tenant/issues/${issueId}/status`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ status })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        replaceIssue(data.issue);
+        toast.success(status === 'closed' ? 'Issue closed' : 'Issue reopened');
+      } else {
+        toast.error(data.message || 'Failed to update issue');
+      }
+    } catch (error) {
+      console.error('❌ Error updating issue:', error);
+      toast.error('Failed to update issue');
+    }
+  };
+
+  const openCount = issues.filter(issue => issue.status !== 'closed').length;
+
+  return (
+    <div className="tenant-issues">
+      <div className="bills-header">
+        <h2>Maintenance Issues</h2>
+        <div className="bills-stats">
+          Total: {issues.length} • Open: {openCount}
+        </div>
+      </div>
+
+      <form className="issue-form" onSubmit={submitIssue}>
+        <h3><Wrench size={18} /> Report an Issue</h3>
+        <input
+          type="text"
+          placeholder="Short title (e.g. Leaking tap in bathroom)"
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+        />
+        <textarea
+          rows={3}
+          placeholder="Describe the problem"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+        />
+        <div className="issue-form-row">
+          <select
+            value={form.category}
+            onChange={(e) => setForm({ ...form, category: e.target.value })}
+          >
+            {CATEGORIES.map(category => (
+              <option key={category} value={category}>
+                {category.charAt(0).toUpperCase() + category.slice(1)}
+              </option>
+            ))}
+          </select>
+          <select
+            value={form.priority}
+            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+          >
+            <option value="low">Low</option>
+            <option value="medium">Medium</option>
+            <option value="high">High</option>
+            <option value="urgent">Urgent</option>
+          </select>
+          <button type="submit" className="pay-btn" disabled={submitting}>
+            <Send size={16} />
+            {submitting ? 'Submitting...' : 'Submit'}
+          </button>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="no-bills">Loading issues...</div>
+      ) : issues.length === 0 ? (
+        <div className="no-bills">
+          <CheckCircle size={48} color="#10b981" />
+          <h3>No issues reported</h3>
+        </div>
+      ) : (
+        <div className="issues-list">
+          {issues.map(issue => (
+            <div key={issue._id} className={`issue-card ${issue.status}`}>
+              <div
+                className="issue-card-header"
+                onClick={() => setExpandedIssue(expandedIssue === issue._id ? null : issue._id)}
+              >
+                <div>
+                  <h4>{issue.title}</h4>
+                  <small>
+                    {issue.category} • {issue.priority} priority • Reported {new Date(issue.createdAt).toLocaleDateString()}
+                  </small>
+                </div>
+                <span className={`status-badge issue-${issue.status}`}>
+                  {STATUS_LABELS[issue.status] || issue.status}
+                </span>
+              </div>
+
+              {expandedIssue === issue._id && (
+                <div className="issue-card-body">
+                  <p>{issue.description}</p>
+
+                  {issue.assignedTo?.name && (
+                    <div className="issue-assignee">
+                      <User size={14} />
+                      Assigned to {issue.assignedTo.name}
+                      {issue.assignedTo.role && ` (${issue.assignedTo.role})`}
+                      {issue.assignedTo.phone && ` • ${issue.assignedTo.phone}`}
+                    </div>
+                  )}
+
+                  <div className="issue-comments">
+                    {(issue.comments || []).map((comment, index) => (
+                      <div key={comment._id || index} className={`issue-comment ${comment.authorRole}`}>
+                        <strong>{comment.authorRole === 'owner' ? (comment.authorName || 'Management') : 'You'}</strong>
+                        <span>{comment.message}</span>
+                        <small>{new Date(comment.createdAt).toLocaleString()}</small>
+                      </div>
+                    ))}
+                  </div>
+
+                  {issue.status !== 'closed' && (
+                    <div className="issue-comment-input">
+                      <input
+                        type="text"
+                        placeholder="Add a comment"
+                        value={commentDrafts[issue._id] || ''}
+                        onChange={(e) => setCommentDrafts(prev => ({ ...prev, [issue._id]: e.target.value }))}
+                        onKeyDown={(e) => e.key === 'Enter' && addComment(issue._id)}
+                      />
+                      <button className="action-btn view" onClick={() => addComment(issue._id)} title="Send">
+                        <MessageSquare size={14} />
+                      </button>
+                    </div>
+                  )}
+
+                  {issue.status === 'resolved' && (
+                    <div className="issue-actions">
+                      <button className="pay-btn" onClick={() => changeStatus(issue._id, 'closed')}>
+                        <CheckCircle size={16} />
+                        Confirm Fixed
+                      </button>
+                      <button className="pay-btn secondary" onClick={() => changeStatus(issue._id, 'open')}>
+                        <RotateCcw size={16} />
+                        Reopen
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TenantIssues;
@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Download, FileSignature, Eraser } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../../utils/api';
+
+const STATUS_LABELS = {
+  pending_signature: 'Waiting for your signature',
+  signed: 'Signed',
+  expired: 'Expired',
+  renewed: 'Renewed'
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+// A canvas the tenant draws their signature on; reports a PNG data URL, or null when cleared
+const SignaturePad = ({ onChange }) => {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+
+  const pointFor = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvasRef.current.width / rect.width),
+      y: (e.clientY - rect.top) * (canvasRef.current.height / rect.height)
+    };
+  };
+
+  const start = (e) => {
+    e.preventDefault();
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.strokeStyle = '#111827';
+    context.beginPath();
+    context.moveTo(x, y);
+    drawing.current = true;
+    canvasRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const move = (e) => {
+    if (!drawing.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = pointFor(e);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const end = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const clear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div className="signature-pad">
+      <canvas
+        ref={canvasRef}
+        width={500}
+        height={150}
+        onPointerDown={start}
+        onPointerMove={move}
+        onPointerUp={end}
+        onPointerLeave={end}
+      />
+      <button type="button" className="download-btn" onClick={clear}>
+        <Eraser size={16} />
+        Clear
+      </button>
+    </div>
+  );
+};
+
+// The tenant's lease: review and sign a new one, and download signed copies
+const TenantLease = () => {
+  const [leases, setLeases] = useState({ pending: null, current: null, history: [] });
+  const [pendingDetail, setPendingDetail] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [typedName, setTypedName] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [agreed, setAgreed] = useState(false);
+  const [signing, setSigning] = useState(false);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const fetchLeases = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { 'Authorization': `Bearer ${token}` };
+      const response = await fetch(`${getApiUrl()}/leases/me`, { headers });
+      const data = await response.json();
+
+      if (data.success) {
+        setLeases({ pending: data.pending, current: data.current, history: data.history || [] });
+        if (data.pending) {
+          const detailResponse = await fetch(`${getApiUrl()}/leases/${data.pending._id}`, { headers });
+          const detail = await detailResponse.json();
+          setPendingDetail(detail.success ? detail.lease : null);
+        } else {
+          setPendingDetail(null);
+        }
+      } else {
+        toast.error(data.message || 'Failed to load your lease');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching lease:', error);
+      toast.error('Failed to load your lease');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLeases();
+
+    const handleUpdate = () => fetchLeases();
+    window.addEventListener('leaseUpdated', handleUpdate);
+    return () => window.removeEventListener('leaseUpdated', handleUpdate);
+  }, [fetchLeases]);
+
+  const downloadLease = async (lease) => {
+    try {
+      setDownloadingId(lease._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/leases/${lease._id}/pdf`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to download lease');
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Lease_${new Date(lease.startDate).toISOString().slice(0, 10)}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('❌ Error downloading lease:', error);
+      toast.error('Failed to download lease');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const signLease = async (e) => {
+    e.preventDefault();
+    try {
+      setSigning(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/leases/${leases.pending._id}/sign`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ typedName, signature })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success('Lease signed');
+        setTypedName('');
+        setSignature(null);
+        setAgreed(false);
+        fetchLeases();
+      } else {
+        toast.error(data.message || 'Failed to sign lease');
+      }
+    } catch (error) {
+      console.error('❌ Error signing lease:', error);
+      toast.error('Failed to sign lease');
+    } finally {
+      setSigning(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading"><p>Loading your lease...</p></div>;
+  }
+
+  const renderSummary = (lease) => (
+    <div className="payment-row" key={lease._id}>
+      <FileSignature size={20} />
+      <div className="payment-row-main">
+        <strong>{lease.title}</strong>
+        <span>
+          {formatDate(lease.startDate)} – {formatDate(lease.endDate)} • {formatAmount(lease.monthlyRent)}/month
+        </span>
+        {lease.signature?.signedAt && <small>Signed on {formatDate(lease.signature.signedAt)}</small>}
+      </div>
+      <span className={`status-badge lease-${lease.status}`}>{STATUS_LABELS[lease.status] || lease.status}</span>
+      <div className="payment-row-actions">
+        <button className="download-btn" onClick={() => downloadLease(lease)} disabled={downloadingId === lease._id}>
+          <Download size={16} />
+          PDF
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="tenant-lease">
+      {pendingDetail && (
+        <div className="lease-to-sign">
+          <h3><FileSignature size={20} /> {leases.current ? 'Lease renewal to sign' : 'Lease to sign'}</h3>
+          <p className="lease-terms">
+            Room {pendingDetail.room?.roomNumber} • {formatAmount(pendingDetail.monthlyRent)}/month •
+            deposit {formatAmount(pendingDetail.securityDeposit)} •
+            {' '}{formatDate(pendingDetail.startDate)} – {formatDate(pendingDetail.endDate)}
+          </p>
+          <div className="lease-content">{pendingDetail.content}</div>
+
+          <form onSubmit={signLease} className="lease-sign-form">
+            <label>
+              Type your full name
+              <input
+                type="text"
+                value={typedName}
+                onChange={(e) => setTypedName(e.target.value)}
+                placeholder={pendingDetail.tenant?.name}
+                required
+              />
+            </label>
+            <span>Draw your signature</span>
+            <SignaturePad onChange={setSignature} />
+            <label className="lease-agree">
+              <input type="checkbox" checked={agreed} onChange={(e) => setAgreed(e.target.checked)} />
+              I have read this agreement and agree to its terms. I understand that signing here is legally binding.
+            </label>
+            <button type="submit" className="pay-now-btn" disabled={signing || !agreed || !signature || !typedName.trim()}>
+              {signing ? 'Signing...' : 'Sign lease'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {leases.current && renderSummary(leases.current)}
+      {!leases.current && !pendingDetail && (
+        <div className="no-bills">
+          <FileSignature size={48} />
+          <p>Your owner has not shared a lease with you yet</p>
+        </div>
+      )}
+
+      {leases.history.length > 0 && (
+        <>
+          <h3>Earlier leases</h3>
+          {leases.history.map(renderSummary)}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TenantLease;
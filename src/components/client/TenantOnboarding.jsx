@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { KeyRound, User, Phone, IdCard, Camera, CheckCircle, Send } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl, getFileUrl } from '../../utils/api';
+
+const STEP_DETAILS = {
+  account: { label: 'Password', icon: KeyRound },
+  profile: { label: 'Profile', icon: User },
+  emergencyContact: { label: 'Emergency contact', icon: Phone },
+  idProof: { label: 'ID proof', icon: IdCard },
+  photo: { label: 'Photo', icon: Camera }
+};
+
+const ID_PROOF_LABELS = {
+  aadhaar: 'Aadhaar card',
+  pan: 'PAN card',
+  passport: 'Passport',
+  driving_licence: 'Driving licence',
+  voter_id: 'Voter ID',
+  other: 'Other government ID'
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Could not read the file'));
+  reader.readAsDataURL(file);
+});
+
+// Step-by-step move-in for an invited tenant; the dashboard opens once the owner activates them
+const TenantOnboarding = ({ onActivated }) => {
+  const [onboarding, setOnboarding] = useState(null);
+  const [idProofTypes, setIdProofTypes] = useState([]);
+  const [step, setStep] = useState('account');
+  const [form, setForm] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const onActivatedRef = useRef(onActivated);
+
+  useEffect(() => {
+    onActivatedRef.current = onActivated;
+  });
+
+  const fetchOnboarding = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/onboarding/me`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setOnboarding(data.onboarding);
+        setIdProofTypes(data.idProofTypes || []);
+        // Open the first step that still needs doing
+        const next = data.onboarding.steps.find(name => !data.onboarding.completedSteps.includes(name));
+        setStep(current => (data.onboarding.completedSteps.includes(current) && next ? next : current));
+      } else {
+        toast.error(data.message || 'Failed to load your move-in details');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching onboarding:', error);
+      toast.error('Failed to load your move-in details');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOnboarding();
+
+    const handleUpdate = () => fetchOnboarding();
+    window.addEventListener('onboardingUpdated', handleUpdate);
+    return () => window.removeEventListener('onboardingUpdated', handleUpdate);
+  }, [fetchOnboarding]);
+
+  useEffect(() => {
+    if (onboarding?.onboarding?.status === 'completed') onActivatedRef.current();
+  }, [onboarding]);
+
+  // Prefill each step from what the tenant already entered
+  useEffect(() => {
+    if (!onboarding) return;
+    const prefill = {
+      account: { newPassword: '', confirmPassword: '' },
+      profile: { name: onboarding.name || '', phone: onboarding.phone || '', address: onboarding.address || '' },
+      emergencyContact: {
+        name: onboarding.emergencyContact?.name || '',
+        phone: onboarding.emergencyContact?.phone || '',
+        relationship: onboarding.emergencyContact?.relationship || ''
+      },
+      idProof: {
+        documentType: onboarding.idProof?.documentType || 'aadhaar',
+        documentNumber: onboarding.idProof?.documentNumber || '',
+        file: null,
+        fileName: ''
+      },
+      photo: { file: null, fileName: '' }
+    };
+    setForm(prefill[step]);
+  }, [onboarding, step]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setForm({ ...form, file: await readAsDataUrl(file), fileName: file.name });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const saveStep = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/onboarding/me/steps/${step}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(`${STEP_DETAILS[step].label} saved`);
+        setOnboarding(data.onboarding);
+        const next = data.onboarding.steps.find(name => !data.onboarding.completedSteps.includes(name));
+        if (next) setStep(next);
+      } else {
+        toast.error(data.message || 'Failed to save');
+      }
+    } catch (error) {
+      console.error('❌ Error saving onboarding step:', error);
+      toast.error('Failed to save');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const submit = async () => {
+    try {
+      setSaving(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/onboarding/me/submit`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success('Sent to the owner for review');
+        setOnboarding(data.onboarding);
+      } else {
+        toast.error(data.message || 'Failed to submit');
+      }
+    } catch (error) {
+      console.error('❌ Error submitting onboarding:', error);
+      toast.error('Failed to submit');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !onboarding) {
+    return <div className="loading"><p>Loading your move-in details...</p></div>;
+  }
+
+  const status = onboarding.onboarding?.status;
+  const editable = ['invited', 'in_progress', 'changes_requested'].includes(status);
+  const allDone = onboarding.steps.every(name => onboarding.completedSteps.includes(name));
+
+  const renderFields = () => {
+    switch (step) {
+      case 'account':
+        return (
+          <>
+            <p className="onboarding-hint">Replace the temporary password from your invitation with one of your own.</p>
+            <label>
+              New password
+              <input type="password" minLength={8} value={form.newPassword || ''} onChange={(e) => setForm({ ...form, newPassword: e.target.value })} required />
+            </label>
+            <label>
+              Confirm password
+              <input type="password" minLength={8} value={form.confirmPassword || ''} onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })} required />
+            </label>
+          </>
+        );
+      case 'profile':
+        return (
+          <>
+            <label>
+              Full name (as on your ID)
+              <input type="text" value={form.name || ''} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </label>
+            <label>
+              Phone
+              <input type="tel" value={form.phone || ''} onChange={(e) => setForm({ ...form, phone: e.target.value })} required />
+            </label>
+            <label>
+              Permanent address
+              <textarea rows={3} value={form.address || ''} onChange={(e) => setForm({ ...form, address: e.target.value })} required />
+            </label>
+          </>
+        );
+      case 'emergencyContact':
+        return (
+          <>
+            <label>
+              Contact name
+              <input type="text" value={form.name || ''} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </label>
+            <label>
+              Contact phone
+              <input type="tel" value={form.phone || ''} onChange={(e) => setForm({ ...form, phone: e.target.value })} required />
+            </label>
+            <label>
+              Relationship
+              <input type="text" placeholder="e.g. Father" value={form.relationship || ''} onChange={(e) => setForm({ ...form, relationship: e.target.value })} required />
+            </label>
+          </>
+        );
+      case 'idProof':
+        return (
+          <>
+            {onboarding.idProof?.rejectionReason && (
+              <p className="onboarding-rejected">Your last upload was not accepted: {onboarding.idProof.rejectionReason}</p>
+            )}
+            {onboarding.idProof?.file && (
+              <p className="onboarding-hint">
+                Uploaded: <a href={getFileUrl(onboarding.idProof.file)} target="_blank" rel="noreferrer">view your {ID_PROOF_LABELS[onboarding.idProof.documentType] || 'ID'}</a>
+                {onboarding.idProof.verified ? ' • verified' : ''}
+              </p>
+            )}
+            <label>
+              Document
+              <select value={form.documentType || ''} onChange={(e) => setForm({ ...form, documentType: e.target.value })}>
+                {idProofTypes.map(type => (
+                  <option key={type} value={type}>{ID_PROOF_LABELS[type] || type}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Document number
+              <input type="text" value={form.documentNumber || ''} onChange={(e) => setForm({ ...form, documentNumber: e.target.value })} required />
+            </label>
+            <label>
+              Photo or PDF of the document (up to 5 MB)
+              <input type="file" accept="image/jpeg,image/png,image/webp,application/pdf" onChange={handleFile} required />
+            </label>
+          </>
+        );
+      case 'photo':
+        return (
+          <>
+            {(form.file || onboarding.profilePhoto) && (
+              <img className="onboarding-photo" src={form.file || getFileUrl(onboarding.profilePhoto)} alt="Your photo" />
+            )}
+            <label>
+              A clear photo of your face (up to 5 MB)
+              <input type="file" accept="image/jpeg,image/png,image/webp" onChange={handleFile} required />
+            </label>
+          </>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="tenant-onboarding">
+      <h2>Welcome, {onboarding.name}</h2>
+      <p className="onboarding-hint">
+        Room {onboarding.room?.roomNumber} • moving in {new Date(onboarding.moveInDate).toLocaleDateString('en-IN')} •
+        rent {formatAmount(onboarding.room?.rent)}/month • deposit {formatAmount(onboarding.onboarding?.agreedDeposit)}
+      </p>
+
+      {status === 'submitted' && (
+        <div className="onboarding-banner">
+          <CheckCircle size={20} />
+          Your details are with the owner. Your dashboard opens once your documents are verified and your tenancy is activated.
+        </div>
+      )}
+      {status === 'changes_requested' && onboarding.onboarding?.reviewNote && (
+        <div className="onboarding-banner onboarding-rejected">
+          The owner asked for changes: {onboarding.onboarding.reviewNote}
+        </div>
+      )}
+
+      <div className="onboarding-steps">
+        {onboarding.steps.map((name, index) => {
+          const Icon = STEP_DETAILS[name].icon;
+          const done = onboarding.completedSteps.includes(name);
+          return (
+            <button
+              key={name}
+              type="button"
+              className={`onboarding-step ${step === name ? 'active' : ''} ${done ? 'done' : ''}`}
+              onClick={() => setStep(name)}
+              disabled={!editable}
+            >
+              {done ? <CheckCircle size={18} /> : <Icon size={18} />}
+              <span>{index + 1}. {STEP_DETAILS[name].label}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {editable && (
+        <form onSubmit={saveStep} className="onboarding-form">
+          <h3>{STEP_DETAILS[step].label}</h3>
+          {renderFields()}
+          <button type="submit" className="pay-now-btn" disabled={saving}>
+            {saving ? 'Saving...' : 'Save and continue'}
+          </button>
+        </form>
+      )}
+
+      {editable && allDone && (
+        <button type="button" className="pay-now-btn onboarding-submit" onClick={submit} disabled={saving}>
+          <Send size={16} />
+          Submit for review
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TenantOnboarding;
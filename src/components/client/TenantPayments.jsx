@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { Download, Mail, Receipt, Upload } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../../utils/api';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const STATUS_LABELS = {
+  completed: 'Completed',
+  verified: 'Verified',
+  pending: 'Pending',
+  pending_verification: 'Awaiting verification',
+  failed: 'Failed',
+  rejected: 'Rejected',
+  refunded: 'Refunded'
+};
+
+// Only money actually received gets a receipt; credit and deposit applications do not
+const hasReceipt = (payment) => (
+  ['completed', 'verified', 'refunded'].includes(payment.status) &&
+  !['credit', 'deposit'].includes(payment.paymentMethod)
+);
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const needsNewScreenshot = (payment) => (
+  payment.status === 'pending_verification' && payment.verification?.resubmissionRequested
+);
+
+// The tenant's payments, with a receipt for each completed one
+const TenantPayments = () => {
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchPayments = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/history?limit=100`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setPayments(data.payments || []);
+      } else {
+        toast.error(data.message || 'Failed to load payments');
+      }
+    } catch (error) {
+      console.error('❌ Error fetching payments:', error);
+      toast.error('Failed to load payments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPayments();
+
+    // The owner approved, rejected or asked for a new screenshot
+    const handleVerificationUpdate = () => fetchPayments();
+    window.addEventListener('paymentVerificationUpdated', handleVerificationUpdate);
+    return () => window.removeEventListener('paymentVerificationUpdated', handleVerificationUpdate);
+  }, []);
+
+  const downloadReceipt = async (payment) => {
+    try {
+      setBusyId(payment._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/${payment._id}/receipt`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) throw new Error('Failed to download receipt');
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      const receiptNumber = payment.receipt?.receiptNumber || payment._id;
+      a.href = url;
+      a.download = `Receipt_${receiptNumber.replace(/\//g, '-')}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      window.URL.revokeObjectURL(url);
+
+      // The first download issues the receipt for older payments
+      if (!payment.receipt) fetchPayments();
+    } catch (error) {
+      console.error('❌ Error downloading receipt:', error);
+      toast.error('Failed to download receipt');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const emailReceipt = async (payment) => {
+    try {
+      setBusyId(payment._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/${payment._id}/receipt/email`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        fetchPayments();
+      } else {
+        toast.error(data.message || 'Failed to email receipt');
+      }
+    } catch (error) {
+      console.error('❌ Error emailing receipt:', error);
+      toast.error('Failed to email receipt');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const uploadScreenshot = async (payment, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setBusyId(payment._id);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${getApiUrl()}/payments/upload-screenshot`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ paymentId: payment._id, screenshot: await readAsBase64(file) })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        toast.success(data.message);
+        fetchPayments();
+      } else {
+        toast.error(data.message || 'Failed to upload screenshot');
+      }
+    } catch (error) {
+      console.error('❌ Error uploading screenshot:', error);
+      toast.error('Failed to upload screenshot');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading-state">Loading payments...</div>;
+  }
+
+  if (payments.length === 0) {
+    return (
+      <div className="no-bills">
+        <Receipt size={64} />
+        <h3>No payments yet</h3>
+        <p>Your payments and receipts will appear here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tenant-payments">
+      {payments.map(payment => (
+        <div key={payment._id} className="payment-row">
+          <div className="payment-row-main">
+            <strong>{formatAmount(payment.amount)}</strong>
+            <span>
+              {payment.paidAt ? new Date(payment.paidAt).toLocaleDateString('en-IN') : '-'}
+              {' • '}{String(payment.paymentMethod || '').replace('_', ' ')}
+              {payment.bill && ` • ${MONTH_NAMES[payment.bill.month - 1]} ${payment.bill.year}`}
+            </span>
+            {payment.refundedAmount > 0 && (
+              <small>
+                {formatAmount(payment.refundedAmount)} refunded
+                {(payment.refunds || []).some(refund => refund.status === 'pending') && ' (processing)'}
+              </small>
+            )}
+            {payment.receipt && (
+              <small>
+                Receipt {payment.receipt.receiptNumber}
+                {payment.receipt.emailedAt && ` • emailed ${new Date(payment.receipt.emailedAt).toLocaleDateString('en-IN')}`}
+              </small>
+            )}
+            {payment.status === 'rejected' && payment.verification?.rejectionReason && (
+              <small>Reason: {payment.verification.rejectionReason}</small>
+            )}
+            {needsNewScreenshot(payment) && (
+              <small>New screenshot needed: {payment.verification.resubmissionReason}</small>
+            )}
+          </div>
+          <span className={`status-badge payment-${payment.status}`}>
+            {needsNewScreenshot(payment) ? 'Action needed' : (STATUS_LABELS[payment.status] || payment.status)}
+          </span>
+          {needsNewScreenshot(payment) && (
+            <div className="payment-row-actions">
+              <label className={`download-btn ${busyId === payment._id ? 'disabled' : ''}`}>
+                <Upload size={16} />
+                {busyId === payment._id ? 'Uploading...' : 'Upload screenshot'}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => uploadScreenshot(payment, e)}
+                  disabled={busyId === payment._id}
+                  hidden
+                />
+              </label>
+            </div>
+          )}
+          {hasReceipt(payment) && (
+            <div className="payment-row-actions">
+              <button
+                className="download-btn"
+                onClick={() => downloadReceipt(payment)}
+                disabled={busyId === payment._id}
+              >
+                <Download size={16} />
+                Receipt
+              </button>
+              <button
+                className="download-btn"
+                onClick={() => emailReceipt(payment)}
+                disabled={busyId === payment._id}
+                title="Email receipt"
+              >
+                <Mail size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TenantPayments;
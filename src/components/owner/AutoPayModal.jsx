@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Repeat, Play } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './AutoPayModal.css'
+
+const METHOD_LABELS = { upi: 'UPI', emandate: 'e-mandate', card: 'Card' }
+
+const STATUS_LABELS = {
+  pending_authorization: 'Awaiting authorisation',
+  active: 'Active',
+  paused: 'Paused',
+  cancelled: 'Cancelled',
+  rejected: 'Rejected'
+}
+
+const CHARGE_LABELS = {
+  processing: 'Processing',
+  retry_scheduled: 'Retry scheduled',
+  succeeded: 'Paid',
+  failed: 'Failed',
+  skipped: 'Skipped'
+}
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+
+// Which tenants pay by auto-pay, and how their latest charges went
+const AutoPayModal = () => {
+  const [enrollments, setEnrollments] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [running, setRunning] = useState(false)
+
+  const fetchEnrollments = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/autopay/enrollments`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setEnrollments(data.enrollments)
+        setSummary(data.summary)
+      } else {
+        toast.error(data.message || 'Failed to load auto-pay enrolments')
+      }
+    } catch (error) {
+      console.error('Error fetching auto-pay enrolments:', error)
+      toast.error('Failed to load auto-pay enrolments')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchEnrollments()
+
+    const handleUpdate = () => fetchEnrollments()
+    window.addEventListener('autoPayUpdated', handleUpdate)
+    return () => window.removeEventListener('autoPayUpdated', handleUpdate)
+  }, [fetchEnrollments])
+
+  const runCharges = async () => {
+    try {
+      setRunning(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/autopay/run`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        const { charged, retried, failed, skipped } = data.summary
+        toast.success(`Charged ${charged}, retried ${retried}, failed ${failed}, skipped ${skipped}`)
+        fetchEnrollments()
+      } else {
+        toast.error(data.message || 'Failed to run auto-pay charges')
+      }
+    } catch (error) {
+      console.error('Error running auto-pay charges:', error)
+      toast.error('Failed to run auto-pay charges')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const describeCharge = (charge) => {
+    if (!charge) return '—'
+    let text = `${charge.bill?.billNumber || 'Bill'} • ${formatAmount(charge.amount)} • ${CHARGE_LABELS[charge.status] || charge.status}`
+    if (charge.status === 'retry_scheduled' && charge.nextAttemptAt) text += ` on ${formatDate(charge.nextAttemptAt)}`
+    return text
+  }
+
+  return (
+    <div className="modal-content autopay-modal">
+      <h3><Repeat size={20} /> Auto-pay</h3>
+
+      <div className="autopay-toolbar">
+        <button className="btn btn-primary" onClick={runCharges} disabled={running || loading}>
+          <Play size={16} /> {running ? 'Running...' : 'Run charges now'}
+        </button>
+        <small>Charges also run every morning for bills inside the window set in Billing Settings.</small>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">Loading enrolments...</div>
+      ) : (
+        <>
+          {summary && (
+            <div className="autopay-summary">
+              <div><strong>{summary.enrolled}</strong><span>Enrolled</span></div>
+              <div><strong>{summary.notEnrolled}</strong><span>Not enrolled</span></div>
+              <div><strong>{summary.pendingAuthorization}</strong><span>Awaiting authorisation</span></div>
+              <div className={summary.needsAttention > 0 ? 'attention' : ''}>
+                <strong>{summary.needsAttention}</strong><span>Failed charges</span>
+              </div>
+            </div>
+          )}
+
+          {enrollments.length === 0 ? (
+            <div className="empty-state">No tenant has set up auto-pay yet</div>
+          ) : (
+            <table className="autopay-table">
+              <thead>
+                <tr>
+                  <th>Tenant</th>
+                  <th>Status</th>
+                  <th>Method</th>
+                  <th>Limit</th>
+                  <th>Latest charge</th>
+                </tr>
+              </thead>
+              <tbody>
+                {enrollments.map(enrollment => (
+                  <tr key={enrollment._id}>
+                    <td>
+                      {enrollment.tenant.name}
+                      {enrollment.tenant.room?.roomNumber && <small>Room {enrollment.tenant.room.roomNumber}</small>}
+                    </td>
+                    <td>
+                      <span className={`autopay-status ${enrollment.status}`}>
+                        {STATUS_LABELS[enrollment.status] || enrollment.status}
+                      </span>
+                      {enrollment.statusReason && <small>{enrollment.statusReason}</small>}
+                    </td>
+                    <td>{METHOD_LABELS[enrollment.method] || enrollment.method}</td>
+                    <td>{formatAmount(enrollment.maxAmount)}</td>
+                    <td>
+                      {describeCharge(enrollment.latestCharge)}
+                      {enrollment.latestCharge?.failureReason && <small>{enrollment.latestCharge.failureReason}</small>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AutoPayModal
@@ -0,0 +1,289 @@
+import { useState } from 'react'
+import { Eye, CheckCircle, Trash2, Plus, AlertTriangle } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './BillRunPanel.css'
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+const STATUS_LABELS = {
+  ready: 'Ready',
+  created: 'Created',
+  exists: 'Already billed',
+  skipped: 'Skipped',
+  failed: 'Failed'
+}
+
+// Editable copy of a draft's amounts; electricity comes from the meter and is not edited here
+const toEdit = (result) => ({
+  rent: result.items.rent?.amount ?? 0,
+  waterBill: result.items.waterBill?.amount ?? 0,
+  commonAreaCharges: result.items.commonAreaCharges?.amount ?? 0,
+  additionalCharges: (result.items.additionalCharges || []).map(charge => ({
+    description: charge.description,
+    amount: charge.amount,
+    chargeTemplate: charge.chargeTemplate
+  }))
+})
+
+const editTotal = (result, edit) => (
+  Number(edit.rent || 0) +
+  (result.items.electricity?.amount || 0) +
+  Number(edit.waterBill || 0) +
+  Number(edit.commonAreaCharges || 0) +
+  edit.additionalCharges.reduce((sum, charge) => sum + Number(charge.amount || 0), 0)
+)
+
+const BillRunPanel = () => {
+  const [period, setPeriod] = useState({
+    month: new Date().getMonth() + 1,
+    year: new Date().getFullYear()
+  })
+  const [run, setRun] = useState(null)
+  const [edits, setEdits] = useState({})
+  const [selected, setSelected] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${localStorage.getItem('token')}`
+  })
+
+  const showRun = (data) => {
+    setRun(data)
+    const ready = data.results.filter(result => result.status === 'ready')
+    setEdits(Object.fromEntries(ready.map(result => [result.tenant._id, toEdit(result)])))
+    setSelected(ready.map(result => result.tenant._id))
+  }
+
+  const handlePreview = async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${getApiUrl()}/admin/billing/preview`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(period)
+      })
+      const data = await response.json()
+      if (data.success) {
+        showRun(data)
+      } else {
+        toast.error(data.message || 'Failed to preview bills')
+      }
+    } catch (error) {
+      console.error('Error previewing bills:', error)
+      toast.error('Failed to preview bills')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCommit = async () => {
+    if (selected.length === 0) {
+      toast.error('Select at least one bill to create')
+      return
+    }
+    if (!confirm(`Create ${selected.length} bills for ${MONTH_NAMES[run.month - 1]} ${run.year}?`)) return
+
+    try {
+      setLoading(true)
+      const response = await fetch(`${getApiUrl()}/admin/billing/commit`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          month: run.month,
+          year: run.year,
+          tenantIds: selected,
+          edits: Object.fromEntries(selected.map(tenantId => [tenantId, edits[tenantId]]))
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        if (data.summary.failed > 0) {
+          toast.error(`${data.summary.failed} bills failed - see the list for details`)
+        }
+        setRun(data)
+        setSelected([])
+      } else {
+        toast.error(data.message || 'Failed to generate bills')
+      }
+    } catch (error) {
+      console.error('Error generating bills:', error)
+      toast.error('Failed to generate bills')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateEdit = (tenantId, field, value) => {
+    setEdits(prev => ({ ...prev, [tenantId]: { ...prev[tenantId], [field]: value } }))
+  }
+
+  const updateCharge = (tenantId, index, field, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [tenantId]: {
+        ...prev[tenantId],
+        additionalCharges: prev[tenantId].additionalCharges.map((charge, i) => (
+          i === index ? { ...charge, [field]: value } : charge
+        ))
+      }
+    }))
+  }
+
+  const toggleSelected = (tenantId, checked) => {
+    setSelected(prev => (checked ? [...prev, tenantId] : prev.filter(id => id !== tenantId)))
+  }
+
+  const selectedTotal = run
+    ? run.results
+      .filter(result => selected.includes(result.tenant._id) && edits[result.tenant._id])
+      .reduce((sum, result) => sum + editTotal(result, edits[result.tenant._id]), 0)
+    : 0
+
+  return (
+    <div className="bill-run">
+      <div className="form-grid">
+        <div className="form-group">
+          <label>Month</label>
+          <select
+            className="form-control"
+            value={period.month}
+            onChange={(e) => setPeriod(prev => ({ ...prev, month: parseInt(e.target.value) }))}
+          >
+            {MONTH_NAMES.map((name, index) => (
+              <option key={name} value={index + 1}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Year</label>
+          <input
+            type="number"
+            className="form-control"
+            value={period.year}
+            onChange={(e) => setPeriod(prev => ({ ...prev, year: parseInt(e.target.value) }))}
+          />
+        </div>
+        <button className="btn btn-secondary" onClick={handlePreview} disabled={loading}>
+          <Eye size={16} /> {loading ? 'Working...' : 'Preview Bills'}
+        </button>
+      </div>
+
+      {run && (
+        <>
+          <p className="empty-state">
+            {MONTH_NAMES[run.month - 1]} {run.year}: {run.dryRun
+              ? `${run.summary.ready} ready`
+              : `${run.summary.created} created`}, {run.summary.exists} already billed, {run.summary.skipped} skipped
+            {run.summary.failed > 0 && `, ${run.summary.failed} failed`}. Due {new Date(run.dueDate).toLocaleDateString()}.
+          </p>
+
+          <div className="bill-run-list">
+            {run.results.map(result => {
+              const tenantId = result.tenant._id
+              const edit = edits[tenantId]
+              const editable = run.dryRun && result.status === 'ready' && edit
+              const anomalies = (result.meterReadings || []).flatMap(reading => reading.anomalies)
+
+              return (
+                <div key={tenantId} className={`bill-run-row status-${result.status}`}>
+                  <div className="bill-run-head">
+                    {editable && (
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(tenantId)}
+                        onChange={(e) => toggleSelected(tenantId, e.target.checked)}
+                      />
+                    )}
+                    <strong>{result.tenant.name}</strong>
+                    <span>Room {result.room?.roomNumber}</span>
+                    <span className="bill-run-status">{STATUS_LABELS[result.status]}</span>
+                    {result.bill?.billNumber && <span>{result.bill.billNumber}</span>}
+                    <span className="bill-run-total">
+                      ₹{(editable ? editTotal(result, edit) : (result.totalAmount || result.bill?.totalAmount || 0)).toFixed(2)}
+                    </span>
+                  </div>
+
+                  {result.reason && (
+                    <small>
+                      {result.reason}
+                      {result.missingReadings?.length > 0 && `: ${result.missingReadings.join(', ')}`}
+                    </small>
+                  )}
+                  {anomalies.map((anomaly, index) => (
+                    <small key={index} className="bill-run-warning">
+                      <AlertTriangle size={12} /> {anomaly.message}
+                    </small>
+                  ))}
+
+                  {editable && (
+                    <div className="bill-run-items">
+                      <label>
+                        Rent
+                        <input type="number" min="0" value={edit.rent} onChange={(e) => updateEdit(tenantId, 'rent', e.target.value)} />
+                      </label>
+                      <label>
+                        Electricity
+                        <input type="number" value={result.items.electricity?.amount ?? 0} readOnly />
+                      </label>
+                      <label>
+                        Water
+                        <input type="number" min="0" value={edit.waterBill} onChange={(e) => updateEdit(tenantId, 'waterBill', e.target.value)} />
+                      </label>
+                      <label>
+                        Common Area
+                        <input type="number" min="0" value={edit.commonAreaCharges} onChange={(e) => updateEdit(tenantId, 'commonAreaCharges', e.target.value)} />
+                      </label>
+
+                      {edit.additionalCharges.map((charge, index) => (
+                        <div key={index} className="bill-run-charge">
+                          <input
+                            value={charge.description}
+                            onChange={(e) => updateCharge(tenantId, index, 'description', e.target.value)}
+                          />
+                          <input
+                            type="number"
+                            value={charge.amount}
+                            onChange={(e) => updateCharge(tenantId, index, 'amount', e.target.value)}
+                          />
+                          <button
+                            type="button"
+                            className="btn btn-danger btn-sm"
+                            onClick={() => updateEdit(tenantId, 'additionalCharges', edit.additionalCharges.filter((_, i) => i !== index))}
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => updateEdit(tenantId, 'additionalCharges', [...edit.additionalCharges, { description: '', amount: 0 }])}
+                      >
+                        <Plus size={14} /> Add Charge
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          {run.dryRun && run.summary.ready > 0 && (
+            <div className="bill-actions">
+              <span>{selected.length} selected • ₹{selectedTotal.toFixed(2)}</span>
+              <button className="btn btn-primary" onClick={handleCommit} disabled={loading}>
+                <CheckCircle size={16} /> {loading ? 'Creating...' : 'Create Bills'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BillRunPanel
@@ -0,0 +1,347 @@
+import { useState, useEffect } from 'react'
+import { Calendar, Save } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const methodLabels = {
+  actual_days: 'Actual days in the month',
+  thirty_day: '30-day month',
+  none: 'No proration (always bill a full month)'
+}
+
+const documentLabels = {
+  bill: 'Bills',
+  receipt: 'Receipts',
+  credit_note: 'Credit Notes'
+}
+
+const resetLabels = {
+  financial_year: 'Every financial year',
+  calendar_year: 'Every calendar year',
+  never: 'Never'
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+const BillingSettingsModal = ({ onClose }) => {
+  const [settings, setSettings] = useState(null)
+  const [numbering, setNumbering] = useState(null)
+  const [nextNumbers, setNextNumbers] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/admin/billing/settings`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          setSettings(data.settings)
+        } else {
+          toast.error(data.message || 'Failed to load billing settings')
+        }
+
+        const numberingResponse = await fetch(`${getApiUrl()}/admin/billing/numbering`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const numberingData = await numberingResponse.json()
+        if (numberingData.success) {
+          setNumbering(numberingData.numbering)
+          setNextNumbers(numberingData.nextNumbers)
+        } else {
+          toast.error(numberingData.message || 'Failed to load numbering settings')
+        }
+      } catch (error) {
+        console.error('Error fetching billing settings:', error)
+        toast.error('Failed to load billing settings')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchSettings()
+  }, [])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/billing/settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          prorationMethod: settings.prorationMethod,
+          prorateFixedUtilities: settings.prorateFixedUtilities,
+          emailReceipts: settings.emailReceipts,
+          upiId: settings.upiId,
+          upiPayeeName: settings.upiPayeeName,
+          autoPayDaysBeforeDue: Number(settings.autoPayDaysBeforeDue),
+          autoPayMaxAttempts: Number(settings.autoPayMaxAttempts),
+          autoPayRetryIntervalDays: Number(settings.autoPayRetryIntervalDays),
+          rentIncreaseNoticeDays: Number(settings.rentIncreaseNoticeDays)
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setSettings(data.settings)
+        toast.success('Billing settings saved')
+      } else {
+        toast.error(Array.isArray(data.details) ? data.details.join(', ') : (data.message || 'Failed to save settings'))
+      }
+    } catch (error) {
+      console.error('Error saving billing settings:', error)
+      toast.error('Failed to save billing settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateSequence = (documentType, field, value) => {
+    setNumbering(prev => ({
+      ...prev,
+      sequences: prev.sequences.map(sequence => (
+        sequence.documentType === documentType ? { ...sequence, [field]: value } : sequence
+      ))
+    }))
+  }
+
+  const handleSaveNumbering = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/billing/numbering`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          financialYearStartMonth: Number(numbering.financialYearStartMonth),
+          sequences: numbering.sequences.map(sequence => ({
+            documentType: sequence.documentType,
+            format: sequence.format,
+            padding: Number(sequence.padding),
+            reset: sequence.reset
+          }))
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setNumbering(data.numbering)
+        setNextNumbers(data.nextNumbers)
+        toast.success('Numbering settings saved')
+      } else {
+        toast.error(Array.isArray(data.details) ? data.details.join(', ') : (data.message || 'Failed to save numbering'))
+      }
+    } catch (error) {
+      console.error('Error saving numbering settings:', error)
+      toast.error('Failed to save numbering settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading || !settings) {
+    return (
+      <div className="modal-content">
+        <h3><Calendar size={20} /> Billing Settings</h3>
+        <div className="loading-state">Loading settings...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content">
+      <h3><Calendar size={20} /> Billing Settings</h3>
+      <p className="empty-state">
+        Tenants who move in or out during a month are billed for the days they held the room.
+        The unoccupied days appear on the bill as a proration credit.
+      </p>
+
+      <form onSubmit={handleSave}>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Proration Method</label>
+            <select
+              className="form-control"
+              value={settings.prorationMethod}
+              onChange={(e) => setSettings({ ...settings, prorationMethod: e.target.value })}
+            >
+              {Object.entries(methodLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.prorateFixedUtilities}
+                disabled={settings.prorationMethod === 'none'}
+                onChange={(e) => setSettings({ ...settings, prorateFixedUtilities: e.target.checked })}
+              /> Prorate flat-rate utilities along with rent
+            </label>
+          </div>
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.emailReceipts}
+                onChange={(e) => setSettings({ ...settings, emailReceipts: e.target.checked })}
+              /> Email payment receipts to tenants
+            </label>
+          </div>
+          <div className="form-group">
+            <label>UPI ID for Rent</label>
+            <input
+              className="form-control"
+              placeholder="name@bank"
+              value={settings.upiId}
+              onChange={(e) => setSettings({ ...settings, upiId: e.target.value })}
+            />
+            <small>Bills show a UPI QR code for this ID with the amount and bill reference filled in. Leave blank to hide it.</small>
+          </div>
+          <div className="form-group">
+            <label>UPI Payee Name</label>
+            <input
+              className="form-control"
+              maxLength={50}
+              value={settings.upiPayeeName}
+              onChange={(e) => setSettings({ ...settings, upiPayeeName: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Auto-Pay Charge (days before due)</label>
+            <input
+              type="number"
+              min="0"
+              max="15"
+              className="form-control"
+              value={settings.autoPayDaysBeforeDue}
+              onChange={(e) => setSettings({ ...settings, autoPayDaysBeforeDue: e.target.value })}
+            />
+            <small>Bills of tenants on auto-pay are charged this many days before they fall due.</small>
+          </div>
+          <div className="form-group">
+            <label>Auto-Pay Attempts per Bill</label>
+            <input
+              type="number"
+              min="1"
+              max="5"
+              className="form-control"
+              value={settings.autoPayMaxAttempts}
+              onChange={(e) => setSettings({ ...settings, autoPayMaxAttempts: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Days Between Retries</label>
+            <input
+              type="number"
+              min="1"
+              max="7"
+              className="form-control"
+              value={settings.autoPayRetryIntervalDays}
+              onChange={(e) => setSettings({ ...settings, autoPayRetryIntervalDays: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Rent Increase Notice (days)</label>
+            <input
+              type="number"
+              min="7"
+              max="90"
+              className="form-control"
+              value={settings.rentIncreaseNoticeDays}
+              onChange={(e) => setSettings({ ...settings, rentIncreaseNoticeDays: e.target.value })}
+            />
+            <small>Tenants are notified this many days before a scheduled rent change takes effect.</small>
+          </div>
+        </div>
+
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            <Save size={16} /> {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+
+      {numbering && (
+        <form onSubmit={handleSaveNumbering}>
+          <h4>Document Numbering</h4>
+          <p className="empty-state">
+            Formats can use {'{FY}'} (financial year, e.g. 2026-27), {'{YYYY}'}, {'{MM}'} and {'{SEQ}'} (the running number).
+            A sequence that restarts each year must show that year in its format.
+          </p>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Financial Year Starts In</label>
+              <select
+                className="form-control"
+                value={numbering.financialYearStartMonth}
+                onChange={(e) => setNumbering({ ...numbering, financialYearStartMonth: e.target.value })}
+              >
+                {MONTH_NAMES.map((name, index) => (
+                  <option key={name} value={index + 1}>{name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {numbering.sequences.map(sequence => (
+            <div key={sequence.documentType} className="form-grid">
+              <div className="form-group">
+                <label>{documentLabels[sequence.documentType]} Format</label>
+                <input
+                  className="form-control"
+                  value={sequence.format}
+                  onChange={(e) => updateSequence(sequence.documentType, 'format', e.target.value)}
+                />
+                <small>Next: {nextNumbers[sequence.documentType]}</small>
+              </div>
+              <div className="form-group">
+                <label>Digits</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  className="form-control"
+                  value={sequence.padding}
+                  onChange={(e) => updateSequence(sequence.documentType, 'padding', e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Restart Numbering</label>
+                <select
+                  className="form-control"
+                  value={sequence.reset}
+                  onChange={(e) => updateSequence(sequence.documentType, 'reset', e.target.value)}
+                >
+                  {Object.entries(resetLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          ))}
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Save Numbering'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default BillingSettingsModal
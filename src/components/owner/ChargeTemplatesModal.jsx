@@ -0,0 +1,326 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Tag, Plus, Trash2, Save, Edit } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '')
+
+const emptyTemplate = {
+  name: '',
+  description: '',
+  amount: '',
+  scope: 'all',
+  rooms: [],
+  tenants: [],
+  frequency: 'monthly',
+  intervalMonths: 2,
+  startDate: toDateInput(new Date()),
+  endDate: '',
+  active: true
+}
+
+const describeFrequency = (template) => {
+  if (template.frequency === 'once') return 'Once'
+  if (template.frequency === 'every_n_months') return `Every ${template.intervalMonths} months`
+  return 'Monthly'
+}
+
+const describeScope = (template) => {
+  if (template.scope === 'room') return `Rooms ${template.rooms.map(room => room.roomNumber).join(', ')}`
+  if (template.scope === 'tenant') return template.tenants.map(tenant => tenant.name).join(', ')
+  return 'All tenants'
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${localStorage.getItem('token')}`
+})
+
+const ChargeTemplatesModal = () => {
+  const [templates, setTemplates] = useState([])
+  const [rooms, setRooms] = useState([])
+  const [tenants, setTenants] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/charge-templates`, { headers: authHeaders() })
+      const data = await response.json()
+      if (data.success) {
+        setTemplates(data.templates)
+        setRooms(data.rooms)
+        setTenants(data.tenants)
+      } else {
+        toast.error(data.message || 'Failed to load charge templates')
+      }
+    } catch (error) {
+      console.error('Error fetching charge templates:', error)
+      toast.error('Failed to load charge templates')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [fetchTemplates])
+
+  const startEdit = (template) => {
+    setForm({
+      ...template,
+      rooms: template.rooms.map(room => room._id),
+      tenants: template.tenants.map(tenant => tenant._id),
+      startDate: toDateInput(template.startDate),
+      endDate: toDateInput(template.endDate)
+    })
+  }
+
+  const toggleTarget = (field, id, checked) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: checked ? [...prev[field], id] : prev[field].filter(existing => existing !== id)
+    }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const isEdit = !!form._id
+      const response = await fetch(`${getApiUrl()}/admin/charge-templates${isEdit ? `/${form._id}` : ''}`, {
+        method: isEdit ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: form.name,
+          description: form.description,
+          amount: form.amount,
+          scope: form.scope,
+          rooms: form.rooms,
+          tenants: form.tenants,
+          frequency: form.frequency,
+          intervalMonths: form.intervalMonths,
+          startDate: form.startDate,
+          endDate: form.endDate,
+          active: form.active
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        setForm(null)
+        fetchTemplates()
+      } else {
+        toast.error(Array.isArray(data.details) ? data.details.join(', ') : (data.message || 'Failed to save charge'))
+      }
+    } catch (error) {
+      console.error('Error saving charge template:', error)
+      toast.error('Failed to save charge template')
+    }
+  }
+
+  const handleDelete = async (template) => {
+    if (!confirm(`Delete charge "${template.name}"? Bills that already include it are not changed.`)) return
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/charge-templates/${template._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        fetchTemplates()
+      } else {
+        toast.error(data.message || 'Failed to delete charge')
+      }
+    } catch (error) {
+      console.error('Error deleting charge template:', error)
+      toast.error('Failed to delete charge template')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="modal-content">
+        <h3><Tag size={20} /> Custom Charges</h3>
+        <div className="loading-state">Loading charges...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content">
+      <h3><Tag size={20} /> Custom Charges</h3>
+      <p className="empty-state">
+        Charges defined here are added to bills automatically when bills are generated.
+      </p>
+
+      {!form && (
+        <button className="btn btn-primary" onClick={() => setForm(emptyTemplate)}>
+          <Plus size={16} /> New Charge
+        </button>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                className="form-control"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Bill Description (optional)</label>
+              <input
+                className="form-control"
+                value={form.description || ''}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Amount (₹, negative for a discount)</label>
+              <input
+                type="number"
+                step="0.01"
+                className="form-control"
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Applies To</label>
+              <select
+                className="form-control"
+                value={form.scope}
+                onChange={(e) => setForm({ ...form, scope: e.target.value })}
+              >
+                <option value="all">All tenants</option>
+                <option value="room">Selected rooms</option>
+                <option value="tenant">Selected tenants</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Frequency</label>
+              <select
+                className="form-control"
+                value={form.frequency}
+                onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+              >
+                <option value="once">Once</option>
+                <option value="monthly">Every month</option>
+                <option value="every_n_months">Every N months</option>
+              </select>
+            </div>
+            {form.frequency === 'every_n_months' && (
+              <div className="form-group">
+                <label>Every (months)</label>
+                <input
+                  type="number"
+                  min="2"
+                  className="form-control"
+                  value={form.intervalMonths}
+                  onChange={(e) => setForm({ ...form, intervalMonths: e.target.value })}
+                />
+              </div>
+            )}
+            <div className="form-group">
+              <label>Start Date</label>
+              <input
+                type="date"
+                className="form-control"
+                value={form.startDate}
+                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>End Date (optional)</label>
+              <input
+                type="date"
+                className="form-control"
+                value={form.endDate}
+                onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                /> Active
+              </label>
+            </div>
+          </div>
+
+          {form.scope === 'room' && (
+            <div className="form-grid">
+              {rooms.map(room => (
+                <label key={room._id}>
+                  <input
+                    type="checkbox"
+                    checked={form.rooms.includes(room._id)}
+                    onChange={(e) => toggleTarget('rooms', room._id, e.target.checked)}
+                  /> Room {room.roomNumber}
+                </label>
+              ))}
+            </div>
+          )}
+          {form.scope === 'tenant' && (
+            <div className="form-grid">
+              {tenants.map(tenant => (
+                <label key={tenant._id}>
+                  <input
+                    type="checkbox"
+                    checked={form.tenants.includes(tenant._id)}
+                    onChange={(e) => toggleTarget('tenants', tenant._id, e.target.checked)}
+                  /> {tenant.name}{tenant.room ? ` (Room ${tenant.room.roomNumber})` : ''}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary"><Save size={16} /> Save Charge</button>
+          </div>
+        </form>
+      )}
+
+      {templates.length === 0 ? (
+        <div className="empty-state">No custom charges yet.</div>
+      ) : (
+        templates.map(template => (
+          <div key={template._id} className="tenant-card">
+            <h5>
+              {template.name} • ₹{template.amount} {!template.active && <small>(inactive)</small>}
+            </h5>
+            <p>{describeFrequency(template)} • {describeScope(template)}</p>
+            <p>
+              From {new Date(template.startDate).toLocaleDateString()}
+              {template.endDate ? ` to ${new Date(template.endDate).toLocaleDateString()}` : ''}
+            </p>
+            {template.frequency === 'once' && template.applications.length > 0 && (
+              <p>Charged: {template.applications.map(application => application.tenant?.name).join(', ')}</p>
+            )}
+
+            <div className="card-actions">
+              <button className="btn btn-outline btn-sm" onClick={() => startEdit(template)}>
+                <Edit size={14} /> Edit
+              </button>
+              <button className="btn btn-danger btn-sm" onClick={() => handleDelete(template)}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default ChargeTemplatesModal
@@ -0,0 +1,480 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ClipboardList, Plus, Eye, Home, UserCheck, XCircle, RotateCcw, X, Phone } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './EnquiriesModal.css'
+
+const STAGES = [
+  { status: 'new', label: 'New' },
+  { status: 'visited', label: 'Visited' },
+  { status: 'reserved', label: 'Reserved' },
+  { status: 'converted', label: 'Converted' }
+]
+
+const emptyEnquiry = {
+  name: '',
+  phone: '',
+  email: '',
+  preferredRoomType: '',
+  budget: '',
+  moveInDate: '',
+  message: ''
+}
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '')
+
+// Prospective tenants from enquiry to move-in, with the rooms that suit each one
+const EnquiriesModal = () => {
+  const [enquiries, setEnquiries] = useState([])
+  const [counts, setCounts] = useState({})
+  const [waitlist, setWaitlist] = useState(0)
+  const [availableRooms, setAvailableRooms] = useState([])
+  const [roomTypes, setRoomTypes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showClosed, setShowClosed] = useState(false)
+  const [enquiryForm, setEnquiryForm] = useState(null)
+  const [reserveRoom, setReserveRoom] = useState({})
+  const [convertForm, setConvertForm] = useState(null)
+  const [credentials, setCredentials] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const fetchEnquiries = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/enquiries`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setEnquiries(data.enquiries)
+        setCounts(data.counts)
+        setWaitlist(data.waitlist)
+        setAvailableRooms(data.availableRooms)
+        setRoomTypes(data.roomTypes)
+      } else {
+        toast.error(data.message || 'Failed to load enquiries')
+      }
+    } catch (error) {
+      console.error('Error fetching enquiries:', error)
+      toast.error('Failed to load enquiries')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchEnquiries()
+
+    const handleUpdate = () => fetchEnquiries()
+    window.addEventListener('enquiriesUpdated', handleUpdate)
+    window.addEventListener('roomsUpdated', handleUpdate)
+    return () => {
+      window.removeEventListener('enquiriesUpdated', handleUpdate)
+      window.removeEventListener('roomsUpdated', handleUpdate)
+    }
+  }, [fetchEnquiries])
+
+  const request = async (path, { method = 'POST', body } = {}) => {
+    const token = localStorage.getItem('token')
+    const response = await fetch(`${getApiUrl()}/enquiries${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    return response.json()
+  }
+
+  const runAction = async (enquiryId, path, options, fallbackMessage) => {
+    try {
+      setBusyId(enquiryId)
+      const data = await request(path, options)
+      if (data.success) {
+        toast.success(data.message)
+        fetchEnquiries()
+      } else {
+        toast.error(data.message || fallbackMessage)
+      }
+      return data
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error)
+      toast.error(fallbackMessage)
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const moveTo = (enquiry, status, extra = {}) => runAction(
+    enquiry._id,
+    `/${enquiry._id}/status`,
+    { method: 'PUT', body: { status, ...extra } },
+    'Failed to update enquiry'
+  )
+
+  const handleAddEnquiry = async (e) => {
+    e.preventDefault()
+    const data = await runAction('new', '/manual', { body: enquiryForm }, 'Failed to add enquiry')
+    if (data?.success) setEnquiryForm(null)
+  }
+
+  const reserve = (enquiry) => {
+    const roomId = reserveRoom[enquiry._id] || enquiry.matchingRooms[0]?._id
+    if (!roomId) {
+      toast.error('Choose a room to reserve')
+      return
+    }
+    moveTo(enquiry, 'reserved', { roomId })
+  }
+
+  const close = (enquiry) => {
+    const closedReason = window.prompt(`Why is ${enquiry.name}'s enquiry being closed?`)
+    if (closedReason === null) return
+    moveTo(enquiry, 'closed', { closedReason })
+  }
+
+  const startConvert = (enquiry) => {
+    setConvertForm({
+      enquiryId: enquiry._id,
+      name: enquiry.name,
+      roomNumber: enquiry.reservedRoom?.roomNumber,
+      email: enquiry.email || '',
+      moveInDate: toDateInput(enquiry.moveInDate || new Date()),
+      securityDepositPaid: '',
+      emergencyContact: { name: '', phone: '', relationship: '' }
+    })
+  }
+
+  const handleConvert = async (e) => {
+    e.preventDefault()
+    const { enquiryId, name, roomNumber, ...body } = convertForm
+    const data = await runAction(enquiryId, `/${enquiryId}/convert`, { body }, 'Failed to convert enquiry')
+    if (data?.success) {
+      setCredentials({ name, roomNumber, username: data.tenant.generatedUsername, password: data.tenant.generatedPassword })
+      setConvertForm(null)
+      window.dispatchEvent(new CustomEvent('roomsUpdated'))
+    }
+  }
+
+  const roomOptions = (enquiry) => {
+    // Rooms that suit the enquiry first, then any other available room
+    const matching = new Set((enquiry.matchingRooms || []).map(room => room._id))
+    return [...availableRooms].sort((a, b) => Number(matching.has(b._id)) - Number(matching.has(a._id)))
+  }
+
+  const renderActions = (enquiry) => {
+    const busy = busyId === enquiry._id
+    switch (enquiry.status) {
+      case 'new':
+      case 'visited':
+        return (
+          <div className="card-actions">
+            {enquiry.status === 'new' && (
+              <button className="btn btn-outline btn-sm" onClick={() => moveTo(enquiry, 'visited')} disabled={busy}>
+                <Eye size={14} /> Visited
+              </button>
+            )}
+            <select
+              className="form-control enquiry-room-select"
+              value={reserveRoom[enquiry._id] || enquiry.matchingRooms[0]?._id || ''}
+              onChange={(e) => setReserveRoom({ ...reserveRoom, [enquiry._id]: e.target.value })}
+            >
+              <option value="">Room...</option>
+              {roomOptions(enquiry).map(room => (
+                <option key={room._id} value={room._id}>{room.roomNumber} • {room.type} • {formatAmount(room.rent)}</option>
+              ))}
+            </select>
+            <button className="btn btn-outline btn-sm" onClick={() => reserve(enquiry)} disabled={busy || availableRooms.length === 0}>
+              <Home size={14} /> Reserve
+            </button>
+            <button className="btn btn-danger btn-sm" onClick={() => close(enquiry)} disabled={busy}>
+              <XCircle size={14} />
+            </button>
+          </div>
+        )
+      case 'reserved':
+        return (
+          <div className="card-actions">
+            <button className="btn btn-primary btn-sm" onClick={() => startConvert(enquiry)} disabled={busy}>
+              <UserCheck size={14} /> Convert to Tenant
+            </button>
+            <button className="btn btn-outline btn-sm" onClick={() => moveTo(enquiry, 'visited')} disabled={busy}>
+              Release Room
+            </button>
+            <button className="btn btn-danger btn-sm" onClick={() => close(enquiry)} disabled={busy}>
+              <XCircle size={14} />
+            </button>
+          </div>
+        )
+      case 'closed':
+        return (
+          <div className="card-actions">
+            <button className="btn btn-outline btn-sm" onClick={() => moveTo(enquiry, 'new')} disabled={busy}>
+              <RotateCcw size={14} /> Reopen
+            </button>
+          </div>
+        )
+      default:
+        return null
+    }
+  }
+
+  const renderEnquiry = (enquiry) => (
+    <div key={enquiry._id} className="tenant-card enquiry-card">
+      <h5>
+        {enquiry.name}
+        {enquiry.waitlisted && <span className="enquiry-badge waitlist">Waitlist</span>}
+        {enquiry.source === 'owner' && <span className="enquiry-badge">Added by you</span>}
+      </h5>
+      <p><Phone size={12} /> <a href={`tel:${enquiry.phone}`}>{enquiry.phone}</a>{enquiry.email ? ` • ${enquiry.email}` : ''}</p>
+      <p>
+        {enquiry.preferredRoomType}
+        {enquiry.budget ? ` • up to ${formatAmount(enquiry.budget)}` : ''}
+        {enquiry.moveInDate ? ` • from ${formatDate(enquiry.moveInDate)}` : ''}
+      </p>
+      {enquiry.message && <p className="enquiry-message">{enquiry.message}</p>}
+      {enquiry.matchingRooms.length > 0 && (
+        <p className="enquiry-match">Suits room {enquiry.matchingRooms.map(room => room.roomNumber).join(', ')}</p>
+      )}
+      {enquiry.reservedRoom && enquiry.status === 'reserved' && (
+        <p className="enquiry-match">Holding room {enquiry.reservedRoom.roomNumber} since {formatDate(enquiry.reservedAt)}</p>
+      )}
+      {enquiry.status === 'converted' && (
+        <p className="enquiry-match">
+          Tenant {enquiry.convertedTenant?.name || enquiry.name}
+          {enquiry.reservedRoom ? ` in room ${enquiry.reservedRoom.roomNumber}` : ''} since {formatDate(enquiry.convertedAt)}
+        </p>
+      )}
+      {enquiry.status === 'closed' && enquiry.closedReason && <p>Closed: {enquiry.closedReason}</p>}
+      <p className="enquiries-hint">Enquired {formatDate(enquiry.createdAt)}</p>
+      {renderActions(enquiry)}
+    </div>
+  )
+
+  const closedEnquiries = enquiries.filter(enquiry => enquiry.status === 'closed')
+
+  return (
+    <div className="modal-content enquiries-modal">
+      <h3><ClipboardList size={20} /> Enquiries</h3>
+      <p className="enquiries-hint">
+        Enquiries from the website and ones you add. Reserve a vacant room for an enquiry, then convert it to assign
+        the tenant to that room. Open enquiries no vacant room suits are on the waitlist.
+      </p>
+
+      <div className="enquiries-summary">
+        {STAGES.map(stage => (
+          <span key={stage.status}>{counts[stage.status] || 0} {stage.label.toLowerCase()}</span>
+        ))}
+        <span className={waitlist > 0 ? 'waitlist' : ''}>{waitlist} on waitlist</span>
+        <span>{availableRooms.length} rooms available</span>
+      </div>
+
+      {credentials && (
+        <div className="enquiry-credentials">
+          <div>
+            <strong>{credentials.name} is now a tenant in room {credentials.roomNumber}</strong>
+            <span>Username: <code>{credentials.username}</code> • Password: <code>{credentials.password}</code></span>
+          </div>
+          <button className="btn btn-outline btn-sm" onClick={() => setCredentials(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      {convertForm && (
+        <form onSubmit={handleConvert} className="enquiry-form-panel">
+          <h4>Convert {convertForm.name} to a tenant in room {convertForm.roomNumber}</h4>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Email (for their login)</label>
+              <input
+                type="email"
+                className="form-control"
+                value={convertForm.email}
+                onChange={(e) => setConvertForm({ ...convertForm, email: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Move-in Date</label>
+              <input
+                type="date"
+                className="form-control"
+                value={convertForm.moveInDate}
+                onChange={(e) => setConvertForm({ ...convertForm, moveInDate: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Security Deposit Paid</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={convertForm.securityDepositPaid}
+                onChange={(e) => setConvertForm({ ...convertForm, securityDepositPaid: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Emergency Contact Name</label>
+              <input
+                type="text"
+                className="form-control"
+                value={convertForm.emergencyContact.name}
+                onChange={(e) => setConvertForm({ ...convertForm, emergencyContact: { ...convertForm.emergencyContact, name: e.target.value } })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Emergency Contact Phone</label>
+              <input
+                type="tel"
+                className="form-control"
+                value={convertForm.emergencyContact.phone}
+                onChange={(e) => setConvertForm({ ...convertForm, emergencyContact: { ...convertForm.emergencyContact, phone: e.target.value } })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Relationship</label>
+              <input
+                type="text"
+                className="form-control"
+                value={convertForm.emergencyContact.relationship}
+                onChange={(e) => setConvertForm({ ...convertForm, emergencyContact: { ...convertForm.emergencyContact, relationship: e.target.value } })}
+              />
+            </div>
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setConvertForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={busyId === convertForm.enquiryId}>
+              <UserCheck size={16} /> Assign Tenant
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enquiryForm ? (
+        <form onSubmit={handleAddEnquiry} className="enquiry-form-panel">
+          <h4>Add Enquiry</h4>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                className="form-control"
+                value={enquiryForm.name}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Phone</label>
+              <input
+                type="tel"
+                className="form-control"
+                value={enquiryForm.phone}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, phone: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Email</label>
+              <input
+                type="email"
+                className="form-control"
+                value={enquiryForm.email}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, email: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Room Type</label>
+              <select
+                className="form-control"
+                value={enquiryForm.preferredRoomType}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, preferredRoomType: e.target.value })}
+                required
+              >
+                <option value="">Select type</option>
+                {roomTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Budget (per month)</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={enquiryForm.budget}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, budget: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Move-in Date</label>
+              <input
+                type="date"
+                className="form-control"
+                value={enquiryForm.moveInDate}
+                onChange={(e) => setEnquiryForm({ ...enquiryForm, moveInDate: e.target.value })}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea
+              rows={2}
+              className="form-control"
+              value={enquiryForm.message}
+              onChange={(e) => setEnquiryForm({ ...enquiryForm, message: e.target.value })}
+            />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setEnquiryForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={busyId === 'new'}>
+              <Plus size={16} /> Add Enquiry
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="btn btn-primary" onClick={() => setEnquiryForm(emptyEnquiry)}>
+          <Plus size={16} /> Add Enquiry
+        </button>
+      )}
+
+      {loading ? (
+        <div className="loading-state">Loading enquiries...</div>
+      ) : (
+        <>
+          <div className="enquiry-pipeline">
+            {STAGES.map(stage => {
+              const stageEnquiries = enquiries.filter(enquiry => enquiry.status === stage.status)
+              return (
+                <div key={stage.status} className="enquiry-stage">
+                  <h4>{stage.label} ({stageEnquiries.length})</h4>
+                  {stageEnquiries.length === 0 ? (
+                    <div className="empty-state">None</div>
+                  ) : (
+                    stageEnquiries.map(renderEnquiry)
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          {closedEnquiries.length > 0 && (
+            <>
+              <button className="btn btn-outline btn-sm" onClick={() => setShowClosed(!showClosed)}>
+                {showClosed ? 'Hide' : 'Show'} closed enquiries ({closedEnquiries.length})
+              </button>
+              {showClosed && closedEnquiries.map(renderEnquiry)}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default EnquiriesModal
@@ -0,0 +1,345 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Wrench, User, Phone, Home, Clock, Send, Save } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const STATUS_LABELS = {
+  open: 'Open',
+  acknowledged: 'Acknowledged',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed'
+}
+
+// Mirrors STATUS_TRANSITIONS in backend/services/issueService.js
+const NEXT_STATUSES = {
+  open: ['acknowledged', 'in_progress', 'resolved', 'closed'],
+  acknowledged: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['closed', 'open', 'in_progress'],
+  closed: ['open']
+}
+
+const IssuesModal = () => {
+  const [issues, setIssues] = useState([])
+  const [summary, setSummary] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [filters, setFilters] = useState({ status: 'all', priority: 'all' })
+  const [selectedIssueId, setSelectedIssueId] = useState(null)
+  const [statusForm, setStatusForm] = useState({ status: '', note: '' })
+  const [assignForm, setAssignForm] = useState({ name: '', phone: '', role: '' })
+  const [comment, setComment] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const selectedIssue = issues.find(issue => issue._id === selectedIssueId)
+
+  const fetchIssues = useCallback(async () => {
+    try {
+      setLoading(true)
+      const token = localStorage.getItem('token')
+      const queryParams = new URLSearchParams()
+      if (filters.status !== 'all') queryParams.append('status', filters.status)
+      if (filters.priority !== 'all') queryParams.append('priority', filters.priority)
+
+      const response = await fetch(`${getApiUrl()}/admin/issues?${queryParams}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setIssues(data.issues || [])
+        setSummary(data.summary || {})
+      } else {
+        toast.error(data.message || 'Failed to load issues')
+      }
+    } catch (error) {
+      console.error('Error fetching issues:', error)
+      toast.error('Failed to load issues')
+    } finally {
+      setLoading(false)
+    }
+  }, [filters])
+
+  useEffect(() => {
+    fetchIssues()
+  }, [fetchIssues])
+
+  // Keep the list in sync with tenant activity (new reports, comments, reopen)
+  useEffect(() => {
+    const handleIssueUpdated = async (e) => {
+      const update = e.detail
+      if (!update?.issueId) return
+      if (update.event === 'created') {
+        toast('New issue reported', { icon: '🛠️' })
+        fetchIssues()
+        return
+      }
+
+      // The broadcast only names the issue; fetch it to refresh the row
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/admin/issues/${update.issueId}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          setIssues(prev => prev.map(issue => issue._id === update.issueId ? data.issue : issue))
+        }
+      } catch (error) {
+        console.error('Error refreshing issue:', error)
+      }
+    }
+
+    window.addEventListener('issueUpdated', handleIssueUpdated)
+    return () => window.removeEventListener('issueUpdated', handleIssueUpdated)
+  }, [fetchIssues])
+
+  const selectIssue = (issue) => {
+    setSelectedIssueId(issue._id)
+    setStatusForm({ status: '', note: '' })
+    setAssignForm({
+      name: issue.assignedTo?.name || '',
+      phone: issue.assignedTo?.phone || '',
+      role: issue.assignedTo?.role || ''
+    })
+    setComment('')
+  }
+
+  const updateIssue = async (payload, successMessage) => {
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/issues/${selectedIssueId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(payload)
+      })
+      const data = await response.json()
+      if (data.success) {
+        setIssues(prev => prev.map(issue => issue._id === data.issue._id ? data.issue : issue))
+        toast.success(successMessage)
+        return true
+      }
+      toast.error(data.message || 'Failed to update issue')
+    } catch (error) {
+      console.error('Error updating issue:', error)
+      toast.error('Failed to update issue')
+    } finally {
+      setSaving(false)
+    }
+    return false
+  }
+
+  const handleStatusChange = async () => {
+    if (!statusForm.status) return
+    const updated = await updateIssue(
+      { status: statusForm.status, note: statusForm.note },
+      `Issue marked ${STATUS_LABELS[statusForm.status]}`
+    )
+    if (updated) setStatusForm({ status: '', note: '' })
+  }
+
+  const handleAssign = async () => {
+    if (!assignForm.name.trim()) {
+      toast.error('Enter the name of the person handling this issue')
+      return
+    }
+    await updateIssue({ assignedTo: assignForm }, 'Issue assigned')
+  }
+
+  const handleComment = async () => {
+    if (!comment.trim()) return
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/issues/${selectedIssueId}/comments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ message: comment })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setIssues(prev => prev.map(issue => issue._id === data.issue._id ? data.issue : issue))
+        setComment('')
+      } else {
+        toast.error(data.message || 'Failed to add comment')
+      }
+    } catch (error) {
+      console.error('Error adding comment:', error)
+      toast.error('Failed to add comment')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modal-content manage-bills-modal">
+      <h3><Wrench size={20} /> Tenant Issues</h3>
+
+      <div className="bill-tabs">
+        {['open', 'acknowledged', 'in_progress', 'resolved', 'closed'].map(status => (
+          <button
+            key={status}
+            className={`tab-btn ${filters.status === status ? 'active' : ''}`}
+            onClick={() => setFilters(prev => ({ ...prev, status: prev.status === status ? 'all' : status }))}
+          >
+            {STATUS_LABELS[status]} ({summary[status] || 0})
+          </button>
+        ))}
+      </div>
+
+      <div className="bills-filters">
+        <div className="filter-group">
+          <label>Priority:</label>
+          <select
+            value={filters.priority}
+            onChange={(e) => setFilters(prev => ({ ...prev, priority: e.target.value }))}
+            className="form-control"
+          >
+            <option value="all">All Priorities</option>
+            <option value="urgent">Urgent</option>
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="bills-list">
+        {loading ? (
+          <div className="loading-state">Loading issues...</div>
+        ) : issues.length === 0 ? (
+          <div className="empty-state">No issues found</div>
+        ) : (
+          issues.map(issue => (
+            <div
+              key={issue._id}
+              className={`bill-item ${issue.status} enhanced-bill-item`}
+              onClick={() => selectedIssueId !== issue._id && selectIssue(issue)}
+            >
+              <div className="bill-header">
+                <div className="bill-title-section">
+                  <h5>{issue.title}</h5>
+                  <span className="bill-room">
+                    <User size={12} /> {issue.tenant?.name}
+                    {issue.room?.roomNumber && <> • <Home size={12} /> Room {issue.room.roomNumber}</>}
+                  </span>
+                </div>
+                <div className="bill-header-actions">
+                  <span className={`status-badge ${issue.priority}`}>{issue.priority?.toUpperCase()}</span>
+                  <span className={`status-badge ${issue.status}`}>{STATUS_LABELS[issue.status]}</span>
+                </div>
+              </div>
+
+              {selectedIssueId === issue._id && selectedIssue && (
+                <div className="bill-details-grid" onClick={e => e.stopPropagation()}>
+                  <div className="bill-basic-info">
+                    <p>{issue.description}</p>
+                    <div className="detail-item">
+                      <Clock size={14} />
+                      <span className="detail-label">Reported:</span>
+                      <span className="detail-value">{new Date(issue.createdAt).toLocaleString()}</span>
+                    </div>
+                    {issue.tenant?.phone && (
+                      <div className="detail-item">
+                        <Phone size={14} />
+                        <span className="detail-label">Tenant Phone:</span>
+                        <span className="detail-value">{issue.tenant.phone}</span>
+                      </div>
+                    )}
+
+                    <h5>Comments</h5>
+                    {(issue.comments || []).length === 0 && <p className="empty-state">No comments yet</p>}
+                    {(issue.comments || []).map((c, index) => (
+                      <div key={c._id || index} className="detail-item">
+                        <span className="detail-label">{c.authorName || c.authorRole}:</span>
+                        <span className="detail-value">{c.message}</span>
+                      </div>
+                    ))}
+                    <div className="form-group">
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Reply to tenant"
+                        value={comment}
+                        onChange={(e) => setComment(e.target.value)}
+                      />
+                      <button className="btn btn-secondary btn-sm" onClick={handleComment} disabled={saving}>
+                        <Send size={14} /> Comment
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="bill-amounts">
+                    <div className="form-group">
+                      <label>Change Status</label>
+                      <select
+                        className="form-control"
+                        value={statusForm.status}
+                        onChange={(e) => setStatusForm(prev => ({ ...prev, status: e.target.value }))}
+                      >
+                        <option value="">Select status</option>
+                        {(NEXT_STATUSES[issue.status] || []).map(status => (
+                          <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Note for tenant (optional)"
+                        value={statusForm.note}
+                        onChange={(e) => setStatusForm(prev => ({ ...prev, note: e.target.value }))}
+                      />
+                      <button
+                        className="btn btn-primary btn-sm"
+                        onClick={handleStatusChange}
+                        disabled={saving || !statusForm.status}
+                      >
+                        <Save size={14} /> Update Status
+                      </button>
+                    </div>
+
+                    <div className="form-group">
+                      <label>Assign To</label>
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Name"
+                        value={assignForm.name}
+                        onChange={(e) => setAssignForm(prev => ({ ...prev, name: e.target.value }))}
+                      />
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Role (e.g. Plumber)"
+                        value={assignForm.role}
+                        onChange={(e) => setAssignForm(prev => ({ ...prev, role: e.target.value }))}
+                      />
+                      <input
+                        type="tel"
+                        className="form-control"
+                        placeholder="Phone"
+                        value={assignForm.phone}
+                        onChange={(e) => setAssignForm(prev => ({ ...prev, phone: e.target.value }))}
+                      />
+                      <button className="btn btn-success btn-sm" onClick={handleAssign} disabled={saving}>
+                        <User size={14} /> Assign
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default IssuesModal
@@ -0,0 +1,303 @@
+import { useState, useEffect } from 'react'
+import { AlertCircle, Plus, Trash2, Save } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const emptyTier = { fromDay: 1, toDay: '', rateType: 'flat', rate: 0 }
+
+const LateFeePolicyModal = ({ onClose }) => {
+  const [policy, setPolicy] = useState(null)
+  const [summary, setSummary] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/penalties/settings`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          setPolicy(data.settings)
+          setSummary(data.settings.penaltyType)
+        } else {
+          toast.error('Failed to load late fee policy')
+        }
+      } catch (error) {
+        console.error('Error fetching late fee policy:', error)
+        toast.error('Failed to load late fee policy')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchPolicy()
+  }, [])
+
+  const updateField = (field, value) => setPolicy(prev => ({ ...prev, [field]: value }))
+
+  const updateTier = (index, field, value) => {
+    setPolicy(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => i === index ? { ...tier, [field]: value } : tier)
+    }))
+  }
+
+  const addTier = () => {
+    setPolicy(prev => {
+      const last = prev.tiers[prev.tiers.length - 1]
+      const fromDay = last?.toDay ? Number(last.toDay) + 1 : 1
+      return { ...prev, tiers: [...prev.tiers, { ...emptyTier, fromDay }] }
+    })
+  }
+
+  const removeTier = (index) => {
+    setPolicy(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/penalties/settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          enabled: policy.enabled,
+          gracePeriodDays: policy.gracePeriodDays,
+          chargeGraceDays: policy.chargeGraceDays,
+          rateType: policy.rateType,
+          flatRate: policy.flatRate,
+          percentageRate: policy.percentageRate,
+          tiers: policy.tiers,
+          compounding: policy.compounding,
+          allocationOrder: policy.allocationOrder,
+          cap: policy.cap
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setPolicy(data.settings)
+        setSummary(data.settings.penaltyType)
+        toast.success('Late fee policy saved')
+      } else {
+        toast.error(Array.isArray(data.details) ? data.details.join(', ') : (data.error || 'Failed to save policy'))
+      }
+    } catch (error) {
+      console.error('Error saving late fee policy:', error)
+      toast.error('Failed to save late fee policy')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading || !policy) {
+    return (
+      <div className="modal-content">
+        <h3><AlertCircle size={20} /> Late Fee Policy</h3>
+        <div className="loading-state">Loading policy...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content">
+      <h3><AlertCircle size={20} /> Late Fee Policy</h3>
+      <p className="empty-state">Current rule: {summary}</p>
+
+      <form onSubmit={handleSave}>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={policy.enabled}
+                onChange={(e) => updateField('enabled', e.target.checked)}
+              /> Charge late fees
+            </label>
+          </div>
+          <div className="form-group">
+            <label>Grace Period (days)</label>
+            <input
+              type="number"
+              min="0"
+              className="form-control"
+              value={policy.gracePeriodDays}
+              onChange={(e) => updateField('gracePeriodDays', e.target.value)}
+            />
+          </div>
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={policy.chargeGraceDays}
+                onChange={(e) => updateField('chargeGraceDays', e.target.checked)}
+              /> Charge grace days once the grace period is over
+            </label>
+          </div>
+          <div className="form-group">
+            <label>Rate Type</label>
+            <select
+              className="form-control"
+              value={policy.rateType}
+              onChange={(e) => updateField('rateType', e.target.value)}
+            >
+              <option value="flat">Flat (₹ per day)</option>
+              <option value="percentage">Percentage of bill per day</option>
+              <option value="tiered">Tiered</option>
+            </select>
+          </div>
+
+          {policy.rateType === 'flat' && (
+            <div className="form-group">
+              <label>Late Fee (₹ per day)</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={policy.flatRate}
+                onChange={(e) => updateField('flatRate', e.target.value)}
+              />
+            </div>
+          )}
+
+          {policy.rateType === 'percentage' && (
+            <div className="form-group">
+              <label>Late Fee (% of bill per day)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.1"
+                className="form-control"
+                value={policy.percentageRate}
+                onChange={(e) => updateField('percentageRate', e.target.value)}
+              />
+            </div>
+          )}
+
+          {policy.rateType !== 'flat' && (
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={policy.compounding}
+                  onChange={(e) => updateField('compounding', e.target.checked)}
+                /> Compound percentage fees on accrued penalty
+              </label>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Partial Payments Settle</label>
+            <select
+              className="form-control"
+              value={policy.allocationOrder}
+              onChange={(e) => updateField('allocationOrder', e.target.value)}
+            >
+              <option value="penalty_first">Late fee first</option>
+              <option value="principal_first">Bill amount first</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Cap</label>
+            <select
+              className="form-control"
+              value={policy.cap.type}
+              onChange={(e) => updateField('cap', { ...policy.cap, type: e.target.value })}
+            >
+              <option value="none">No cap</option>
+              <option value="fixed">Fixed amount (₹)</option>
+              <option value="percentage">Percentage of bill</option>
+            </select>
+          </div>
+          {policy.cap.type !== 'none' && (
+            <div className="form-group">
+              <label>{policy.cap.type === 'fixed' ? 'Maximum late fee (₹)' : 'Maximum late fee (% of bill)'}</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={policy.cap.value}
+                onChange={(e) => updateField('cap', { ...policy.cap, value: e.target.value })}
+              />
+            </div>
+          )}
+        </div>
+
+        {policy.rateType === 'tiered' && (
+          <div className="settings-section">
+            <h4>Tiers (day 1 is the first day a fee is charged)</h4>
+            {policy.tiers.map((tier, index) => (
+              <div key={index} className="form-grid">
+                <div className="form-group">
+                  <label>From Day</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-control"
+                    value={tier.fromDay}
+                    onChange={(e) => updateTier(index, 'fromDay', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>To Day (blank = onwards)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-control"
+                    value={tier.toDay ?? ''}
+                    onChange={(e) => updateTier(index, 'toDay', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Rate Type</label>
+                  <select
+                    className="form-control"
+                    value={tier.rateType}
+                    onChange={(e) => updateTier(index, 'rateType', e.target.value)}
+                  >
+                    <option value="flat">₹ per day</option>
+                    <option value="percentage">% per day</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Rate</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    className="form-control"
+                    value={tier.rate}
+                    onChange={(e) => updateTier(index, 'rate', e.target.value)}
+                  />
+                </div>
+                <button type="button" className="btn btn-danger btn-sm" onClick={() => removeTier(index)}>
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+            <button type="button" className="btn btn-secondary btn-sm" onClick={addTier}>
+              <Plus size={14} /> Add Tier
+            </button>
+          </div>
+        )}
+
+        <div className="form-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>
+            <Save size={16} /> {saving ? 'Saving...' : 'Save Policy'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default LateFeePolicyModal
@@ -0,0 +1,475 @@
+import { useState, useEffect, useCallback } from 'react'
+import { FileSignature, Plus, Save, Edit, Download, RefreshCw, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './LeaseAgreementsModal.css'
+
+const STATUS_LABELS = {
+  pending_signature: 'Awaiting signature',
+  signed: 'Signed',
+  expired: 'Expired',
+  renewed: 'Renewed',
+  cancelled: 'Cancelled'
+}
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '')
+
+const emptyTemplate = {
+  name: '',
+  body: '',
+  clauses: '',
+  defaultTermMonths: 11,
+  active: true
+}
+
+// Leases issued from owner-edited templates: issue, renew and track expiry,
+// and edit the templates themselves
+const LeaseAgreementsModal = () => {
+  const [view, setView] = useState('leases')
+  const [leases, setLeases] = useState([])
+  const [reminderDays, setReminderDays] = useState([30])
+  const [templates, setTemplates] = useState([])
+  const [mergeFields, setMergeFields] = useState({})
+  const [tenants, setTenants] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [leaseForm, setLeaseForm] = useState(null)
+  const [templateForm, setTemplateForm] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const authHeaders = () => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${localStorage.getItem('token')}`
+  })
+
+  const fetchData = useCallback(async () => {
+    try {
+      const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      const [leasesResponse, templatesResponse, tenantsResponse] = await Promise.all([
+        fetch(`${getApiUrl()}/leases`, { headers }),
+        fetch(`${getApiUrl()}/leases/templates`, { headers }),
+        fetch(`${getApiUrl()}/admin/tenants`, { headers })
+      ])
+      const leasesData = await leasesResponse.json()
+      const templatesData = await templatesResponse.json()
+      const tenantsData = await tenantsResponse.json()
+      if (leasesData.success) {
+        setLeases(leasesData.leases)
+        setReminderDays(leasesData.reminderDays)
+      }
+      if (templatesData.success) {
+        setTemplates(templatesData.templates)
+        setMergeFields(templatesData.mergeFields)
+      }
+      if (tenantsData.success) {
+        setTenants(tenantsData.tenants.filter(tenant => tenant.status === 'active' && tenant.room))
+      }
+    } catch (error) {
+      console.error('Error fetching leases:', error)
+      toast.error('Failed to load leases')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchData()
+
+    const handleUpdate = () => fetchData()
+    window.addEventListener('leaseUpdated', handleUpdate)
+    window.addEventListener('leasesExpiring', handleUpdate)
+    return () => {
+      window.removeEventListener('leaseUpdated', handleUpdate)
+      window.removeEventListener('leasesExpiring', handleUpdate)
+    }
+  }, [fetchData])
+
+  const activeTemplates = templates.filter(template => template.active)
+
+  const startLease = (tenantId = '', renewal = null) => {
+    const template = activeTemplates[0]
+    setLeaseForm({
+      tenantId,
+      templateId: template?._id || '',
+      monthlyRent: renewal ? renewal.monthlyRent : '',
+      securityDeposit: renewal ? renewal.securityDeposit : '',
+      startDate: '',
+      termMonths: template?.defaultTermMonths || 11,
+      renewalOf: renewal?._id || null
+    })
+  }
+
+  const handleIssue = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await fetch(`${getApiUrl()}/leases`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(leaseForm)
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        setLeaseForm(null)
+        fetchData()
+      } else {
+        toast.error(data.message || 'Failed to issue lease')
+      }
+    } catch (error) {
+      console.error('Error issuing lease:', error)
+      toast.error('Failed to issue lease')
+    }
+  }
+
+  const cancelLease = async (lease) => {
+    if (!confirm(`Withdraw the lease sent to ${lease.tenant?.name}?`)) return
+    try {
+      setBusyId(lease._id)
+      const response = await fetch(`${getApiUrl()}/leases/${lease._id}/cancel`, {
+        method: 'POST',
+        headers: authHeaders()
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        fetchData()
+      } else {
+        toast.error(data.message || 'Failed to cancel lease')
+      }
+    } catch (error) {
+      console.error('Error cancelling lease:', error)
+      toast.error('Failed to cancel lease')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const downloadLease = async (lease) => {
+    try {
+      setBusyId(lease._id)
+      const response = await fetch(`${getApiUrl()}/leases/${lease._id}/pdf`, { headers: authHeaders() })
+      if (!response.ok) throw new Error('Failed to download lease')
+
+      const blob = await response.blob()
+      const url = window.URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `Lease_${(lease.tenant?.name || 'Tenant').replace(/\s+/g, '_')}_${toDateInput(lease.startDate)}.pdf`
+      document.body.appendChild(a)
+      a.click()
+      a.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading lease:', error)
+      toast.error('Failed to download lease')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault()
+    try {
+      const isEdit = !!templateForm._id
+      const response = await fetch(`${getApiUrl()}/leases/templates${isEdit ? `/${templateForm._id}` : ''}`, {
+        method: isEdit ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: templateForm.name,
+          body: templateForm.body,
+          clauses: templateForm.clauses.split('\n'),
+          defaultTermMonths: templateForm.defaultTermMonths,
+          active: templateForm.active
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        setTemplateForm(null)
+        fetchData()
+      } else {
+        toast.error(data.message || 'Failed to save template')
+      }
+    } catch (error) {
+      console.error('Error saving lease template:', error)
+      toast.error('Failed to save lease template')
+    }
+  }
+
+  const describeExpiry = (lease) => {
+    if (lease.status !== 'signed') return null
+    if (lease.daysRemaining < 0) return 'Ended'
+    return `${lease.daysRemaining} days left`
+  }
+
+  const isExpiringSoon = (lease) => (
+    lease.status === 'signed' && lease.daysRemaining <= Math.max(...reminderDays)
+  )
+
+  // A renewal already sent for this lease and waiting for the tenant
+  const hasPendingRenewal = (lease) => leases.some(other => (
+    String(other.renewalOf) === String(lease._id) && other.status === 'pending_signature'
+  ))
+
+  const unleasedTenants = tenants.filter(tenant => !leases.some(lease => (
+    String(lease.tenant?._id) === String(tenant._id) && ['pending_signature', 'signed'].includes(lease.status)
+  )))
+
+  if (loading) {
+    return (
+      <div className="modal-content">
+        <h3><FileSignature size={20} /> Lease Agreements</h3>
+        <div className="loading-state">Loading leases...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content lease-modal">
+      <h3><FileSignature size={20} /> Lease Agreements</h3>
+
+      <div className="lease-tabs">
+        <button className={`btn ${view === 'leases' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setView('leases')}>
+          Leases
+        </button>
+        <button className={`btn ${view === 'templates' ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setView('templates')}>
+          Templates
+        </button>
+      </div>
+
+      {view === 'leases' && (
+        <>
+          {!leaseForm && (
+            <button className="btn btn-primary" onClick={() => startLease()} disabled={activeTemplates.length === 0}>
+              <Plus size={16} /> Issue Lease
+            </button>
+          )}
+          {unleasedTenants.length > 0 && !leaseForm && (
+            <p className="lease-hint">
+              Without a lease: {unleasedTenants.map(tenant => tenant.name).join(', ')}
+            </p>
+          )}
+
+          {leaseForm && (
+            <form onSubmit={handleIssue}>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label>Tenant</label>
+                  <select
+                    className="form-control"
+                    value={leaseForm.tenantId}
+                    onChange={(e) => setLeaseForm({ ...leaseForm, tenantId: e.target.value })}
+                    disabled={!!leaseForm.renewalOf}
+                    required
+                  >
+                    <option value="">Select tenant</option>
+                    {tenants.map(tenant => (
+                      <option key={tenant._id} value={tenant._id}>
+                        {tenant.name} (Room {tenant.room.roomNumber})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Template</label>
+                  <select
+                    className="form-control"
+                    value={leaseForm.templateId}
+                    onChange={(e) => {
+                      const template = templates.find(item => item._id === e.target.value)
+                      setLeaseForm({ ...leaseForm, templateId: e.target.value, termMonths: template?.defaultTermMonths || leaseForm.termMonths })
+                    }}
+                    required
+                  >
+                    {activeTemplates.map(template => (
+                      <option key={template._id} value={template._id}>{template.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Monthly Rent (blank for the rent in effect at the start)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-control"
+                    value={leaseForm.monthlyRent}
+                    onChange={(e) => setLeaseForm({ ...leaseForm, monthlyRent: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Security Deposit (blank for deposit paid)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-control"
+                    value={leaseForm.securityDeposit}
+                    onChange={(e) => setLeaseForm({ ...leaseForm, securityDeposit: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Start Date ({leaseForm.renewalOf ? 'blank for the day after the current lease' : 'blank for move-in date'})</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={leaseForm.startDate}
+                    onChange={(e) => setLeaseForm({ ...leaseForm, startDate: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Term (months)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="36"
+                    className="form-control"
+                    value={leaseForm.termMonths}
+                    onChange={(e) => setLeaseForm({ ...leaseForm, termMonths: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setLeaseForm(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">
+                  <Save size={16} /> {leaseForm.renewalOf ? 'Send Renewal' : 'Send for Signature'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {leases.length === 0 ? (
+            <div className="empty-state">No leases issued yet.</div>
+          ) : (
+            leases.map(lease => (
+              <div key={lease._id} className={`tenant-card ${isExpiringSoon(lease) ? 'lease-expiring' : ''}`}>
+                <h5>
+                  {lease.tenant?.name} • Room {lease.room?.roomNumber}
+                  <span className={`lease-status ${lease.status}`}>{STATUS_LABELS[lease.status] || lease.status}</span>
+                </h5>
+                <p>
+                  {formatDate(lease.startDate)} – {formatDate(lease.endDate)} • {formatAmount(lease.monthlyRent)}/month
+                  {describeExpiry(lease) && ` • ${describeExpiry(lease)}`}
+                </p>
+                {lease.signature?.signedAt && (
+                  <p>Signed as "{lease.signature.typedName}" on {new Date(lease.signature.signedAt).toLocaleString('en-IN')}</p>
+                )}
+
+                <div className="card-actions">
+                  <button className="btn btn-outline btn-sm" onClick={() => downloadLease(lease)} disabled={busyId === lease._id}>
+                    <Download size={14} /> PDF
+                  </button>
+                  {['signed', 'expired'].includes(lease.status) && !hasPendingRenewal(lease) && (
+                    <button className="btn btn-outline btn-sm" onClick={() => startLease(lease.tenant?._id, lease)}>
+                      <RefreshCw size={14} /> Renew
+                    </button>
+                  )}
+                  {lease.status === 'pending_signature' && (
+                    <button className="btn btn-danger btn-sm" onClick={() => cancelLease(lease)} disabled={busyId === lease._id}>
+                      <X size={14} /> Withdraw
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </>
+      )}
+
+      {view === 'templates' && (
+        <>
+          {!templateForm && (
+            <button className="btn btn-primary" onClick={() => setTemplateForm(emptyTemplate)}>
+              <Plus size={16} /> New Template
+            </button>
+          )}
+
+          {templateForm && (
+            <form onSubmit={handleSaveTemplate}>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label>Name</label>
+                  <input
+                    className="form-control"
+                    value={templateForm.name}
+                    onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Default Term (months)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="36"
+                    className="form-control"
+                    value={templateForm.defaultTermMonths}
+                    onChange={(e) => setTemplateForm({ ...templateForm, defaultTermMonths: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Agreement Text</label>
+                <textarea
+                  className="form-control"
+                  rows={10}
+                  value={templateForm.body}
+                  onChange={(e) => setTemplateForm({ ...templateForm, body: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Clauses (one per line)</label>
+                <textarea
+                  className="form-control"
+                  rows={6}
+                  value={templateForm.clauses}
+                  onChange={(e) => setTemplateForm({ ...templateForm, clauses: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={templateForm.active}
+                    onChange={(e) => setTemplateForm({ ...templateForm, active: e.target.checked })}
+                  /> Active
+                </label>
+              </div>
+              <div className="lease-merge-fields">
+                <strong>Merge fields</strong>
+                {Object.entries(mergeFields).map(([field, label]) => (
+                  <span key={field}><code>{`{{${field}}}`}</code> {label}</span>
+                ))}
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setTemplateForm(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary"><Save size={16} /> Save Template</button>
+              </div>
+            </form>
+          )}
+
+          {templates.map(template => (
+            <div key={template._id} className="tenant-card">
+              <h5>
+                {template.name} {!template.active && <small>(inactive)</small>}
+              </h5>
+              <p>{template.defaultTermMonths} months • {template.clauses.length} clauses</p>
+              <div className="card-actions">
+                <button
+                  className="btn btn-outline btn-sm"
+                  onClick={() => setTemplateForm({ ...template, clauses: template.clauses.join('\n') })}
+                >
+                  <Edit size={14} /> Edit
+                </button>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default LeaseAgreementsModal
@@ -0,0 +1,282 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Gauge, Save, History, AlertTriangle } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './MeterReadingsModal.css'
+
+const UTILITIES = [
+  { value: 'electricity', label: 'Electricity' },
+  { value: 'water', label: 'Water' },
+  { value: 'gas', label: 'Gas' }
+]
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+const MeterReadingsModal = () => {
+  const [period, setPeriod] = useState({
+    utility: 'electricity',
+    month: new Date().getMonth() + 1,
+    year: new Date().getFullYear()
+  })
+  const [rows, setRows] = useState([])
+  const [drafts, setDrafts] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [savingRoom, setSavingRoom] = useState(null)
+  const [historyRoom, setHistoryRoom] = useState(null)
+  const [history, setHistory] = useState([])
+
+  const fetchSheet = useCallback(async () => {
+    try {
+      setLoading(true)
+      const token = localStorage.getItem('token')
+      const params = new URLSearchParams(period)
+      const response = await fetch(`${getApiUrl()}/admin/meter-readings?${params}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setRows(data.rows)
+        setDrafts(Object.fromEntries(data.rows.map(row => [row.room._id, {
+          startReading: row.reading ? row.reading.startReading : row.suggestedStartReading,
+          endReading: row.reading ? row.reading.endReading : '',
+          unitRate: row.room.unitRate,
+          metered: row.room.metered
+        }])))
+      } else {
+        toast.error(data.message || 'Failed to load meter readings')
+      }
+    } catch (error) {
+      console.error('Error fetching meter readings:', error)
+      toast.error('Failed to load meter readings')
+    } finally {
+      setLoading(false)
+    }
+  }, [period])
+
+  useEffect(() => {
+    fetchSheet()
+    setHistoryRoom(null)
+  }, [fetchSheet])
+
+  const updateDraft = (roomId, field, value) => {
+    setDrafts(prev => ({ ...prev, [roomId]: { ...prev[roomId], [field]: value } }))
+  }
+
+  const saveReading = async (row) => {
+    const draft = drafts[row.room._id]
+    if (draft.endReading === '') {
+      toast.error('Enter the end reading first')
+      return
+    }
+
+    try {
+      setSavingRoom(row.room._id)
+      const token = localStorage.getItem('token')
+
+      // Keep the room's billing mode and rate in step with the sheet
+      if (draft.metered !== row.room.metered || Number(draft.unitRate) !== row.room.unitRate) {
+        await fetch(`${getApiUrl()}/admin/meter-readings/rooms/${row.room._id}/settings`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ utility: period.utility, metered: draft.metered, unitRate: Number(draft.unitRate) || 0 })
+        })
+      }
+
+      const response = await fetch(`${getApiUrl()}/admin/meter-readings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          roomId: row.room._id,
+          utility: period.utility,
+          month: period.month,
+          year: period.year,
+          startReading: draft.startReading,
+          endReading: draft.endReading
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        if (data.reading.anomalies.length > 0) {
+          toast(data.reading.anomalies.map(a => a.message).join('\n'), { icon: '⚠️' })
+        } else {
+          toast.success(`Room ${row.room.roomNumber} reading saved`)
+        }
+        fetchSheet()
+      } else {
+        toast.error(data.message || 'Failed to save reading')
+      }
+    } catch (error) {
+      console.error('Error saving meter reading:', error)
+      toast.error('Failed to save reading')
+    } finally {
+      setSavingRoom(null)
+    }
+  }
+
+  const toggleHistory = async (roomId) => {
+    if (historyRoom === roomId) {
+      setHistoryRoom(null)
+      return
+    }
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/meter-readings/rooms/${roomId}?utility=${period.utility}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setHistory(data.readings)
+        setHistoryRoom(roomId)
+      }
+    } catch (error) {
+      console.error('Error fetching reading history:', error)
+      toast.error('Failed to load reading history')
+    }
+  }
+
+  return (
+    <div className="modal-content meter-readings-modal">
+      <h3><Gauge size={20} /> Meter Readings</h3>
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label>Utility</label>
+          <select
+            className="form-control"
+            value={period.utility}
+            onChange={(e) => setPeriod(prev => ({ ...prev, utility: e.target.value }))}
+          >
+            {UTILITIES.map(utility => (
+              <option key={utility.value} value={utility.value}>{utility.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Month</label>
+          <select
+            className="form-control"
+            value={period.month}
+            onChange={(e) => setPeriod(prev => ({ ...prev, month: parseInt(e.target.value) }))}
+          >
+            {MONTH_NAMES.map((month, index) => (
+              <option key={index + 1} value={index + 1}>{month}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Year</label>
+          <input
+            type="number"
+            className="form-control"
+            value={period.year}
+            onChange={(e) => setPeriod(prev => ({ ...prev, year: parseInt(e.target.value) || prev.year }))}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">Loading readings...</div>
+      ) : rows.length === 0 ? (
+        <div className="empty-state">No rooms found</div>
+      ) : (
+        <div className="meter-sheet">
+          <div className="meter-row meter-head">
+            <span>Room</span>
+            <span>Start</span>
+            <span>End</span>
+            <span>Units</span>
+            <span>Metered / ₹ per unit</span>
+            <span></span>
+          </div>
+          {rows.map(row => {
+            const draft = drafts[row.room._id] || {}
+            const units = draft.endReading === '' ? '' : Number(draft.endReading) - Number(draft.startReading)
+            const billed = !!row.reading?.bill
+
+            return (
+              <div key={row.room._id}>
+                <div className={`meter-row ${row.reading?.anomalies?.length ? 'flagged' : ''}`}>
+                  <span>
+                    {row.room.roomNumber}
+                    <small>{row.room.tenant || 'Vacant'}</small>
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={draft.startReading}
+                    disabled={billed}
+                    onChange={(e) => updateDraft(row.room._id, 'startReading', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={draft.endReading}
+                    disabled={billed}
+                    onChange={(e) => updateDraft(row.room._id, 'endReading', e.target.value)}
+                  />
+                  <span className={units !== '' && units < 0 ? 'negative' : ''}>{units}</span>
+                  <span className="meter-rate">
+                    <input
+                      type="checkbox"
+                      checked={!!draft.metered}
+                      onChange={(e) => updateDraft(row.room._id, 'metered', e.target.checked)}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={draft.unitRate}
+                      title={period.utility === 'electricity' ? 'Used when the room has no tariff plan of its own, instead of the default plan' : undefined}
+                      onChange={(e) => updateDraft(row.room._id, 'unitRate', e.target.value)}
+                    />
+                  </span>
+                  <span className="meter-actions">
+                    {billed ? (
+                      <small>Billed</small>
+                    ) : (
+                      <button
+                        className="btn btn-primary btn-sm"
+                        onClick={() => saveReading(row)}
+                        disabled={savingRoom === row.room._id}
+                        title="Save reading"
+                      >
+                        <Save size={14} />
+                      </button>
+                    )}
+                    <button className="btn btn-secondary btn-sm" onClick={() => toggleHistory(row.room._id)} title="Reading history">
+                      <History size={14} />
+                    </button>
+                  </span>
+                </div>
+                {row.reading?.anomalies?.map((anomaly, index) => (
+                  <div key={index} className="meter-anomaly">
+                    <AlertTriangle size={14} /> {anomaly.message}
+                  </div>
+                ))}
+                {historyRoom === row.room._id && (
+                  <div className="meter-history">
+                    {history.length === 0 ? (
+                      <small>No earlier readings</small>
+                    ) : (
+                      history.map(reading => (
+                        <div key={reading._id}>
+                          <span>{MONTH_NAMES[reading.month - 1].slice(0, 3)} {reading.year}</span>
+                          <span>{reading.startReading} → {reading.endReading}</span>
+                          <span>{reading.unitsConsumed} units</span>
+                          <span>{reading.bill ? reading.bill.billNumber : 'Not billed'}</span>
+                        </div>
+                      ))
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MeterReadingsModal
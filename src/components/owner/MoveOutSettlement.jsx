@@ -0,0 +1,251 @@
+import { useState, useEffect } from 'react'
+import { Plus, Trash2, FileText, LogOut } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './MoveOutSettlement.css'
+
+const DEDUCTION_CATEGORIES = [
+  { value: 'damage', label: 'Damage' },
+  { value: 'cleaning', label: 'Cleaning' },
+  { value: 'other', label: 'Other' }
+]
+
+const CATEGORY_LABELS = { unpaid_bill: 'Unpaid Bill', penalty: 'Late Fee', damage: 'Damage', cleaning: 'Cleaning', other: 'Other' }
+
+const emptyDeduction = { category: 'damage', description: '', amount: '' }
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// Move-out inspection for one tenant: bill dues come from the server, the
+// owner adds inspection deductions and the refund is worked out live
+const MoveOutSettlement = ({ tenant, onSettled }) => {
+  const [preview, setPreview] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+  const [moveOutDate, setMoveOutDate] = useState(today())
+  const [inspection, setInspection] = useState({ condition: 'good', notes: '' })
+  const [deductions, setDeductions] = useState([])
+  const [refund, setRefund] = useState({ method: 'bank_transfer', reference: '' })
+  const [settlement, setSettlement] = useState(null)
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/move-outs/tenants/${tenant._id}/preview`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          setPreview(data.preview)
+        } else {
+          toast.error(data.message || 'Failed to load settlement preview')
+        }
+      } catch (error) {
+        console.error('Error fetching move-out preview:', error)
+        toast.error('Failed to load settlement preview')
+      } finally {
+        setLoading(false)
+      }
+    }
+    fetchPreview()
+  }, [tenant._id])
+
+  const updateDeduction = (index, field, value) => {
+    setDeductions(prev => prev.map((d, i) => (i === index ? { ...d, [field]: value } : d)))
+  }
+
+  const manualTotal = deductions.reduce((sum, d) => sum + (Number(d.amount) || 0), 0)
+  const totalDeductions = (preview?.totalDeductions || 0) + manualTotal
+  const available = (preview?.depositHeld || 0) + (preview?.creditBalance || 0)
+  const refundAmount = Math.max(0, available - totalDeductions)
+  const amountDue = Math.max(0, totalDeductions - available)
+
+  const downloadPdf = async (settlementId) => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/move-outs/${settlementId}/pdf`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      if (!response.ok) throw new Error('Failed to download settlement')
+
+      const blob = await response.blob()
+      const url = window.URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `MoveOut_${tenant.name?.replace(/\s+/g, '_')}_${moveOutDate}.pdf`
+      document.body.appendChild(a)
+      a.click()
+      a.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error downloading settlement PDF:', error)
+      toast.error('Failed to download settlement statement')
+    }
+  }
+
+  const handleSettle = async () => {
+    if (deductions.some(d => Number(d.amount) > 0 && !d.description.trim())) {
+      toast.error('Every deduction needs a description')
+      return
+    }
+    if (!confirm(`Settle move-out for ${tenant.name}? The room will be freed and the tenant marked as moved out.`)) return
+
+    try {
+      setSubmitting(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/move-outs/tenants/${tenant._id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+          moveOutDate,
+          inspection: { ...inspection, date: moveOutDate },
+          deductions: deductions.filter(d => Number(d.amount) > 0),
+          refund
+        })
+      })
+      const data = await response.json()
+      if (!response.ok || !data.success) throw new Error(data.message || 'Failed to settle move-out')
+
+      setSettlement(data.settlement)
+      toast.success(`${tenant.name} moved out successfully`)
+      window.dispatchEvent(new CustomEvent('roomsUpdated'))
+      if (onSettled) onSettled(data.settlement)
+    } catch (error) {
+      console.error('Error settling move-out:', error)
+      toast.error(error.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return <div className="move-out-settlement">Loading settlement...</div>
+  }
+
+  if (!preview) return null
+
+  if (settlement) {
+    return (
+      <div className="move-out-settlement">
+        <div className="move-out-result">
+          <strong>
+            {settlement.amountDue > 0
+              ? `${formatAmount(settlement.amountDue)} payable by tenant`
+              : `${formatAmount(settlement.refundAmount)} to refund`}
+          </strong>
+          <button className="btn btn-primary btn-sm" onClick={() => downloadPdf(settlement._id)}>
+            <FileText size={14} /> Settlement PDF
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="move-out-settlement">
+      <div className="move-out-fields">
+        <label>
+          Move-out date
+          <input type="date" value={moveOutDate} onChange={(e) => setMoveOutDate(e.target.value)} />
+        </label>
+        <label>
+          Room condition
+          <select value={inspection.condition} onChange={(e) => setInspection({ ...inspection, condition: e.target.value })}>
+            <option value="good">Good</option>
+            <option value="fair">Fair</option>
+            <option value="poor">Poor</option>
+          </select>
+        </label>
+        <label className="move-out-notes">
+          Inspection notes
+          <input
+            type="text"
+            value={inspection.notes}
+            placeholder="Walls, fittings, keys returned..."
+            onChange={(e) => setInspection({ ...inspection, notes: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="move-out-deductions">
+        {preview.deductions.map((deduction, index) => (
+          <div key={`bill-${index}`} className="move-out-deduction fixed">
+            <span>{CATEGORY_LABELS[deduction.category]}</span>
+            <span>{deduction.description}</span>
+            <span>{formatAmount(deduction.amount)}</span>
+          </div>
+        ))}
+        {deductions.map((deduction, index) => (
+          <div key={index} className="move-out-deduction">
+            <select value={deduction.category} onChange={(e) => updateDeduction(index, 'category', e.target.value)}>
+              {DEDUCTION_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Description"
+              value={deduction.description}
+              onChange={(e) => updateDeduction(index, 'description', e.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Amount"
+              value={deduction.amount}
+              onChange={(e) => updateDeduction(index, 'amount', e.target.value)}
+            />
+            <button className="btn btn-danger btn-sm" onClick={() => setDeductions(prev => prev.filter((_, i) => i !== index))}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+        <button className="btn btn-secondary btn-sm" onClick={() => setDeductions(prev => [...prev, { ...emptyDeduction }])}>
+          <Plus size={14} /> Add Deduction
+        </button>
+      </div>
+
+      <div className="move-out-summary">
+        <div><span>Deposit Held</span><strong>{formatAmount(preview.depositHeld)}</strong></div>
+        <div><span>Account Credit</span><strong>{formatAmount(preview.creditBalance)}</strong></div>
+        <div><span>Deductions</span><strong>{formatAmount(totalDeductions)}</strong></div>
+        <div className={amountDue > 0 ? 'due' : 'refund'}>
+          <span>{amountDue > 0 ? 'Tenant Owes' : 'Refund'}</span>
+          <strong>{formatAmount(amountDue > 0 ? amountDue : refundAmount)}</strong>
+        </div>
+      </div>
+
+      {refundAmount > 0 && (
+        <div className="move-out-fields">
+          <label>
+            Refund method
+            <select value={refund.method} onChange={(e) => setRefund({ ...refund, method: e.target.value })}>
+              <option value="bank_transfer">Bank Transfer</option>
+              <option value="upi">UPI</option>
+              <option value="cash">Cash</option>
+            </select>
+          </label>
+          <label>
+            Reference
+            <input
+              type="text"
+              value={refund.reference}
+              placeholder="UTR / receipt no."
+              onChange={(e) => setRefund({ ...refund, reference: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+
+      <button className="btn btn-danger" onClick={handleSettle} disabled={submitting}>
+        <LogOut size={16} />
+        {submitting ? 'Settling...' : 'Settle & Move Out'}
+      </button>
+    </div>
+  )
+}
+
+export default MoveOutSettlement
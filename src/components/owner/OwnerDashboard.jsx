@@ -23,6 +23,9 @@ import {
   Upload,
   Banknote,
   Shield,
+  ShieldCheck,
+  Repeat,
+  FileSignature,
   Calculator,
   UserPlus,
   Search,
@@ -35,6 +38,11 @@ import {
   CheckCircle,
   Clock,
   RefreshCw,
+  Wrench,
+  Gauge,
+  Zap,
+  Tag,
+  ClipboardList,
 } from "lucide-react";
 import SlidingNavbar from "../SlidingNavbar";
 import Modal from "../Modal";
@@ -1279,6 +1287,149 @@ const OwnerDashboard = ({ onLogout }) => {
                 </div>
               </div>
             </div>
+
+            <div className="action-row">
+              <div
+                className="admin-card issues-card"
+                onClick={() => openModal("manageIssues")}
+              >
+                <div className="card-icon-wrapper">
+                  <Wrench size={24} />
+                </div>
+                <span>Tenant Issues</span>
+                <div className="card-indicator">Track maintenance requests</div>
+              </div>
+              <div
+                className="admin-card late-fee-card"
+                onClick={() => openModal("lateFeePolicy")}
+              >
+                <div className="card-icon-wrapper">
+                  <AlertCircle size={24} />
+                </div>
+                <span>Late Fee Policy</span>
+                <div className="card-indicator">Grace period, rates & caps</div>
+              </div>
+              <div
+                className="admin-card meter-readings-card"
+                onClick={() => openModal("meterReadings")}
+              >
+                <div className="card-icon-wrapper">
+                  <Gauge size={24} />
+                </div>
+                <span>Meter Readings</span>
+                <div className="card-indicator">Monthly utility meters</div>
+              </div>
+              <div
+                className="admin-card tariff-card"
+                onClick={() => openModal("tariffPlans")}
+              >
+                <div className="card-icon-wrapper">
+                  <Zap size={24} />
+                </div>
+                <span>Electricity Tariffs</span>
+                <div className="card-indicator">Slabs, fixed charge & tax</div>
+              </div>
+              <div
+                className="admin-card charge-templates-card"
+                onClick={() => openModal("chargeTemplates")}
+              >
+                <div className="card-icon-wrapper">
+                  <Tag size={24} />
+                </div>
+                <span>Custom Charges</span>
+                <div className="card-indicator">Recurring & one-off charges</div>
+              </div>
+              <div
+                className="admin-card billing-settings-card"
+                onClick={() => openModal("billingSettings")}
+              >
+                <div className="card-icon-wrapper">
+                  <Calendar size={24} />
+                </div>
+                <span>Billing Settings</span>
+                <div className="card-indicator">Proration and numbering</div>
+              </div>
+              <div
+                className="admin-card reconciliation-card"
+                onClick={() => openModal("reconciliation")}
+              >
+                <div className="card-icon-wrapper">
+                  <Banknote size={24} />
+                </div>
+                <span>Bank Reconciliation</span>
+                <div className="card-indicator">Match statement credits</div>
+              </div>
+              <div
+                className="admin-card payment-verification-card"
+                onClick={() => openModal("paymentVerifications")}
+              >
+                <div className="card-icon-wrapper">
+                  <ShieldCheck size={24} />
+                </div>
+                <span>Verify Payments</span>
+                <div className="card-indicator">Screenshots awaiting review</div>
+              </div>
+              <div
+                className="admin-card autopay-card"
+                onClick={() => openModal("autoPay")}
+              >
+                <div className="card-icon-wrapper">
+                  <Repeat size={24} />
+                </div>
+                <span>Auto-pay</span>
+                <div className="card-indicator">Enrolments and charges</div>
+              </div>
+              <div
+                className="admin-card lease-card"
+                onClick={() => openModal("leases")}
+              >
+                <div className="card-icon-wrapper">
+                  <FileSignature size={24} />
+                </div>
+                <span>Lease Agreements</span>
+                <div className="card-indicator">Templates, signing and renewals</div>
+              </div>
+              <div
+                className="admin-card rent-terms-card"
+                onClick={() => openModal("rentTerms")}
+              >
+                <div className="card-icon-wrapper">
+                  <TrendingUp size={24} />
+                </div>
+                <span>Rent Terms</span>
+                <div className="card-indicator">Per-tenant rent and escalations</div>
+              </div>
+              <div
+                className="admin-card onboarding-card"
+                onClick={() => openModal("onboarding")}
+              >
+                <div className="card-icon-wrapper">
+                  <UserPlus size={24} />
+                </div>
+                <span>Tenant Onboarding</span>
+                <div className="card-indicator">Invitations and KYC review</div>
+              </div>
+              <div
+                className="admin-card police-verification-card"
+                onClick={() => openModal("policeVerification")}
+              >
+                <div className="card-icon-wrapper">
+                  <Shield size={24} />
+                </div>
+                <span>Police Verification</span>
+                <div className="card-indicator">Verification forms and submissions</div>
+              </div>
+              <div
+                className="admin-card enquiries-card"
+                onClick={() => openModal("enquiries")}
+              >
+                <div className="card-icon-wrapper">
+                  <ClipboardList size={24} />
+                </div>
+                <span>Enquiries</span>
+                <div className="card-indicator">Prospective tenants and waitlist</div>
+              </div>
+            </div>
           </div>
         </div>
       </div>
@@ -30,14 +30,14 @@ import {
   Shield,
   CheckCircle
 } from 'lucide-react'
-import { getApiUrl } from '../../utils/api'
+import { getApiUrl, getFileUrl } from '../../utils/api'
 import './OwnerProfile.css'
 
 // Utility: build a Blob URL from a data URL and open or download
 const viewDocument = async (doc) => {
   try {
     if (!doc?.data) throw new Error('Document data not available')
-    const res = await fetch(doc.data)
+    const res = await fetch(getFileUrl(doc.data))
     const blob = await res.blob()
     const blobUrl = URL.createObjectURL(blob)
     // Open in new tab
@@ -53,7 +53,7 @@ const viewDocument = async (doc) => {
 const downloadDocument = async (doc) => {
   try {
     if (!doc?.data) throw new Error('Document data not available')
-    const res = await fetch(doc.data)
+    const res = await fetch(getFileUrl(doc.data))
     const blob = await res.blob()
     const blobUrl = URL.createObjectURL(blob)
     const a = document.createElement('a')
@@ -794,7 +794,7 @@ const OwnerProfile = ({ onBack, isDarkTheme }) => {
       <div className="profile-photo-section">
         <div className="photo-container">
           {profileData.basicInfo.profilePhoto ? (
-            <img src={profileData.basicInfo.profilePhoto} alt="Profile" className="profile-photo" />
+            <img src={getFileUrl(profileData.basicInfo.profilePhoto)} alt="Profile" className="profile-photo" />
           ) : (
             <div className="photo-placeholder">
               <User size={48} />
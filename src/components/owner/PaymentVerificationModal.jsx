@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback } from 'react'
+import { ShieldCheck, Check, X, RotateCcw, RefreshCw } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl, getFileUrl } from '../../utils/api'
+import './PaymentVerificationModal.css'
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+const STATUS_LABELS = {
+  completed: 'Paid',
+  verified: 'Verified',
+  pending_verification: 'Awaiting verification',
+  rejected: 'Rejected',
+  failed: 'Failed',
+  refunded: 'Refunded',
+  pending: 'Pending'
+}
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-')
+
+// Inbox of screenshot / UPI / bank transfer payments waiting on the owner.
+// Each one is approved, rejected with a reason or sent back for a new
+// screenshot; clean ones can be approved together.
+const PaymentVerificationModal = () => {
+  const [view, setView] = useState('pending')
+  const [items, setItems] = useState([])
+  const [counts, setCounts] = useState({ pending: 0, resubmission: 0 })
+  const [selected, setSelected] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/payment-verifications?view=${view}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setItems(data.items)
+        setCounts(data.counts)
+        setSelected(current => current.filter(id => data.items.some(item => item._id === id)))
+      } else {
+        toast.error(data.message || 'Failed to load verification queue')
+      }
+    } catch (error) {
+      console.error('Error fetching verification queue:', error)
+      toast.error('Failed to load verification queue')
+    } finally {
+      setLoading(false)
+    }
+  }, [view])
+
+  useEffect(() => {
+    setLoading(true)
+    fetchQueue()
+
+    // New screenshots and decisions taken elsewhere
+    const handleUpdate = () => fetchQueue()
+    window.addEventListener('paymentVerificationUpdated', handleUpdate)
+    return () => window.removeEventListener('paymentVerificationUpdated', handleUpdate)
+  }, [fetchQueue])
+
+  const postAction = async (path, body, fallbackMessage) => {
+    const token = localStorage.getItem('token')
+    const response = await fetch(`${getApiUrl()}/admin/payment-verifications/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    })
+    const data = await response.json()
+    if (data.success) {
+      toast.success(data.message)
+      fetchQueue()
+    } else {
+      toast.error(data.message || fallbackMessage)
+    }
+    return data
+  }
+
+  const decide = async (item, action) => {
+    let body = {}
+    if (action === 'reject' || action === 'request-resubmission') {
+      const reason = prompt(action === 'reject'
+        ? 'Why is this payment being rejected? The tenant will see this.'
+        : 'What should the tenant fix in the new screenshot?')
+      if (reason === null) return
+      if (!reason.trim()) {
+        toast.error('Please enter a reason')
+        return
+      }
+      body = { reason }
+    }
+
+    try {
+      setBusyId(item._id)
+      await postAction(`${item._id}/${action}`, body, 'Failed to update payment')
+    } catch (error) {
+      console.error('Error updating payment:', error)
+      toast.error('Failed to update payment')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const bulkApprove = async () => {
+    if (!confirm(`Approve ${selected.length} payments and issue their receipts?`)) return
+
+    try {
+      setBusyId('bulk')
+      const data = await postAction('bulk-approve', { paymentIds: selected }, 'Failed to approve payments')
+      data.failed?.forEach(failure => toast.error(failure.message))
+      setSelected([])
+    } catch (error) {
+      console.error('Error approving payments:', error)
+      toast.error('Failed to approve payments')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const toggleSelected = (id) => {
+    setSelected(current => current.includes(id)
+      ? current.filter(selectedId => selectedId !== id)
+      : [...current, id])
+  }
+
+  const renderItem = (item) => {
+    const busy = busyId === item._id || busyId === 'bulk'
+    const mismatch = item.difference !== null && item.difference !== 0
+
+    return (
+      <div key={item._id} className="verification-item">
+        {view === 'pending' && (
+          <input
+            type="checkbox"
+            checked={selected.includes(item._id)}
+            onChange={() => toggleSelected(item._id)}
+            disabled={busy}
+          />
+        )}
+
+        <div className="verification-screenshot">
+          {item.screenshot ? (
+            <a href={getFileUrl(item.screenshot.url)} target="_blank" rel="noopener noreferrer">
+              <img src={getFileUrl(item.screenshot.thumbnailUrl)} alt="Payment screenshot" />
+            </a>
+          ) : (
+            <span>No screenshot</span>
+          )}
+        </div>
+
+        <div className="verification-details">
+          <strong>{item.tenant?.name || 'Unknown tenant'}</strong>
+          {item.bill && (
+            <span>
+              Bill {item.bill.billNumber} • {MONTH_NAMES[item.bill.month - 1]} {item.bill.year}
+              {' • '}due {formatDate(item.bill.dueDate)}
+            </span>
+          )}
+          <span>
+            {item.paymentMethod?.replace('_', ' ')} on {formatDate(item.paidAt)}
+            {item.transactionId && ` • ref ${item.transactionId}`}
+          </span>
+          <div className={`verification-amounts ${mismatch ? 'mismatch' : ''}`}>
+            <span>Claimed <strong>{formatAmount(item.amount)}</strong></span>
+            {item.expectedAmount !== null && (
+              <span>Expected <strong>{formatAmount(item.expectedAmount)}</strong></span>
+            )}
+            {mismatch && (
+              <span>{item.difference > 0 ? 'Over' : 'Short'} by {formatAmount(Math.abs(item.difference))}</span>
+            )}
+          </div>
+          {item.notes && <small>Tenant note: {item.notes}</small>}
+          {item.verification?.resubmissionRequested && (
+            <small className="verification-flag">Asked for a new screenshot: {item.verification.resubmissionReason}</small>
+          )}
+
+          <div className="verification-history">
+            <small>
+              Recent payments{item.rejectedBefore > 0 && ` • ${item.rejectedBefore} rejected`}
+            </small>
+            {item.recentPayments.length === 0 ? (
+              <small>First payment from this tenant</small>
+            ) : (
+              <ul>
+                {item.recentPayments.map(payment => (
+                  <li key={payment._id}>
+                    {formatDate(payment.paidAt)} • {formatAmount(payment.amount)} • {STATUS_LABELS[payment.status] || payment.status}
+                    {payment.bill && ` • ${payment.bill.billNumber}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="verification-actions">
+          <button className="btn btn-primary btn-sm" onClick={() => decide(item, 'approve')} disabled={busy}>
+            <Check size={14} /> Approve
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => decide(item, 'request-resubmission')} disabled={busy}>
+            <RotateCcw size={14} /> Ask for new screenshot
+          </button>
+          <button className="btn btn-danger btn-sm" onClick={() => decide(item, 'reject')} disabled={busy}>
+            <X size={14} /> Reject
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content payment-verification-modal">
+      <h3><ShieldCheck size={20} /> Payment Verification</h3>
+
+      <div className="verification-toolbar">
+        <div className="verification-tabs">
+          <button
+            className={`btn btn-sm ${view === 'pending' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setView('pending')}
+          >
+            To review ({counts.pending})
+          </button>
+          <button
+            className={`btn btn-sm ${view === 'resubmission' ? 'btn-primary' : 'btn-secondary'}`}
+            onClick={() => setView('resubmission')}
+          >
+            Waiting on tenant ({counts.resubmission})
+          </button>
+        </div>
+        <button className="btn btn-secondary btn-sm" onClick={fetchQueue} disabled={loading}>
+          <RefreshCw size={14} /> Refresh
+        </button>
+        {view === 'pending' && selected.length > 0 && (
+          <button className="btn btn-primary btn-sm" onClick={bulkApprove} disabled={busyId === 'bulk'}>
+            <Check size={14} /> Approve selected ({selected.length})
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="loading-state">Loading payments...</div>
+      ) : items.length === 0 ? (
+        <div className="empty-state">
+          {view === 'pending' ? 'No payments waiting for verification' : 'No tenants have been asked for a new screenshot'}
+        </div>
+      ) : (
+        items.map(renderItem)
+      )}
+    </div>
+  )
+}
+
+export default PaymentVerificationModal
@@ -0,0 +1,293 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Shield, Download, Edit, Save, AlertTriangle } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './PoliceVerificationModal.css'
+
+const STATUS_LABELS = {
+  not_submitted: 'Not submitted',
+  submitted: 'Submitted',
+  verified: 'Verified',
+  rejected: 'Rejected'
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '')
+
+// Police verification forms for active tenants and where each one stands with the police
+const PoliceVerificationModal = () => {
+  const [tenants, setTenants] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [statuses, setStatuses] = useState(Object.keys(STATUS_LABELS))
+  const [loading, setLoading] = useState(true)
+  const [showMissingOnly, setShowMissingOnly] = useState(false)
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [downloadingId, setDownloadingId] = useState(null)
+
+  const fetchVerifications = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/police-verifications`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setTenants(data.tenants)
+        setSummary(data.summary)
+        setStatuses(data.statuses)
+      } else {
+        toast.error(data.message || 'Failed to load police verifications')
+      }
+    } catch (error) {
+      console.error('Error fetching police verifications:', error)
+      toast.error('Failed to load police verifications')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchVerifications()
+  }, [fetchVerifications])
+
+  const downloadForm = async (entry) => {
+    try {
+      setDownloadingId(entry.tenant._id)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/police-verifications/${entry.tenant._id}/form`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      if (!response.ok) throw new Error('Failed to download verification form')
+
+      const blob = await response.blob()
+      const url = window.URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `Police_Verification_${entry.tenant.name.replace(/\s+/g, '_')}.pdf`
+      document.body.appendChild(a)
+      a.click()
+      a.remove()
+      window.URL.revokeObjectURL(url)
+      if (entry.missing.length > 0) {
+        toast(`Fill in by hand: ${entry.missing.join(', ')}`)
+      }
+      fetchVerifications()
+    } catch (error) {
+      console.error('Error downloading verification form:', error)
+      toast.error('Failed to download verification form')
+    } finally {
+      setDownloadingId(null)
+    }
+  }
+
+  const startEdit = (entry) => {
+    const verification = entry.verification
+    setForm({
+      tenantId: entry.tenant._id,
+      tenantName: entry.tenant.name,
+      status: verification.status === 'not_submitted' ? 'submitted' : verification.status,
+      submittedAt: toDateInput(verification.submittedAt || new Date()),
+      policeStation: verification.policeStation || '',
+      referenceNumber: verification.referenceNumber || '',
+      verifiedAt: toDateInput(verification.verifiedAt),
+      notes: verification.notes || ''
+    })
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/police-verifications/${form.tenantId}`, {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          status: form.status,
+          submittedAt: form.submittedAt,
+          policeStation: form.policeStation,
+          referenceNumber: form.referenceNumber,
+          verifiedAt: form.verifiedAt,
+          notes: form.notes
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success('Verification status saved')
+        setForm(null)
+        fetchVerifications()
+      } else {
+        toast.error(data.message || 'Failed to save verification status')
+      }
+    } catch (error) {
+      console.error('Error saving verification status:', error)
+      toast.error('Failed to save verification status')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const visibleTenants = showMissingOnly ? tenants.filter(entry => entry.needsAttention) : tenants
+
+  return (
+    <div className="modal-content police-verification-modal">
+      <h3><Shield size={20} /> Police Verification</h3>
+      <p className="police-verification-hint">
+        Download each tenant's verification form filled in from their profile, file it with the police station
+        and record the submission here. Details the tenant has not provided are left blank on the form.
+      </p>
+
+      {summary && (
+        <div className="police-verification-summary">
+          <span>{summary.total} active</span>
+          <span className={summary.missing > 0 ? 'attention' : ''}>{summary.missing} not filed</span>
+          <span>{summary.submitted} submitted</span>
+          <span>{summary.verified} verified</span>
+          {summary.rejected > 0 && <span className="attention">{summary.rejected} rejected</span>}
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="police-verification-form">
+          <h4>Verification for {form.tenantName}</h4>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Status</label>
+              <select
+                className="form-control"
+                value={form.status}
+                onChange={(e) => setForm({ ...form, status: e.target.value })}
+              >
+                {statuses.map(status => (
+                  <option key={status} value={status}>{STATUS_LABELS[status] || status}</option>
+                ))}
+              </select>
+            </div>
+            {form.status !== 'not_submitted' && (
+              <>
+                <div className="form-group">
+                  <label>Submitted On</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={form.submittedAt}
+                    max={toDateInput(new Date())}
+                    onChange={(e) => setForm({ ...form, submittedAt: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Police Station</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={form.policeStation}
+                    onChange={(e) => setForm({ ...form, policeStation: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Reference Number</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={form.referenceNumber}
+                    onChange={(e) => setForm({ ...form, referenceNumber: e.target.value })}
+                  />
+                </div>
+              </>
+            )}
+            {form.status === 'verified' && (
+              <div className="form-group">
+                <label>Verified On</label>
+                <input
+                  type="date"
+                  className="form-control"
+                  value={form.verifiedAt}
+                  onChange={(e) => setForm({ ...form, verifiedAt: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea
+              rows={2}
+              className="form-control"
+              value={form.notes}
+              onChange={(e) => setForm({ ...form, notes: e.target.value })}
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Save Status'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <label className="police-verification-filter">
+        <input type="checkbox" checked={showMissingOnly} onChange={(e) => setShowMissingOnly(e.target.checked)} />
+        Only tenants not yet filed with the police
+      </label>
+
+      {loading ? (
+        <div className="loading-state">Loading police verifications...</div>
+      ) : visibleTenants.length === 0 ? (
+        <div className="empty-state">{showMissingOnly ? 'Every active tenant has been filed' : 'No active tenants'}</div>
+      ) : (
+        visibleTenants.map(entry => (
+          <div key={entry.tenant._id} className="tenant-card">
+            <h5>
+              {entry.tenant.name} • Room {entry.room?.roomNumber}
+              <span className={`police-verification-status ${entry.verification.status}`}>
+                {STATUS_LABELS[entry.verification.status] || entry.verification.status}
+              </span>
+            </h5>
+            {entry.needsAttention && (
+              <p className="police-verification-flag">
+                <AlertTriangle size={14} /> Verification missing
+                {entry.tenant.moveInDate ? ` • moved in ${formatDate(entry.tenant.moveInDate)}` : ''}
+              </p>
+            )}
+            {entry.verification.submittedAt && (
+              <p>
+                Submitted {formatDate(entry.verification.submittedAt)}
+                {entry.verification.policeStation ? ` at ${entry.verification.policeStation}` : ''}
+                {entry.verification.referenceNumber ? ` • Ref ${entry.verification.referenceNumber}` : ''}
+              </p>
+            )}
+            {entry.verification.verifiedAt && <p>Verified {formatDate(entry.verification.verifiedAt)}</p>}
+            {entry.verification.notes && <p>{entry.verification.notes}</p>}
+            {entry.missing.length > 0 && (
+              <p className="police-verification-hint">Not on record: {entry.missing.join(', ')}</p>
+            )}
+            {entry.verification.formGeneratedAt && (
+              <p className="police-verification-hint">Form last generated {formatDate(entry.verification.formGeneratedAt)}</p>
+            )}
+            <div className="card-actions">
+              <button
+                className="btn btn-outline btn-sm"
+                onClick={() => downloadForm(entry)}
+                disabled={downloadingId === entry.tenant._id}
+              >
+                <Download size={14} /> {downloadingId === entry.tenant._id ? 'Preparing...' : 'Download Form'}
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => startEdit(entry)}>
+                <Edit size={14} /> Update Status
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default PoliceVerificationModal
@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react'
+import { Landmark, Upload, Check, X, RefreshCw } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './ReconciliationModal.css'
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December']
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+const describeSuggestion = (suggestion) => {
+  const tenant = suggestion.tenant?.name || 'Unknown tenant'
+  const bill = suggestion.bill
+  const period = bill ? `${MONTH_NAMES[bill.month - 1]} ${bill.year}` : ''
+  if (suggestion.payment) {
+    return `${tenant} • recorded ${formatAmount(suggestion.payment.amount)}` +
+      `${suggestion.payment.transactionId ? ` (ref ${suggestion.payment.transactionId})` : ''} for ${period}`
+  }
+  return `${tenant} • bill ${bill?.billNumber || ''} ${period}`
+}
+
+// Import bank statements and settle the credits in them against tenant
+// payments and bills. Suggested matches are confirmed one click at a time.
+const ReconciliationModal = () => {
+  const [transactions, setTransactions] = useState([])
+  const [statements, setStatements] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [uploading, setUploading] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  const fetchData = async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const headers = { Authorization: `Bearer ${token}` }
+      const [transactionsResponse, statementsResponse] = await Promise.all([
+        fetch(`${getApiUrl()}/admin/reconciliation/transactions`, { headers }),
+        fetch(`${getApiUrl()}/admin/reconciliation/statements`, { headers })
+      ])
+      const transactionsData = await transactionsResponse.json()
+      const statementsData = await statementsResponse.json()
+      if (transactionsData.success) setTransactions(transactionsData.transactions)
+      if (statementsData.success) setStatements(statementsData.statements)
+    } catch (error) {
+      console.error('Error fetching reconciliation:', error)
+      toast.error('Failed to load bank credits')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchData()
+  }, [])
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setUploading(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/reconciliation/statements`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ fileName: file.name, content: await readAsBase64(file) })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        fetchData()
+      } else {
+        toast.error(data.message || 'Failed to import statement')
+      }
+    } catch (error) {
+      console.error('Error importing statement:', error)
+      toast.error('Failed to import statement')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const postAction = async (path, body, fallbackMessage) => {
+    const token = localStorage.getItem('token')
+    const response = await fetch(`${getApiUrl()}/admin/reconciliation/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    })
+    const data = await response.json()
+    if (data.success) {
+      toast.success(data.message)
+      fetchData()
+    } else {
+      toast.error(data.message || fallbackMessage)
+    }
+  }
+
+  const confirmMatch = async (transaction, suggestion) => {
+    try {
+      setBusyId(transaction._id)
+      await postAction(
+        `transactions/${transaction._id}/confirm`,
+        suggestion.payment ? { paymentId: suggestion.payment._id } : { billId: suggestion.bill._id },
+        'Failed to confirm match'
+      )
+    } catch (error) {
+      console.error('Error confirming match:', error)
+      toast.error('Failed to confirm match')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const ignoreTransaction = async (transaction) => {
+    const reason = prompt('Why is this credit not a rent payment? (optional)')
+    if (reason === null) return
+
+    try {
+      setBusyId(transaction._id)
+      await postAction(`transactions/${transaction._id}/ignore`, { reason }, 'Failed to ignore credit')
+    } catch (error) {
+      console.error('Error ignoring credit:', error)
+      toast.error('Failed to ignore credit')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const rematch = async () => {
+    try {
+      setLoading(true)
+      await postAction('rematch', {}, 'Failed to re-match credits')
+    } catch (error) {
+      console.error('Error re-matching credits:', error)
+      toast.error('Failed to re-match credits')
+      setLoading(false)
+    }
+  }
+
+  const suggested = transactions.filter(transaction => transaction.status === 'suggested')
+  const unmatched = transactions.filter(transaction => transaction.status === 'unmatched')
+
+  const renderTransaction = (transaction) => (
+    <div key={transaction._id} className="bank-credit">
+      <div className="bank-credit-main">
+        <strong>{formatAmount(transaction.amount)}</strong>
+        <span>{formatDate(transaction.date)}{transaction.reference && ` • ${transaction.reference}`}</span>
+        <small>{transaction.description}</small>
+      </div>
+      <div className="bank-credit-matches">
+        {transaction.suggestions.map(suggestion => (
+          <div key={suggestion._id} className="bank-suggestion">
+            <div>
+              <span>{describeSuggestion(suggestion)}</span>
+              <small>{suggestion.reasons.join(' • ')}</small>
+            </div>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={() => confirmMatch(transaction, suggestion)}
+              disabled={busyId === transaction._id}
+            >
+              <Check size={14} /> Confirm
+            </button>
+          </div>
+        ))}
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={() => ignoreTransaction(transaction)}
+          disabled={busyId === transaction._id}
+        >
+          <X size={14} /> Ignore
+        </button>
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="modal-content reconciliation-modal">
+      <h3><Landmark size={20} /> Bank Reconciliation</h3>
+
+      <div className="reconciliation-toolbar">
+        <label className={`btn btn-primary ${uploading ? 'disabled' : ''}`}>
+          <Upload size={16} /> {uploading ? 'Importing...' : 'Import Statement'}
+          <input type="file" accept=".csv,.xls,.xlsx" onChange={handleUpload} disabled={uploading} hidden />
+        </label>
+        <button className="btn btn-secondary" onClick={rematch} disabled={loading}>
+          <RefreshCw size={16} /> Re-match
+        </button>
+        <small>CSV or Excel export from your bank. Only credits are imported; lines already imported are skipped.</small>
+      </div>
+
+      {loading ? (
+        <div className="loading-state">Loading bank credits...</div>
+      ) : (
+        <>
+          <h4>Suggested matches ({suggested.length})</h4>
+          {suggested.length === 0
+            ? <div className="empty-state">No credits waiting for confirmation</div>
+            : suggested.map(renderTransaction)}
+
+          <h4>Unmatched credits ({unmatched.length})</h4>
+          {unmatched.length === 0
+            ? <div className="empty-state">Every imported credit has been matched or ignored</div>
+            : unmatched.map(renderTransaction)}
+
+          {statements.length > 0 && (
+            <>
+              <h4>Imported statements</h4>
+              <ul className="statement-list">
+                {statements.map(statement => (
+                  <li key={statement._id}>
+                    {statement.fileName} • {formatDate(statement.periodFrom)} – {formatDate(statement.periodTo)}
+                    {' • '}{statement.creditCount} credits
+                    {statement.duplicateCount > 0 && ` (${statement.duplicateCount} already imported)`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ReconciliationModal
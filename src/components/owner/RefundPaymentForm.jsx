@@ -0,0 +1,175 @@
+import { useState, useEffect } from 'react'
+import { RotateCcw } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const MANUAL_METHODS = [
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'cash', label: 'Cash' }
+]
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+
+// Refund all or part of one payment. Razorpay payments are refunded through
+// the gateway; anything else is recorded as paid back by hand.
+const RefundPaymentForm = ({ paymentId, onRefunded, onCancel }) => {
+  const [details, setDetails] = useState(null)
+  const [form, setForm] = useState({ amount: '', reason: '', method: 'bank_transfer', reference: '' })
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    const fetchRefunds = async () => {
+      try {
+        const token = localStorage.getItem('token')
+        const response = await fetch(`${getApiUrl()}/admin/payments/${paymentId}/refunds`, {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (data.success) {
+          setDetails(data)
+          setForm(prev => ({ ...prev, amount: data.refundable }))
+        } else {
+          toast.error(data.message || 'Failed to load payment')
+        }
+      } catch (error) {
+        console.error('Error fetching refunds:', error)
+        toast.error('Failed to load payment')
+      }
+    }
+    fetchRefunds()
+  }, [paymentId])
+
+  const viaGateway = details?.paymentMethod === 'razorpay'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.reason.trim()) {
+      toast.error('Enter a reason for the refund')
+      return
+    }
+    if (!confirm(`Refund ${formatAmount(form.amount)}${viaGateway ? ' through Razorpay' : ''}?`)) return
+
+    try {
+      setSubmitting(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/payments/${paymentId}/refunds`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          amount: Number(form.amount),
+          reason: form.reason,
+          ...(viaGateway ? {} : { method: form.method, reference: form.reference })
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        onRefunded?.(data.payment)
+      } else {
+        toast.error(data.message || 'Failed to refund payment')
+      }
+    } catch (error) {
+      console.error('Error refunding payment:', error)
+      toast.error('Failed to refund payment')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (!details) {
+    return <div className="loading-state">Loading payment...</div>
+  }
+
+  return (
+    <form className="refund-form" onSubmit={handleSubmit}>
+      {details.refunds.length > 0 && (
+        <ul className="refund-history">
+          {details.refunds.map(refund => (
+            <li key={refund._id}>
+              {formatAmount(refund.amount)} • {refund.method?.replace('_', ' ')} • {refund.status}
+              {refund.reason && ` • ${refund.reason}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {details.refundable <= 0 ? (
+        <p className="empty-state">This payment has been fully refunded.</p>
+      ) : (
+        <>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Amount (up to {formatAmount(details.refundable)})</label>
+              <input
+                type="number"
+                className="form-control"
+                min="0"
+                max={details.refundable}
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                required
+              />
+            </div>
+            {!viaGateway && (
+              <>
+                <div className="form-group">
+                  <label>Paid Back By</label>
+                  <select
+                    className="form-control"
+                    value={form.method}
+                    onChange={(e) => setForm({ ...form, method: e.target.value })}
+                  >
+                    {MANUAL_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Reference</label>
+                  <input
+                    className="form-control"
+                    placeholder="UTR / transaction id"
+                    value={form.reference}
+                    onChange={(e) => setForm({ ...form, reference: e.target.value })}
+                  />
+                </div>
+              </>
+            )}
+            <div className="form-group">
+              <label>Reason</label>
+              <input
+                className="form-control"
+                placeholder="e.g. Paid twice"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+          <p className="refund-note">
+            {viaGateway
+              ? 'The refund is sent back to the tenant through Razorpay.'
+              : 'Record a refund you have already paid to the tenant.'}
+            {' '}Unspent credit from this payment is used first, then the bills it paid are reopened.
+          </p>
+        </>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Close</button>
+        {details.refundable > 0 && (
+          <button type="submit" className="btn btn-danger" disabled={submitting}>
+            <RotateCcw size={16} /> {submitting ? 'Refunding...' : 'Refund'}
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default RefundPaymentForm
@@ -0,0 +1,280 @@
+import { useState, useEffect, useCallback } from 'react'
+import { TrendingUp, Plus, Save, Trash2, Edit, X } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+import './RentTermsModal.css'
+
+const REPEAT_OPTIONS = [
+  { value: 0, label: 'Once' },
+  { value: 12, label: 'Every year' },
+  { value: 6, label: 'Every 6 months' }
+]
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '')
+
+const describeEscalation = (escalation) => {
+  const change = escalation.type === 'percentage' ? `${escalation.value}%` : formatAmount(escalation.value)
+  const repeat = REPEAT_OPTIONS.find(option => option.value === escalation.repeatEveryMonths)
+  return `${change} from ${formatDate(escalation.effectiveDate)}${escalation.repeatEveryMonths > 0 ? `, ${(repeat?.label || `every ${escalation.repeatEveryMonths} months`).toLowerCase()}` : ''}`
+}
+
+// The rent agreed with each tenant and when it goes up, which bills follow
+const RentTermsModal = () => {
+  const [tenants, setTenants] = useState([])
+  const [noticeDays, setNoticeDays] = useState(30)
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const fetchTerms = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/rent-terms`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setTenants(data.tenants)
+        setNoticeDays(data.noticeDays)
+      } else {
+        toast.error(data.message || 'Failed to load rent terms')
+      }
+    } catch (error) {
+      console.error('Error fetching rent terms:', error)
+      toast.error('Failed to load rent terms')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchTerms()
+
+    const handleUpdate = () => fetchTerms()
+    window.addEventListener('rentTermsUpdated', handleUpdate)
+    return () => window.removeEventListener('rentTermsUpdated', handleUpdate)
+  }, [fetchTerms])
+
+  const startEdit = (entry) => {
+    setForm({
+      tenantId: entry.tenant._id,
+      tenantName: entry.tenant.name,
+      baseRent: entry.term?.baseRent ?? entry.room?.rent ?? '',
+      startDate: toDateInput(entry.term?.startDate || entry.tenant.moveInDate),
+      escalations: (entry.term?.escalations || []).map(escalation => ({
+        type: escalation.type,
+        value: escalation.value,
+        effectiveDate: toDateInput(escalation.effectiveDate),
+        repeatEveryMonths: escalation.repeatEveryMonths,
+        note: escalation.note || ''
+      }))
+    })
+  }
+
+  const updateEscalation = (index, changes) => {
+    setForm({
+      ...form,
+      escalations: form.escalations.map((escalation, position) => (position === index ? { ...escalation, ...changes } : escalation))
+    })
+  }
+
+  const addEscalation = () => {
+    const start = form.startDate ? new Date(form.startDate) : new Date()
+    start.setFullYear(start.getFullYear() + 1)
+    setForm({
+      ...form,
+      escalations: [...form.escalations, { type: 'percentage', value: 5, effectiveDate: toDateInput(start), repeatEveryMonths: 12, note: '' }]
+    })
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/rent-terms/${form.tenantId}`, {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          baseRent: Number(form.baseRent),
+          startDate: form.startDate,
+          escalations: form.escalations.map(escalation => ({
+            ...escalation,
+            value: Number(escalation.value),
+            repeatEveryMonths: Number(escalation.repeatEveryMonths)
+          }))
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success('Rent terms saved')
+        setForm(null)
+        fetchTerms()
+      } else {
+        toast.error(data.message || 'Failed to save rent terms')
+      }
+    } catch (error) {
+      console.error('Error saving rent terms:', error)
+      toast.error('Failed to save rent terms')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeTerm = async (entry) => {
+    if (!window.confirm(`Bill ${entry.tenant.name} the room rent of ${formatAmount(entry.room?.rent)} again?`)) return
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/admin/rent-terms/${entry.tenant._id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success('Rent terms removed')
+        fetchTerms()
+      } else {
+        toast.error(data.message || 'Failed to remove rent terms')
+      }
+    } catch (error) {
+      console.error('Error removing rent terms:', error)
+      toast.error('Failed to remove rent terms')
+    }
+  }
+
+  return (
+    <div className="modal-content rent-terms-modal">
+      <h3><TrendingUp size={20} /> Rent Terms</h3>
+      <p className="rent-terms-hint">
+        Bills charge the rent in effect on the first day of the billing month. Tenants are notified {noticeDays} days
+        before a change (set in Billing Settings). Tenants without rent terms are billed their room's rent.
+      </p>
+
+      {form && (
+        <form onSubmit={handleSave} className="rent-terms-form">
+          <h4>Rent terms for {form.tenantName}</h4>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Base Rent</label>
+              <input
+                type="number"
+                min="1"
+                className="form-control"
+                value={form.baseRent}
+                onChange={(e) => setForm({ ...form, baseRent: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Starting From</label>
+              <input
+                type="date"
+                className="form-control"
+                value={form.startDate}
+                onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                required
+              />
+            </div>
+          </div>
+
+          <h5>Escalations</h5>
+          {form.escalations.length === 0 && <p className="rent-terms-hint">No escalations - the base rent applies throughout.</p>}
+          {form.escalations.map((escalation, index) => (
+            <div key={index} className="rent-escalation-row">
+              <select
+                className="form-control"
+                value={escalation.type}
+                onChange={(e) => updateEscalation(index, { type: e.target.value })}
+              >
+                <option value="percentage">Percent</option>
+                <option value="fixed">Fixed ₹</option>
+              </select>
+              <input
+                type="number"
+                step="any"
+                className="form-control"
+                value={escalation.value}
+                onChange={(e) => updateEscalation(index, { value: e.target.value })}
+                required
+              />
+              <input
+                type="date"
+                className="form-control"
+                value={escalation.effectiveDate}
+                onChange={(e) => updateEscalation(index, { effectiveDate: e.target.value })}
+                required
+              />
+              <select
+                className="form-control"
+                value={escalation.repeatEveryMonths}
+                onChange={(e) => updateEscalation(index, { repeatEveryMonths: Number(e.target.value) })}
+              >
+                {REPEAT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => setForm({ ...form, escalations: form.escalations.filter((_, position) => position !== index) })}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn btn-outline btn-sm" onClick={addEscalation}>
+            <Plus size={14} /> Add Escalation
+          </button>
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Save Rent Terms'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading-state">Loading rent terms...</div>
+      ) : tenants.length === 0 ? (
+        <div className="empty-state">No active tenants</div>
+      ) : (
+        tenants.map(entry => (
+          <div key={entry.tenant._id} className="tenant-card">
+            <h5>
+              {entry.tenant.name} • Room {entry.room?.roomNumber}
+              {!entry.term && <span className="rent-terms-badge">Room rent</span>}
+            </h5>
+            <p>Current rent: {formatAmount(entry.currentRent)}/month</p>
+            {entry.term?.escalations.length > 0 && (
+              <p>Escalations: {entry.term.escalations.map(describeEscalation).join('; ')}</p>
+            )}
+            {entry.upcoming.length > 0 && (
+              <p className="rent-terms-next">
+                Next: {formatAmount(entry.upcoming[0].newRent)} from {formatDate(entry.upcoming[0].effectiveDate)}
+              </p>
+            )}
+            <div className="card-actions">
+              <button className="btn btn-outline btn-sm" onClick={() => startEdit(entry)}>
+                <Edit size={14} /> {entry.term ? 'Edit' : 'Set Rent Terms'}
+              </button>
+              {entry.term && (
+                <button className="btn btn-danger btn-sm" onClick={() => removeTerm(entry)}>
+                  <Trash2 size={14} /> Remove
+                </button>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  )
+}
+
+export default RentTermsModal
@@ -0,0 +1,369 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Zap, Plus, Trash2, Save, Edit } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl } from '../../utils/api'
+
+const emptyPlan = {
+  name: '',
+  description: '',
+  slabs: [{ upTo: 100, rate: 0 }, { upTo: '', rate: 0 }],
+  fixedCharge: 0,
+  minimumCharge: 0,
+  taxPercent: 0,
+  isDefault: false
+}
+
+const describeSlabs = (slabs) => {
+  let from = 0
+  return slabs.map(slab => {
+    const label = slab.upTo ? `${from}-${slab.upTo}: ₹${slab.rate}` : `above ${from}: ₹${slab.rate}`
+    from = slab.upTo || from
+    return label
+  }).join(', ')
+}
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${localStorage.getItem('token')}`
+})
+
+const TariffPlansModal = () => {
+  const [plans, setPlans] = useState([])
+  const [rooms, setRooms] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+  const [assigning, setAssigning] = useState(null)
+  const [selectedRooms, setSelectedRooms] = useState([])
+  const [preview, setPreview] = useState({ units: 250, charge: null })
+
+  const fetchPlans = useCallback(async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/tariffs`, { headers: authHeaders() })
+      const data = await response.json()
+      if (data.success) {
+        setPlans(data.plans)
+        setRooms(data.rooms)
+      } else {
+        toast.error(data.message || 'Failed to load tariff plans')
+      }
+    } catch (error) {
+      console.error('Error fetching tariff plans:', error)
+      toast.error('Failed to load tariff plans')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchPlans()
+  }, [fetchPlans])
+
+  const updateSlab = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      slabs: prev.slabs.map((slab, i) => (i === index ? { ...slab, [field]: value } : slab))
+    }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    try {
+      const isEdit = !!form._id
+      const response = await fetch(`${getApiUrl()}/admin/tariffs${isEdit ? `/${form._id}` : ''}`, {
+        method: isEdit ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          name: form.name,
+          description: form.description,
+          slabs: form.slabs,
+          fixedCharge: form.fixedCharge,
+          minimumCharge: form.minimumCharge,
+          taxPercent: form.taxPercent,
+          isDefault: form.isDefault
+        })
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        setForm(null)
+        fetchPlans()
+      } else {
+        toast.error(Array.isArray(data.details) ? data.details.join(', ') : (data.message || 'Failed to save plan'))
+      }
+    } catch (error) {
+      console.error('Error saving tariff plan:', error)
+      toast.error('Failed to save tariff plan')
+    }
+  }
+
+  const handleDelete = async (plan) => {
+    if (!confirm(`Delete tariff plan "${plan.name}"?`)) return
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/tariffs/${plan._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      })
+      const data = await response.json()
+      if (data.success) {
+        toast.success(data.message)
+        fetchPlans()
+      } else {
+        toast.error(data.message || 'Failed to delete plan')
+      }
+    } catch (error) {
+      console.error('Error deleting tariff plan:', error)
+      toast.error('Failed to delete tariff plan')
+    }
+  }
+
+  const handleAssign = async () => {
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/tariffs/${assigning._id}/rooms`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ roomIds: selectedRooms })
+      })
+      const data = await response.json()
+
+      // Unticked rooms go back to the default plan
+      const removed = assigning.rooms.filter(room => !selectedRooms.includes(room._id))
+      await Promise.all(removed.map(room => fetch(`${getApiUrl()}/admin/tariffs/rooms/${room._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      })))
+
+      if (data.success) {
+        toast.success(data.message)
+        setAssigning(null)
+        fetchPlans()
+      } else {
+        toast.error(data.message || 'Failed to assign rooms')
+      }
+    } catch (error) {
+      console.error('Error assigning rooms:', error)
+      toast.error('Failed to assign rooms')
+    }
+  }
+
+  const runPreview = async (planId) => {
+    try {
+      const response = await fetch(`${getApiUrl()}/admin/tariffs/preview`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ planId, units: Number(preview.units) || 0 })
+      })
+      const data = await response.json()
+      if (data.success) setPreview(prev => ({ ...prev, planId, charge: data.charge }))
+    } catch (error) {
+      console.error('Error previewing tariff:', error)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="modal-content">
+        <h3><Zap size={20} /> Electricity Tariffs</h3>
+        <div className="loading-state">Loading tariff plans...</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="modal-content">
+      <h3><Zap size={20} /> Electricity Tariffs</h3>
+      <p className="empty-state">
+        Metered electricity is billed on the room&apos;s plan, or the default plan when none is assigned.
+      </p>
+
+      {!form && (
+        <button className="btn btn-primary" onClick={() => setForm(emptyPlan)}>
+          <Plus size={16} /> New Plan
+        </button>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Plan Name</label>
+              <input
+                className="form-control"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label>Fixed Monthly Charge (₹)</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={form.fixedCharge}
+                onChange={(e) => setForm({ ...form, fixedCharge: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Minimum Charge (₹)</label>
+              <input
+                type="number"
+                min="0"
+                className="form-control"
+                value={form.minimumCharge}
+                onChange={(e) => setForm({ ...form, minimumCharge: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Tax (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                className="form-control"
+                value={form.taxPercent}
+                onChange={(e) => setForm({ ...form, taxPercent: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.isDefault}
+                  onChange={(e) => setForm({ ...form, isDefault: e.target.checked })}
+                /> Default plan for rooms without one
+              </label>
+            </div>
+          </div>
+
+          <h5>Slabs</h5>
+          {form.slabs.map((slab, index) => (
+            <div key={index} className="form-grid">
+              <div className="form-group">
+                <label>Up to (units, blank = no limit)</label>
+                <input
+                  type="number"
+                  min="0"
+                  className="form-control"
+                  value={slab.upTo ?? ''}
+                  onChange={(e) => updateSlab(index, 'upTo', e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label>Rate (₹/unit)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  className="form-control"
+                  value={slab.rate}
+                  onChange={(e) => updateSlab(index, 'rate', e.target.value)}
+                />
+              </div>
+              <button
+                type="button"
+                className="btn btn-danger btn-sm"
+                onClick={() => setForm(prev => ({ ...prev, slabs: prev.slabs.filter((_, i) => i !== index) }))}
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => setForm(prev => ({ ...prev, slabs: [...prev.slabs, { upTo: '', rate: 0 }] }))}
+          >
+            <Plus size={14} /> Add Slab
+          </button>
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary"><Save size={16} /> Save Plan</button>
+          </div>
+        </form>
+      )}
+
+      {plans.length === 0 ? (
+        <div className="empty-state">No tariff plans yet. Rooms are billed at their flat unit rate.</div>
+      ) : (
+        plans.map(plan => (
+          <div key={plan._id} className="tenant-card">
+            <h5>
+              {plan.name} {plan.isDefault && <small>(default)</small>} {!plan.active && <small>(inactive)</small>}
+            </h5>
+            <p>{describeSlabs(plan.slabs)}</p>
+            <p>
+              Fixed ₹{plan.fixedCharge} • Minimum ₹{plan.minimumCharge} • Tax {plan.taxPercent}%
+            </p>
+            <p>Rooms: {plan.rooms.length > 0 ? plan.rooms.map(room => room.roomNumber).join(', ') : 'none assigned'}</p>
+
+            <div className="card-actions">
+              <button className="btn btn-outline btn-sm" onClick={() => setForm({ ...plan, slabs: plan.slabs.map(s => ({ upTo: s.upTo ?? '', rate: s.rate })) })}>
+                <Edit size={14} /> Edit
+              </button>
+              <button
+                className="btn btn-outline btn-sm"
+                onClick={() => {
+                  setAssigning(plan)
+                  setSelectedRooms(plan.rooms.map(room => room._id))
+                }}
+              >
+                Assign Rooms
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => runPreview(plan._id)}>
+                Preview {preview.units} units
+              </button>
+              <button className="btn btn-danger btn-sm" onClick={() => handleDelete(plan)}>
+                <Trash2 size={14} />
+              </button>
+            </div>
+
+            {preview.planId === plan._id && preview.charge && (
+              <div className="utility-details">
+                {preview.charge.slabs.map((slab, index) => (
+                  <small key={index}>{slab.units} units × ₹{slab.rate} = ₹{slab.amount}</small>
+                ))}
+                <small>Fixed ₹{preview.charge.fixedCharge} • Minimum adj. ₹{preview.charge.minimumChargeAdjustment} • Tax ₹{preview.charge.tax}</small>
+                <strong>Total ₹{preview.charge.amount}</strong>
+              </div>
+            )}
+
+            {assigning?._id === plan._id && (
+              <div className="form-grid">
+                {rooms.map(room => (
+                  <label key={room._id}>
+                    <input
+                      type="checkbox"
+                      checked={selectedRooms.includes(room._id)}
+                      onChange={(e) => setSelectedRooms(prev => (
+                        e.target.checked ? [...prev, room._id] : prev.filter(id => id !== room._id)
+                      ))}
+                    /> Room {room.roomNumber}
+                    {room.utilities?.electricity?.unitRate > 0 && (
+                      <small> (plan replaces its own rate of ₹{room.utilities.electricity.unitRate}/unit)</small>
+                    )}
+                  </label>
+                ))}
+                <button className="btn btn-primary btn-sm" onClick={handleAssign}>Save Assignment</button>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      <div className="form-group">
+        <label>Preview units</label>
+        <input
+          type="number"
+          min="0"
+          className="form-control"
+          value={preview.units}
+          onChange={(e) => setPreview({ units: e.target.value, charge: null })}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default TariffPlansModal
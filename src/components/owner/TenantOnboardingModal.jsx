@@ -0,0 +1,325 @@
+import { useState, useEffect, useCallback } from 'react'
+import { UserPlus, Send, ShieldCheck, RotateCcw, X, CheckCircle, Mail } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import { getApiUrl, getFileUrl } from '../../utils/api'
+import './TenantOnboardingModal.css'
+
+const STEP_LABELS = {
+  account: 'Password',
+  profile: 'Profile',
+  emergencyContact: 'Emergency contact',
+  idProof: 'ID proof',
+  photo: 'Photo'
+}
+
+const STATUS_LABELS = {
+  invited: 'Invited',
+  in_progress: 'In progress',
+  submitted: 'Ready for review',
+  changes_requested: 'Changes requested'
+}
+
+const ID_PROOF_LABELS = {
+  aadhaar: 'Aadhaar card',
+  pan: 'PAN card',
+  passport: 'Passport',
+  driving_licence: 'Driving licence',
+  voter_id: 'Voter ID',
+  other: 'Other government ID'
+}
+
+const emptyInvite = { name: '', email: '', phone: '', roomId: '', moveInDate: '', securityDeposit: '' }
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN')
+
+// Invite tenants, review their documents and activate their tenancy
+const TenantOnboardingModal = () => {
+  const [tenants, setTenants] = useState([])
+  const [rooms, setRooms] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [inviteForm, setInviteForm] = useState(null)
+  const [credentials, setCredentials] = useState(null)
+  const [depositCollected, setDepositCollected] = useState({})
+  const [busyId, setBusyId] = useState(null)
+
+  const fetchOnboarding = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('token')
+      const response = await fetch(`${getApiUrl()}/onboarding`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      const data = await response.json()
+      if (data.success) {
+        setTenants(data.tenants)
+        setRooms(data.rooms)
+      } else {
+        toast.error(data.message || 'Failed to load onboarding')
+      }
+    } catch (error) {
+      console.error('Error fetching onboarding:', error)
+      toast.error('Failed to load onboarding')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchOnboarding()
+
+    const handleUpdate = () => fetchOnboarding()
+    window.addEventListener('onboardingUpdated', handleUpdate)
+    return () => window.removeEventListener('onboardingUpdated', handleUpdate)
+  }, [fetchOnboarding])
+
+  const request = async (path, { method = 'POST', body } = {}) => {
+    const token = localStorage.getItem('token')
+    const response = await fetch(`${getApiUrl()}/onboarding${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+    return response.json()
+  }
+
+  const runAction = async (tenantId, path, options, fallbackMessage) => {
+    try {
+      setBusyId(tenantId)
+      const data = await request(path, options)
+      if (data.success) {
+        // Activated without its move-in bill: keep that in front of the owner
+        if (data.billError) toast.error(data.message, { duration: 8000 })
+        else toast.success(data.message)
+        fetchOnboarding()
+      } else {
+        toast.error(data.message || fallbackMessage)
+      }
+      return data
+    } catch (error) {
+      console.error(`${fallbackMessage}:`, error)
+      toast.error(fallbackMessage)
+      return null
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const data = await runAction('invite', '/invitations', { body: inviteForm }, 'Failed to invite tenant')
+    if (data?.success) {
+      setCredentials({ name: inviteForm.name, username: data.username, password: data.password, emailSent: data.emailSent })
+      setInviteForm(null)
+    }
+  }
+
+  const resend = async (tenant) => {
+    const data = await runAction(tenant._id, `/${tenant._id}/resend`, {}, 'Failed to resend invitation')
+    if (data?.success) {
+      setCredentials({ name: tenant.name, username: data.username, password: data.password, emailSent: data.emailSent })
+    }
+  }
+
+  const cancelInvite = (tenant) => {
+    if (!window.confirm(`Cancel ${tenant.name}'s invitation? Their details and uploads will be deleted.`)) return
+    runAction(tenant._id, `/${tenant._id}`, { method: 'DELETE' }, 'Failed to cancel invitation')
+  }
+
+  const requestChanges = (tenant, idProof) => {
+    const reason = window.prompt(idProof ? 'Why is the ID proof not acceptable?' : 'What should the tenant change?')
+    if (!reason?.trim()) return
+    runAction(tenant._id, `/${tenant._id}/request-changes`, { body: { reason, idProof } }, 'Failed to send back to the tenant')
+  }
+
+  const activate = async (tenant) => {
+    const collected = depositCollected[tenant._id] || 0
+    const due = (tenant.onboarding?.agreedDeposit || 0) - Number(collected)
+    if (!window.confirm(`Activate ${tenant.name} in room ${tenant.room?.roomNumber}? The move-in bill will include ${formatAmount(due)} of security deposit.`)) return
+    const data = await runAction(tenant._id, `/${tenant._id}/activate`, { body: { depositCollected: collected } }, 'Failed to activate tenant')
+    if (data?.success) window.dispatchEvent(new CustomEvent('roomsUpdated'))
+  }
+
+  const selectRoom = (roomId) => {
+    const room = rooms.find(item => item._id === roomId)
+    setInviteForm({ ...inviteForm, roomId, securityDeposit: room?.securityDeposit ?? inviteForm.securityDeposit })
+  }
+
+  return (
+    <div className="modal-content onboarding-modal">
+      <h3><UserPlus size={20} /> Tenant Onboarding</h3>
+
+      {credentials && (
+        <div className="onboarding-credentials">
+          <div>
+            <strong>{credentials.emailSent ? `Invitation emailed to ${credentials.name}` : `Share this login with ${credentials.name}`}</strong>
+            <span>Username: <code>{credentials.username}</code> • Temporary password: <code>{credentials.password}</code></span>
+          </div>
+          <button className="btn btn-outline btn-sm" onClick={() => setCredentials(null)}><X size={14} /></button>
+        </div>
+      )}
+
+      {!inviteForm && (
+        <button className="btn btn-primary" onClick={() => setInviteForm(emptyInvite)} disabled={rooms.length === 0}>
+          <Send size={16} /> Invite Tenant
+        </button>
+      )}
+      {!inviteForm && rooms.length === 0 && !loading && (
+        <p className="onboarding-owner-hint">Every room is occupied or has an invitation out.</p>
+      )}
+
+      {inviteForm && (
+        <form onSubmit={handleInvite}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Name</label>
+              <input className="form-control" value={inviteForm.name} onChange={(e) => setInviteForm({ ...inviteForm, name: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Email</label>
+              <input type="email" className="form-control" value={inviteForm.email} onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Phone</label>
+              <input type="tel" className="form-control" value={inviteForm.phone} onChange={(e) => setInviteForm({ ...inviteForm, phone: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Room</label>
+              <select className="form-control" value={inviteForm.roomId} onChange={(e) => selectRoom(e.target.value)} required>
+                <option value="">Select a vacant room</option>
+                {rooms.map(room => (
+                  <option key={room._id} value={room._id}>
+                    {room.roomNumber} ({room.type}, {formatAmount(room.rent)}/month)
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Move-in Date</label>
+              <input type="date" className="form-control" value={inviteForm.moveInDate} onChange={(e) => setInviteForm({ ...inviteForm, moveInDate: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Security Deposit</label>
+              <input type="number" min="0" className="form-control" value={inviteForm.securityDeposit} onChange={(e) => setInviteForm({ ...inviteForm, securityDeposit: e.target.value })} />
+            </div>
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setInviteForm(null)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={busyId === 'invite'}>
+              <Mail size={16} /> Send Invitation
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading-state">Loading onboarding...</div>
+      ) : tenants.length === 0 ? (
+        <div className="empty-state">Nobody is being onboarded right now</div>
+      ) : (
+        tenants.map(tenant => {
+          const status = tenant.onboarding?.status
+          const idProof = tenant.idProof || {}
+          return (
+            <div key={tenant._id} className="tenant-card">
+              <h5>
+                {tenant.name} • Room {tenant.room?.roomNumber}
+                <span className={`onboarding-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+              </h5>
+              <p>
+                {tenant.email} • {tenant.phone} • moving in {formatDate(tenant.moveInDate)} •
+                deposit {formatAmount(tenant.onboarding?.agreedDeposit)}
+              </p>
+
+              <div className="onboarding-progress">
+                {tenant.steps.map(step => (
+                  <span key={step} className={tenant.completedSteps.includes(step) ? 'done' : ''}>
+                    {tenant.completedSteps.includes(step) && <CheckCircle size={12} />} {STEP_LABELS[step]}
+                  </span>
+                ))}
+              </div>
+
+              {tenant.address && <p>Address: {tenant.address}</p>}
+              {tenant.emergencyContact?.name && (
+                <p>Emergency contact: {tenant.emergencyContact.name} ({tenant.emergencyContact.relationship}) • {tenant.emergencyContact.phone}</p>
+              )}
+
+              {(idProof.file || tenant.profilePhoto) && (
+                <div className="onboarding-documents">
+                  {tenant.profilePhoto && <img src={getFileUrl(tenant.profilePhoto)} alt={tenant.name} />}
+                  {idProof.file && (
+                    <div>
+                      <a href={getFileUrl(idProof.file)} target="_blank" rel="noreferrer">
+                        {ID_PROOF_LABELS[idProof.documentType] || 'ID proof'}
+                      </a>
+                      <span> • {idProof.documentNumber}</span>
+                      {idProof.verified
+                        ? <span className="onboarding-verified"> • Verified by {idProof.verifiedBy}</span>
+                        : <span> • Not verified</span>}
+                    </div>
+                  )}
+                </div>
+              )}
+              {tenant.onboarding?.reviewNote && status === 'changes_requested' && (
+                <p className="onboarding-owner-hint">Sent back: {tenant.onboarding.reviewNote}</p>
+              )}
+
+              {status === 'submitted' && idProof.verified && (
+                <div className="form-group onboarding-deposit">
+                  <label>Deposit collected in person (the rest goes on the move-in bill)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max={tenant.onboarding?.agreedDeposit || 0}
+                    className="form-control"
+                    value={depositCollected[tenant._id] ?? ''}
+                    onChange={(e) => setDepositCollected({ ...depositCollected, [tenant._id]: e.target.value })}
+                  />
+                </div>
+              )}
+
+              <div className="card-actions">
+                {idProof.file && !idProof.verified && (
+                  <button
+                    className="btn btn-outline btn-sm"
+                    onClick={() => runAction(tenant._id, `/${tenant._id}/id-proof/verify`, {}, 'Failed to verify ID proof')}
+                    disabled={busyId === tenant._id}
+                  >
+                    <ShieldCheck size={14} /> Verify ID
+                  </button>
+                )}
+                {idProof.file && (
+                  <button className="btn btn-outline btn-sm" onClick={() => requestChanges(tenant, true)} disabled={busyId === tenant._id}>
+                    <X size={14} /> Reject ID
+                  </button>
+                )}
+                {status === 'submitted' && (
+                  <button className="btn btn-outline btn-sm" onClick={() => requestChanges(tenant, false)} disabled={busyId === tenant._id}>
+                    <RotateCcw size={14} /> Request Changes
+                  </button>
+                )}
+                {status === 'submitted' && idProof.verified && (
+                  <button className="btn btn-primary btn-sm" onClick={() => activate(tenant)} disabled={busyId === tenant._id}>
+                    <CheckCircle size={14} /> Activate
+                  </button>
+                )}
+                {status !== 'submitted' && (
+                  <button className="btn btn-outline btn-sm" onClick={() => resend(tenant)} disabled={busyId === tenant._id}>
+                    <Mail size={14} /> Resend Invite
+                  </button>
+                )}
+                <button className="btn btn-danger btn-sm" onClick={() => cancelInvite(tenant)} disabled={busyId === tenant._id}>
+                  <X size={14} /> Cancel Invite
+                </button>
+              </div>
+            </div>
+          )
+        })
+      )}
+    </div>
+  )
+}
+
+export default TenantOnboardingModal
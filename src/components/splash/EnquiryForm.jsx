@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, CheckCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { getApiUrl } from '../../utils/api';
+import './SplashWelcome.css';
+import './EnquiryForm.css';
+
+const EMPTY_FORM = {
+  name: '',
+  phone: '',
+  email: '',
+  preferredRoomType: '',
+  budget: '',
+  moveInDate: '',
+  message: ''
+};
+
+// Public enquiry form for people looking for a room; enquiries land in the owner's pipeline
+const EnquiryForm = () => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [roomTypes, setRoomTypes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await fetch(`${getApiUrl()}/enquiries/options`);
+        const data = await response.json();
+        if (data.success) setRoomTypes(data.roomTypes);
+      } catch (error) {
+        console.error('❌ Error fetching enquiry options:', error);
+      }
+    };
+    fetchOptions();
+  }, []);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const response = await fetch(`${getApiUrl()}/enquiries`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setSent(true);
+        setForm(EMPTY_FORM);
+      } else {
+        toast.error(data.message || 'Failed to send your enquiry');
+      }
+    } catch (error) {
+      console.error('❌ Error sending enquiry:', error);
+      toast.error('Failed to send your enquiry');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="welcome-container">
+      <div className="background-circles">
+        <div className="circle circle-1"></div>
+        <div className="circle circle-2"></div>
+        <div className="circle circle-3"></div>
+      </div>
+
+      <div className="welcome-card enquiry-form-card">
+        <button type="button" className="enquiry-form-back" onClick={() => navigate('/')}>
+          <ArrowLeft size={18} /> Back
+        </button>
+
+        {sent ? (
+          <div className="enquiry-form-sent">
+            <CheckCircle size={48} />
+            <h2>Enquiry sent</h2>
+            <p>Thank you! The owner will call you about rooms that suit you.</p>
+            <button type="button" className="btn btn-secondary" onClick={() => setSent(false)}>
+              <span>Send another enquiry</span>
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="enquiry-form">
+            <h2>Looking for a room?</h2>
+            <p className="enquiry-form-hint">Tell us what you need and we will get in touch when a suitable room is free.</p>
+
+            <label>
+              Full name
+              <input type="text" name="name" maxLength={100} value={form.name} onChange={handleChange} required />
+            </label>
+            <label>
+              Phone
+              <input type="tel" name="phone" maxLength={20} value={form.phone} onChange={handleChange} required />
+            </label>
+            <label>
+              Email (optional)
+              <input type="email" name="email" maxLength={254} value={form.email} onChange={handleChange} />
+            </label>
+            <label>
+              Room type
+              <select name="preferredRoomType" value={form.preferredRoomType} onChange={handleChange} required>
+                <option value="">Choose a room type</option>
+                {roomTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </label>
+            <div className="enquiry-form-row">
+              <label>
+                Budget (₹/month)
+                <input type="number" name="budget" min="0" value={form.budget} onChange={handleChange} />
+              </label>
+              <label>
+                Move-in date
+                <input type="date" name="moveInDate" value={form.moveInDate} onChange={handleChange} />
+              </label>
+            </div>
+            <label>
+              Anything else? (optional)
+              <textarea name="message" rows={3} maxLength={1000} value={form.message} onChange={handleChange} />
+            </label>
+
+            <button type="submit" className="btn btn-primary" disabled={submitting}>
+              <span>{submitting ? 'Sending...' : 'Send Enquiry'}</span>
+              <div className="btn-overlay"></div>
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EnquiryForm;
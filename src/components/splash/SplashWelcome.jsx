@@ -29,6 +29,10 @@ const SplashWelcome = () => {
     navigate('/signup');
   };
 
+  const handleEnquire = () => {
+    navigate('/enquire');
+  };
+
   // Splash Screen
   if (screen === 'splash') {
     return (
@@ -194,6 +198,10 @@ const SplashWelcome = () => {
             <div className="btn-overlay"></div>
           </button>
 
+          <button onClick={handleEnquire} className="btn btn-secondary">
+            <span>Looking for a room? Enquire</span>
+          </button>
+
          
         </div>
 
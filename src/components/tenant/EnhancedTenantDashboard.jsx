@@ -3,7 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import { toast } from 'react-hot-toast'
 import { useUser } from '../../context/UserContext'
 import { useRealTimeNotifications } from '../../context/RealTimeNotificationContext'
-import { getApiUrl } from '../../utils/api'
+import { getApiUrl, getFileUrl } from '../../utils/api'
 import { 
   User, 
   CreditCard, 
@@ -29,6 +29,7 @@ import {
   Camera
 } from 'lucide-react'
 import SlidingNavbar from '../SlidingNavbar'
+import UpiPayPanel from '../UpiPayPanel'
 import './TenantDashboard.css'
 
 const EnhancedTenantDashboard = ({ onLogout }) => {
@@ -269,7 +270,7 @@ const EnhancedTenantDashboard = ({ onLogout }) => {
         const url = window.URL.createObjectURL(blob)
         const a = document.createElement('a')
         a.href = url
-        a.download = `Invoice_${bill.billNumber}.pdf`
+        a.download = `Invoice_${bill.billNumber.replace(/\//g, '-')}.pdf`
         document.body.appendChild(a)
         a.click()
         window.URL.revokeObjectURL(url)
@@ -312,7 +313,7 @@ const EnhancedTenantDashboard = ({ onLogout }) => {
           <div className="profile-section" onClick={() => setShowProfileDropdown(!showProfileDropdown)}>
             <div className="profile-photo">
               {user.profilePhoto ? (
-                <img src={user.profilePhoto} alt="Profile" />
+                <img src={getFileUrl(user.profilePhoto)} alt="Profile" />
               ) : (
                 <User size={24} />
               )}
@@ -640,6 +641,16 @@ const EnhancedTenantDashboard = ({ onLogout }) => {
                     </div>
                   </div>
                 </div>
+
+                {['pending', 'overdue', 'partially_paid'].includes(selectedBill.status) && (
+                  <UpiPayPanel
+                    bill={selectedBill}
+                    onRecorded={() => {
+                      setActiveModal(null)
+                      loadDashboardData()
+                    }}
+                  />
+                )}
                 
                 <div className="modal-actions">
                   <button 
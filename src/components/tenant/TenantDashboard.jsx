@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import { toast } from 'react-hot-toast'
 import { useUser } from '../../context/UserContext'
 import { useRealTimeNotifications } from '../../context/RealTimeNotificationContext'
+import { getFileUrl } from '../../utils/api'
 import { 
   User, 
   CreditCard, 
@@ -184,7 +185,7 @@ const TenantDashboard = ({ onLogout }) => {
           <div className="profile-section" onClick={() => setShowProfileDropdown(!showProfileDropdown)}>
             <div className="profile-photo">
               {user.profilePhoto ? (
-                <img src={user.profilePhoto} alt="Profile" style={{ width: '100%', height: '100%', objectFit: 'cover', borderRadius: '50%' }} />
+                <img src={getFileUrl(user.profilePhoto)} alt="Profile" style={{ width: '100%', height: '100%', objectFit: 'cover', borderRadius: '50%' }} />
               ) : (
                 <User size={24} />
               )}
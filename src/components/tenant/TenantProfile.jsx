@@ -25,7 +25,7 @@ import {
   CheckCircle
 } from 'lucide-react'
 import SlidingNavbar from '../SlidingNavbar'
-import { getApiUrl } from '../../utils/api'
+import { getApiUrl, getFileUrl } from '../../utils/api'
 import './TenantProfile.css'
 
 const TenantProfile = ({ onLogout }) => {
@@ -483,7 +483,7 @@ const TenantProfile = ({ onLogout }) => {
             <html>
               <head><title>${document.name}</title></head>
               <body style="margin:0;">
-                <embed width="100%" height="100%" src="${document.data}" type="application/pdf" />
+                <embed width="100%" height="100%" src="${getFileUrl(document.data)}" type="application/pdf" />
               </body>
             </html>
           `)
@@ -492,7 +492,7 @@ const TenantProfile = ({ onLogout }) => {
             <html>
               <head><title>${document.name}</title></head>
               <body style="margin:0;display:flex;justify-content:center;align-items:center;background:#000;">
-                <img src="${document.data}" style="max-width:100%;max-height:100%;" />
+                <img src="${getFileUrl(document.data)}" style="max-width:100%;max-height:100%;" />
               </body>
             </html>
           `)
@@ -513,7 +513,7 @@ const TenantProfile = ({ onLogout }) => {
 
     try {
       const link = window.document.createElement('a')
-      link.href = document.data
+      link.href = getFileUrl(document.data)
       link.download = document.name || 'document'
       window.document.body.appendChild(link)
       link.click()
@@ -714,7 +714,7 @@ const TenantProfile = ({ onLogout }) => {
               <div className="profile-photo-section">
                 <div className="current-photo">
                   {profileData.profilePhoto ? (
-                    <img src={profileData.profilePhoto} alt="Profile" />
+                    <img src={getFileUrl(profileData.profilePhoto)} alt="Profile" />
                   ) : (
                     <User size={48} />
                   )}
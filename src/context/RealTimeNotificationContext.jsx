@@ -215,6 +215,87 @@ export const RealTimeNotificationProvider = ({ children }) => {
                 }
                 break;
 
+              case "ISSUE_UPDATED":
+                console.log(
+                  "🛠️ Issue updated:",
+                  data.event,
+                  data.issueId,
+                  data.status
+                );
+                window.dispatchEvent(
+                  new CustomEvent("issueUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "PAYMENT_VERIFICATION_UPDATED":
+                console.log(
+                  "🧾 Payment verification updated:",
+                  data.paymentId,
+                  data.status
+                );
+                window.dispatchEvent(
+                  new CustomEvent("paymentVerificationUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "AUTOPAY_UPDATED":
+                console.log("🔁 Auto-pay updated:", data.mandateId, data.status);
+                window.dispatchEvent(
+                  new CustomEvent("autoPayUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "LEASE_UPDATED":
+                console.log("📄 Lease updated:", data.leaseId, data.status);
+                window.dispatchEvent(
+                  new CustomEvent("leaseUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "LEASES_EXPIRING":
+                console.log("📄 Leases expiring soon:", data.leases?.length);
+                window.dispatchEvent(
+                  new CustomEvent("leasesExpiring", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "RENT_TERMS_UPDATED":
+                console.log("📈 Rent terms updated for tenant:", data.tenantId);
+                window.dispatchEvent(
+                  new CustomEvent("rentTermsUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "ONBOARDING_UPDATED":
+                console.log("🏠 Onboarding updated:", data.tenantId, data.status);
+                window.dispatchEvent(
+                  new CustomEvent("onboardingUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
+              case "ENQUIRIES_UPDATED":
+                console.log("📋 Enquiry updated:", data.enquiryId, data.status);
+                window.dispatchEvent(
+                  new CustomEvent("enquiriesUpdated", {
+                    detail: data,
+                  })
+                );
+                break;
+
               default:
                 console.log("📨 Unknown message type:", data.type);
             }
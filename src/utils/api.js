@@ -44,6 +44,20 @@ export const getApiUrl = () => {
   return `${getApiBaseUrl()}/api`;
 };
 
+/**
+ * Resolve a file URL returned by the API. Stored files come back as signed
+ * /api/files/... paths on the API server; data URLs and external URLs are
+ * used as they are.
+ * @param {string} url - The URL from the API response
+ * @returns {string} A URL the browser can load
+ */
+export const getFileUrl = (url) => {
+  if (typeof url === 'string' && url.startsWith('/api/files/')) {
+    return `${getApiBaseUrl()}${url}`;
+  }
+  return url;
+};
+
 /**
  * Get the WebSocket URL for real-time connections
  * @returns {string} The WebSocket URL
@@ -0,0 +1,103 @@
+// Test committing bill drafts: committed bills get a bill number and a tenant
+// only ever has one live bill per month, even when two commits race
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('./config/database');
+const { Bill, Tenant, Room } = require('./models');
+const BillingService = require('./backend/services/billingService');
+
+console.log('🔧 Testing bill commits...\n');
+
+async function testBillCommit() {
+  const suffix = Date.now();
+  let room = null;
+  let tenant = null;
+
+  try {
+    console.log('📊 Connecting to database...');
+    await connectDB();
+    // Builds the one-live-bill-per-month index if this database does not have it yet
+    await Bill.init();
+
+    room = await Room.create({
+      roomNumber: `TEST-BILL-${suffix}`,
+      floor: 1,
+      type: 'Single',
+      rent: 8000,
+      securityDeposit: 16000,
+      status: 'occupied'
+    });
+    tenant = await Tenant.create({
+      username: `test_bill_${suffix}`,
+      password: 'testtenant123',
+      name: 'Test Bill Tenant',
+      email: `test_bill_${suffix}@example.com`,
+      phone: `9${String(suffix).slice(-9)}`,
+      room: room._id,
+      moveInDate: new Date(2024, 0, 1),
+      status: 'active'
+    });
+    room.currentTenant = tenant._id;
+    await room.save();
+    console.log(`✅ Test tenant ${tenant.username} in room ${room.roomNumber}`);
+
+    const billing = new BillingService();
+    const billedTenant = await Tenant.findById(tenant._id).populate('room');
+
+    // Two drafts built before either is committed, as when the cron and the
+    // owner commit the same month at once
+    console.log('\n🧾 Committing two drafts for January 2025 together...');
+    const drafts = await Promise.all([
+      billing.buildDraft(billedTenant, 1, 2025),
+      billing.buildDraft(billedTenant, 1, 2025)
+    ]);
+    if (drafts.some(draft => draft.status !== 'ready')) {
+      throw new Error(`Draft not ready: ${drafts.map(draft => draft.reason).join(', ')}`);
+    }
+
+    const committed = await Promise.all(drafts.map(draft => billing.commitDraft(draft, { notify: false })));
+    const bills = committed.filter(Boolean).map(result => result.bill);
+    if (bills.length !== 1) {
+      throw new Error(`Expected one committed bill, got ${bills.length}`);
+    }
+    console.log(`✅ One draft committed, the other skipped`);
+
+    const bill = bills[0];
+    if (!bill.billNumber) throw new Error('Committed bill has no bill number');
+    console.log(`✅ Bill ${bill.billNumber} for ₹${bill.totalAmount}`);
+
+    const liveBills = await Bill.countDocuments({ tenant: tenant._id, month: 1, year: 2025, status: { $ne: 'cancelled' } });
+    if (liveBills !== 1) throw new Error(`Expected one bill for the month, found ${liveBills}`);
+
+    console.log('\n🧾 Billing the same month again...');
+    try {
+      await billing.generateForTenant(tenant._id, 1, 2025, { notify: false });
+      throw new Error('Second bill for the month was created');
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      console.log(`✅ Rejected: ${error.message}`);
+    }
+
+    console.log('\n🎉 Bill commit tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Bill commit test failed:', error.message);
+    return false;
+  } finally {
+    if (tenant) {
+      await Bill.deleteMany({ tenant: tenant._id });
+      await Tenant.deleteOne({ _id: tenant._id });
+    }
+    if (room) await Room.deleteOne({ _id: room._id });
+    console.log('🧹 Test data removed');
+  }
+}
+
+testBillCommit().then(async (success) => {
+  await mongoose.connection.close();
+  if (!success) process.exit(1);
+}).catch((error) => {
+  console.log('\n💥 Unexpected error:', error.message);
+  process.exit(1);
+});
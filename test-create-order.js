@@ -0,0 +1,115 @@
+// Test creating a Razorpay order for a prorated bill: the order amount must be
+// whole paise even though the prorated rent leaves a fraction of a rupee
+require('dotenv').config();
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const connectDB = require('./config/database');
+const { Bill, Tenant, Room } = require('./models');
+const BillingService = require('./backend/services/billingService');
+const razorpayService = require('./backend/services/razorpayService');
+const paymentRoutes = require('./backend/routes/payments');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+
+console.log('🔧 Testing Razorpay orders for prorated bills...\n');
+
+async function testCreateOrder() {
+  const suffix = Date.now();
+  const createOrder = razorpayService.razorpay.orders.create;
+  let room = null;
+  let tenant = null;
+  let server = null;
+
+  try {
+    console.log('📊 Connecting to database...');
+    await connectDB();
+
+    // Moving in on 20 January bills 12 of 31 days of the ₹8000 rent
+    room = await Room.create({
+      roomNumber: `TEST-ORD-${suffix}`,
+      floor: 1,
+      type: 'Single',
+      rent: 8000,
+      securityDeposit: 16000,
+      status: 'occupied'
+    });
+    tenant = await Tenant.create({
+      username: `test_ord_${suffix}`,
+      password: 'testtenant123',
+      name: 'Test Order Tenant',
+      email: `test_ord_${suffix}@example.com`,
+      phone: `7${String(suffix).slice(-9)}`,
+      room: room._id,
+      moveInDate: new Date(2025, 0, 20),
+      status: 'active'
+    });
+    room.currentTenant = tenant._id;
+    await room.save();
+
+    const billing = new BillingService();
+    const billedTenant = await Tenant.findById(tenant._id).populate('room');
+    const draft = await billing.buildDraft(billedTenant, 1, 2025);
+    if (draft.status !== 'ready') throw new Error(`Draft not ready: ${draft.reason}`);
+    const { bill } = await billing.commitDraft(draft, { notify: false });
+    if (Number.isInteger(bill.totalAmount)) {
+      throw new Error(`Expected a prorated total with paise, got ₹${bill.totalAmount}`);
+    }
+    console.log(`✅ Prorated bill ${bill.billNumber} for ₹${bill.totalAmount}`);
+
+    // Capture what would be sent to Razorpay instead of calling the gateway
+    let orderOptions = null;
+    razorpayService.razorpay.orders.create = async (options) => {
+      orderOptions = options;
+      return { id: `order_test_${suffix}`, ...options };
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/payments', paymentRoutes);
+    server = app.listen(0);
+    const token = jwt.sign({ id: tenant._id, role: 'tenant' }, JWT_SECRET, { expiresIn: '5m' });
+
+    console.log('\n💳 Creating an order for the bill...');
+    const response = await fetch(`http://localhost:${server.address().port}/api/payments/create-order`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ billId: bill._id })
+    });
+    const data = await response.json();
+    if (!data.success) throw new Error(`Order not created: ${data.message} ${data.details || ''}`);
+
+    if (!Number.isInteger(orderOptions.amount)) {
+      throw new Error(`Order amount is not whole paise: ${orderOptions.amount}`);
+    }
+    const expectedPaise = Math.round(data.bill.totalAmount * 100);
+    if (orderOptions.amount !== expectedPaise) {
+      throw new Error(`Expected ${expectedPaise} paise, got ${orderOptions.amount}`);
+    }
+    console.log(`✅ Order for ${orderOptions.amount} paise (₹${data.bill.totalAmount})`);
+
+    console.log('\n🎉 Razorpay order tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Razorpay order test failed:', error.message);
+    return false;
+  } finally {
+    razorpayService.razorpay.orders.create = createOrder;
+    if (server) server.close();
+    if (tenant) {
+      await Bill.deleteMany({ tenant: tenant._id });
+      await Tenant.deleteOne({ _id: tenant._id });
+    }
+    if (room) await Room.deleteOne({ _id: room._id });
+    console.log('🧹 Test data removed');
+  }
+}
+
+testCreateOrder().then(async (success) => {
+  await mongoose.connection.close();
+  if (!success) process.exit(1);
+}).catch((error) => {
+  console.log('\n💥 Unexpected error:', error.message);
+  process.exit(1);
+});
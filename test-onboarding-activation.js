@@ -0,0 +1,87 @@
+// Test activating an onboarded tenant: the room is occupied and the move-in
+// bill is raised and recorded as onboarding.firstBill
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('./config/database');
+const { Bill, Tenant, Room, Notification, LedgerEntry } = require('./models');
+const OnboardingService = require('./backend/services/onboardingService');
+
+console.log('🔧 Testing onboarding activation...\n');
+
+async function testOnboardingActivation() {
+  const suffix = Date.now();
+  let room = null;
+  let tenant = null;
+
+  try {
+    console.log('📊 Connecting to database...');
+    await connectDB();
+
+    room = await Room.create({
+      roomNumber: `TEST-ONB-${suffix}`,
+      floor: 1,
+      type: 'Single',
+      rent: 8000,
+      securityDeposit: 16000,
+      status: 'vacant'
+    });
+    tenant = await Tenant.create({
+      username: `test_onb_${suffix}`,
+      password: 'testtenant123',
+      name: 'Test Onboarding Tenant',
+      email: `test_onb_${suffix}@example.com`,
+      phone: `8${String(suffix).slice(-9)}`,
+      room: room._id,
+      moveInDate: new Date(),
+      status: 'pending',
+      documents: {
+        idProof: { documentType: 'aadhaar', documentNumber: '123412341234', verified: true, verifiedAt: new Date() }
+      },
+      onboarding: { status: 'submitted', agreedDeposit: 16000, submittedAt: new Date() }
+    });
+    console.log(`✅ Submitted tenant ${tenant.username} for room ${room.roomNumber}`);
+
+    console.log('\n🏠 Activating with ₹6000 of the deposit collected...');
+    const onboardingService = new OnboardingService();
+    const { bill, billError } = await onboardingService.activate(tenant._id, { depositCollected: 6000 }, 'test');
+
+    if (billError) throw new Error(`Move-in bill was not raised: ${billError}`);
+    if (!bill?.billNumber) throw new Error('Move-in bill has no bill number');
+    console.log(`✅ Move-in bill ${bill.billNumber} for ₹${bill.totalAmount}`);
+
+    const activated = await Tenant.findById(tenant._id).select('status onboarding');
+    if (activated.status !== 'active') throw new Error(`Tenant is ${activated.status}, not active`);
+    if (String(activated.onboarding.firstBill) !== String(bill._id)) {
+      throw new Error('onboarding.firstBill is not the move-in bill');
+    }
+    console.log('✅ onboarding.firstBill recorded');
+
+    const deposit = bill.items.additionalCharges.find(charge => charge.securityDeposit);
+    if (deposit?.amount !== 10000) throw new Error(`Expected ₹10000 of deposit on the bill, got ₹${deposit?.amount}`);
+    console.log('✅ Remaining ₹10000 of deposit on the bill');
+
+    console.log('\n🎉 Onboarding activation tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Onboarding activation test failed:', error.message);
+    return false;
+  } finally {
+    if (tenant) {
+      await Bill.deleteMany({ tenant: tenant._id });
+      await LedgerEntry.deleteMany({ tenant: tenant._id });
+      await Notification.deleteMany({ 'recipients.tenant': tenant._id });
+      await Tenant.deleteOne({ _id: tenant._id });
+    }
+    if (room) await Room.deleteOne({ _id: room._id });
+    console.log('🧹 Test data removed');
+  }
+}
+
+testOnboardingActivation().then(async (success) => {
+  await mongoose.connection.close();
+  if (!success) process.exit(1);
+}).catch((error) => {
+  console.log('\n💥 Unexpected error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+// Fake Razorpay webhook sender for local testing
+//
+// Signs a payload with RAZORPAY_WEBHOOK_SECRET exactly as Razorpay does and
+// posts it to the running server, so the webhook can be exercised without a
+// real gateway payment.
+//
+// Usage:
+//   node test-razorpay-webhook.js <event> <billId> [amountInRupees] [paymentId]
+//   node test-razorpay-webhook.js payment.captured 68d92d409a72574482b4a953 1800
+//   node test-razorpay-webhook.js refund.processed - 500 pay_fake_123
+//
+// Send the same command twice to check a retried delivery is not applied again
+// (pass EVENT_ID to reuse an event id; otherwise each run is a new delivery).
+require('dotenv').config();
+const crypto = require('crypto');
+const axios = require('axios');
+
+const BASE_URL = process.env.WEBHOOK_TEST_URL || 'http://localhost:3001';
+const SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const [event = 'payment.captured', billId, amountArg = '100', paymentArg] = process.argv.slice(2);
+const amount = Math.round(Number(amountArg) * 100);
+const paymentId = paymentArg || `pay_fake_${Date.now()}`;
+const orderId = `order_fake_${Date.now()}`;
+const now = Math.floor(Date.now() / 1000);
+
+if (!SECRET) {
+  console.log('❌ RAZORPAY_WEBHOOK_SECRET is missing in .env file');
+  process.exit(1);
+}
+
+const paymentEntity = (status) => ({
+  id: paymentId,
+  entity: 'payment',
+  amount,
+  currency: 'INR',
+  status,
+  order_id: orderId,
+  method: 'upi',
+  notes: billId && billId !== '-' ? { billId } : {},
+  error_description: status === 'failed' ? 'Payment was declined by the bank (fake)' : null,
+  created_at: now
+});
+
+const buildPayload = () => {
+  switch (event) {
+    case 'payment.captured':
+      return { payment: { entity: paymentEntity('captured') } };
+    case 'payment.failed':
+      return { payment: { entity: paymentEntity('failed') } };
+    case 'order.paid':
+      return {
+        payment: { entity: paymentEntity('captured') },
+        order: { entity: { id: orderId, entity: 'order', amount, amount_paid: amount, status: 'paid', notes: { billId } } }
+      };
+    case 'refund.processed':
+      return {
+        refund: { entity: { id: `rfnd_fake_${Date.now()}`, entity: 'refund', amount, payment_id: paymentId, status: 'processed', created_at: now } }
+      };
+    default:
+      console.log(`❌ Unknown event ${event}`);
+      process.exit(1);
+  }
+};
+
+async function sendWebhook() {
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_fake',
+    event,
+    contains: Object.keys(buildPayload()),
+    payload: buildPayload(),
+    created_at: now
+  });
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+  const eventId = process.env.EVENT_ID || `evt_fake_${Date.now()}`;
+
+  console.log(`📡 Sending ${event} (${eventId}) for payment ${paymentId}...`);
+
+  try {
+    const response = await axios.post(`${BASE_URL}/api/webhooks/razorpay`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': eventId
+      }
+    });
+    console.log(`✅ ${response.status}:`, JSON.stringify(response.data));
+  } catch (error) {
+    console.error('❌ Webhook failed:', error.response?.status, error.response?.data || error.message);
+  }
+
+  // A tampered body must be rejected
+  try {
+    await axios.post(`${BASE_URL}/api/webhooks/razorpay`, body.replace(String(amount), String(amount + 100)), {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': `${eventId}_tampered`
+      }
+    });
+    console.error('❌ Tampered payload was accepted');
+  } catch (error) {
+    console.log(`✅ Tampered payload rejected with ${error.response?.status}`);
+  }
+}
+
+sendWebhook();